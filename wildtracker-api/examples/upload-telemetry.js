@@ -2,7 +2,14 @@ const axios = require('axios');
 
 // Configuration
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
-const API_KEY = process.env.API_KEY || 'your-api-key';
+
+// User account for the read endpoints
+const WILDTRACKER_USERNAME = process.env.WILDTRACKER_USERNAME || 'admin';
+const WILDTRACKER_PASSWORD = process.env.WILDTRACKER_PASSWORD || 'your-password';
+
+// Device keys as issued by POST /api/v1/devices/:deviceId/keys
+const SENSOR_001_API_KEY = process.env.SENSOR_001_API_KEY || 'your-sensor-001-key';
+const SENSOR_002_API_KEY = process.env.SENSOR_002_API_KEY || 'your-sensor-002-key';
 
 // Example telemetry data
 const sampleTelemetryData = {
@@ -69,7 +76,7 @@ async function uploadSingleTelemetry() {
     const response = await axios.post(`${API_BASE_URL}/api/v1/telemetry`, sampleTelemetryData, {
       headers: {
         'Content-Type': 'application/json',
-        'X-API-Key': API_KEY
+        'X-API-Key': SENSOR_001_API_KEY
       }
     });
 
@@ -87,7 +94,7 @@ async function uploadBatchTelemetry() {
     const response = await axios.post(`${API_BASE_URL}/api/v1/telemetry/batch`, sampleBatchData, {
       headers: {
         'Content-Type': 'application/json',
-        'X-API-Key': API_KEY
+        'X-API-Key': SENSOR_002_API_KEY
       }
     });
 
@@ -98,6 +105,20 @@ async function uploadBatchTelemetry() {
   }
 }
 
+// Sign in as a user so the read endpoints accept our requests
+async function signIn() {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/api/v1/auth/login`, {
+      username: WILDTRACKER_USERNAME,
+      password: WILDTRACKER_PASSWORD
+    });
+    axios.defaults.headers.common.Authorization = `Bearer ${response.data.data.token}`;
+    console.log(`✅ Signed in as ${response.data.data.user.username} (${response.data.data.user.role})`);
+  } catch (error) {
+    console.error('❌ Sign-in failed:', error.response?.data || error.message);
+  }
+}
+
 async function getHealthStatus() {
   try {
     console.log('Checking API health...');
@@ -140,6 +161,9 @@ async function main() {
   await uploadBatchTelemetry();
   console.log('\n' + '='.repeat(50) + '\n');
   
+  await signIn();
+  console.log('\n' + '='.repeat(50) + '\n');
+  
   // Get stats
   await getTelemetryStats();
   
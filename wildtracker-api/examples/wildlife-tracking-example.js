@@ -1,8 +1,29 @@
+const crypto = require('crypto');
 const axios = require('axios');
 
 // Configuration
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
-const API_KEY = process.env.API_KEY || 'your-api-key';
+
+// User account for the read endpoints
+const WILDTRACKER_USERNAME = process.env.WILDTRACKER_USERNAME || 'admin';
+const WILDTRACKER_PASSWORD = process.env.WILDTRACKER_PASSWORD || 'your-password';
+
+// Device keys as issued by POST /api/v1/devices/:deviceId/keys. A key only
+// uploads for its own deviceId.
+const WOLF_COLLAR_API_KEY = process.env.WOLF_COLLAR_API_KEY || 'your-wolf-collar-key';
+const ELK_COLLAR_API_KEY = process.env.ELK_COLLAR_API_KEY || 'your-elk-collar-key';
+
+// Sign a request body with a device key instead of sending the key itself
+function signedHeaders(apiKey, body) {
+  const [keyId, secret] = apiKey.split('.');
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret || '').update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Key-Id': keyId,
+    'X-Timestamp': String(timestamp),
+    'X-Signature': `sha256=${signature}`
+  };
+}
 
 // Example wildlife telemetry data
 const wildlifeTelemetryData = {
@@ -97,7 +118,7 @@ async function uploadWildlifeTelemetry() {
     const response = await axios.post(`${API_BASE_URL}/api/v1/telemetry`, wildlifeTelemetryData, {
       headers: {
         'Content-Type': 'application/json',
-        'X-API-Key': API_KEY
+        'X-API-Key': WOLF_COLLAR_API_KEY
       }
     });
 
@@ -112,10 +133,12 @@ async function uploadWildlifeBatch() {
   try {
     console.log('🦌 Uploading batch wildlife data...');
     
-    const response = await axios.post(`${API_BASE_URL}/api/v1/telemetry/batch`, wildlifeBatchData, {
+    // Send the exact bytes that were signed
+    const body = JSON.stringify(wildlifeBatchData);
+    const response = await axios.post(`${API_BASE_URL}/api/v1/telemetry/batch`, body, {
       headers: {
         'Content-Type': 'application/json',
-        'X-API-Key': API_KEY
+        ...signedHeaders(ELK_COLLAR_API_KEY, body)
       }
     });
 
@@ -130,11 +153,7 @@ async function getWildlifeSummary() {
   try {
     console.log('📊 Getting wildlife tracking summary...');
     
-    const response = await axios.get(`${API_BASE_URL}/api/v1/telemetry/wildlife`, {
-      headers: {
-        'X-API-Key': API_KEY
-      }
-    });
+    const response = await axios.get(`${API_BASE_URL}/api/v1/telemetry/wildlife`);
     
     console.log('✅ Wildlife summary retrieved successfully!');
     console.log('Summary:', JSON.stringify(response.data, null, 2));
@@ -155,10 +174,7 @@ async function getTelemetryData() {
     };
     
     const response = await axios.get(`${API_BASE_URL}/api/v1/telemetry/data`, {
-      params,
-      headers: {
-        'X-API-Key': API_KEY
-      }
+      params
     });
     
     console.log('✅ Telemetry data retrieved successfully!');
@@ -178,10 +194,7 @@ async function getIndividualTracking() {
     };
     
     const response = await axios.get(`${API_BASE_URL}/api/v1/telemetry/individual/${individualId}`, {
-      params,
-      headers: {
-        'X-API-Key': API_KEY
-      }
+      params
     });
     
     console.log('✅ Individual tracking data retrieved successfully!');
@@ -203,10 +216,7 @@ async function getMapData() {
     };
     
     const response = await axios.get(`${API_BASE_URL}/api/v1/telemetry/map`, {
-      params,
-      headers: {
-        'X-API-Key': API_KEY
-      }
+      params
     });
     
     console.log('✅ Map data retrieved successfully!');
@@ -216,6 +226,20 @@ async function getMapData() {
   }
 }
 
+// Sign in as a user so the read endpoints accept our requests
+async function signIn() {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/api/v1/auth/login`, {
+      username: WILDTRACKER_USERNAME,
+      password: WILDTRACKER_PASSWORD
+    });
+    axios.defaults.headers.common.Authorization = `Bearer ${response.data.data.token}`;
+    console.log(`✅ Signed in as ${response.data.data.user.username} (${response.data.data.user.role})`);
+  } catch (error) {
+    console.error('❌ Sign-in failed:', error.response?.data || error.message);
+  }
+}
+
 async function getHealthStatus() {
   try {
     console.log('🏥 Checking API health...');
@@ -291,6 +315,9 @@ async function main() {
   await uploadWildlifeBatch();
   console.log('\n' + '='.repeat(60) + '\n');
   
+  await signIn();
+  console.log('\n' + '='.repeat(60) + '\n');
+  
   // Get various data for frontend
   await getWildlifeSummary();
   console.log('\n' + '='.repeat(60) + '\n');
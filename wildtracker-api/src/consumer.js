@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+const logger = require('./utils/logger');
+const { startTelemetryConsumer, stopTelemetryConsumer } = require('./services/telemetryConsumer');
+
+// Standalone entrypoint for the telemetry topic consumer (npm run consumer)
+async function startConsumer() {
+  try {
+    await startTelemetryConsumer();
+  } catch (error) {
+    logger.error('Failed to start telemetry consumer:', error);
+    process.exit(1);
+  }
+}
+
+async function shutdown(signal) {
+  logger.info(`${signal} received, stopping telemetry consumer`);
+  await stopTelemetryConsumer();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startConsumer();
@@ -0,0 +1,170 @@
+const { RULE_TYPES, validateAlertQuery, validateAlertAction, validateAlertRule } = require('../models/alert');
+const { alertService } = require('../services/alertService');
+const { alertRuleService } = require('../services/alertRuleService');
+const logger = require('../utils/logger');
+
+// Acknowledge or resolve an alert the caller can see
+function changeAlert(req, res, action) {
+  try {
+    const { error, value } = validateAlertAction(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const alert = alertService.getAlert(req.params.id);
+
+    if (!alert || alertService.redactAll([alert], req.user).length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    const changed = alertService[action](alert.id, req.user, value.note);
+
+    res.json({
+      success: true,
+      data: alertService.redactAll([changed], req.user)[0]
+    });
+  } catch (error) {
+    if (error.code === 'ALERT_NOT_OPEN') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Error trying to ${action} alert:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} alert`
+    });
+  }
+}
+
+class AlertController {
+  // List alerts, newest first
+  listAlerts = async (req, res) => {
+    try {
+      const { error, value } = validateAlertQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const { limit, offset } = value;
+      const filters = { ...value };
+      delete filters.limit;
+      delete filters.offset;
+
+      const alerts = alertService.redactAll(alertService.listAlerts(filters), req.user, filters);
+
+      res.json({
+        success: true,
+        data: alerts.slice(offset, offset + limit),
+        pagination: {
+          limit,
+          offset,
+          total: alerts.length,
+          hasMore: offset + limit < alerts.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error listing alerts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list alerts'
+      });
+    }
+  }
+
+  // Get a single alert
+  getAlert = async (req, res) => {
+    const alert = alertService.getAlert(req.params.id);
+    const [visible] = alert ? alertService.redactAll([alert], req.user) : [];
+
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: visible
+    });
+  }
+
+  // Record that the caller is dealing with an alert
+  acknowledgeAlert = async (req, res) => {
+    changeAlert(req, res, 'acknowledge');
+  }
+
+  // Close an alert
+  resolveAlert = async (req, res) => {
+    changeAlert(req, res, 'resolve');
+  }
+
+  // List alert rules with their current settings
+  listRules = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: alertRuleService.listRules()
+      });
+    } catch (error) {
+      logger.error('Error listing alert rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list alert rules'
+      });
+    }
+  }
+
+  // Switch a rule on or off, or change its severity or parameters
+  updateRule = async (req, res) => {
+    try {
+      const { type } = req.params;
+
+      if (!RULE_TYPES.includes(type)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Alert rule not found'
+        });
+      }
+
+      const { error, value } = validateAlertRule(type, req.body, alertRuleService.getRule(type).params);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      res.json({
+        success: true,
+        data: alertRuleService.setRule(type, value, req.user)
+      });
+    } catch (error) {
+      logger.error('Error updating alert rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update alert rule'
+      });
+    }
+  }
+}
+
+module.exports = new AlertController();
@@ -0,0 +1,61 @@
+const { validateLogin, toUserResponse } = require('../models/user');
+const { authService } = require('../services/authService');
+const logger = require('../utils/logger');
+
+class AuthController {
+  // Exchange credentials for a session token
+  login = async (req, res) => {
+    try {
+      const { error, value } = validateLogin(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const session = await authService.login(value);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid username or password'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          token: session.token,
+          expiresAt: session.expiresAt,
+          user: toUserResponse(session.user)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'UNKNOWN_PROVIDER') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error signing in:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign in'
+      });
+    }
+  }
+
+  // Current user
+  me = async (req, res) => {
+    res.json({
+      success: true,
+      data: toUserResponse(req.user)
+    });
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,185 @@
+const { validateBulkExportCreate, validateBulkExportListQuery } = require('../models/bulkExport');
+const { bulkExportService } = require('../services/bulkExportService');
+const logger = require('../utils/logger');
+
+const EXPORTS_PATH = '/api/v1/exports';
+
+// Admins see every export; everyone else only their own
+function ownerFilter(user) {
+  return user?.role === 'admin' ? {} : { ownerId: user?.id || null };
+}
+
+function findJob(id, user) {
+  const job = bulkExportService.getJob(id);
+  if (!job) return null;
+  const { ownerId } = ownerFilter(user);
+  return ownerId === undefined || job.createdBy?.id === ownerId ? job : null;
+}
+
+function toJobResponse(job) {
+  return {
+    ...job,
+    statusUrl: `${EXPORTS_PATH}/${job.id}`,
+    downloadUrl: `${EXPORTS_PATH}/${job.id}/download`
+  };
+}
+
+function paginate(res, items, { limit, offset }) {
+  res.json({
+    success: true,
+    data: items.slice(offset, offset + limit),
+    pagination: {
+      limit,
+      offset,
+      total: items.length,
+      hasMore: offset + limit < items.length
+    }
+  });
+}
+
+function jobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Export not found'
+  });
+}
+
+class BulkExportController {
+  // Queue an export of the points matching a query. Answers 202 with the
+  // job, whose statusUrl reports progress.
+  createExport = async (req, res) => {
+    try {
+      const { error, value } = validateBulkExportCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const job = bulkExportService.createJob(value, req.user);
+
+      res.status(202).location(`${EXPORTS_PATH}/${job.id}`).json({
+        success: true,
+        message: 'Export queued',
+        data: toJobResponse(job)
+      });
+    } catch (error) {
+      logger.error('Error queueing telemetry export:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to queue export'
+      });
+    }
+  }
+
+  // List exports, newest first
+  listExports = async (req, res) => {
+    try {
+      const { error, value } = validateBulkExportListQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const jobs = bulkExportService.listJobs({ ...ownerFilter(req.user), status: value.status });
+      paginate(res, jobs.map(toJobResponse), value);
+    } catch (error) {
+      logger.error('Error listing telemetry exports:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve exports'
+      });
+    }
+  }
+
+  // Status of one export
+  getExport = async (req, res) => {
+    try {
+      const job = findJob(req.params.jobId, req.user);
+      if (!job) return jobNotFound(res);
+
+      res.json({
+        success: true,
+        data: toJobResponse(job)
+      });
+    } catch (error) {
+      logger.error('Error retrieving telemetry export:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve export'
+      });
+    }
+  }
+
+  // The exported file, once the job has completed and until it expires
+  downloadExport = async (req, res) => {
+    try {
+      const job = findJob(req.params.jobId, req.user);
+      if (!job) return jobNotFound(res);
+
+      if (job.status === 'expired') {
+        return res.status(410).json({
+          success: false,
+          error: 'Export expired',
+          message: `The file was removed at ${job.expiresAt}, queue the export again`
+        });
+      }
+      if (job.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'Export not ready',
+          message: job.status === 'failed' ? `The export failed: ${job.error}` : `The export is ${job.status}`,
+          data: toJobResponse(job)
+        });
+      }
+
+      res.type(bulkExportService.fileType(job).contentType);
+      res.download(bulkExportService.filePath(job), job.filename, downloadError => {
+        if (!downloadError) return;
+        logger.error('Error sending telemetry export:', downloadError);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to download export'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Error downloading telemetry export:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download export'
+      });
+    }
+  }
+
+  // Remove an export and its file
+  deleteExport = async (req, res) => {
+    try {
+      const job = findJob(req.params.jobId, req.user);
+      if (!job) return jobNotFound(res);
+
+      bulkExportService.deleteJob(job.id);
+
+      res.json({
+        success: true,
+        message: 'Export removed'
+      });
+    } catch (error) {
+      logger.error('Error deleting telemetry export:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete export'
+      });
+    }
+  }
+}
+
+module.exports = new BulkExportController();
@@ -0,0 +1,214 @@
+const { validateClusterQuery, validateClusterListQuery, validateInvestigation } = require('../models/cluster');
+const { clusterService } = require('../services/clusterService');
+const { individualService } = require('../services/individualService');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const { getTelemetryRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Clusters as the caller may see them. A cluster's centroid is treated like
+// a fix at its last timestamp, so it is withheld during the species' embargo
+// and obfuscated like any other position. `filters` are those the clusters
+// were selected by, as for scopeQuery().
+function visibleClusters(clusters, user, filters = {}) {
+  const { where } = locationPolicyService.scopeQuery(filters, user);
+
+  return clusters.reduce((visible, cluster) => {
+    const point = {
+      id: cluster.id,
+      timestamp: cluster.lastFix.timestamp,
+      location: cluster.centroid,
+      wildlife: { species: cluster.species, individualId: cluster.individualId }
+    };
+    if (where && !where(point)) return visible;
+
+    const redacted = locationPolicyService.redact(point, user);
+    if (redacted === point) {
+      visible.push(cluster);
+    } else {
+      const copy = { ...cluster, centroid: redacted.location };
+      if (!redacted.wildlife.individualId) delete copy.individualId;
+      visible.push(copy);
+    }
+    return visible;
+  }, []);
+}
+
+// Detect clusters in an individual's track and answer with those the caller
+// may see. Detection runs on stored positions so that cluster ids and
+// centroids do not depend on who asked. With `store`, every fix in the
+// window is scanned and the result stored; otherwise only the fixes the
+// caller may select are scanned and nothing is stored, so a scoped or
+// experimental run never replaces the clusters field crews work from.
+async function respondWithClusters(req, res, { value, store }) {
+  const individual = individualService.getIndividual(req.params.id);
+
+  if (!individual) {
+    return res.status(404).json({
+      success: false,
+      error: 'Individual not found'
+    });
+  }
+
+  const { radius, minDurationHours, minFixes, startDate, endDate, limit } = value;
+  // Take the newest `limit` fixes, then put them back in time order for
+  // detection, so a long track is cut at its oldest end rather than its newest
+  const filters = {
+    individualId: individual.id,
+    startDate,
+    endDate,
+    limit,
+    hasLocation: true,
+    sortBy: 'timestamp',
+    sortOrder: 'desc'
+  };
+  const scoped = store ? { filters } : locationPolicyService.scopeQuery(filters, req.user);
+  const { data: newest } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+  const data = newest.reverse();
+
+  const params = { radius, minDurationHours, minFixes };
+  const clusters = store
+    ? clusterService.findClusters(individual.id, data, params)
+    : clusterService.detect(individual.id, data, params);
+
+  res.json({
+    success: true,
+    data: visibleClusters(clusters, req.user),
+    metadata: {
+      individualId: individual.id,
+      species: individual.species,
+      fixes: data.length,
+      parameters: params,
+      units: { radius: 'm', radiusMeters: 'm', durationHours: 'h' }
+    }
+  });
+}
+
+class ClusterController {
+  // Detect clusters of fixes, i.e. candidate kill sites and dens, in an
+  // animal's track without storing them
+  detectClusters = async (req, res) => {
+    try {
+      const { error, value } = validateClusterQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      await respondWithClusters(req, res, { value, store: false });
+    } catch (error) {
+      logger.error('Error detecting clusters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to detect clusters'
+      });
+    }
+  }
+
+  // Detect clusters in an animal's track and store them for field crews
+  storeClusters = async (req, res) => {
+    try {
+      const { error, value } = validateClusterQuery(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      await respondWithClusters(req, res, { value, store: true });
+    } catch (error) {
+      logger.error('Error storing clusters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to store clusters'
+      });
+    }
+  }
+
+  // List detected clusters, e.g. those still to be visited
+  listClusters = async (req, res) => {
+    try {
+      const { error, value } = validateClusterListQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      res.json({
+        success: true,
+        data: visibleClusters(clusterService.listClusters(value), req.user, value)
+      });
+    } catch (error) {
+      logger.error('Error listing clusters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list clusters'
+      });
+    }
+  }
+
+  // Get a single cluster
+  getCluster = async (req, res) => {
+    const cluster = clusterService.getCluster(req.params.id);
+    const [visible] = cluster ? visibleClusters([cluster], req.user) : [];
+
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cluster not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: visible
+    });
+  }
+
+  // Record what a field crew found at a cluster
+  recordInvestigation = async (req, res) => {
+    try {
+      const { error, value } = validateInvestigation(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const cluster = clusterService.getCluster(req.params.id);
+
+      if (!cluster || visibleClusters([cluster], req.user).length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Cluster not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: visibleClusters([clusterService.recordInvestigation(cluster.id, value, req.user)], req.user)[0]
+      });
+    } catch (error) {
+      logger.error('Error recording cluster investigation:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record investigation'
+      });
+    }
+  }
+}
+
+module.exports = new ClusterController();
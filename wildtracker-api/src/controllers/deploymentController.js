@@ -0,0 +1,152 @@
+const { validateDeploymentCreate, validateDeploymentEnd, validateDeploymentQuery } = require('../models/deployment');
+const { deploymentService } = require('../services/deploymentService');
+const { individualService } = require('../services/individualService');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const logger = require('../utils/logger');
+
+// HTTP status for each error code thrown by deploymentService
+const ERROR_STATUS = {
+  INDIVIDUAL_NOT_FOUND: 422,
+  DEPLOYMENT_OVERLAP: 409,
+  DEPLOYMENT_ENDED: 409,
+  INVALID_END: 400
+};
+
+// A deployment links a collar to an animal, so it is hidden from roles that
+// may not see the individualId of the animal's species
+function isVisible(deployment, user) {
+  if (locationPolicyService.isElevated(user)) return true;
+  const individual = individualService.getIndividual(deployment.individualId);
+  return !locationPolicyService.getPolicy(individual?.species)?.stripIndividualId;
+}
+
+class DeploymentController {
+  // Record a collar being fitted to an animal, linking any stored points
+  // from the device that fall inside the deployment
+  createDeployment = async (req, res) => {
+    try {
+      const { error, value } = validateDeploymentCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const deployment = deploymentService.createDeployment(value);
+      const linkedPoints = await deploymentService.linkTelemetry(deployment);
+
+      res.status(201).json({
+        success: true,
+        data: deployment,
+        linkedPoints
+      });
+    } catch (error) {
+      if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({
+          success: false,
+          error: error.message,
+          conflict: error.conflict
+        });
+      }
+
+      logger.error('Error creating deployment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create deployment'
+      });
+    }
+  }
+
+  // List deployments by device, individual or whether they are still open
+  listDeployments = async (req, res) => {
+    try {
+      const { error, value } = validateDeploymentQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      res.json({
+        success: true,
+        data: deploymentService.listDeployments(value).filter(deployment => isVisible(deployment, req.user))
+      });
+    } catch (error) {
+      logger.error('Error listing deployments:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list deployments'
+      });
+    }
+  }
+
+  // Get a single deployment
+  getDeployment = async (req, res) => {
+    const deployment = deploymentService.getDeployment(req.params.id);
+
+    if (!deployment || !isVisible(deployment, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deployment
+    });
+  }
+
+  // Record a collar coming off, unlinking points the device sent after it
+  endDeployment = async (req, res) => {
+    try {
+      const { error, value } = validateDeploymentEnd(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const deployment = deploymentService.endDeployment(req.params.id, value);
+
+      if (!deployment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Deployment not found'
+        });
+      }
+
+      const unlinkedPoints = await deploymentService.unlinkTelemetry(deployment);
+
+      res.json({
+        success: true,
+        data: deployment,
+        unlinkedPoints
+      });
+    } catch (error) {
+      if (ERROR_STATUS[error.code]) {
+        return res.status(ERROR_STATUS[error.code]).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error ending deployment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to end deployment'
+      });
+    }
+  }
+}
+
+module.exports = new DeploymentController();
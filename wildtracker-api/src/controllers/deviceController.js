@@ -0,0 +1,88 @@
+const { validateDeviceKeyIssue, validateDeviceId, toDeviceKeyResponse } = require('../models/deviceKey');
+const { deviceKeyService } = require('../services/deviceKeyService');
+const logger = require('../utils/logger');
+
+class DeviceController {
+  // Issue a new key for a device; the secret is only returned here
+  issueKey = async (req, res) => {
+    try {
+      const deviceIdCheck = validateDeviceId(req.params.deviceId);
+      const { error, value } = validateDeviceKeyIssue(req.body);
+      const details = [deviceIdCheck.error, error]
+        .filter(Boolean)
+        .flatMap(e => e.details.map(d => d.message));
+
+      if (details.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details
+        });
+      }
+
+      const { key, apiKey, secret } = deviceKeyService.issueKey(req.params.deviceId, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Device key issued. Store the apiKey now, it cannot be retrieved again.',
+        data: {
+          ...toDeviceKeyResponse(key),
+          apiKey,
+          secret
+        }
+      });
+    } catch (error) {
+      logger.error('Error issuing device key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to issue device key'
+      });
+    }
+  }
+
+  // List a device's keys without their secrets
+  listKeys = async (req, res) => {
+    try {
+      const keys = deviceKeyService.listKeys(req.params.deviceId);
+
+      res.json({
+        success: true,
+        data: keys.map(toDeviceKeyResponse)
+      });
+    } catch (error) {
+      logger.error('Error listing device keys:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list device keys'
+      });
+    }
+  }
+
+  // Revoke a key; uploads using it are refused from then on
+  revokeKey = async (req, res) => {
+    try {
+      const key = deviceKeyService.revokeKey(req.params.deviceId, req.params.keyId);
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device key revoked',
+        data: toDeviceKeyResponse(key)
+      });
+    } catch (error) {
+      logger.error('Error revoking device key:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke device key'
+      });
+    }
+  }
+}
+
+module.exports = new DeviceController();
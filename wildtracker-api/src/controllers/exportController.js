@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+const { validateTelemetryExportQuery } = require('../models/telemetry');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const { getTelemetryRepository } = require('../repositories');
+const { FORMATS, writeTracks } = require('../utils/trackFormats');
+const logger = require('../utils/logger');
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'telemetry';
+}
+
+class ExportController {
+  // Tracks matching the /data filters
+  exportTelemetry = async (req, res) => {
+    await this.sendExport(req, res, req.query, 'WildTrack telemetry');
+  }
+
+  // Track of one animal
+  exportIndividual = async (req, res) => {
+    const { individualId } = req.params;
+    await this.sendExport(req, res, { ...req.query, individualId }, individualId);
+  }
+
+  // Tracks of every animal of a species
+  exportSpecies = async (req, res) => {
+    const { species } = req.params;
+    await this.sendExport(req, res, { ...req.query, species }, species);
+  }
+
+  // Stream the located points matching `query`, as the caller may see them,
+  // as a file download named after `name` and today's date. X-Total-Count
+  // is the number of matching points, which may exceed `limit`.
+  sendExport = async (req, res, query, name) => {
+    try {
+      const { error, value } = validateTelemetryExportQuery(query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const { format, as, ...filters } = value;
+      const scoped = locationPolicyService.scopeQuery({ ...filters, hasLocation: true }, req.user);
+      const { data, total } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+      const points = locationPolicyService.redactAll(data, req.user);
+
+      const { contentType, extension } = FORMATS[format];
+      res.attachment(`${slug(name)}-${new Date().toISOString().slice(0, 10)}.${extension}`);
+      res.type(contentType);
+      res.set('X-Total-Count', String(total));
+      logger.info('Exporting telemetry', { format, as, points: points.length, total, user: req.user?.username });
+
+      Readable.from(writeTracks(format, points, { name, as }))
+        .on('error', streamError => {
+          logger.error('Error streaming telemetry export:', streamError);
+          res.destroy(streamError);
+        })
+        .pipe(res);
+    } catch (error) {
+      logger.error('Error exporting telemetry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export telemetry'
+      });
+    }
+  }
+}
+
+module.exports = new ExportController();
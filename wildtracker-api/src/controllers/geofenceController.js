@@ -0,0 +1,173 @@
+const { validateGeofenceCreate, validateGeofenceUpdate, validateGeofenceEventQuery } = require('../models/geofence');
+const { geofenceService } = require('../services/geofenceService');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const logger = require('../utils/logger');
+
+class GeofenceController {
+  // Create a geofence
+  createGeofence = async (req, res) => {
+    try {
+      const { error, value } = validateGeofenceCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: geofenceService.createGeofence(value)
+      });
+    } catch (error) {
+      logger.error('Error creating geofence:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create geofence'
+      });
+    }
+  }
+
+  // List geofences
+  listGeofences = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: geofenceService.listGeofences()
+      });
+    } catch (error) {
+      logger.error('Error listing geofences:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list geofences'
+      });
+    }
+  }
+
+  // Get a single geofence
+  getGeofence = async (req, res) => {
+    const geofence = geofenceService.getGeofence(req.params.id);
+
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Geofence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: geofence
+    });
+  }
+
+  // Change a geofence's name, shape, species scope or whether it is active
+  updateGeofence = async (req, res) => {
+    try {
+      const { error, value } = validateGeofenceUpdate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const geofence = geofenceService.updateGeofence(req.params.id, value);
+
+      if (!geofence) {
+        return res.status(404).json({
+          success: false,
+          error: 'Geofence not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: geofence
+      });
+    } catch (error) {
+      logger.error('Error updating geofence:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update geofence'
+      });
+    }
+  }
+
+  // Remove a geofence, keeping its event history
+  deleteGeofence = async (req, res) => {
+    try {
+      if (!geofenceService.deleteGeofence(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Geofence not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Geofence removed'
+      });
+    } catch (error) {
+      logger.error('Error removing geofence:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove geofence'
+      });
+    }
+  }
+
+  // Enter/exit history, newest first, of all geofences or the one in the path
+  listEvents = async (req, res) => {
+    try {
+      const { error, value } = validateGeofenceEventQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      if (req.params.id && !geofenceService.getGeofence(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Geofence not found'
+        });
+      }
+
+      const { limit, offset } = value;
+      const filters = { ...value, geofenceId: req.params.id || value.geofenceId };
+      delete filters.limit;
+      delete filters.offset;
+
+      // Events are shaped like fixes, so they are scoped and redacted as such
+      const scoped = locationPolicyService.scopeQuery(filters, req.user);
+      const events = geofenceService.listEvents(scoped.filters, { where: scoped.where });
+
+      res.json({
+        success: true,
+        data: locationPolicyService.redactAll(events.slice(offset, offset + limit), req.user),
+        pagination: {
+          limit,
+          offset,
+          total: events.length,
+          hasMore: offset + limit < events.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error listing geofence events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list geofence events'
+      });
+    }
+  }
+}
+
+module.exports = new GeofenceController();
@@ -1,4 +1,7 @@
 const { getKafkaHealth } = require('../services/kafkaService');
+const { getTelemetryConsumerStatus } = require('../services/telemetryConsumer');
+const { getOutboxStatus } = require('../services/outboxService');
+const { getMqttGatewayStatus } = require('../services/mqttGateway');
 const logger = require('../utils/logger');
 
 class HealthController {
@@ -60,7 +63,10 @@ class HealthController {
             responseTime: kafkaResponseTime,
             message: kafkaHealth.message,
             topics: kafkaHealth.topics
-          }
+          },
+          consumer: getTelemetryConsumerStatus(),
+          outbox: getOutboxStatus(),
+          mqtt: getMqttGatewayStatus()
         },
         system: {
           memory: {
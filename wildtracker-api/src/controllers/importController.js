@@ -0,0 +1,222 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const Busboy = require('busboy');
+const { validateImportOptions, validateImportListQuery } = require('../models/telemetryImport');
+const { importService } = require('../services/importService');
+const logger = require('../utils/logger');
+
+const IMPORT_PATH = '/api/v1/telemetry/import';
+
+// Admins see every import; everyone else only their own
+function ownerFilter(user) {
+  return user?.role === 'admin' ? {} : { ownerId: user?.id || null };
+}
+
+function findJob(id, user) {
+  const job = importService.getJob(id);
+  if (!job) return null;
+  const { ownerId } = ownerFilter(user);
+  return ownerId === undefined || job.createdBy?.id === ownerId ? job : null;
+}
+
+function toJobResponse(job) {
+  return {
+    ...job,
+    statusUrl: `${IMPORT_PATH}/${job.id}`,
+    errorsUrl: `${IMPORT_PATH}/${job.id}/errors`
+  };
+}
+
+function paginate(res, items, { limit, offset }) {
+  res.json({
+    success: true,
+    data: items.slice(offset, offset + limit),
+    pagination: {
+      limit,
+      offset,
+      total: items.length,
+      hasMore: offset + limit < items.length
+    }
+  });
+}
+
+function jobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Import not found'
+  });
+}
+
+// Save the `file` part of a multipart upload to disk and collect the other
+// form fields. Resolves to { fields, file: { path, filename, truncated } }.
+function receiveUpload(req) {
+  const maxBytes = (parseInt(process.env.IMPORT_MAX_FILE_MB) || 100) * 1024 * 1024;
+
+  return new Promise((resolve, reject) => {
+    const busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes } });
+    const fields = {};
+    let file = null;
+    let saving = Promise.resolve();
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    busboy.on('file', (name, stream, info) => {
+      if (name !== 'file' || file) {
+        stream.resume();
+        return;
+      }
+      file = { path: importService.uploadPath(), filename: info.filename, truncated: false };
+      stream.on('limit', () => {
+        file.truncated = true;
+      });
+      saving = pipeline(stream, fs.createWriteStream(file.path));
+    });
+    busboy.on('error', reject);
+    busboy.on('close', () => saving.then(() => resolve({ fields, file }), reject));
+    req.pipe(busboy);
+  });
+}
+
+function discard(file) {
+  if (file) fs.rm(file.path, { force: true }, () => {});
+}
+
+class ImportController {
+  // Accept a CSV upload and queue it for import. Answers 202 with the job,
+  // whose statusUrl reports progress.
+  createImport = async (req, res) => {
+    let upload;
+    try {
+      if (!req.is('multipart/form-data')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['Send the file as multipart/form-data in a "file" field']
+        });
+      }
+
+      try {
+        upload = await receiveUpload(req);
+      } catch (error) {
+        logger.warn('Unreadable telemetry import upload', { error: error.message });
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: [`Could not read the upload: ${error.message}`]
+        });
+      }
+
+      if (!upload.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['A CSV file is required in the "file" field']
+        });
+      }
+      if (upload.file.truncated) {
+        discard(upload.file);
+        return res.status(413).json({
+          success: false,
+          error: 'File too large',
+          message: `Imports are limited to ${parseInt(process.env.IMPORT_MAX_FILE_MB) || 100} MB`
+        });
+      }
+
+      const { error, value } = validateImportOptions(upload.fields);
+      if (error) {
+        discard(upload.file);
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const job = importService.createJob(value, upload.file, req.user);
+
+      res.status(202).location(`${IMPORT_PATH}/${job.id}`).json({
+        success: true,
+        message: 'Import queued',
+        data: toJobResponse(job)
+      });
+    } catch (error) {
+      logger.error('Error queueing telemetry import:', error);
+      discard(upload?.file);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to queue import'
+      });
+    }
+  }
+
+  // List imports, newest first
+  listImports = async (req, res) => {
+    try {
+      const { error, value } = validateImportListQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      paginate(res, importService.listJobs(ownerFilter(req.user)).map(toJobResponse), value);
+    } catch (error) {
+      logger.error('Error listing telemetry imports:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve imports'
+      });
+    }
+  }
+
+  // Status and row counts of one import
+  getImport = async (req, res) => {
+    try {
+      const job = findJob(req.params.jobId, req.user);
+      if (!job) return jobNotFound(res);
+
+      res.json({
+        success: true,
+        data: toJobResponse(job)
+      });
+    } catch (error) {
+      logger.error('Error retrieving telemetry import:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve import'
+      });
+    }
+  }
+
+  // Rows that failed, by line number in the file
+  listImportErrors = async (req, res) => {
+    try {
+      const { error, value } = validateImportListQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const job = findJob(req.params.jobId, req.user);
+      if (!job) return jobNotFound(res);
+
+      paginate(res, importService.listErrors(job.id), value);
+    } catch (error) {
+      logger.error('Error retrieving telemetry import errors:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve import errors'
+      });
+    }
+  }
+}
+
+module.exports = new ImportController();
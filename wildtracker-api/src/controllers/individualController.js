@@ -0,0 +1,255 @@
+const {
+  validateIndividualCreate,
+  validateIndividualUpdate,
+  validateIndividualRetire,
+  validateIndividualQuery,
+  validateHomeRangeQuery
+} = require('../models/individual');
+const { individualService } = require('../services/individualService');
+const { homeRangeService } = require('../services/homeRangeService');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const { getTelemetryRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Copy of an individual with its capture sites as the caller may see them:
+// obfuscated by the species' location policy, as telemetry positions are
+function redactCaptures(individual, user) {
+  if (locationPolicyService.isElevated(user) || !individual.captures?.length) return individual;
+
+  return {
+    ...individual,
+    captures: individual.captures.map(capture => {
+      if (!capture.location) return capture;
+      const { location } = locationPolicyService.redact({
+        id: `${individual.id}|${capture.capturedAt}`,
+        location: capture.location,
+        wildlife: { species: individual.species }
+      }, user);
+      return { ...capture, location };
+    })
+  };
+}
+
+class IndividualController {
+  // Register an animal
+  createIndividual = async (req, res) => {
+    try {
+      const { error, value } = validateIndividualCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const individual = individualService.createIndividual(value);
+
+      res.status(201).json({
+        success: true,
+        data: individual
+      });
+    } catch (error) {
+      if (error.code === 'INDIVIDUAL_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error registering individual:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register individual'
+      });
+    }
+  }
+
+  // List registered animals, optionally by species and status
+  listIndividuals = async (req, res) => {
+    try {
+      const { error, value } = validateIndividualQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      res.json({
+        success: true,
+        data: individualService.listIndividuals(value).map(individual => redactCaptures(individual, req.user))
+      });
+    } catch (error) {
+      logger.error('Error listing individuals:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list individuals'
+      });
+    }
+  }
+
+  // Get a single animal
+  getIndividual = async (req, res) => {
+    const individual = individualService.getIndividual(req.params.id);
+
+    if (!individual) {
+      return res.status(404).json({
+        success: false,
+        error: 'Individual not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: redactCaptures(individual, req.user)
+    });
+  }
+
+  // Change an animal's details, captures or status
+  updateIndividual = async (req, res) => {
+    try {
+      const { error, value } = validateIndividualUpdate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const individual = individualService.updateIndividual(req.params.id, value);
+
+      if (!individual) {
+        return res.status(404).json({
+          success: false,
+          error: 'Individual not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: individual
+      });
+    } catch (error) {
+      logger.error('Error updating individual:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update individual'
+      });
+    }
+  }
+
+  // Retire an animal from tracking, keeping its record and history
+  retireIndividual = async (req, res) => {
+    try {
+      const { error, value } = validateIndividualRetire(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const individual = individualService.retireIndividual(req.params.id, value.reason);
+
+      if (!individual) {
+        return res.status(404).json({
+          success: false,
+          error: 'Individual not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: individual
+      });
+    } catch (error) {
+      logger.error('Error retiring individual:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retire individual'
+      });
+    }
+  }
+
+  // Estimate an animal's home range from its stored fixes in a date window
+  getHomeRange = async (req, res) => {
+    try {
+      const { error, value } = validateHomeRangeQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const individual = individualService.getIndividual(req.params.id);
+
+      if (!individual) {
+        return res.status(404).json({
+          success: false,
+          error: 'Individual not found'
+        });
+      }
+
+      // Computed from the positions the caller may see, as for tracking
+      const { startDate, endDate, bandwidth, gridSize, limit } = value;
+      const scoped = locationPolicyService.scopeQuery({
+        individualId: individual.id,
+        startDate,
+        endDate,
+        limit,
+        hasLocation: true,
+        sortBy: 'timestamp',
+        sortOrder: 'desc'
+      }, req.user);
+      const { data } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+      const fixes = locationPolicyService.redactAll(data, req.user);
+
+      const { homeRange, parameters } = homeRangeService.estimate(
+        fixes.map(point => point.location),
+        { bandwidth, gridSize }
+      );
+
+      res.json({
+        success: true,
+        data: homeRange,
+        metadata: {
+          individualId: individual.id,
+          species: individual.species,
+          dateRange: {
+            start: fixes[fixes.length - 1].timestamp,
+            end: fixes[0].timestamp
+          },
+          ...parameters,
+          units: { areaKm2: 'km²', bandwidthMeters: 'm', cellSizeMeters: 'm' }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'NOT_ENOUGH_FIXES') {
+        return res.status(422).json({
+          success: false,
+          error: 'Not enough fixes',
+          message: error.message
+        });
+      }
+
+      logger.error('Error estimating home range:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to estimate home range'
+      });
+    }
+  }
+}
+
+module.exports = new IndividualController();
@@ -0,0 +1,76 @@
+const { validateSpeciesPolicy } = require('../models/speciesPolicy');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const logger = require('../utils/logger');
+
+class SpeciesPolicyController {
+  // List all species location policies
+  listPolicies = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: locationPolicyService.listPolicies()
+      });
+    } catch (error) {
+      logger.error('Error listing species policies:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list species policies'
+      });
+    }
+  }
+
+  // Create or replace the policy for a species
+  setPolicy = async (req, res) => {
+    try {
+      const { error, value } = validateSpeciesPolicy(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const policy = locationPolicyService.setPolicy(req.params.species, value);
+
+      res.json({
+        success: true,
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Error saving species policy:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save species policy'
+      });
+    }
+  }
+
+  // Remove a species policy; its locations become public again
+  deletePolicy = async (req, res) => {
+    try {
+      if (!locationPolicyService.getPolicy(req.params.species)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Species policy not found'
+        });
+      }
+
+      locationPolicyService.deletePolicy(req.params.species);
+
+      res.json({
+        success: true,
+        message: 'Species policy removed'
+      });
+    } catch (error) {
+      logger.error('Error removing species policy:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove species policy'
+      });
+    }
+  }
+}
+
+module.exports = new SpeciesPolicyController();
@@ -1,59 +1,199 @@
-const { validateTelemetry, validateBatchTelemetry, validateTelemetryQuery, sanitizeTelemetryData, parseBbox } = require('../models/telemetry');
-const { sendTelemetryMessage } = require('../services/kafkaService');
+const { validateBatchTelemetry, validateTelemetryQuery, validateTelemetryMapQuery, validateTelemetryStreamQuery, parseBbox } = require('../models/telemetry');
+const { idempotencyService } = require('../services/idempotencyService');
+const { locationPolicyService } = require('../services/locationPolicyService');
+const { individualService } = require('../services/individualService');
+const { alertService } = require('../services/alertService');
+const { telemetryStreamService } = require('../services/telemetryStreamService');
+const { ingestService } = require('../services/ingestService');
+const { getTelemetryRepository } = require('../repositories');
+const geodesy = require('../utils/geodesy');
+const { FORMATS, flatProperties, toFeatureCollection } = require('../utils/trackFormats');
+const { clusterPoints, toClusterFeature } = require('../utils/mapClusters');
 const logger = require('../utils/logger');
 
+// Units of the movement fields in /individual/:individualId responses
+const TRACKING_UNITS = {
+  distance: 'm',
+  netDisplacement: 'm',
+  stepDistance: 'm',
+  stepDuration: 's',
+  speed: 'km/h',
+  averageSpeed: 'km/h',
+  bearing: 'degrees clockwise from true north'
+};
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Whose Idempotency-Key it is: the authenticated device, or the device the
+// upload claims to be from when DEVICE_AUTH_ENABLED=false
+function idempotencyCaller(req) {
+  return req.device ? req.device.deviceId : String(req.body?.deviceId ?? '');
+}
+
+// Answer a replayed Idempotency-Key from the stored response. Returns true
+// when the request has been answered. A new key is reserved until the
+// response is sent, so a retry arriving meanwhile is turned away with a 409
+// instead of uploading the same request again.
+function replayIdempotentResponse(req, res, scope) {
+  const key = req.get('Idempotency-Key');
+  const keyError = idempotencyService.validateKey(key);
+  if (keyError) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      details: [keyError]
+    });
+    return true;
+  }
+  if (!key) return false;
+
+  const caller = idempotencyCaller(req);
+  const previous = idempotencyService.findResponse(scope, caller, key, req.body);
+  if (!previous) {
+    const release = idempotencyService.reserveResponse(scope, caller, key);
+    if (!release) {
+      res.set('Retry-After', '1');
+      res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key in use',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+      return true;
+    }
+    res.once('close', release);
+    return false;
+  }
+
+  if (previous.conflict) {
+    res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key reused',
+      message: 'This Idempotency-Key was already used with a different request body'
+    });
+    return true;
+  }
+
+  logger.info('Replaying idempotent upload response', { scope, idempotencyKey: key });
+  res.set('Idempotent-Replayed', 'true');
+  res.status(previous.statusCode).json(previous.body);
+  return true;
+}
+
+// Send an upload response, remembering it under the request's Idempotency-Key
+function sendUploadResponse(req, res, scope, statusCode, body) {
+  const key = req.get('Idempotency-Key');
+  if (key) {
+    idempotencyService.rememberResponse(scope, idempotencyCaller(req), key, req.body, statusCode, body);
+  }
+  res.status(statusCode).json(body);
+}
+
+// Whether to answer with GeoJSON: asked for with `format`, or by an Accept
+// header that prefers it to plain JSON. Either way the response varies by
+// Accept.
+function wantsGeoJson(req, res, format) {
+  res.vary('Accept');
+  if (format) return format === 'geojson';
+  return req.accepts(['application/json', 'application/geo+json']) === 'application/geo+json';
+}
+
+// Send points as a FeatureCollection with flattened properties, or with
+// `as: 'lines'` as one LineString per track. Map clusters come first.
+function sendGeoJson(res, points, as, clusters = []) {
+  const collection = toFeatureCollection(points, { as, properties: flatProperties });
+  collection.features.unshift(...clusters.map(toClusterFeature));
+  res.type(FORMATS.geojson.contentType).json(collection);
+}
+
+function mapClusterConfig() {
+  return {
+    maxZoom: parseInt(process.env.MAP_CLUSTER_MAX_ZOOM) || 14,
+    radius: parseInt(process.env.MAP_CLUSTER_RADIUS_PX) || 50
+  };
+}
+
 class TelemetryController {
   // Upload single telemetry data point
   uploadTelemetry = async (req, res) => {
     try {
-      const { error, value } = validateTelemetry(req.body);
-      
-      if (error) {
-        logger.warn('Invalid telemetry data received', {
-          errors: error.details.map(d => d.message),
-          deviceId: req.body.deviceId
-        });
-        
+      if (replayIdempotentResponse(req, res, 'telemetry')) return;
+
+      const result = await ingestService.ingest(req.body);
+
+      if (result.status === 'invalid') {
+        if (result.reason === 'registry') {
+          logger.warn('Telemetry rejected by individual registry', {
+            error: result.details[0],
+            deviceId: req.body.deviceId
+          });
+        } else {
+          logger.warn('Invalid telemetry data received', {
+            errors: result.details,
+            deviceId: req.body.deviceId
+          });
+        }
+
         return res.status(400).json({
           success: false,
           error: 'Validation failed',
-          details: error.details.map(d => d.message)
+          details: result.details
         });
       }
 
-      // Sanitize the data
-      const sanitizedData = sanitizeTelemetryData(value);
-      
-      // Try to send to Kafka, fallback to mock if not available
-      let kafkaResult;
-      try {
-        kafkaResult = await sendTelemetryMessage(sanitizedData);
-        logger.info('Telemetry data uploaded successfully to Kafka', {
+      if (result.status === 'duplicate') {
+        logger.info('Duplicate telemetry fix received', {
+          deviceId: result.point.deviceId,
+          timestamp: result.point.timestamp,
+          originalId: result.point.id
+        });
+
+        return sendUploadResponse(req, res, 'telemetry', 200, {
+          success: true,
+          message: 'Duplicate telemetry fix, returning the original upload',
+          data: { ...result.point, duplicate: true }
+        });
+      }
+
+      const { point: sanitizedData, publishResult } = result;
+
+      if (publishResult.status === 'queued') {
+        logger.info('Telemetry data queued in outbox', {
           deviceId: sanitizedData.deviceId,
           timestamp: sanitizedData.timestamp,
-          partition: kafkaResult.partition,
-          offset: kafkaResult.offset
+          outboxDepth: publishResult.outboxDepth
         });
-      } catch (kafkaError) {
-        logger.warn('Kafka not available, using mock response:', kafkaError.message);
-        kafkaResult = {
-          partition: 0,
-          offset: Date.now()
-        };
-        logger.info('Telemetry data processed in mock mode', {
-          deviceId: sanitizedData.deviceId,
-          timestamp: sanitizedData.timestamp
+
+        return sendUploadResponse(req, res, 'telemetry', 202, {
+          success: true,
+          message: 'Telemetry data queued for delivery',
+          data: {
+            id: sanitizedData.id,
+            timestamp: sanitizedData.timestamp,
+            status: 'queued',
+            outboxDepth: publishResult.outboxDepth
+          }
         });
       }
 
-      res.status(201).json({
+      logger.info('Telemetry data uploaded successfully to Kafka', {
+        deviceId: sanitizedData.deviceId,
+        timestamp: sanitizedData.timestamp,
+        partition: publishResult.partition,
+        offset: publishResult.offset
+      });
+
+      sendUploadResponse(req, res, 'telemetry', 201, {
         success: true,
         message: 'Telemetry data uploaded successfully',
         data: {
-          id: `${sanitizedData.deviceId}-${Date.now()}`,
+          id: sanitizedData.id,
           timestamp: sanitizedData.timestamp,
-          partition: kafkaResult.partition,
-          offset: kafkaResult.offset
+          status: 'published',
+          partition: publishResult.partition,
+          offset: publishResult.offset
         }
       });
     } catch (error) {
@@ -70,6 +210,8 @@ class TelemetryController {
   // Upload batch of telemetry data
   uploadBatchTelemetry = async (req, res) => {
     try {
+      if (replayIdempotentResponse(req, res, 'batch')) return;
+
       // Add deviceId to each batch item before validation
       const { deviceId, batch } = req.body;
       const batchWithDeviceId = Array.isArray(batch)
@@ -109,42 +251,32 @@ class TelemetryController {
       const { deviceId: validDeviceId, batch: validBatch } = value;
       const results = [];
       const errors = [];
+      let duplicateCount = 0;
 
-      // Process each telemetry data point in the batch
-      for (let i = 0; i < validBatch.length; i++) {
-        try {
-          const telemetryData = validBatch[i];
-          const sanitizedData = sanitizeTelemetryData(telemetryData);
-          
-          // Try to send to Kafka, fallback to mock if not available
-          let kafkaResult;
-          try {
-            kafkaResult = await sendTelemetryMessage(sanitizedData);
-          } catch (kafkaError) {
-            logger.warn(`Kafka not available for batch item ${i}, using mock response:`, kafkaError.message);
-            kafkaResult = {
-              partition: 0,
-              offset: Date.now() + i
-            };
-          }
-          
+      // Sanitize and store the batch, sending it to Kafka in one request and
+      // holding anything it does not accept in the durable outbox. Fixes
+      // already uploaded earlier or repeated within this batch are answered
+      // with the original upload.
+      const outcomes = await ingestService.ingestBatch(validBatch);
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'invalid') {
+          errors.push({ index, error: outcome.details.join('; ') });
+        } else if (outcome.status === 'duplicate') {
+          duplicateCount++;
+          results.push({ index, success: true, ...outcome.point, duplicate: true });
+        } else {
           results.push({
-            index: i,
+            index,
             success: true,
-            timestamp: sanitizedData.timestamp,
-            partition: kafkaResult.partition,
-            offset: kafkaResult.offset
-          });
-        } catch (error) {
-          logger.error(`Error processing batch item ${i}:`, error);
-          errors.push({
-            index: i,
-            error: error.message
+            id: outcome.point.id,
+            timestamp: outcome.point.timestamp,
+            ...outcome.publishResult
           });
         }
-      }
+      });
 
       const successCount = results.length;
+      const queuedCount = results.filter(result => result.status === 'queued' && !result.duplicate).length;
       const errorCount = errors.length;
       const totalCount = validBatch.length;
 
@@ -152,15 +284,19 @@ class TelemetryController {
         deviceId: validDeviceId,
         total: totalCount,
         success: successCount,
+        queued: queuedCount,
+        duplicates: duplicateCount,
         errors: errorCount
       });
 
-      res.status(200).json({
+      sendUploadResponse(req, res, 'batch', 200, {
         success: true,
         message: `Batch upload completed. ${successCount}/${totalCount} items processed successfully.`,
         summary: {
           total: totalCount,
           successful: successCount,
+          queued: queuedCount,
+          duplicates: duplicateCount,
           failed: errorCount
         },
         results: results,
@@ -190,18 +326,24 @@ class TelemetryController {
         });
       }
 
-      // In a real implementation, this would query a database
-      // For now, return mock data based on query parameters
-      const mockData = this.generateMockTelemetryData(value);
+      const { format, as, ...filters } = value;
+      const scoped = locationPolicyService.scopeQuery(filters, req.user);
+      const { data, total } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+      const points = locationPolicyService.redactAll(data, req.user);
+
+      if (wantsGeoJson(req, res, format)) {
+        res.set('X-Total-Count', String(total));
+        return sendGeoJson(res, points, as);
+      }
       
       res.json({
         success: true,
-        data: mockData,
+        data: points,
         pagination: {
           limit: value.limit,
           offset: value.offset,
-          total: mockData.length,
-          hasMore: mockData.length === value.limit
+          total,
+          hasMore: value.offset + data.length < total
         },
         filters: value
       });
@@ -218,51 +360,73 @@ class TelemetryController {
   getWildlifeSummary = async (req, res) => {
     try {
       const { species, startDate, endDate } = req.query;
-      
-      // Mock wildlife summary data
+
+      // Registered animals come from the registry; activity, health and
+      // device counts from the telemetry received in the window, which
+      // defaults to the last 24 hours, and alerts from the unresolved ones
+      // raised by fixes in the window
+      const windowEnd = endDate ? new Date(endDate) : new Date();
+      const windowStart = startDate ? new Date(startDate) : new Date(windowEnd.getTime() - 24 * 60 * 60 * 1000);
+      if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: ['startDate and endDate must be ISO 8601 dates']
+        });
+      }
+
+      const individuals = individualService.listIndividuals({ species })
+        .filter(individual => individual.status !== 'retired');
+      // Only fixes the caller may see count, so an embargoed fix cannot
+      // reveal an animal's latest activity or health
+      const scoped = locationPolicyService.scopeQuery({
+        species,
+        startDate: windowStart.toISOString(),
+        endDate: windowEnd.toISOString(),
+        limit: Infinity,
+        sortBy: 'timestamp',
+        sortOrder: 'desc'
+      }, req.user);
+      const { data: recent } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+
+      // Newest point per individual
+      const latest = new Map();
+      for (const point of recent) {
+        const individualId = point.wildlife?.individualId;
+        if (individualId && !latest.has(individualId)) latest.set(individualId, point);
+      }
+
+      const speciesCounts = new Map();
+      const activityBreakdown = {};
+      const healthStatus = {};
+      for (const individual of individuals) {
+        const counts = speciesCounts.get(individual.species) || { name: individual.species, count: 0, active: 0 };
+        counts.count++;
+        speciesCounts.set(individual.species, counts);
+
+        const point = latest.get(individual.id);
+        if (!point) continue;
+        counts.active++;
+        const activity = point.wildlife.activity || 'unknown';
+        const health = point.wildlife.health || 'unknown';
+        activityBreakdown[activity] = (activityBreakdown[activity] || 0) + 1;
+        healthStatus[health] = (healthStatus[health] || 0) + 1;
+      }
+
+      const speciesList = [...speciesCounts.values()].sort((a, b) => a.name.localeCompare(b.name));
       const summary = {
-        totalIndividuals: 45,
-        activeDevices: 38,
-        species: [
-          { name: 'Gray Wolf', count: 12, active: 10 },
-          { name: 'Mountain Lion', count: 8, active: 7 },
-          { name: 'Elk', count: 15, active: 12 },
-          { name: 'Bear', count: 10, active: 9 }
-        ],
-        speciesBreakdown: {
-          'Gray Wolf': 12,
-          'Mountain Lion': 8,
-          'Elk': 15,
-          'Bear': 10
-        },
-        activityBreakdown: {
-          active: 25,
-          resting: 8,
-          feeding: 3,
-          migrating: 2
-        },
-        healthStatus: {
-          healthy: 35,
-          injured: 2,
-          sick: 1,
-          unknown: 7
-        },
-        recentAlerts: [
-          {
-            id: 'alert-001',
-            deviceId: 'wolf-007',
-            type: 'low_battery',
-            timestamp: new Date(Date.now() - 3600000).toISOString(),
-            severity: 'medium'
-          },
-          {
-            id: 'alert-002',
-            deviceId: 'bear-003',
-            type: 'unusual_activity',
-            timestamp: new Date(Date.now() - 7200000).toISOString(),
-            severity: 'high'
-          }
-        ]
+        totalIndividuals: individuals.length,
+        activeDevices: new Set(recent.map(point => point.deviceId)).size,
+        species: speciesList,
+        speciesBreakdown: Object.fromEntries(speciesList.map(entry => [entry.name, entry.count])),
+        activityBreakdown,
+        healthStatus,
+        recentAlerts: alertService.redactAll(
+          alertService.listAlerts({ species, startDate: windowStart, endDate: windowEnd })
+            .filter(alert => alert.status !== 'resolved')
+            .slice(0, 10),
+          req.user
+        )
       };
       
       res.json({
@@ -283,7 +447,6 @@ class TelemetryController {
   getIndividualTracking = async (req, res) => {
     try {
       const { individualId } = req.params;
-      const { startDate, endDate, limit = 100 } = req.query;
       
       if (!individualId) {
         return res.status(400).json({
@@ -292,8 +455,28 @@ class TelemetryController {
         });
       }
 
-      // Mock individual tracking data
-      const trackingData = this.generateIndividualTrackingData(individualId, startDate, endDate, limit);
+      const { startDate, endDate, limit } = req.query;
+      const { error, value } = validateTelemetryQuery({ individualId, startDate, endDate, limit });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      // Newest first, matching the order the summary helpers expect.
+      // Distances and speeds are computed from the positions the caller may
+      // see, so they do not leak obfuscated locations.
+      const scoped = locationPolicyService.scopeQuery({
+        ...value,
+        hasLocation: true,
+        sortBy: 'timestamp',
+        sortOrder: 'desc'
+      }, req.user);
+      const { data } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+      const trackingData = this.buildTrackingPoints(locationPolicyService.redactAll(data, req.user));
       
       res.json({
         success: true,
@@ -306,8 +489,10 @@ class TelemetryController {
               end: trackingData[0]?.timestamp
             },
             distance: this.calculateTotalDistance(trackingData),
+            netDisplacement: this.calculateNetDisplacement(trackingData),
             averageSpeed: this.calculateAverageSpeed(trackingData)
           },
+          units: TRACKING_UNITS,
           tracking: trackingData
         }
       });
@@ -323,8 +508,8 @@ class TelemetryController {
   // Get map data for visualization
   getMapData = async (req, res) => {
     try {
-      const { bbox, species, activity, limit = 500 } = req.query;
-      logger.info('Map data request received', { bbox, species, activity, limit });
+      const { bbox, species, activity, health, limit = 500 } = req.query;
+      logger.info('Map data request received', { bbox, species, activity, health, limit, zoom: req.query.zoom });
       let bboxCoords = null;
       if (bbox) {
         bboxCoords = parseBbox(bbox);
@@ -338,12 +523,76 @@ class TelemetryController {
         }
       }
       logger.info('Parsed bbox coordinates', { bboxCoords });
-      // Mock map data
-      const mapData = this.generateMapData(bboxCoords, species, activity, limit);
-      logger.info('Generated map data', { count: mapData.length });
+
+      const { error, value } = validateTelemetryMapQuery({
+        species,
+        activity,
+        health,
+        limit,
+        zoom: req.query.zoom,
+        format: req.query.format,
+        as: req.query.as
+      });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const { format, as, zoom, ...filters } = value;
+      const scoped = locationPolicyService.scopeQuery({
+        ...filters,
+        bbox: bboxCoords,
+        hasLocation: true
+      }, req.user);
+      const geojson = wantsGeoJson(req, res, format);
+
+      // Zoomed out, every matching point is counted into clusters; zoomed in
+      // past MAP_CLUSTER_MAX_ZOOM, the newest `limit` points are sent as-is
+      const { maxZoom, radius } = mapClusterConfig();
+      if (zoom !== undefined && zoom < maxZoom && as !== 'lines') {
+        const matches = getTelemetryRepository().scan(scoped.filters, { where: scoped.where });
+        const { clusters, points } = await clusterPoints(locationPolicyService.redactEach(matches, req.user), { zoom, radius });
+        const totalPoints = clusters.reduce((sum, cluster) => sum + cluster.count, points.length);
+        logger.info('Clustered map data', { zoom, clusters: clusters.length, points: points.length, totalPoints });
+
+        if (geojson) return sendGeoJson(res, points, as, clusters);
+        return res.json({
+          success: true,
+          data: {
+            zoom,
+            clustered: true,
+            radius,
+            clusters,
+            points: points.map(point => this.toMapPoint(point))
+          },
+          metadata: {
+            totalPoints,
+            bbox: bboxCoords,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { data } = await getTelemetryRepository().query(scoped.filters, { where: scoped.where });
+      const points = locationPolicyService.redactAll(data, req.user);
+
+      if (geojson) {
+        logger.info('Retrieved map data', { count: points.length, format: 'geojson', as });
+        return sendGeoJson(res, points, as);
+      }
+
+      const mapData = points.map(point => this.toMapPoint(point));
+      logger.info('Retrieved map data', { count: mapData.length });
       res.json({
         success: true,
-        data: mapData,
+        // With a zoom level, shaped like a clustered response without clusters
+        data: zoom === undefined
+          ? mapData
+          : { zoom, clustered: false, clusters: [], points: mapData },
         metadata: {
           totalPoints: mapData.length,
           bbox: bboxCoords,
@@ -361,6 +610,51 @@ class TelemetryController {
     }
   }
 
+  // Server-Sent Events feed of new points, shaped like /map points. Sends a
+  // `ready` event on connect, then a `telemetry` event with the points of
+  // each upload that match the filters, and a comment line as a heartbeat.
+  streamTelemetry = (req, res) => {
+    const { error, value } = validateTelemetryStreamQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const filters = { ...value, bbox: value.bbox ? parseBbox(value.bbox) : undefined, hasLocation: true };
+    const write = (chunk) => {
+      res.write(chunk);
+      // Push the event past the compression middleware's buffer
+      if (typeof res.flush === 'function') res.flush();
+    };
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const retryMs = parseInt(process.env.TELEMETRY_STREAM_RETRY_MS) || 5000;
+    write(`retry: ${retryMs}\n\n`);
+    send('ready', { filters: value, timestamp: new Date().toISOString() });
+
+    const unsubscribe = telemetryStreamService.subscribe(filters, req.user, points =>
+      send('telemetry', points.map(point => this.toMapPoint(point))));
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'),
+      parseInt(process.env.TELEMETRY_STREAM_HEARTBEAT_MS) || 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
   // Get telemetry upload statistics
   getUploadStats = async (req, res) => {
     try {
@@ -392,112 +686,69 @@ class TelemetryController {
     }
   }
 
-  // Helper methods for generating mock data
-  generateMockTelemetryData(filters) {
-    const mockData = [];
-    const count = Math.min(filters.limit, 50); // Limit mock data
-    
-    for (let i = 0; i < count; i++) {
-      mockData.push({
-        id: `telemetry-${Date.now()}-${i}`,
-        deviceId: filters.deviceId || `device-${Math.floor(Math.random() * 10) + 1}`,
-        timestamp: new Date(Date.now() - Math.random() * 86400000).toISOString(),
-        location: {
-          latitude: 37.7749 + (Math.random() - 0.5) * 0.1,
-          longitude: -122.4194 + (Math.random() - 0.5) * 0.1,
-          altitude: Math.random() * 1000,
-          accuracy: Math.random() * 10
-        },
-        wildlife: {
-          species: filters.species || ['Gray Wolf', 'Mountain Lion', 'Elk', 'Bear'][Math.floor(Math.random() * 4)],
-          individualId: `individual-${Math.floor(Math.random() * 100) + 1}`,
-          activity: ['active', 'resting', 'feeding', 'migrating'][Math.floor(Math.random() * 4)],
-          health: ['healthy', 'healthy', 'healthy', 'injured'][Math.floor(Math.random() * 4)]
-        },
-        sensors: {
-          temperature: 20 + Math.random() * 20,
-          humidity: 40 + Math.random() * 40,
-          battery: 20 + Math.random() * 80
-        }
-      });
-    }
-    
-    return mockData;
+  // Helper methods for shaping stored telemetry
+  toMapPoint(point) {
+    return {
+      id: point.id,
+      deviceId: point.deviceId,
+      timestamp: point.timestamp,
+      location: point.location,
+      wildlife: point.wildlife || {},
+      metadata: point.metadata || {}
+    };
   }
 
-  generateIndividualTrackingData(individualId, startDate, endDate, limit) {
-    const trackingData = [];
-    const count = Math.min(limit, 100);
-    
-    for (let i = 0; i < count; i++) {
-      trackingData.push({
-        timestamp: new Date(Date.now() - i * 3600000).toISOString(),
-        location: {
-          latitude: 37.7749 + Math.sin(i * 0.1) * 0.01,
-          longitude: -122.4194 + Math.cos(i * 0.1) * 0.01,
-          altitude: 100 + Math.random() * 200
-        },
-        activity: ['active', 'resting', 'feeding'][Math.floor(Math.random() * 3)],
-        speed: Math.random() * 10,
-        battery: 100 - (i * 0.5)
-      });
-    }
-    
-    return trackingData;
-  }
+  // Tracking points, newest first as given, each with the movement from the
+  // fix before it: stepDistance (m), stepDuration (s), speed (km/h) and
+  // bearing (degrees from true north), plus netDisplacement (m) from the
+  // first fix. The first fix has a zero step. Bearing is null when the
+  // animal did not move, and speed when two fixes share a timestamp.
+  buildTrackingPoints(points) {
+    const first = points[points.length - 1];
+    return points.map((point, i) => {
+      const previous = points[i + 1];
+      const stepDistance = previous ? geodesy.distance(previous.location, point.location) : 0;
+      const stepDuration = previous ? (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000 : 0;
+      const bearing = previous ? geodesy.initialBearing(previous.location, point.location) : null;
+      let speed = null;
+      if (stepDuration > 0) speed = round(stepDistance / stepDuration * 3.6, 2);
+      else if (!previous) speed = 0;
 
-  generateMapData(bbox, species, activity, limit) {
-    const mapData = [];
-    const count = Math.min(limit, 200);
-    
-    // Central British Columbia coordinates (approximately Prince George area)
-    const centerLat = 53.9169;
-    const centerLng = -122.7494;
-    
-    for (let i = 0; i < count; i++) {
-      mapData.push({
-        id: `point-${i}`,
-        deviceId: `device-${Math.floor(Math.random() * 20) + 1}`,
-        timestamp: new Date(Date.now() - Math.random() * 86400000).toISOString(),
-        location: {
-          latitude: centerLat + (Math.random() - 0.5) * 0.2,
-          longitude: centerLng + (Math.random() - 0.5) * 0.2
-        },
-        wildlife: {
-          species: species || ['Gray Wolf', 'Mountain Lion', 'Elk', 'Bear'][Math.floor(Math.random() * 4)],
-          individualId: `individual-${Math.floor(Math.random() * 50) + 1}`,
-          activity: activity || ['active', 'resting', 'feeding', 'migrating'][Math.floor(Math.random() * 4)]
-        },
-        metadata: {
-          battery: 20 + Math.random() * 80,
-          signal: 50 + Math.random() * 50
-        }
-      });
-    }
-    
-    return mapData;
+      return {
+        id: point.id,
+        deviceId: point.deviceId,
+        timestamp: point.timestamp,
+        location: point.location,
+        activity: point.wildlife?.activity,
+        health: point.wildlife?.health,
+        stepDistance: round(stepDistance, 1),
+        stepDuration,
+        speed,
+        bearing: bearing !== null ? round(bearing, 1) : null,
+        netDisplacement: round(geodesy.distance(first.location, point.location), 1),
+        battery: point.metadata?.battery
+      };
+    });
   }
 
+  // Path length in metres along tracking points, in either order
   calculateTotalDistance(trackingData) {
-    // Simple distance calculation (in a real app, use proper geodesic calculations)
-    let totalDistance = 0;
-    for (let i = 1; i < trackingData.length; i++) {
-      const prev = trackingData[i - 1].location;
-      const curr = trackingData[i].location;
-      const distance = Math.sqrt(
-        Math.pow(curr.latitude - prev.latitude, 2) + 
-        Math.pow(curr.longitude - prev.longitude, 2)
-      ) * 111000; // Rough conversion to meters
-      totalDistance += distance;
-    }
-    return Math.round(totalDistance);
+    return round(geodesy.pathLength(trackingData.map(point => point.location)), 1);
+  }
+
+  // Straight-line distance in metres between the oldest and newest points
+  calculateNetDisplacement(trackingData) {
+    if (trackingData.length < 2) return 0;
+    return round(geodesy.distance(trackingData[trackingData.length - 1].location, trackingData[0].location), 1);
   }
 
+  // Path length over elapsed time in km/h, for newest-first points. Zero
+  // when there are fewer than two points or no time elapsed between them.
   calculateAverageSpeed(trackingData) {
     if (trackingData.length < 2) return 0;
-    const totalDistance = this.calculateTotalDistance(trackingData);
-    const timeSpan = (new Date(trackingData[0].timestamp) - new Date(trackingData[trackingData.length - 1].timestamp)) / 1000 / 3600; // hours
-    return Math.round(totalDistance / timeSpan);
+    const seconds = (new Date(trackingData[0].timestamp) - new Date(trackingData[trackingData.length - 1].timestamp)) / 1000;
+    if (!(seconds > 0)) return 0;
+    return round(geodesy.pathLength(trackingData.map(point => point.location)) / seconds * 3.6, 2);
   }
 }
 
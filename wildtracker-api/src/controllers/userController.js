@@ -0,0 +1,110 @@
+const { validateUserCreate, validateUserUpdate, toUserResponse } = require('../models/user');
+const { userService } = require('../services/userService');
+const logger = require('../utils/logger');
+
+class UserController {
+  // Create a local user
+  createUser = async (req, res) => {
+    try {
+      const { error, value } = validateUserCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const user = await userService.createUser(value);
+
+      res.status(201).json({
+        success: true,
+        data: toUserResponse(user)
+      });
+    } catch (error) {
+      if (error.code === 'USER_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error creating user:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create user'
+      });
+    }
+  }
+
+  // List users
+  listUsers = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: userService.listUsers().map(toUserResponse)
+      });
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list users'
+      });
+    }
+  }
+
+  // Get a single user
+  getUser = async (req, res) => {
+    const user = userService.getUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toUserResponse(user)
+    });
+  }
+
+  // Change a user's role, password, display name or disabled flag
+  updateUser = async (req, res) => {
+    try {
+      const { error, value } = validateUserUpdate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const user = await userService.updateUser(req.params.id, value);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: toUserResponse(user)
+      });
+    } catch (error) {
+      logger.error('Error updating user:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user'
+      });
+    }
+  }
+}
+
+module.exports = new UserController();
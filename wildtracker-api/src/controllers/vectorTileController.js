@@ -0,0 +1,47 @@
+const { validateTileParams, validateTileQuery } = require('../models/vectorTile');
+const { CONTENT_TYPE, vectorTileService } = require('../services/vectorTileService');
+const logger = require('../utils/logger');
+
+class VectorTileController {
+  // One layer of telemetry as a Mapbox Vector Tile. Empty tiles answer 204.
+  getTile = async (req, res) => {
+    try {
+      const params = validateTileParams(req.params);
+
+      if (params.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tile',
+          details: params.error.details.map(d => d.message)
+        });
+      }
+
+      const { error, value } = validateTileQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const { layer, z, x, y } = params.value;
+      const tile = await vectorTileService.getTile(layer, { z, x, y }, value, req.user);
+
+      // Tiles depend on who asks, through the location policies
+      res.set('Cache-Control', `private, max-age=${vectorTileService.config.maxAgeSeconds}`);
+      if (!tile) return res.status(204).end();
+
+      res.type(CONTENT_TYPE).send(tile);
+    } catch (error) {
+      logger.error('Error building vector tile:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build tile'
+      });
+    }
+  }
+}
+
+module.exports = new VectorTileController();
@@ -0,0 +1,266 @@
+const {
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery,
+  toWebhookResponse
+} = require('../models/webhook');
+const { webhookService } = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+// Admins manage every webhook; everyone else only their own
+function ownerFilter(user) {
+  return user?.role === 'admin' ? {} : { ownerId: user?.id || null };
+}
+
+function findWebhook(id, user) {
+  const webhook = webhookService.getWebhook(id);
+  if (!webhook) return null;
+  const { ownerId } = ownerFilter(user);
+  return ownerId === undefined || webhook.createdBy.id === ownerId ? webhook : null;
+}
+
+function paginate(res, items, { limit, offset }) {
+  res.json({
+    success: true,
+    data: items.slice(offset, offset + limit),
+    pagination: {
+      limit,
+      offset,
+      total: items.length,
+      hasMore: offset + limit < items.length
+    }
+  });
+}
+
+// 400 unless the URL may be sent to, see WebhookService.checkUrl(). Returns
+// whether a response was sent.
+async function refuseUrl(res, url) {
+  const refused = url && await webhookService.checkUrl(url);
+  if (!refused) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: [refused]
+  });
+  return true;
+}
+
+function webhookNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Webhook not found'
+  });
+}
+
+class WebhookController {
+  // Register a webhook; the signing secret is only returned here
+  createWebhook = async (req, res) => {
+    try {
+      const { error, value } = validateWebhookCreate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      if (await refuseUrl(res, value.url)) return;
+
+      const { webhook, secret } = webhookService.createWebhook(value, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Store the secret now, it cannot be retrieved again.',
+        data: {
+          ...toWebhookResponse(webhook),
+          secret
+        }
+      });
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook'
+      });
+    }
+  }
+
+  // List webhooks without their secrets
+  listWebhooks = async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: webhookService.listWebhooks(ownerFilter(req.user)).map(toWebhookResponse)
+      });
+    } catch (error) {
+      logger.error('Error listing webhooks:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhooks'
+      });
+    }
+  }
+
+  getWebhook = async (req, res) => {
+    const webhook = findWebhook(req.params.id, req.user);
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({
+      success: true,
+      data: toWebhookResponse(webhook)
+    });
+  }
+
+  // Change a webhook's URL, filters or whether it is active
+  updateWebhook = async (req, res) => {
+    try {
+      const { error, value } = validateWebhookUpdate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      if (!findWebhook(req.params.id, req.user)) return webhookNotFound(res);
+      if (await refuseUrl(res, value.url)) return;
+
+      res.json({
+        success: true,
+        data: toWebhookResponse(webhookService.updateWebhook(req.params.id, value))
+      });
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook'
+      });
+    }
+  }
+
+  deleteWebhook = async (req, res) => {
+    try {
+      if (!findWebhook(req.params.id, req.user)) return webhookNotFound(res);
+      webhookService.deleteWebhook(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Webhook removed'
+      });
+    } catch (error) {
+      logger.error('Error removing webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove webhook'
+      });
+    }
+  }
+
+  // Send a ping now and return the outcome of the first attempt
+  testWebhook = async (req, res) => {
+    try {
+      const webhook = findWebhook(req.params.id, req.user);
+      if (!webhook) return webhookNotFound(res);
+
+      const delivery = await webhookService.sendTest(webhook);
+
+      res.json({
+        success: true,
+        data: delivery
+      });
+    } catch (error) {
+      logger.error('Error testing webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test webhook'
+      });
+    }
+  }
+
+  // Delivery log of one webhook, newest first
+  listDeliveries = async (req, res) => {
+    try {
+      const { error, value } = validateDeliveryQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      if (!findWebhook(req.params.id, req.user)) return webhookNotFound(res);
+
+      paginate(res, webhookService.listDeliveries({ webhookId: req.params.id, status: value.status }), value);
+    } catch (error) {
+      logger.error('Error listing webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook deliveries'
+      });
+    }
+  }
+
+  // Deliveries that ran out of attempts, across the caller's webhooks
+  listDeadLetters = async (req, res) => {
+    try {
+      const { error, value } = validateDeliveryQuery(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query parameters',
+          details: error.details.map(d => d.message)
+        });
+      }
+
+      const webhookIds = webhookService.listWebhooks(ownerFilter(req.user)).map(webhook => webhook.id);
+      paginate(res, webhookService.listDeliveries({ webhookIds, status: 'dead' }), value);
+    } catch (error) {
+      logger.error('Error listing webhook dead letters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook dead letters'
+      });
+    }
+  }
+
+  // Queue a dead letter for delivery again
+  redeliver = async (req, res) => {
+    try {
+      const delivery = webhookService.getDelivery(req.params.deliveryId);
+
+      if (!delivery || !findWebhook(delivery.webhookId, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: webhookService.redeliver(delivery.id)
+      });
+    } catch (error) {
+      if (error.code === 'DELIVERY_NOT_DEAD') {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+      logger.error('Error redelivering webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to redeliver webhook delivery'
+      });
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,82 @@
+const { deviceKeyService } = require('../services/deviceKeyService');
+const logger = require('../utils/logger');
+
+function isDeviceAuthEnabled() {
+  return process.env.DEVICE_AUTH_ENABLED !== 'false';
+}
+
+// express.json() verify hook that keeps the exact request bytes, which HMAC
+// signatures are computed over
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function reject(res, message) {
+  return res.status(401).json({
+    success: false,
+    error: 'Device authentication failed',
+    message
+  });
+}
+
+// Authenticate an upload by device key, either sent whole in the API key
+// header or used to sign the request. Sets req.device = { deviceId, keyId }.
+function authenticateDevice(req, res, next) {
+  if (!isDeviceAuthEnabled()) return next();
+
+  const apiKey = req.get(process.env.API_KEY_HEADER || 'X-API-Key');
+  const signature = req.get('X-Signature');
+  let key;
+
+  if (signature) {
+    const result = deviceKeyService.verifySignature({
+      keyId: req.get('X-Key-Id'),
+      timestamp: req.get('X-Timestamp'),
+      signature,
+      rawBody: req.rawBody
+    });
+    if (result.error) {
+      logger.warn('Rejected signed upload', { keyId: req.get('X-Key-Id'), reason: result.error });
+      return reject(res, result.error);
+    }
+    key = result.key;
+  } else if (apiKey) {
+    key = deviceKeyService.verifyApiKey(apiKey);
+    if (!key) {
+      logger.warn('Rejected upload with invalid device key', { ip: req.ip });
+      return reject(res, 'Unknown, expired or revoked device key');
+    }
+  } else {
+    return reject(res, 'A device key or request signature is required');
+  }
+
+  req.device = { deviceId: key.deviceId, keyId: key.id };
+  next();
+}
+
+// Refuse uploads whose body claims to come from a different device than the
+// one that authenticated
+function requireMatchingDevice(req, res, next) {
+  if (!req.device) return next();
+
+  const claimed = req.body && req.body.deviceId;
+  if (claimed !== undefined && claimed !== req.device.deviceId) {
+    logger.warn('Rejected upload for another device', {
+      authenticatedDeviceId: req.device.deviceId,
+      deviceId: claimed
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Device mismatch',
+      message: `This key is not valid for device "${claimed}"`
+    });
+  }
+  next();
+}
+
+module.exports = {
+  isDeviceAuthEnabled,
+  captureRawBody,
+  authenticateDevice,
+  requireMatchingDevice
+};
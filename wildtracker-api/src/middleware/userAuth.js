@@ -0,0 +1,67 @@
+const { authService } = require('../services/authService');
+const { ROLES } = require('../models/user');
+
+function isAuthEnabled() {
+  return process.env.AUTH_ENABLED !== 'false';
+}
+
+// Stand-in user for AUTH_ENABLED=false (local development and tests)
+const ANONYMOUS_USER = Object.freeze({ id: 'anonymous', username: 'anonymous', role: 'admin' });
+
+// Resolve `Authorization: Bearer <token>` to req.user. Requests without a
+// token pass through unauthenticated; an invalid token is refused.
+function authenticateUser(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.user = ANONYMOUS_USER;
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return next();
+
+  const user = authService.verifyToken(match[1]);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Allow only signed-in users holding one of the given roles
+function requireRole(...roles) {
+  const allowed = roles.length > 0 ? roles : ROLES;
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+    if (!allowed.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: `Requires one of the roles: ${allowed.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+// Apply a guard to read (GET/HEAD) requests only
+function forReads(guard) {
+  return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? guard(req, res, next) : next());
+}
+
+module.exports = {
+  isAuthEnabled,
+  authenticateUser,
+  requireRole,
+  forReads
+};
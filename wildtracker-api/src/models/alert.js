@@ -0,0 +1,97 @@
+const Joi = require('joi');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Parameters of each alert rule, see alertRuleService for what they mean
+const ruleParamsSchemas = {
+  low_battery: Joi.object({
+    threshold: Joi.number().min(0).max(100).required() // percent
+  }),
+  signal_loss: Joi.object({
+    threshold: Joi.number().min(0).max(100).required() // percent
+  }),
+  missed_fix: Joi.object({
+    intervalMinutes: Joi.number().min(1).max(7 * 24 * 60).required(),
+    missedFixes: Joi.number().integer().min(1).max(1000).required()
+  }),
+  health: Joi.object({
+    states: Joi.array().items(Joi.string().valid('injured', 'sick', 'unknown')).min(1).unique().required()
+  }),
+  critical_priority: Joi.object({}),
+  speed: Joi.object({
+    speciesMaxKmh: Joi.object().pattern(Joi.string(), Joi.number().min(0)).required(),
+    defaultMaxKmh: Joi.number().min(0).allow(null).required()
+  }),
+  mortality: Joi.object({
+    radius: Joi.number().min(1).max(10000).required(),
+    hours: Joi.number().min(0.5).max(24 * 30).required(),
+    maxAcceleration: Joi.number().min(0).required(),
+    maxVibration: Joi.number().min(0).required(),
+    temperatureRange: Joi.number().min(0).required()
+  })
+};
+
+const RULE_TYPES = Object.keys(ruleParamsSchemas);
+
+// Query parameters for listing alerts
+const alertQuerySchema = Joi.object({
+  status: Joi.string().valid(...ALERT_STATUSES).optional(),
+  type: Joi.string().valid(...RULE_TYPES).optional(),
+  severity: Joi.string().valid(...SEVERITIES).optional(),
+  deviceId: Joi.string().optional(),
+  individualId: Joi.string().optional(),
+  species: Joi.string().optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Body of acknowledge and resolve requests
+const alertActionSchema = Joi.object({
+  note: Joi.string().max(2000).optional()
+});
+
+function validateAlertQuery(query) {
+  return alertQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateAlertAction(data) {
+  return alertActionSchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+// Rule update: any of enabled, severity and params. Params are merged over
+// the rule's current ones, so only those being changed need to be sent.
+function validateAlertRule(type, data, currentParams) {
+  const schema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    severity: Joi.string().valid(...SEVERITIES).optional(),
+    params: ruleParamsSchemas[type].optional()
+  }).min(1);
+
+  const update = data && data.params && typeof data.params === 'object'
+    ? { ...data, params: { ...currentParams, ...data.params } }
+    : data;
+
+  return schema.validate(update, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  SEVERITIES,
+  ALERT_STATUSES,
+  RULE_TYPES,
+  alertQuerySchema,
+  validateAlertQuery,
+  validateAlertAction,
+  validateAlertRule
+};
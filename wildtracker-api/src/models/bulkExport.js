@@ -0,0 +1,51 @@
+const Joi = require('joi');
+const { telemetryQuerySchema } = require('./telemetry');
+
+const BULK_EXPORT_FORMATS = ['csv', 'ndjson', 'geojson', 'parquet'];
+const BULK_EXPORT_STATUSES = ['queued', 'running', 'completed', 'failed', 'expired'];
+
+// The /data filters, without paging: a job exports every matching point
+const filter = (name) => telemetryQuerySchema.extract(name);
+const bulkExportQuerySchema = Joi.object({
+  deviceId: filter('deviceId'),
+  species: filter('species'),
+  individualId: filter('individualId'),
+  startDate: filter('startDate'),
+  endDate: filter('endDate'),
+  activity: filter('activity'),
+  health: filter('health'),
+  bbox: filter('bbox')
+});
+
+const bulkExportCreateSchema = Joi.object({
+  format: Joi.string().valid(...BULK_EXPORT_FORMATS).required(),
+  query: bulkExportQuerySchema.default({})
+});
+
+const bulkExportListQuerySchema = Joi.object({
+  status: Joi.string().valid(...BULK_EXPORT_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+function validateBulkExportCreate(data) {
+  return bulkExportCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateBulkExportListQuery(query) {
+  return bulkExportListQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  BULK_EXPORT_FORMATS,
+  BULK_EXPORT_STATUSES,
+  bulkExportCreateSchema,
+  validateBulkExportCreate,
+  validateBulkExportListQuery
+};
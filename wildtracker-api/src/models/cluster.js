@@ -0,0 +1,57 @@
+const Joi = require('joi');
+
+const FINDINGS = ['kill', 'scavenge', 'den', 'bed', 'rendezvous', 'nothing-found', 'other'];
+
+// Cluster detection parameters and the window of fixes to scan
+const clusterQuerySchema = Joi.object({
+  radius: Joi.number().min(5).max(5000).default(200), // metres from the centroid
+  minDurationHours: Joi.number().min(0).max(24 * 30).default(4),
+  minFixes: Joi.number().integer().min(2).max(1000).default(3),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(10000).default(5000)
+});
+
+// Stored clusters, e.g. a field crew's list of sites still to visit
+const clusterListQuerySchema = Joi.object({
+  individualId: Joi.string().optional(),
+  investigated: Joi.boolean().optional()
+});
+
+// What a field crew found on visiting a cluster
+const investigationSchema = Joi.object({
+  finding: Joi.string().valid(...FINDINGS).required(),
+  preySpecies: Joi.string().max(200).optional(),
+  visitedAt: Joi.date().iso().default(() => new Date().toISOString()),
+  notes: Joi.string().max(2000).optional()
+});
+
+function validateClusterQuery(query) {
+  return clusterQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateClusterListQuery(query) {
+  return clusterListQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateInvestigation(data) {
+  return investigationSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  FINDINGS,
+  clusterQuerySchema,
+  investigationSchema,
+  validateClusterQuery,
+  validateClusterListQuery,
+  validateInvestigation
+};
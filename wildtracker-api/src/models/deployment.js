@@ -0,0 +1,63 @@
+const Joi = require('joi');
+
+const ATTACH_REASONS = ['capture', 'recapture', 'redeployment', 'replacement', 'other'];
+const DETACH_REASONS = ['drop-off', 'mortality', 'recapture', 'battery', 'malfunction', 'study-end', 'other'];
+
+// A collar fitted to an animal. endedAt is left out while it is still on.
+const deploymentCreateSchema = Joi.object({
+  deviceId: Joi.string().required().min(1).max(100),
+  individualId: Joi.string().required().min(1).max(100),
+  startedAt: Joi.date().iso().default(() => new Date().toISOString()),
+  endedAt: Joi.date().iso().greater(Joi.ref('startedAt')).optional(),
+  attachReason: Joi.string().valid(...ATTACH_REASONS).default('capture'),
+  detachReason: Joi.string().valid(...DETACH_REASONS).when('endedAt', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  notes: Joi.string().max(2000).optional()
+});
+
+// Taking a collar off
+const deploymentEndSchema = Joi.object({
+  endedAt: Joi.date().iso().default(() => new Date().toISOString()),
+  detachReason: Joi.string().valid(...DETACH_REASONS).required(),
+  notes: Joi.string().max(2000).optional()
+});
+
+const deploymentQuerySchema = Joi.object({
+  deviceId: Joi.string().optional(),
+  individualId: Joi.string().optional(),
+  active: Joi.boolean().optional()
+});
+
+function validateDeploymentCreate(data) {
+  return deploymentCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateDeploymentEnd(data) {
+  return deploymentEndSchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateDeploymentQuery(query) {
+  return deploymentQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  ATTACH_REASONS,
+  DETACH_REASONS,
+  deploymentCreateSchema,
+  deploymentEndSchema,
+  validateDeploymentCreate,
+  validateDeploymentEnd,
+  validateDeploymentQuery
+};
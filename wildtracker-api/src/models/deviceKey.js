@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+// Request body for issuing a device key
+const deviceKeyIssueSchema = Joi.object({
+  label: Joi.string().max(200).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional()
+});
+
+const deviceIdSchema = Joi.string().required().min(1).max(100);
+
+function validateDeviceKeyIssue(data) {
+  return deviceKeyIssueSchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateDeviceId(deviceId) {
+  return deviceIdSchema.validate(deviceId);
+}
+
+// Public view of a stored key: never includes the secret
+function toDeviceKeyResponse(key) {
+  return {
+    keyId: key.id,
+    deviceId: key.deviceId,
+    label: key.label || null,
+    createdAt: key.createdAt,
+    expiresAt: key.expiresAt || null,
+    revokedAt: key.revokedAt || null,
+    lastUsedAt: key.lastUsedAt || null
+  };
+}
+
+module.exports = {
+  deviceKeyIssueSchema,
+  validateDeviceKeyIssue,
+  validateDeviceId,
+  toDeviceKeyResponse
+};
@@ -0,0 +1,95 @@
+const Joi = require('joi');
+
+const EVENT_TYPES = ['enter', 'exit'];
+
+// GeoJSON position: [longitude, latitude] with an optional altitude
+const positionSchema = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+).items(Joi.number()).max(3);
+
+// Closed linear ring of at least four positions
+const ringSchema = Joi.array().items(positionSchema).min(4).custom((ring, helpers) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return helpers.message('{{#label}} must end where it starts');
+  }
+  return ring;
+});
+
+const polygonCoordinatesSchema = Joi.array().items(ringSchema).min(1);
+
+const geometrySchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    {
+      is: 'Polygon',
+      then: Joi.object({ type: Joi.string().valid('Polygon').required(), coordinates: polygonCoordinatesSchema.required() })
+    },
+    {
+      is: 'MultiPolygon',
+      then: Joi.object({ type: Joi.string().valid('MultiPolygon').required(), coordinates: Joi.array().items(polygonCoordinatesSchema).min(1).required() })
+    }
+  ],
+  otherwise: Joi.object({ type: Joi.string().valid('Polygon', 'MultiPolygon').required() }).unknown()
+});
+
+// Geofence creation schema. Without `species` a geofence applies to every
+// animal.
+const geofenceCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(2000).optional(),
+  geometry: geometrySchema.required(),
+  species: Joi.array().items(Joi.string().min(1).max(200)).min(1).unique().optional(),
+  active: Joi.boolean().default(true)
+});
+
+const geofenceUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(200).optional(),
+  description: Joi.string().max(2000).optional(),
+  geometry: geometrySchema.optional(),
+  species: Joi.array().items(Joi.string().min(1).max(200)).min(1).unique().allow(null).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const geofenceEventQuerySchema = Joi.object({
+  geofenceId: Joi.string().optional(),
+  individualId: Joi.string().optional(),
+  deviceId: Joi.string().optional(),
+  type: Joi.string().valid(...EVENT_TYPES).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+function validateGeofenceCreate(data) {
+  return geofenceCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateGeofenceUpdate(data) {
+  return geofenceUpdateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateGeofenceEventQuery(query) {
+  return geofenceEventQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  geometrySchema,
+  geofenceCreateSchema,
+  geofenceUpdateSchema,
+  validateGeofenceCreate,
+  validateGeofenceUpdate,
+  validateGeofenceEventQuery
+};
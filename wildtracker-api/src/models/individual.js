@@ -0,0 +1,117 @@
+const Joi = require('joi');
+
+const SEXES = ['male', 'female', 'unknown'];
+const STATUSES = ['active', 'missing', 'deceased', 'retired'];
+
+// Morphometrics taken when an animal is captured or handled
+const captureSchema = Joi.object({
+  capturedAt: Joi.date().iso().required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required()
+  }).optional(),
+  weightKg: Joi.number().min(0).optional(),
+  bodyLengthCm: Joi.number().min(0).optional(),
+  shoulderHeightCm: Joi.number().min(0).optional(),
+  chestGirthCm: Joi.number().min(0).optional(),
+  condition: Joi.string().valid('good', 'fair', 'poor').optional(),
+  notes: Joi.string().max(2000).optional()
+});
+
+// Estimated birth date; uncertaintyDays is the half-width of the estimate
+const birthEstimateSchema = Joi.object({
+  date: Joi.date().iso().required(),
+  uncertaintyDays: Joi.number().integer().min(0).default(0),
+  method: Joi.string().valid('known', 'tooth-wear', 'body-size', 'other').default('other')
+});
+
+// Individual creation schema. The id is what telemetry carries as
+// wildlife.individualId.
+const individualCreateSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(1).max(100).required(),
+  species: Joi.string().min(1).max(200).required(),
+  name: Joi.string().max(200).optional(),
+  sex: Joi.string().valid(...SEXES).default('unknown'),
+  birthEstimate: birthEstimateSchema.optional(),
+  captures: Joi.array().items(captureSchema).default([]),
+  status: Joi.string().valid('active', 'missing', 'deceased').default('active'),
+  notes: Joi.string().max(2000).optional()
+});
+
+// Individual update schema; every field is optional. Retiring goes through
+// its own endpoint so the reason is recorded.
+const individualUpdateSchema = Joi.object({
+  species: Joi.string().min(1).max(200).optional(),
+  name: Joi.string().max(200).optional(),
+  sex: Joi.string().valid(...SEXES).optional(),
+  birthEstimate: birthEstimateSchema.optional(),
+  captures: Joi.array().items(captureSchema).optional(),
+  status: Joi.string().valid('active', 'missing', 'deceased').optional(),
+  notes: Joi.string().max(2000).optional()
+}).min(1);
+
+const individualRetireSchema = Joi.object({
+  reason: Joi.string().max(500).required()
+});
+
+const individualQuerySchema = Joi.object({
+  species: Joi.string().optional(),
+  status: Joi.string().valid(...STATUSES).optional()
+});
+
+// Home range request: the date window, and optionally the kernel bandwidth
+// in metres (reference bandwidth when omitted) and grid resolution
+const homeRangeQuerySchema = Joi.object({
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  bandwidth: Joi.number().min(1).max(100000).optional(),
+  gridSize: Joi.number().integer().min(20).max(400).default(100),
+  limit: Joi.number().integer().min(1).max(10000).default(5000)
+});
+
+function validateIndividualCreate(data) {
+  return individualCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateIndividualUpdate(data) {
+  return individualUpdateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateIndividualRetire(data) {
+  return individualRetireSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateIndividualQuery(query) {
+  return individualQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateHomeRangeQuery(query) {
+  return homeRangeQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  SEXES,
+  STATUSES,
+  individualCreateSchema,
+  individualUpdateSchema,
+  validateIndividualCreate,
+  validateIndividualUpdate,
+  validateIndividualRetire,
+  validateIndividualQuery,
+  validateHomeRangeQuery
+};
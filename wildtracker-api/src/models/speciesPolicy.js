@@ -0,0 +1,25 @@
+const Joi = require('joi');
+
+// Location sensitivity policy for one species
+const speciesPolicySchema = Joi.object({
+  // grid: snap to the centre of a square cell; jitter: move by a stable
+  // pseudo-random offset within a circle
+  method: Joi.string().valid('grid', 'jitter').default('grid'),
+  // Grid cell size or jitter radius
+  precisionMeters: Joi.number().integer().min(10).max(100000).default(5000),
+  // Positions younger than this are withheld altogether
+  embargoHours: Joi.number().min(0).max(8760).default(0),
+  stripIndividualId: Joi.boolean().default(true)
+});
+
+function validateSpeciesPolicy(data) {
+  return speciesPolicySchema.validate(data || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  speciesPolicySchema,
+  validateSpeciesPolicy
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const crypto = require('crypto');
 
 // Telemetry data validation schema
 const telemetrySchema = Joi.object({
@@ -60,6 +61,16 @@ const telemetrySchema = Joi.object({
   priority: Joi.string().valid('low', 'normal', 'high', 'critical').default('normal')
 });
 
+// Points on the Kafka topic, as produced by the API. They may carry the
+// wildlife.deploymentId set on ingest (see deploymentService) and the
+// importJobId of a file import, which uploads cannot.
+const telemetryMessageSchema = telemetrySchema.keys({
+  importJobId: Joi.string().optional(),
+  wildlife: telemetrySchema.extract('wildlife').keys({
+    deploymentId: Joi.string().optional()
+  })
+});
+
 // Batch telemetry validation schema
 const batchTelemetrySchema = Joi.object({
   deviceId: Joi.string().required().min(1).max(100),
@@ -79,7 +90,35 @@ const telemetryQuerySchema = Joi.object({
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
   activity: Joi.string().optional(),
   health: Joi.string().optional(),
-  bbox: Joi.string().pattern(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?,-?\d+(\.\d+)?,-?\d+(\.\d+)?$/).optional() // "minLng,minLat,maxLng,maxLat"
+  bbox: Joi.string().pattern(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?,-?\d+(\.\d+)?,-?\d+(\.\d+)?$/).optional(), // "minLng,minLat,maxLng,maxLat"
+  // Response body: the usual JSON, or a GeoJSON FeatureCollection of points
+  // or of one LineString per track
+  format: Joi.string().valid('json', 'geojson').optional(),
+  as: Joi.string().valid('points', 'lines').optional()
+});
+
+// Query parameters for map data: the /data filters plus the map's zoom
+// level, below MAP_CLUSTER_MAX_ZOOM points are clustered
+const telemetryMapQuerySchema = telemetryQuerySchema.keys({
+  zoom: Joi.number().integer().min(0).max(22).optional()
+});
+
+// Query parameters for the live telemetry stream
+const telemetryStreamQuerySchema = Joi.object({
+  deviceId: Joi.string().optional(),
+  species: Joi.string().optional(),
+  individualId: Joi.string().optional(),
+  activity: Joi.string().optional(),
+  bbox: telemetryQuerySchema.extract('bbox')
+});
+
+// Query parameters for track exports: the /data filters plus the file
+// format. `as` picks GeoJSON points or one LineString per track.
+const EXPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+const telemetryExportQuerySchema = telemetryQuerySchema.keys({
+  format: Joi.string().valid(...EXPORT_FORMATS).required(),
+  as: Joi.string().valid('points', 'lines').default('points'),
+  limit: Joi.number().integer().min(1).max(100000).default(10000)
 });
 
 // Validation functions
@@ -90,6 +129,13 @@ function validateTelemetry(data) {
   });
 }
 
+function validateTelemetryMessage(data) {
+  return telemetryMessageSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 function validateBatchTelemetry(data) {
   return batchTelemetrySchema.validate(data, { 
     abortEarly: false,
@@ -104,6 +150,27 @@ function validateTelemetryQuery(query) {
   });
 }
 
+function validateTelemetryMapQuery(query) {
+  return telemetryMapQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateTelemetryExportQuery(query) {
+  return telemetryExportQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateTelemetryStreamQuery(query) {
+  return telemetryStreamQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 // Helper function to sanitize telemetry data
 function sanitizeTelemetryData(data) {
   const sanitized = { ...data };
@@ -134,6 +201,11 @@ function sanitizeTelemetryData(data) {
   return sanitized;
 }
 
+// Helper function to build a unique telemetry record id
+function createTelemetryId(deviceId) {
+  return `${deviceId}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
 // Helper function to parse bounding box
 function parseBbox(bboxString) {
   if (!bboxString) return null;
@@ -146,8 +218,14 @@ module.exports = {
   batchTelemetrySchema,
   telemetryQuerySchema,
   validateTelemetry,
+  validateTelemetryMessage,
   validateBatchTelemetry,
   validateTelemetryQuery,
+  validateTelemetryMapQuery,
+  validateTelemetryStreamQuery,
+  EXPORT_FORMATS,
+  validateTelemetryExportQuery,
   sanitizeTelemetryData,
+  createTelemetryId,
   parseBbox
 }; 
\ No newline at end of file
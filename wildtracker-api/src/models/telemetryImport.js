@@ -0,0 +1,116 @@
+const Joi = require('joi');
+
+const IMPORT_FORMATS = ['csv', 'movebank'];
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Telemetry fields a CSV column can be mapped to
+const IMPORT_FIELDS = [
+  'deviceId',
+  'timestamp',
+  'location.latitude',
+  'location.longitude',
+  'location.altitude',
+  'location.accuracy',
+  'sensors.temperature',
+  'sensors.humidity',
+  'sensors.pressure',
+  'sensors.light',
+  'sensors.sound',
+  'sensors.vibration',
+  'wildlife.species',
+  'wildlife.individualId',
+  'wildlife.collarId',
+  'wildlife.activity',
+  'wildlife.behavior',
+  'wildlife.health',
+  'wildlife.weight',
+  'wildlife.age',
+  'wildlife.gender',
+  'wildlife.habitat',
+  'metadata.battery',
+  'metadata.signal',
+  'metadata.firmware',
+  'metadata.model',
+  'metadata.manufacturer'
+];
+
+// Columns of the Movebank standard CSV export and the fields they fill.
+// A `mapping` sent with a Movebank import is applied on top.
+const MOVEBANK_MAPPING = {
+  deviceId: 'tag-local-identifier',
+  timestamp: 'timestamp',
+  'location.latitude': 'location-lat',
+  'location.longitude': 'location-long',
+  'location.altitude': 'height-above-msl',
+  'sensors.temperature': 'external-temperature',
+  'wildlife.species': 'individual-taxon-canonical-name',
+  'wildlife.individualId': 'individual-local-identifier'
+};
+
+const fieldsSchema = (value) => Joi.object(
+  Object.fromEntries(IMPORT_FIELDS.map(field => [field, value]))
+);
+
+// Import options, sent as multipart form fields next to the file. `mapping`
+// names the column each field is read from and `defaults` fills fields for
+// rows that leave them empty; both arrive as JSON strings.
+const importOptionsSchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS).default('csv'),
+  mapping: fieldsSchema(Joi.string().min(1).max(200)).when('format', {
+    is: 'csv',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  defaults: fieldsSchema(Joi.alternatives(Joi.string().max(200), Joi.number())).optional(),
+  delimiter: Joi.string().valid(',', ';', '\t', '|').default(',')
+});
+
+const importListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Form fields are strings; `mapping` and `defaults` are decoded here so a
+// malformed one is reported like any other validation error
+function validateImportOptions(fields) {
+  const data = { ...fields };
+  for (const name of ['mapping', 'defaults']) {
+    if (typeof data[name] !== 'string') continue;
+    try {
+      data[name] = JSON.parse(data[name]);
+    } catch (error) {
+      return { error: { details: [{ message: `"${name}" must be a JSON object` }] } };
+    }
+  }
+
+  const result = importOptionsSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  if (result.error || result.value.format !== 'csv') return result;
+
+  // Each row needs a device and a time, from a column or a default
+  const missing = ['deviceId', 'timestamp']
+    .filter(field => !result.value.mapping[field] && result.value.defaults?.[field] === undefined);
+  if (missing.length > 0) {
+    return { error: { details: missing.map(field => ({ message: `"mapping.${field}" or "defaults.${field}" is required` })) } };
+  }
+  return result;
+}
+
+function validateImportListQuery(query) {
+  return importListQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_STATUSES,
+  IMPORT_FIELDS,
+  MOVEBANK_MAPPING,
+  importOptionsSchema,
+  validateImportOptions,
+  validateImportListQuery
+};
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'field-tech', 'researcher', 'admin'];
+
+const usernameSchema = Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(3).max(64);
+
+// User creation schema
+const userCreateSchema = Joi.object({
+  username: usernameSchema.required(),
+  password: Joi.string().min(8).max(200).required(),
+  role: Joi.string().valid(...ROLES).default('viewer'),
+  displayName: Joi.string().max(200).optional()
+});
+
+// User update schema; every field is optional
+const userUpdateSchema = Joi.object({
+  password: Joi.string().min(8).max(200).optional(),
+  role: Joi.string().valid(...ROLES).optional(),
+  displayName: Joi.string().max(200).optional(),
+  disabled: Joi.boolean().optional()
+}).min(1);
+
+// Login request schema
+const loginSchema = Joi.object({
+  provider: Joi.string().default('local'),
+  username: Joi.string().required(),
+  password: Joi.string().required()
+});
+
+function validateUserCreate(data) {
+  return userCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateUserUpdate(data) {
+  return userUpdateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateLogin(data) {
+  return loginSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+// Public view of a stored user: never includes the password hash
+function toUserResponse(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+    role: user.role,
+    provider: user.provider || 'local',
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null
+  };
+}
+
+module.exports = {
+  ROLES,
+  userCreateSchema,
+  userUpdateSchema,
+  loginSchema,
+  validateUserCreate,
+  validateUserUpdate,
+  validateLogin,
+  toUserResponse
+};
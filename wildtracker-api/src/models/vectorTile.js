@@ -0,0 +1,50 @@
+const Joi = require('joi');
+const { telemetryQuerySchema } = require('./telemetry');
+
+const TILE_LAYERS = ['points', 'tracks', 'homeranges'];
+const TILE_MAX_ZOOM = 22;
+
+// Path of a tile, /:layer/:z/:x/:y.mvt, with x and y on the grid of zoom z
+const tileParamsSchema = Joi.object({
+  layer: Joi.string().valid(...TILE_LAYERS).required(),
+  z: Joi.number().integer().min(0).max(TILE_MAX_ZOOM).required(),
+  x: Joi.number().integer().min(0).required(),
+  y: Joi.number().integer().min(0).required()
+}).custom((tile, helpers) => {
+  const tiles = 2 ** tile.z;
+  if (tile.x >= tiles || tile.y >= tiles) {
+    return helpers.message(`"x" and "y" must be less than ${tiles} at zoom ${tile.z}`);
+  }
+  return tile;
+});
+
+// The /data filters that select what goes into a tile; its bounds take the
+// place of bbox and paging
+const filter = (name) => telemetryQuerySchema.extract(name);
+const tileQuerySchema = Joi.object({
+  deviceId: filter('deviceId'),
+  species: filter('species'),
+  individualId: filter('individualId'),
+  startDate: filter('startDate'),
+  endDate: filter('endDate'),
+  activity: filter('activity'),
+  health: filter('health')
+});
+
+function validateTileParams(params) {
+  return tileParamsSchema.validate(params, { abortEarly: false });
+}
+
+function validateTileQuery(query) {
+  return tileQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+module.exports = {
+  TILE_LAYERS,
+  TILE_MAX_ZOOM,
+  validateTileParams,
+  validateTileQuery
+};
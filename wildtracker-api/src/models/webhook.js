@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { SEVERITIES, RULE_TYPES } = require('./alert');
+
+// What a webhook can be sent: newly raised alerts and geofence enter/exit
+// events
+const WEBHOOK_EVENTS = ['alert', 'geofence'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Hosts on private networks are refused separately, once resolved, by
+// WebhookService.checkUrl()
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] });
+const speciesSchema = Joi.array().items(Joi.string().min(1).max(200)).min(1).unique();
+const idsSchema = Joi.array().items(Joi.string().min(1).max(100)).min(1).unique();
+
+// Webhook subscription schema. Each filter left out matches everything;
+// `alertTypes` and `severities` only narrow alerts, `geofenceIds` only
+// geofence events.
+const webhookCreateSchema = Joi.object({
+  url: urlSchema.required(),
+  description: Joi.string().max(500).optional(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().default(WEBHOOK_EVENTS),
+  alertTypes: Joi.array().items(Joi.string().valid(...RULE_TYPES)).min(1).unique().optional(),
+  severities: Joi.array().items(Joi.string().valid(...SEVERITIES)).min(1).unique().optional(),
+  species: speciesSchema.optional(),
+  geofenceIds: idsSchema.optional(),
+  active: Joi.boolean().default(true)
+});
+
+// Filters set to null are removed
+const webhookUpdateSchema = Joi.object({
+  url: urlSchema.optional(),
+  description: Joi.string().max(500).optional(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().optional(),
+  alertTypes: Joi.array().items(Joi.string().valid(...RULE_TYPES)).min(1).unique().allow(null).optional(),
+  severities: Joi.array().items(Joi.string().valid(...SEVERITIES)).min(1).unique().allow(null).optional(),
+  species: speciesSchema.allow(null).optional(),
+  geofenceIds: idsSchema.allow(null).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+function validateWebhookCreate(data) {
+  return webhookCreateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateWebhookUpdate(data) {
+  return webhookUpdateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateDeliveryQuery(query) {
+  return deliveryQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+// A webhook as returned by the API, without its signing secret
+function toWebhookResponse(webhook) {
+  const response = { ...webhook };
+  delete response.secret;
+  return response;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery,
+  toWebhookResponse
+};
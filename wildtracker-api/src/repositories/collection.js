@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keyed document collection held in memory. When a file path is given, every
+// write is appended to an NDJSON journal which is replayed on load, so the
+// collection survives restarts without needing an external database. Entries
+// appended by another process (e.g. a separate consumer) are picked up on the
+// next access.
+//
+// The journal is rewritten once it holds more than compactMinEntries entries
+// and superseded ones make up more than half of it, on load and after writes.
+class Collection {
+  constructor({ name, filePath = null, idField = 'id', compactMinEntries = 1000 } = {}) {
+    this.name = name;
+    this.filePath = filePath;
+    this.idField = idField;
+    this.compactMinEntries = compactMinEntries;
+    this.documents = new Map();
+    this.loaded = false;
+    this.position = 0;
+    // Entries in the journal up to position
+    this.entries = 0;
+  }
+
+  load() {
+    if (!this.filePath) return;
+
+    if (!this.loaded) {
+      this.loaded = true;
+      if (fs.existsSync(this.filePath)) {
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        if (content && !content.endsWith('\n')) {
+          // Terminate a torn final line so the next append starts cleanly
+          fs.appendFileSync(this.filePath, '\n');
+        }
+      }
+      this.sync();
+      if (this.shouldCompact()) this.compact();
+      return;
+    }
+
+    this.sync();
+  }
+
+  // Whether superseded entries dominate the journal
+  shouldCompact() {
+    return this.entries > this.compactMinEntries && this.entries > this.documents.size * 2;
+  }
+
+  // Called after a write: read it back, then compact if it tipped the balance
+  compactIfNeeded() {
+    if (!this.filePath) return;
+    this.sync();
+    if (this.shouldCompact()) this.compact();
+  }
+
+  // Replay journal entries written since the last read. Own writes are
+  // replayed too, which is harmless because every entry is idempotent.
+  sync() {
+    let size;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      return 0;
+    }
+
+    if (size < this.position) {
+      // The journal was compacted elsewhere; start over
+      this.documents.clear();
+      this.position = 0;
+      this.entries = 0;
+    }
+    if (size === this.position) return 0;
+
+    const buffer = Buffer.alloc(size - this.position);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.position);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Only consume complete lines; a partial tail is read again next time
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    if (end === 0) return 0;
+    this.position += end;
+
+    let entries = 0;
+    for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+      if (!line.trim()) continue;
+      entries++;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn line from a crash mid-write is skipped, not fatal
+        continue;
+      }
+      this.apply(entry);
+    }
+    this.entries += entries;
+    return entries;
+  }
+
+  apply(entry) {
+    if (entry.op === 'put') {
+      this.documents.set(entry.doc[this.idField], entry.doc);
+    } else if (entry.op === 'del') {
+      this.documents.delete(entry.id);
+    } else if (entry.op === 'clear') {
+      this.documents.clear();
+    }
+  }
+
+  compact() {
+    if (!this.filePath) return;
+    const tmpPath = `${this.filePath}.tmp`;
+    const body = Array.from(this.documents.values())
+      .map(doc => JSON.stringify({ op: 'put', doc }) + '\n')
+      .join('');
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, body);
+    fs.renameSync(tmpPath, this.filePath);
+    this.position = Buffer.byteLength(body);
+    this.entries = this.documents.size;
+  }
+
+  append(entry) {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  get size() {
+    this.load();
+    return this.documents.size;
+  }
+
+  get(id) {
+    this.load();
+    return this.documents.get(id) || null;
+  }
+
+  has(id) {
+    this.load();
+    return this.documents.has(id);
+  }
+
+  put(doc) {
+    this.load();
+    const id = doc[this.idField];
+    if (id === undefined || id === null) {
+      throw new Error(`Document in collection "${this.name}" is missing "${this.idField}"`);
+    }
+    this.append({ op: 'put', doc });
+    this.documents.set(id, doc);
+    this.compactIfNeeded();
+    return doc;
+  }
+
+  delete(id) {
+    this.load();
+    if (!this.documents.has(id)) return false;
+    this.append({ op: 'del', id });
+    this.documents.delete(id);
+    this.compactIfNeeded();
+    return true;
+  }
+
+  clear() {
+    this.load();
+    this.append({ op: 'clear' });
+    this.documents.clear();
+    this.compactIfNeeded();
+  }
+
+  values() {
+    this.load();
+    return Array.from(this.documents.values());
+  }
+
+  find(predicate) {
+    return this.values().filter(predicate);
+  }
+}
+
+module.exports = Collection;
@@ -0,0 +1,54 @@
+const path = require('path');
+const Collection = require('./collection');
+const { TelemetryRepository } = require('./telemetryRepository');
+const logger = require('../utils/logger');
+
+// Storage driver is chosen by STORAGE_DRIVER:
+//   memory - collections live only for the lifetime of the process
+//   file   - collections are journaled to NDJSON files under STORAGE_DIR
+const DRIVERS = ['memory', 'file'];
+
+const collections = new Map();
+let telemetryRepository = null;
+
+function getStorageConfig() {
+  const driver = (process.env.STORAGE_DRIVER || 'file').toLowerCase();
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected one of: ${DRIVERS.join(', ')}`);
+  }
+  return {
+    driver,
+    dir: process.env.STORAGE_DIR || path.join(__dirname, '../../data'),
+    compactMinEntries: parseInt(process.env.STORAGE_COMPACT_MIN_ENTRIES) || 1000
+  };
+}
+
+function getCollection(name) {
+  if (!collections.has(name)) {
+    const { driver, dir, compactMinEntries } = getStorageConfig();
+    const filePath = driver === 'file' ? path.join(dir, `${name}.ndjson`) : null;
+    collections.set(name, new Collection({ name, filePath, compactMinEntries }));
+    logger.info('Opened storage collection', { name, driver, filePath });
+  }
+  return collections.get(name);
+}
+
+function getTelemetryRepository() {
+  if (!telemetryRepository) {
+    telemetryRepository = new TelemetryRepository(getCollection('telemetry'));
+  }
+  return telemetryRepository;
+}
+
+// Drop cached collections so the next access re-reads configuration (tests)
+function resetRepositories() {
+  collections.clear();
+  telemetryRepository = null;
+}
+
+module.exports = {
+  getStorageConfig,
+  getCollection,
+  getTelemetryRepository,
+  resetRepositories
+};
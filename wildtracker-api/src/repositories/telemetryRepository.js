@@ -0,0 +1,114 @@
+const { parseBbox } = require('../models/telemetry');
+
+const sortAccessors = {
+  timestamp: point => point.timestamp || '',
+  deviceId: point => point.deviceId || '',
+  species: point => point.wildlife?.species || ''
+};
+
+function equalsIgnoreCase(a, b) {
+  return typeof a === 'string' && a.toLowerCase() === String(b).toLowerCase();
+}
+
+// Build a predicate for the fields accepted by telemetryQuerySchema
+function buildFilter(filters = {}) {
+  const startTime = filters.startDate ? new Date(filters.startDate).getTime() : null;
+  const endTime = filters.endDate ? new Date(filters.endDate).getTime() : null;
+  const bbox = typeof filters.bbox === 'string' ? parseBbox(filters.bbox) : filters.bbox;
+
+  return (point) => {
+    if (filters.deviceId && point.deviceId !== filters.deviceId) return false;
+    if (filters.species && !equalsIgnoreCase(point.wildlife?.species, filters.species)) return false;
+    if (filters.individualId && point.wildlife?.individualId !== filters.individualId) return false;
+    if (filters.activity && !equalsIgnoreCase(point.wildlife?.activity, filters.activity)) return false;
+    if (filters.health && !equalsIgnoreCase(point.wildlife?.health, filters.health)) return false;
+
+    if (startTime !== null || endTime !== null) {
+      const time = new Date(point.timestamp).getTime();
+      if (startTime !== null && time < startTime) return false;
+      if (endTime !== null && time > endTime) return false;
+    }
+
+    if (filters.hasLocation && !point.location) return false;
+
+    if (bbox) {
+      const location = point.location;
+      if (!location) return false;
+      if (location.longitude < bbox.minLng || location.longitude > bbox.maxLng) return false;
+      if (location.latitude < bbox.minLat || location.latitude > bbox.maxLat) return false;
+    }
+
+    return true;
+  };
+}
+
+function buildComparator(sortBy = 'timestamp', sortOrder = 'desc') {
+  const accessor = sortAccessors[sortBy] || sortAccessors.timestamp;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  return (a, b) => {
+    const left = accessor(a);
+    const right = accessor(b);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    // Stable tie-break on timestamp then id so pages never overlap
+    if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -direction : direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+}
+
+// Telemetry read/write repository over a keyed collection
+class TelemetryRepository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async save(point) {
+    return this.collection.put(point);
+  }
+
+  async saveMany(points) {
+    return points.map(point => this.collection.put(point));
+  }
+
+  async findById(id) {
+    return this.collection.get(id);
+  }
+
+  // `where` is an optional extra predicate applied before pagination
+  async query(filters = {}, { where } = {}) {
+    const { limit = 100, offset = 0, sortBy, sortOrder } = filters;
+    const filter = buildFilter(filters);
+    const matches = this.collection.find(where ? point => filter(point) && where(point) : filter);
+    matches.sort(buildComparator(sortBy, sortOrder));
+
+    return {
+      data: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  // Every matching point, oldest first, without a page limit. Yields the
+  // stored documents one at a time so exports can write them out as they go
+  // instead of holding a copy of the result.
+  async * scan(filters = {}, { where } = {}) {
+    const filter = buildFilter(filters);
+    const matches = this.collection.find(where ? point => filter(point) && where(point) : filter);
+    matches.sort(buildComparator('timestamp', 'asc'));
+    yield * matches;
+  }
+
+  async count() {
+    return this.collection.size;
+  }
+
+  async clear() {
+    this.collection.clear();
+  }
+}
+
+module.exports = {
+  TelemetryRepository,
+  buildFilter,
+  buildComparator
+};
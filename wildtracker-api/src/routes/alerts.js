@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const { requireRole } = require('../middleware/userAuth');
+
+const canEdit = requireRole('admin', 'researcher', 'field-tech');
+
+/**
+ * @route GET /api/v1/alerts
+ * @desc List alerts, filterable by status, type, severity, device, individual, species and date
+ * @access Any role
+ */
+router.get('/', alertController.listAlerts);
+
+/**
+ * @route GET /api/v1/alerts/rules
+ * @desc List alert rules with their current settings
+ * @access Any role
+ */
+router.get('/rules', alertController.listRules);
+
+/**
+ * @route PATCH /api/v1/alerts/rules/:type
+ * @desc Enable or disable a rule, or change its severity or parameters
+ * @access Admin
+ */
+router.patch('/rules/:type', requireRole('admin'), alertController.updateRule);
+
+/**
+ * @route GET /api/v1/alerts/:id
+ * @desc Get an alert
+ * @access Any role
+ */
+router.get('/:id', alertController.getAlert);
+
+/**
+ * @route POST /api/v1/alerts/:id/acknowledge
+ * @desc Record that the signed-in user is dealing with an alert
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/acknowledge', canEdit, alertController.acknowledgeAlert);
+
+/**
+ * @route POST /api/v1/alerts/:id/resolve
+ * @desc Close an alert
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/resolve', canEdit, alertController.resolveAlert);
+
+module.exports = router;
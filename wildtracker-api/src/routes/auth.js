@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireRole } = require('../middleware/userAuth');
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Sign in and receive a session token
+ * @access Public
+ */
+router.post('/login', authController.login);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @desc Get the signed-in user
+ * @access Any role
+ */
+router.get('/me', requireRole(), authController.me);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const clusterController = require('../controllers/clusterController');
+const { requireRole } = require('../middleware/userAuth');
+
+const canEdit = requireRole('admin', 'researcher', 'field-tech');
+
+/**
+ * @route GET /api/v1/clusters
+ * @desc List detected clusters, filterable by individualId and investigated
+ * @access Any role
+ */
+router.get('/', clusterController.listClusters);
+
+/**
+ * @route GET /api/v1/clusters/:id
+ * @desc Get a detected cluster
+ * @access Any role
+ */
+router.get('/:id', clusterController.getCluster);
+
+/**
+ * @route PUT /api/v1/clusters/:id/investigation
+ * @desc Record what was found on visiting a cluster
+ * @access Admin, researcher, field-tech
+ */
+router.put('/:id/investigation', canEdit, clusterController.recordInvestigation);
+
+module.exports = router;
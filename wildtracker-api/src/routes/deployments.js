@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const deploymentController = require('../controllers/deploymentController');
+const { requireRole } = require('../middleware/userAuth');
+
+const canEdit = requireRole('admin', 'researcher', 'field-tech');
+
+/**
+ * @route POST /api/v1/deployments
+ * @desc Record a collar being fitted to an animal
+ * @access Admin, researcher, field-tech
+ */
+router.post('/', canEdit, deploymentController.createDeployment);
+
+/**
+ * @route GET /api/v1/deployments
+ * @desc List deployments, filterable by deviceId, individualId and active
+ * @access Any role (animals whose species policy strips individualId: LOCATION_ELEVATED_ROLES only)
+ */
+router.get('/', deploymentController.listDeployments);
+
+/**
+ * @route GET /api/v1/deployments/:id
+ * @desc Get a deployment
+ * @access Any role (animals whose species policy strips individualId: LOCATION_ELEVATED_ROLES only)
+ */
+router.get('/:id', deploymentController.getDeployment);
+
+/**
+ * @route POST /api/v1/deployments/:id/end
+ * @desc Record a collar coming off, with the detach reason
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/end', canEdit, deploymentController.endDeployment);
+
+module.exports = router;
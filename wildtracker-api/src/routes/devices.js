@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const deviceController = require('../controllers/deviceController');
+
+/**
+ * @route POST /api/v1/devices/:deviceId/keys
+ * @desc Issue an upload key for a device
+ * @access Admin, field-tech
+ */
+router.post('/:deviceId/keys', deviceController.issueKey);
+
+/**
+ * @route GET /api/v1/devices/:deviceId/keys
+ * @desc List a device's upload keys
+ * @access Admin, field-tech
+ */
+router.get('/:deviceId/keys', deviceController.listKeys);
+
+/**
+ * @route DELETE /api/v1/devices/:deviceId/keys/:keyId
+ * @desc Revoke a device upload key
+ * @access Admin, field-tech
+ */
+router.delete('/:deviceId/keys/:keyId', deviceController.revokeKey);
+
+module.exports = router;
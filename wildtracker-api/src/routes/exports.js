@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const bulkExportController = require('../controllers/bulkExportController');
+
+/**
+ * @route POST /api/v1/exports
+ * @desc Queue an export of the telemetry matching a query, as CSV, NDJSON, GeoJSON or Parquet
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.post('/', bulkExportController.createExport);
+
+/**
+ * @route GET /api/v1/exports
+ * @desc List exports, newest first (admins see every export, others their own)
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.get('/', bulkExportController.listExports);
+
+/**
+ * @route GET /api/v1/exports/:jobId
+ * @desc Get the status of an export
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.get('/:jobId', bulkExportController.getExport);
+
+/**
+ * @route GET /api/v1/exports/:jobId/download
+ * @desc Download the file of a completed export
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.get('/:jobId/download', bulkExportController.downloadExport);
+
+/**
+ * @route DELETE /api/v1/exports/:jobId
+ * @desc Remove an export and its file
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.delete('/:jobId', bulkExportController.deleteExport);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const geofenceController = require('../controllers/geofenceController');
+const { requireRole } = require('../middleware/userAuth');
+
+const canEdit = requireRole('admin', 'researcher');
+
+/**
+ * @route POST /api/v1/geofences
+ * @desc Create a geofence from a GeoJSON Polygon or MultiPolygon
+ * @access Admin, researcher
+ */
+router.post('/', canEdit, geofenceController.createGeofence);
+
+/**
+ * @route GET /api/v1/geofences
+ * @desc List geofences
+ * @access Any role
+ */
+router.get('/', geofenceController.listGeofences);
+
+/**
+ * @route GET /api/v1/geofences/events
+ * @desc Enter/exit history of all geofences, filterable by geofence, individual, device, type and date
+ * @access Any role
+ */
+router.get('/events', geofenceController.listEvents);
+
+/**
+ * @route GET /api/v1/geofences/:id
+ * @desc Get a geofence
+ * @access Any role
+ */
+router.get('/:id', geofenceController.getGeofence);
+
+/**
+ * @route GET /api/v1/geofences/:id/events
+ * @desc Enter/exit history of a geofence
+ * @access Any role
+ */
+router.get('/:id/events', geofenceController.listEvents);
+
+/**
+ * @route PATCH /api/v1/geofences/:id
+ * @desc Change a geofence's name, shape, species scope or active flag
+ * @access Admin, researcher
+ */
+router.patch('/:id', canEdit, geofenceController.updateGeofence);
+
+/**
+ * @route DELETE /api/v1/geofences/:id
+ * @desc Remove a geofence, keeping its event history
+ * @access Admin, researcher
+ */
+router.delete('/:id', canEdit, geofenceController.deleteGeofence);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const individualController = require('../controllers/individualController');
+const clusterController = require('../controllers/clusterController');
+const { requireRole } = require('../middleware/userAuth');
+
+const canEdit = requireRole('admin', 'researcher', 'field-tech');
+
+/**
+ * @route POST /api/v1/individuals
+ * @desc Register an animal
+ * @access Admin, researcher, field-tech
+ */
+router.post('/', canEdit, individualController.createIndividual);
+
+/**
+ * @route GET /api/v1/individuals
+ * @desc List registered animals
+ * @access Any role
+ */
+router.get('/', individualController.listIndividuals);
+
+/**
+ * @route GET /api/v1/individuals/:id
+ * @desc Get a registered animal
+ * @access Any role
+ */
+router.get('/:id', individualController.getIndividual);
+
+/**
+ * @route GET /api/v1/individuals/:id/home-range
+ * @desc Estimate an animal's home range (MCP and kernel density) as GeoJSON
+ * @access Any role
+ */
+router.get('/:id/home-range', individualController.getHomeRange);
+
+/**
+ * @route GET /api/v1/individuals/:id/clusters
+ * @desc Detect clusters of fixes (candidate kill sites, dens) in an animal's track, without storing them
+ * @access Any role
+ */
+router.get('/:id/clusters', clusterController.detectClusters);
+
+/**
+ * @route POST /api/v1/individuals/:id/clusters
+ * @desc Detect clusters in an animal's track and store them for site visits
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/clusters', canEdit, clusterController.storeClusters);
+
+/**
+ * @route PATCH /api/v1/individuals/:id
+ * @desc Update an animal's details, captures or status
+ * @access Admin, researcher, field-tech
+ */
+router.patch('/:id', canEdit, individualController.updateIndividual);
+
+/**
+ * @route POST /api/v1/individuals/:id/retire
+ * @desc Retire an animal from tracking
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/retire', canEdit, individualController.retireIndividual);
+
+module.exports = router;
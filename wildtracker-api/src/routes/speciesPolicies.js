@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const speciesPolicyController = require('../controllers/speciesPolicyController');
+
+/**
+ * @route GET /api/v1/species-policies
+ * @desc List location sensitivity policies
+ * @access Admin
+ */
+router.get('/', speciesPolicyController.listPolicies);
+
+/**
+ * @route PUT /api/v1/species-policies/:species
+ * @desc Create or replace the location policy for a species
+ * @access Admin
+ */
+router.put('/:species', speciesPolicyController.setPolicy);
+
+/**
+ * @route DELETE /api/v1/species-policies/:species
+ * @desc Remove the location policy for a species
+ * @access Admin
+ */
+router.delete('/:species', speciesPolicyController.deletePolicy);
+
+module.exports = router;
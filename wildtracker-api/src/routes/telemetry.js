@@ -1,53 +1,113 @@
 const express = require('express');
 const router = express.Router();
 const telemetryController = require('../controllers/telemetryController');
+const importController = require('../controllers/importController');
+const exportController = require('../controllers/exportController');
+const { authenticateDevice, requireMatchingDevice } = require('../middleware/deviceAuth');
+const { requireRole } = require('../middleware/userAuth');
 
 /**
  * @route POST /api/v1/telemetry
  * @desc Upload single telemetry data point
- * @access Public
+ * @access Device key
  */
-router.post('/', telemetryController.uploadTelemetry);
+router.post('/', authenticateDevice, requireMatchingDevice, telemetryController.uploadTelemetry);
 
 /**
  * @route POST /api/v1/telemetry/batch
  * @desc Upload batch of telemetry data points
- * @access Public
+ * @access Device key
  */
-router.post('/batch', telemetryController.uploadBatchTelemetry);
+router.post('/batch', authenticateDevice, requireMatchingDevice, telemetryController.uploadBatchTelemetry);
+
+/**
+ * @route POST /api/v1/telemetry/import
+ * @desc Queue a CSV or Movebank CSV file for import (multipart/form-data)
+ * @access Admin, researcher, field-tech
+ */
+router.post('/import', requireRole('admin', 'researcher', 'field-tech'), importController.createImport);
+
+/**
+ * @route GET /api/v1/telemetry/import
+ * @desc List imports, newest first
+ * @access Any role (own imports; admins see all)
+ */
+router.get('/import', importController.listImports);
+
+/**
+ * @route GET /api/v1/telemetry/import/:jobId
+ * @desc Get the status and row counts of an import
+ * @access Any role (own imports; admins see all)
+ */
+router.get('/import/:jobId', importController.getImport);
+
+/**
+ * @route GET /api/v1/telemetry/import/:jobId/errors
+ * @desc List the rows of an import that failed, by line number
+ * @access Any role (own imports; admins see all)
+ */
+router.get('/import/:jobId/errors', importController.listImportErrors);
 
 /**
  * @route GET /api/v1/telemetry/data
  * @desc Get telemetry data with filtering and pagination
- * @access Public
+ * @access Any role
  */
 router.get('/data', telemetryController.getTelemetryData);
 
+/**
+ * @route GET /api/v1/telemetry/stream
+ * @desc Server-Sent Events feed of newly uploaded points, filterable by species, individual, device, activity and bbox
+ * @access Any role
+ */
+router.get('/stream', telemetryController.streamTelemetry);
+
+/**
+ * @route GET /api/v1/telemetry/export
+ * @desc Download tracks matching the /data filters as GPX, KML or GeoJSON
+ * @access Any role
+ */
+router.get('/export', exportController.exportTelemetry);
+
+/**
+ * @route GET /api/v1/telemetry/export/individual/:individualId
+ * @desc Download an individual's track as GPX, KML or GeoJSON
+ * @access Any role
+ */
+router.get('/export/individual/:individualId', exportController.exportIndividual);
+
+/**
+ * @route GET /api/v1/telemetry/export/species/:species
+ * @desc Download the tracks of a species as GPX, KML or GeoJSON
+ * @access Any role
+ */
+router.get('/export/species/:species', exportController.exportSpecies);
+
 /**
  * @route GET /api/v1/telemetry/wildlife
  * @desc Get wildlife tracking summary and statistics
- * @access Public
+ * @access Any role
  */
 router.get('/wildlife', telemetryController.getWildlifeSummary);
 
 /**
  * @route GET /api/v1/telemetry/individual/:individualId
  * @desc Get individual animal tracking data
- * @access Public
+ * @access Any role
  */
 router.get('/individual/:individualId', telemetryController.getIndividualTracking);
 
 /**
  * @route GET /api/v1/telemetry/map
  * @desc Get map data for visualization
- * @access Public
+ * @access Any role
  */
 router.get('/map', telemetryController.getMapData);
 
 /**
  * @route GET /api/v1/telemetry/stats
  * @desc Get telemetry upload statistics
- * @access Public
+ * @access Any role
  */
 router.get('/stats', telemetryController.getUploadStats);
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const vectorTileController = require('../controllers/vectorTileController');
+
+/**
+ * @route GET /api/v1/tiles/:layer/:z/:x/:y.mvt
+ * @desc Get a Mapbox Vector Tile of telemetry points, tracks or home ranges
+ * @access Admin, researcher, field-tech, viewer
+ */
+router.get('/:layer/:z/:x/:y.mvt', vectorTileController.getTile);
+
+module.exports = router;
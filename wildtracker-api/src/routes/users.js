@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+
+/**
+ * @route POST /api/v1/users
+ * @desc Create a user
+ * @access Admin
+ */
+router.post('/', userController.createUser);
+
+/**
+ * @route GET /api/v1/users
+ * @desc List users
+ * @access Admin
+ */
+router.get('/', userController.listUsers);
+
+/**
+ * @route GET /api/v1/users/:id
+ * @desc Get a user
+ * @access Admin
+ */
+router.get('/:id', userController.getUser);
+
+/**
+ * @route PATCH /api/v1/users/:id
+ * @desc Update a user's role, password, display name or disabled flag
+ * @access Admin
+ */
+router.patch('/:id', userController.updateUser);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+/**
+ * @route POST /api/v1/webhooks
+ * @desc Register a URL for alerts and geofence events, returning its signing secret
+ * @access Admin, researcher, field-tech
+ */
+router.post('/', webhookController.createWebhook);
+
+/**
+ * @route GET /api/v1/webhooks
+ * @desc List webhooks (admins see every webhook, others their own)
+ * @access Admin, researcher, field-tech
+ */
+router.get('/', webhookController.listWebhooks);
+
+/**
+ * @route GET /api/v1/webhooks/dead-letters
+ * @desc List deliveries that ran out of attempts
+ * @access Admin, researcher, field-tech
+ */
+router.get('/dead-letters', webhookController.listDeadLetters);
+
+/**
+ * @route POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+ * @desc Queue a dead letter for delivery again
+ * @access Admin, researcher, field-tech
+ */
+router.post('/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+/**
+ * @route GET /api/v1/webhooks/:id
+ * @desc Get a webhook
+ * @access Admin, researcher, field-tech
+ */
+router.get('/:id', webhookController.getWebhook);
+
+/**
+ * @route PATCH /api/v1/webhooks/:id
+ * @desc Change a webhook's URL, filters or whether it is active
+ * @access Admin, researcher, field-tech
+ */
+router.patch('/:id', webhookController.updateWebhook);
+
+/**
+ * @route DELETE /api/v1/webhooks/:id
+ * @desc Remove a webhook and its delivery log
+ * @access Admin, researcher, field-tech
+ */
+router.delete('/:id', webhookController.deleteWebhook);
+
+/**
+ * @route POST /api/v1/webhooks/:id/test
+ * @desc Send a signed ping to the webhook now
+ * @access Admin, researcher, field-tech
+ */
+router.post('/:id/test', webhookController.testWebhook);
+
+/**
+ * @route GET /api/v1/webhooks/:id/deliveries
+ * @desc Delivery log of a webhook, filterable by status
+ * @access Admin, researcher, field-tech
+ */
+router.get('/:id/deliveries', webhookController.listDeliveries);
+
+module.exports = router;
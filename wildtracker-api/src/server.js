@@ -7,7 +7,28 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { connectKafka } = require('./services/kafkaService');
+const { startTelemetryConsumer, stopTelemetryConsumer } = require('./services/telemetryConsumer');
+const { startOutboxFlusher, stopOutboxFlusher } = require('./services/outboxService');
+const { startWebhookWorker, stopWebhookWorker } = require('./services/webhookService');
+const { startMqttGateway, stopMqttGateway } = require('./services/mqttGateway');
+const { importService } = require('./services/importService');
+const { startBulkExportWorker, stopBulkExportWorker } = require('./services/bulkExportService');
+const { userService } = require('./services/userService');
+const { captureRawBody, isDeviceAuthEnabled } = require('./middleware/deviceAuth');
+const { authenticateUser, requireRole, forReads, isAuthEnabled } = require('./middleware/userAuth');
 const telemetryRoutes = require('./routes/telemetry');
+const deviceRoutes = require('./routes/devices');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const speciesPolicyRoutes = require('./routes/speciesPolicies');
+const individualRoutes = require('./routes/individuals');
+const deploymentRoutes = require('./routes/deployments');
+const clusterRoutes = require('./routes/clusters');
+const alertRoutes = require('./routes/alerts');
+const geofenceRoutes = require('./routes/geofences');
+const webhookRoutes = require('./routes/webhooks');
+const exportRoutes = require('./routes/exports');
+const tileRoutes = require('./routes/tiles');
 const healthRoutes = require('./routes/health');
 
 const app = express();
@@ -32,7 +53,7 @@ app.use(limiter);
 
 // Body parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -44,8 +65,24 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
-app.use('/api/v1/telemetry', telemetryRoutes);
+// Resolve the bearer token, if any, to req.user
+app.use(authenticateUser);
+
+// Routes. Telemetry reads need a signed-in user of any role; uploads
+// authenticate the device with its key instead (see routes/telemetry.js)
+app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/users', requireRole('admin'), userRoutes);
+app.use('/api/v1/telemetry', forReads(requireRole('admin', 'researcher', 'field-tech', 'viewer')), telemetryRoutes);
+app.use('/api/v1/devices', requireRole('admin', 'field-tech'), deviceRoutes);
+app.use('/api/v1/species-policies', requireRole('admin'), speciesPolicyRoutes);
+app.use('/api/v1/individuals', requireRole('admin', 'researcher', 'field-tech', 'viewer'), individualRoutes);
+app.use('/api/v1/deployments', requireRole('admin', 'researcher', 'field-tech', 'viewer'), deploymentRoutes);
+app.use('/api/v1/clusters', requireRole('admin', 'researcher', 'field-tech', 'viewer'), clusterRoutes);
+app.use('/api/v1/alerts', requireRole('admin', 'researcher', 'field-tech', 'viewer'), alertRoutes);
+app.use('/api/v1/geofences', requireRole('admin', 'researcher', 'field-tech', 'viewer'), geofenceRoutes);
+app.use('/api/v1/webhooks', requireRole('admin', 'researcher', 'field-tech'), webhookRoutes);
+app.use('/api/v1/exports', requireRole('admin', 'researcher', 'field-tech', 'viewer'), exportRoutes);
+app.use('/api/v1/tiles', requireRole('admin', 'researcher', 'field-tech', 'viewer'), tileRoutes);
 app.use('/health', healthRoutes);
 
 // Root endpoint
@@ -55,6 +92,18 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       telemetry: '/api/v1/telemetry',
+      auth: '/api/v1/auth',
+      users: '/api/v1/users',
+      devices: '/api/v1/devices',
+      speciesPolicies: '/api/v1/species-policies',
+      individuals: '/api/v1/individuals',
+      deployments: '/api/v1/deployments',
+      clusters: '/api/v1/clusters',
+      alerts: '/api/v1/alerts',
+      geofences: '/api/v1/geofences',
+      webhooks: '/api/v1/webhooks',
+      exports: '/api/v1/exports',
+      tiles: '/api/v1/tiles',
       health: '/health'
     }
   });
@@ -85,18 +134,42 @@ async function startServer() {
       try {
         await connectKafka();
         logger.info('Successfully connected to Kafka');
+
+        // Materialize the telemetry topic in-process unless a separate
+        // `npm run consumer` worker is deployed
+        if (process.env.KAFKA_CONSUMER_ENABLED === 'true') {
+          await startTelemetryConsumer();
+        }
       } catch (kafkaError) {
         logger.warn('Failed to connect to Kafka, continuing without Kafka support:', kafkaError.message);
-        logger.info('API will run in mock mode - telemetry data will not be persisted');
+        logger.info('Uploads will be queued in the outbox until Kafka is reachable');
       }
     } else {
-      logger.info('No Kafka brokers configured, running in mock mode');
+      logger.info('No Kafka brokers configured, uploads will be queued in the outbox');
     }
+
+    startOutboxFlusher();
+    startWebhookWorker();
+    importService.failInterrupted();
+    startBulkExportWorker();
+
+    // Accept telemetry published to an MQTT broker as well as over HTTP
+    if (process.env.MQTT_URL && process.env.MQTT_URL.trim()) {
+      startMqttGateway();
+    }
+
+    await userService.ensureBootstrapAdmin();
     
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV}`);
       logger.info(`CORS Origin: ${process.env.CORS_ORIGIN || '*'}`);
+      if (!isAuthEnabled()) {
+        logger.warn('AUTH_ENABLED=false, every request is treated as an admin');
+      }
+      if (!isDeviceAuthEnabled()) {
+        logger.warn('DEVICE_AUTH_ENABLED=false, uploads are accepted without a device key');
+      }
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -105,14 +178,21 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+  stopOutboxFlusher();
+  stopWebhookWorker();
+  stopBulkExportWorker();
+  await stopMqttGateway();
+  await stopTelemetryConsumer();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  startServer();
+}
 
-startServer(); 
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,232 @@
+const { alertService } = require('./alertService');
+const { mortalityService } = require('./mortalityService');
+const { webhookService } = require('./webhookService');
+const { RULE_TYPES } = require('../models/alert');
+const { getCollection, getTelemetryRepository } = require('../repositories');
+const geodesy = require('../utils/geodesy');
+const logger = require('../utils/logger');
+
+// Top speeds used by the `speed` rule until changed, in km/h
+const SPECIES_MAX_KMH = {
+  'Gray Wolf': 65,
+  Elk: 72,
+  Moose: 56,
+  'Grizzly Bear': 56,
+  'Black Bear': 56,
+  'Canada Lynx': 80,
+  'Mountain Lion': 80,
+  Caribou: 80,
+  'Mule Deer': 75,
+  Coyote: 69
+};
+
+// Checks made on each incoming point against the device's previous fix.
+// Each returns { message, details } when the rule fires, otherwise null.
+const POINT_RULES = {
+  low_battery(point, previous, { threshold }) {
+    const battery = point.metadata?.battery;
+    if (typeof battery !== 'number' || battery >= threshold) return null;
+    return { message: `Battery at ${battery}%`, details: { battery, threshold } };
+  },
+
+  signal_loss(point, previous, { threshold }) {
+    const signal = point.metadata?.signal;
+    if (typeof signal !== 'number' || signal >= threshold) return null;
+    return { message: `Signal at ${signal}%`, details: { signal, threshold } };
+  },
+
+  // The gap since the previous fix is rounded to whole fix intervals, so a
+  // fix arriving a little late does not count as missing
+  missed_fix(point, previous, { intervalMinutes, missedFixes }) {
+    if (!previous) return null;
+    const gapMinutes = (new Date(point.timestamp) - new Date(previous.timestamp)) / 60000;
+    const missed = Math.round(gapMinutes / intervalMinutes) - 1;
+    if (missed < missedFixes) return null;
+    return {
+      message: `${missed} scheduled fixes missed since ${previous.timestamp}`,
+      details: { missed, gapMinutes: Math.round(gapMinutes), intervalMinutes, previousFix: { id: previous.id, timestamp: previous.timestamp } }
+    };
+  },
+
+  // Fires when health changes to one of `states`, not on every fix after
+  health(point, previous, { states }) {
+    const health = point.wildlife?.health;
+    if (!states.includes(health) || previous?.wildlife?.health === health) return null;
+    return {
+      message: `Health reported as ${health}`,
+      details: { health, previousHealth: previous?.wildlife?.health || null }
+    };
+  },
+
+  critical_priority(point) {
+    if (point.priority !== 'critical') return null;
+    return { message: 'Device sent a critical priority point', details: { priority: point.priority } };
+  },
+
+  speed(point, previous, { speciesMaxKmh, defaultMaxKmh }) {
+    if (!previous?.location || !point.location) return null;
+    const species = point.wildlife?.species;
+    const entry = species && Object.entries(speciesMaxKmh).find(([name]) => name.toLowerCase() === species.toLowerCase());
+    const maxKmh = entry ? entry[1] : defaultMaxKmh;
+    if (typeof maxKmh !== 'number') return null;
+
+    const hours = (new Date(point.timestamp) - new Date(previous.timestamp)) / 3600000;
+    if (hours <= 0) return null;
+    const speedKmh = geodesy.distance(previous.location, point.location) / 1000 / hours;
+    if (speedKmh <= maxKmh) return null;
+    return {
+      message: `Moved at ${Math.round(speedKmh * 10) / 10} km/h, above the ${maxKmh} km/h maximum for ${species || 'unknown species'}`,
+      details: { speedKmh: Math.round(speedKmh * 100) / 100, maxKmh, previousFix: { id: previous.id, timestamp: previous.timestamp } }
+    };
+  }
+};
+
+// The latest of a device's `fixes`, oldest first, taken before `point`
+function previousFix(fixes, point) {
+  let low = 0;
+  let high = fixes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (fixes[middle].timestamp < point.timestamp) low = middle + 1;
+    else high = middle;
+  }
+  return low > 0 ? fixes[low - 1] : null;
+}
+
+// Alert rules evaluated on ingest. Each rule has a built-in default that can
+// be switched off or retuned through /api/v1/alerts/rules; changes are
+// stored in the `alert-rules` collection.
+class AlertRuleService {
+  get collection() {
+    return getCollection('alert-rules');
+  }
+
+  get defaults() {
+    return {
+      low_battery: { enabled: true, severity: 'medium', params: { threshold: 20 } },
+      signal_loss: { enabled: true, severity: 'medium', params: { threshold: 10 } },
+      missed_fix: { enabled: true, severity: 'medium', params: { intervalMinutes: 60, missedFixes: 3 } },
+      health: { enabled: true, severity: 'high', params: { states: ['injured', 'sick'] } },
+      critical_priority: { enabled: true, severity: 'critical', params: {} },
+      speed: { enabled: true, severity: 'medium', params: { speciesMaxKmh: SPECIES_MAX_KMH, defaultMaxKmh: null } },
+      mortality: { enabled: mortalityService.enabledByDefault, severity: 'critical', params: mortalityService.defaultParams }
+    };
+  }
+
+  listRules() {
+    return RULE_TYPES.map(type => this.getRule(type));
+  }
+
+  getRule(type) {
+    const rule = this.defaults[type];
+    if (!rule) return null;
+
+    const stored = this.collection.get(type);
+    return stored
+      ? { type, ...rule, ...stored, params: { ...rule.params, ...stored.params } }
+      : { type, ...rule };
+  }
+
+  setRule(type, { enabled, severity, params }, user) {
+    const current = this.getRule(type);
+    logger.info('Updated alert rule', { type, enabled, severity, params, user: user?.username });
+
+    this.collection.put({
+      id: type,
+      enabled: enabled === undefined ? current.enabled : enabled,
+      severity: severity || current.severity,
+      params: params || current.params,
+      updatedBy: user?.username || null,
+      updatedAt: new Date().toISOString()
+    });
+    return this.getRule(type);
+  }
+
+  // Run the enabled rules over newly stored points. Resolves to the alerts
+  // raised or refreshed, once each; new ones are also queued for webhooks,
+  // once however many points raised or refreshed them. Never rejects: a
+  // failed check is logged and must not fail the upload that triggered it.
+  async evaluate(points) {
+    const rules = this.listRules().filter(rule => rule.enabled);
+    const pointRules = rules.filter(rule => POINT_RULES[rule.type]);
+    const mortality = rules.find(rule => rule.type === 'mortality');
+    const outcomes = new Map();
+    const record = ({ alert, created }) => {
+      outcomes.set(alert.id, { alert, created: created || !!outcomes.get(alert.id)?.created });
+    };
+
+    // Each device's fixes are read once for all of its points and the
+    // mortality check: a batch from one collar must not scan the store point
+    // by point
+    const histories = new Map();
+    const historyOf = async (deviceId) => {
+      if (!histories.has(deviceId)) histories.set(deviceId, await this.deviceHistory(deviceId));
+      return histories.get(deviceId);
+    };
+
+    const ordered = [...points].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    for (const point of pointRules.length > 0 ? ordered : []) {
+      try {
+        const previous = previousFix(await historyOf(point.deviceId), point);
+        for (const rule of pointRules) {
+          const result = POINT_RULES[rule.type](point, previous, rule.params);
+          if (result) record(this.raise(rule, point, result));
+        }
+      } catch (error) {
+        logger.error('Alert rule evaluation failed', { deviceId: point.deviceId, error: error.message });
+      }
+    }
+
+    for (const deviceId of mortality ? new Set(points.map(point => point.deviceId)) : []) {
+      try {
+        const outcome = mortalityService.checkDevice(await historyOf(deviceId), mortality);
+        if (outcome) record(outcome);
+      } catch (error) {
+        logger.error('Mortality check failed', { deviceId, error: error.message });
+      }
+    }
+
+    const raised = [...outcomes.values()];
+    webhookService.notifyAlerts(raised.filter(outcome => outcome.created).map(outcome => outcome.alert));
+    return raised.map(outcome => outcome.alert);
+  }
+
+  // Every stored fix of a device, oldest first
+  async deviceHistory(deviceId) {
+    const fixes = [];
+    for await (const fix of getTelemetryRepository().scan({ deviceId })) fixes.push(fix);
+    return fixes;
+  }
+
+  raise(rule, point, { message, details }) {
+    const individualId = point.wildlife?.individualId;
+    return alertService.raise({
+      type: rule.type,
+      // Health follows the animal; everything else is about the device
+      key: rule.type === 'health' && individualId ? individualId : point.deviceId,
+      severity: rule.severity,
+      deviceId: point.deviceId,
+      individualId,
+      deploymentId: point.wildlife?.deploymentId,
+      species: point.wildlife?.species,
+      timestamp: point.timestamp,
+      location: point.location && { latitude: point.location.latitude, longitude: point.location.longitude },
+      message,
+      details: { ...details, fixId: point.id }
+    });
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const alertRuleService = new AlertRuleService();
+
+module.exports = {
+  SPECIES_MAX_KMH,
+  POINT_RULES,
+  previousFix,
+  alertRuleService
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { locationPolicyService } = require('./locationPolicyService');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Alerts raised by analysis of incoming telemetry, see alertRuleService.
+//
+// An alert is open until someone acknowledges it and stays active until it
+// is resolved. The condition that raised it is identified by `key` (e.g. the
+// deployment for a mortality alert), so while it is active a repeat of the
+// same condition updates the alert instead of raising another.
+class AlertService {
+  get collection() {
+    return getCollection('alerts');
+  }
+
+  // Raise an alert, or refresh the active alert with the same type and key.
+  // Returns { alert, created } with the stored alert and whether it is new.
+  raise({ type, key, ...alert }) {
+    const existing = this.findActive(type, key);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      return { alert: this.collection.put({ ...existing, ...alert, updatedAt: now }), created: false };
+    }
+
+    const raised = this.collection.put({
+      id: `alert_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      key,
+      status: 'open',
+      ...alert,
+      raisedAt: now,
+      updatedAt: now
+    });
+
+    logger.warn('Raised alert', { id: raised.id, type, deviceId: raised.deviceId, individualId: raised.individualId });
+    return { alert: raised, created: true };
+  }
+
+  // The unresolved alert of a type for a key, if any
+  findActive(type, key) {
+    return this.collection.find(alert => alert.type === type && alert.key === key && alert.status !== 'resolved')[0] || null;
+  }
+
+  getAlert(id) {
+    return this.collection.get(id);
+  }
+
+  // Alerts whose triggering fix falls in the window, newest first
+  listAlerts({ status, type, severity, deviceId, individualId, species, startDate, endDate, limit = Infinity } = {}) {
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+    return this.collection
+      .find(alert => {
+        const time = new Date(alert.timestamp).getTime();
+        return time >= start && time <= end &&
+          (!status || alert.status === status) &&
+          (!type || alert.type === type) &&
+          (!severity || alert.severity === severity) &&
+          (!deviceId || alert.deviceId === deviceId) &&
+          (!individualId || alert.individualId === individualId) &&
+          (!species || alert.species === species);
+      })
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  }
+
+  // Record that someone has seen an open alert and is dealing with it
+  acknowledge(id, user, note) {
+    const alert = this.getAlert(id);
+    if (!alert) return null;
+    if (alert.status !== 'open') {
+      const error = new Error(`Alert is already ${alert.status}`);
+      error.code = 'ALERT_NOT_OPEN';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    logger.info('Acknowledged alert', { id, user: user?.username });
+    return this.collection.put({
+      ...alert,
+      status: 'acknowledged',
+      acknowledgedBy: user?.username || null,
+      acknowledgedAt: now,
+      acknowledgeNote: note,
+      updatedAt: now
+    });
+  }
+
+  // Close an alert. A repeat of its condition raises a new one.
+  resolve(id, user, note) {
+    const alert = this.getAlert(id);
+    if (!alert) return null;
+    if (alert.status === 'resolved') {
+      const error = new Error('Alert is already resolved');
+      error.code = 'ALERT_NOT_OPEN';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    logger.info('Resolved alert', { id, user: user?.username });
+    return this.collection.put({
+      ...alert,
+      status: 'resolved',
+      resolvedBy: user?.username || null,
+      resolvedAt: now,
+      resolveNote: note,
+      updatedAt: now
+    });
+  }
+
+  // Alerts as the caller may see them. An alert's location is treated like
+  // the fix that raised it: withheld during the species' embargo and
+  // obfuscated, with the individual and deployment removed and the collar
+  // pseudonymized where the policy strips them. `filters` are those the
+  // alerts were selected by, as for scopeQuery().
+  redactAll(alerts, user, filters = {}) {
+    const { where } = locationPolicyService.scopeQuery(filters, user);
+    if (!where) return alerts;
+
+    return alerts.reduce((visible, alert) => {
+      const point = {
+        id: alert.id,
+        deviceId: alert.deviceId,
+        timestamp: alert.timestamp,
+        location: alert.location,
+        wildlife: { species: alert.species, individualId: alert.individualId }
+      };
+      if (!where(point)) return visible;
+
+      const redacted = locationPolicyService.redact(point, user);
+      const copy = { ...alert, location: redacted.location };
+      if (!redacted.wildlife.individualId) {
+        delete copy.individualId;
+        delete copy.deploymentId;
+        delete copy.key;
+      }
+      if (redacted.deviceId !== alert.deviceId) {
+        copy.deviceId = redacted.deviceId;
+        if (copy.details && copy.details.fixId) {
+          copy.details = { ...copy.details, fixId: locationPolicyService.pseudonymizeId(copy.details.fixId, alert.deviceId) };
+        }
+      }
+      if (copy.details && copy.details.location) {
+        copy.details = { ...copy.details, location: redacted.location };
+      }
+      visible.push(copy);
+      return visible;
+    }, []);
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const alertService = new AlertService();
+
+module.exports = {
+  alertService
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { userService } = require('./userService');
+const logger = require('../utils/logger');
+
+const ISSUER = 'wildtrack-api';
+
+// Username/password accounts stored by userService
+const localProvider = {
+  async authenticate({ username, password }) {
+    return await userService.verifyCredentials(username, password);
+  }
+};
+
+// Issues and verifies the API's session tokens.
+//
+// Sign-in is delegated to identity providers, each an object with
+// `authenticate(credentials)` resolving to a user or null. Only `local` ships
+// today; an OIDC provider can be added with registerProvider() without
+// touching the token or role handling.
+class AuthService {
+  constructor() {
+    this.providers = new Map([['local', localProvider]]);
+    this.generatedSecret = null;
+  }
+
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  get secret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (!this.generatedSecret) {
+      logger.warn('JWT_SECRET is not set, using a random secret; sessions will not survive a restart');
+      this.generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.generatedSecret;
+  }
+
+  get expiresIn() {
+    return process.env.JWT_EXPIRES_IN || '12h';
+  }
+
+  // Resolves to { token, expiresAt, user } or null for bad credentials
+  async login({ provider = 'local', ...credentials }) {
+    const identityProvider = this.providers.get(provider);
+    if (!identityProvider) {
+      const error = new Error(`Unknown identity provider "${provider}"`);
+      error.code = 'UNKNOWN_PROVIDER';
+      throw error;
+    }
+
+    const user = await identityProvider.authenticate(credentials);
+    if (!user || user.disabled) {
+      logger.warn('Failed sign-in', { provider, username: credentials.username });
+      return null;
+    }
+
+    return { ...this.issueToken(user), user: userService.recordLogin(user) };
+  }
+
+  issueToken(user) {
+    const token = jwt.sign(
+      { role: user.role, username: user.username },
+      this.secret,
+      { subject: user.id, issuer: ISSUER, expiresIn: this.expiresIn }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  // Resolve a token to its current user, or null if the token is invalid or
+  // the user has since been removed or disabled
+  verifyToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { issuer: ISSUER });
+    } catch (error) {
+      return null;
+    }
+
+    const user = userService.getUser(claims.sub);
+    return user && !user.disabled ? user : null;
+  }
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = {
+  authService
+};
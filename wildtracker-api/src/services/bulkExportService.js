@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const parquet = require('parquetjs-lite');
+const { locationPolicyService } = require('./locationPolicyService');
+const { getCollection, getStorageConfig, getTelemetryRepository } = require('../repositories');
+const { toPointFeature } = require('../utils/trackFormats');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+const FILE_TYPES = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+// Flat columns of the CSV and Parquet exports
+const COLUMNS = [
+  { name: 'id', type: 'UTF8', get: point => point.id },
+  { name: 'deviceId', type: 'UTF8', get: point => point.deviceId },
+  { name: 'timestamp', type: 'TIMESTAMP_MILLIS', get: point => point.timestamp },
+  { name: 'latitude', type: 'DOUBLE', get: point => point.location?.latitude },
+  { name: 'longitude', type: 'DOUBLE', get: point => point.location?.longitude },
+  { name: 'altitude', type: 'DOUBLE', get: point => point.location?.altitude },
+  { name: 'accuracy', type: 'DOUBLE', get: point => point.location?.accuracy },
+  { name: 'obfuscated', type: 'UTF8', get: point => point.location?.obfuscated },
+  { name: 'species', type: 'UTF8', get: point => point.wildlife?.species },
+  { name: 'individualId', type: 'UTF8', get: point => point.wildlife?.individualId },
+  { name: 'deploymentId', type: 'UTF8', get: point => point.wildlife?.deploymentId },
+  { name: 'activity', type: 'UTF8', get: point => point.wildlife?.activity },
+  { name: 'health', type: 'UTF8', get: point => point.wildlife?.health },
+  { name: 'temperature', type: 'DOUBLE', get: point => point.sensors?.temperature },
+  { name: 'battery', type: 'DOUBLE', get: point => point.metadata?.battery },
+  { name: 'signal', type: 'DOUBLE', get: point => point.metadata?.signal }
+];
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes to a file stream, waiting whenever its buffer is full so memory
+// stays flat however large the export is
+class FileWriter {
+  constructor(filePath) {
+    this.stream = fs.createWriteStream(filePath);
+    this.failed = once(this.stream, 'error').then(([error]) => { throw error; });
+    this.failed.catch(() => {});
+  }
+
+  async write(chunk) {
+    if (!this.stream.write(chunk)) {
+      await Promise.race([once(this.stream, 'drain'), this.failed]);
+    }
+  }
+
+  async close() {
+    this.stream.end();
+    await Promise.race([once(this.stream, 'finish'), this.failed]);
+  }
+}
+
+// Writers for each format. Each takes the points to export and the path to
+// write to, and resolves to the number of rows written.
+const WRITERS = {
+  async csv(points, filePath) {
+    const file = new FileWriter(filePath);
+    await file.write(COLUMNS.map(column => column.name).join(',') + '\n');
+    let rows = 0;
+    for await (const point of points) {
+      await file.write(COLUMNS.map(column => csvValue(column.get(point))).join(',') + '\n');
+      rows++;
+    }
+    await file.close();
+    return rows;
+  },
+
+  async ndjson(points, filePath) {
+    const file = new FileWriter(filePath);
+    let rows = 0;
+    for await (const point of points) {
+      await file.write(JSON.stringify(point) + '\n');
+      rows++;
+    }
+    await file.close();
+    return rows;
+  },
+
+  // Points without a position have no geometry and are left out
+  async geojson(points, filePath) {
+    const file = new FileWriter(filePath);
+    await file.write('{"type":"FeatureCollection","features":[');
+    let rows = 0;
+    for await (const point of points) {
+      if (typeof point.location?.latitude !== 'number') continue;
+      await file.write((rows > 0 ? ',\n' : '\n') + JSON.stringify(toPointFeature(point)));
+      rows++;
+    }
+    await file.write('\n]}\n');
+    await file.close();
+    return rows;
+  },
+
+  async parquet(points, filePath) {
+    // Statistics are left off the timestamp column, as parquetjs cannot read
+    // back int64 statistics on current Node versions
+    const schema = new parquet.ParquetSchema(Object.fromEntries(COLUMNS.map(column => [column.name, {
+      type: column.type,
+      optional: column.name !== 'id' && column.name !== 'timestamp',
+      statistics: column.type !== 'TIMESTAMP_MILLIS'
+    }])));
+    const writer = await parquet.ParquetWriter.openFile(schema, filePath, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+    let rows = 0;
+    try {
+      for await (const point of points) {
+        const row = {};
+        for (const column of COLUMNS) {
+          const value = column.get(point);
+          if (value === undefined || value === null) continue;
+          row[column.name] = column.type === 'TIMESTAMP_MILLIS' ? new Date(value) : value;
+        }
+        await writer.appendRow(row);
+        rows++;
+      }
+    } finally {
+      await writer.close();
+    }
+    return rows;
+  }
+};
+
+// Bulk exports of telemetry to files, behind /api/v1/exports.
+//
+// A job holds a format and the /data filters, and runs in the background,
+// one at a time. Matching points are streamed from the telemetry store,
+// oldest first, through the location policies of the user who asked for the
+// export, into a file under EXPORT_DIR. Completed files can be downloaded
+// until EXPORT_RETENTION_HOURS after they were written, when the worker
+// removes them and marks the job expired. Jobs cut short by a restart run
+// again when the worker starts.
+class BulkExportService {
+  constructor() {
+    this.pending = [];
+    this.running = null;
+    this.timer = null;
+  }
+
+  get collection() {
+    return getCollection('export-jobs');
+  }
+
+  get config() {
+    return {
+      dir: process.env.EXPORT_DIR || path.join(getStorageConfig().dir, 'exports'),
+      retentionHours: parseInt(process.env.EXPORT_RETENTION_HOURS) || 24,
+      pruneIntervalMs: parseInt(process.env.EXPORT_PRUNE_INTERVAL_MS) || 15 * 60 * 1000
+    };
+  }
+
+  fileType(job) {
+    return FILE_TYPES[job.format];
+  }
+
+  filePath(job) {
+    return path.join(this.config.dir, `${job.id}.${this.fileType(job).extension}`);
+  }
+
+  createJob({ format, query }, user) {
+    const job = {
+      id: `exp_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'queued',
+      format,
+      query,
+      rows: null,
+      bytes: null,
+      filename: null,
+      error: null,
+      createdBy: user ? { id: user.id, username: user.username, role: user.role } : null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null
+    };
+    this.collection.put(job);
+    logger.info('Telemetry export queued', { jobId: job.id, format, user: user?.username });
+    this.enqueue(job.id);
+    return job;
+  }
+
+  getJob(id) {
+    return this.collection.get(id);
+  }
+
+  // Newest first
+  listJobs({ ownerId, status } = {}) {
+    return this.collection
+      .find(job => (ownerId === undefined || job.createdBy?.id === ownerId) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Remove a job and its file. A running job is removed once it ends.
+  deleteJob(id) {
+    const job = this.collection.get(id);
+    if (!job) return false;
+    this.collection.delete(id);
+    this.pending = this.pending.filter(jobId => jobId !== id);
+    fs.rm(this.filePath(job), { force: true }, () => {});
+    return true;
+  }
+
+  enqueue(id) {
+    this.pending.push(id);
+    if (!this.running) {
+      this.running = this.drain().finally(() => { this.running = null; });
+    }
+  }
+
+  // Resolves once every queued job has run
+  async whenIdle() {
+    while (this.running) await this.running;
+  }
+
+  async drain() {
+    while (this.pending.length > 0) {
+      await this.run(this.pending.shift());
+    }
+  }
+
+  async run(id) {
+    const queued = this.collection.get(id);
+    if (!queued) return;
+    const job = { ...queued, status: 'running', startedAt: new Date().toISOString() };
+    this.collection.put(job);
+
+    const filePath = this.filePath(job);
+    const partialPath = `${filePath}.partial`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const scoped = locationPolicyService.scopeQuery(job.query, job.createdBy);
+      const points = locationPolicyService.redactEach(getTelemetryRepository().scan(scoped.filters, { where: scoped.where }), job.createdBy);
+
+      const rows = await WRITERS[job.format](points, partialPath);
+      fs.renameSync(partialPath, filePath);
+
+      const finishedAt = new Date();
+      Object.assign(job, {
+        status: 'completed',
+        rows,
+        bytes: fs.statSync(filePath).size,
+        filename: `wildtrack-export-${finishedAt.toISOString().slice(0, 10)}.${this.fileType(job).extension}`,
+        expiresAt: new Date(finishedAt.getTime() + this.config.retentionHours * HOUR).toISOString()
+      });
+      logger.info('Telemetry export completed', { jobId: id, format: job.format, rows, bytes: job.bytes });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      fs.rm(partialPath, { force: true }, () => {});
+      logger.error('Telemetry export failed', { jobId: id, error: error.message });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    if (this.collection.has(id)) {
+      this.collection.put(job);
+    } else {
+      // Deleted while running
+      fs.rm(filePath, { force: true }, () => {});
+    }
+  }
+
+  // Remove files past their retention period
+  prune(now = Date.now()) {
+    let expired = 0;
+    for (const job of this.collection.find(job => job.status === 'completed' && new Date(job.expiresAt).getTime() <= now)) {
+      fs.rmSync(this.filePath(job), { force: true });
+      this.collection.put({ ...job, status: 'expired' });
+      expired++;
+    }
+    if (expired > 0) logger.info('Expired telemetry exports', { count: expired });
+    return expired;
+  }
+
+  // Run jobs cut short by a restart again, and prune on a timer
+  start() {
+    if (this.timer) return;
+
+    for (const job of this.collection.find(job => job.status === 'queued' || job.status === 'running')) {
+      if (!this.pending.includes(job.id)) this.enqueue(job.id);
+    }
+
+    this.prune();
+    this.timer = setInterval(() => this.prune(), this.config.pruneIntervalMs);
+    this.timer.unref();
+    logger.info('Telemetry export worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  clear() {
+    for (const job of this.collection.values()) {
+      fs.rm(this.filePath(job), { force: true }, () => {});
+    }
+    this.pending = [];
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const bulkExportService = new BulkExportService();
+
+function startBulkExportWorker() {
+  bulkExportService.start();
+}
+
+function stopBulkExportWorker() {
+  bulkExportService.stop();
+}
+
+module.exports = {
+  FILE_TYPES,
+  COLUMNS,
+  bulkExportService,
+  startBulkExportWorker,
+  stopBulkExportWorker
+};
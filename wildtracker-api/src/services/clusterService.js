@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { getCollection } = require('../repositories');
+const geodesy = require('../utils/geodesy');
+const logger = require('../utils/logger');
+
+function round6(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+function centroidOf(fixes) {
+  return {
+    latitude: fixes.reduce((sum, fix) => sum + fix.location.latitude, 0) / fixes.length,
+    longitude: fixes.reduce((sum, fix) => sum + fix.location.longitude, 0) / fixes.length
+  };
+}
+
+// Most frequent wildlife.activity, ties going to the earliest seen
+function dominantActivity(fixes) {
+  const counts = new Map();
+  for (const fix of fixes) {
+    const activity = fix.wildlife?.activity;
+    if (activity) counts.set(activity, (counts.get(activity) || 0) + 1);
+  }
+  let dominant = null;
+  for (const [activity, count] of counts) {
+    if (dominant === null || count > counts.get(dominant)) dominant = activity;
+  }
+  return dominant;
+}
+
+function clusterId(individualId, firstFix) {
+  return `cl_${crypto.createHash('sha256').update(`${individualId}|${firstFix.id}`).digest('hex').slice(0, 16)}`;
+}
+
+// Space-time clusters in a track: runs of consecutive fixes that each fall
+// within `radius` metres of the running centroid, lasting at least
+// `minDurationHours` and holding at least `minFixes` fixes. Fixes must be
+// oldest first and have a location.
+function detectClusters(fixes, { radius, minDurationHours, minFixes }) {
+  const clusters = [];
+  let current = [];
+  let centroid = null;
+
+  const close = () => {
+    if (current.length === 0) return;
+    const first = current[0];
+    const last = current[current.length - 1];
+    const hours = (new Date(last.timestamp) - new Date(first.timestamp)) / 3600000;
+    if (current.length >= minFixes && hours >= minDurationHours) {
+      clusters.push({ fixes: current, centroid, durationHours: hours });
+    }
+  };
+
+  for (const fix of fixes) {
+    if (centroid && geodesy.distance(centroid, fix.location) <= radius) {
+      current.push(fix);
+      centroid = centroidOf(current);
+    } else {
+      close();
+      current = [fix];
+      centroid = centroidOf(current);
+    }
+  }
+  close();
+
+  return clusters;
+}
+
+// Kill-site and den candidates found in individuals' tracks. Detected
+// clusters are stored by an id derived from their first fix, so re-running
+// detection updates the cluster without losing the field crew's
+// investigation of it.
+class ClusterService {
+  get collection() {
+    return getCollection('clusters');
+  }
+
+  // Detect clusters in an individual's fixes (oldest first), without
+  // storing them. Clusters already stored keep their investigation.
+  detect(individualId, fixes, params) {
+    return detectClusters(fixes, params).map(({ fixes: members, centroid, durationHours }) => {
+      const first = members[0];
+      const last = members[members.length - 1];
+      const id = clusterId(individualId, first);
+      const existing = this.collection.get(id);
+
+      return {
+        id,
+        individualId,
+        species: first.wildlife?.species,
+        centroid: { latitude: round6(centroid.latitude), longitude: round6(centroid.longitude) },
+        radiusMeters: Math.round(Math.max(...members.map(fix => geodesy.distance(centroid, fix.location))) * 10) / 10,
+        firstFix: { id: first.id, timestamp: first.timestamp },
+        lastFix: { id: last.id, timestamp: last.timestamp },
+        durationHours: Math.round(durationHours * 100) / 100,
+        fixCount: members.length,
+        dominantActivity: dominantActivity(members),
+        parameters: params,
+        detectedAt: new Date().toISOString(),
+        investigation: existing ? existing.investigation : null
+      };
+    });
+  }
+
+  // Detect clusters as detect() does and store them
+  findClusters(individualId, fixes, params) {
+    return this.detect(individualId, fixes, params).map(cluster => this.collection.put(cluster));
+  }
+
+  getCluster(id) {
+    return this.collection.get(id);
+  }
+
+  listClusters({ individualId, investigated } = {}) {
+    return this.collection
+      .find(cluster =>
+        (!individualId || cluster.individualId === individualId) &&
+        (investigated === undefined || !!cluster.investigation === investigated))
+      .sort((a, b) => a.firstFix.timestamp.localeCompare(b.firstFix.timestamp));
+  }
+
+  // Record a site visit. Resolves to null when the cluster is unknown.
+  recordInvestigation(id, { finding, preySpecies, visitedAt, notes }, user) {
+    const cluster = this.getCluster(id);
+    if (!cluster) return null;
+
+    logger.info('Recorded cluster investigation', { id, finding, user: user?.username });
+    return this.collection.put({
+      ...cluster,
+      investigation: {
+        finding,
+        preySpecies,
+        notes,
+        visitedAt: new Date(visitedAt).toISOString(),
+        investigatedBy: user?.username || null,
+        investigatedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const clusterService = new ClusterService();
+
+module.exports = {
+  detectClusters,
+  dominantActivity,
+  clusterService
+};
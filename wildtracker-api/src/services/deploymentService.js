@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { getCollection, getTelemetryRepository } = require('../repositories');
+const { individualService } = require('./individualService');
+const logger = require('../utils/logger');
+
+function endTime(deployment) {
+  return deployment.endedAt ? Date.parse(deployment.endedAt) : Infinity;
+}
+
+function covers(deployment, timestamp) {
+  const time = Date.parse(timestamp);
+  return Date.parse(deployment.startedAt) <= time && time < endTime(deployment);
+}
+
+function overlaps(a, b) {
+  return Date.parse(a.startedAt) < endTime(b) && Date.parse(b.startedAt) < endTime(a);
+}
+
+// Which animal wore which collar, and when. A deployment covers
+// [startedAt, endedAt); a device can only be on one animal at a time, though
+// an animal may carry several devices.
+//
+// Fixes that arrive without wildlife.individualId are linked to the animal
+// wearing the collar at the fix time, and carry the deployment's id in
+// wildlife.deploymentId so the link can be undone if the deployment changes.
+class DeploymentService {
+  get collection() {
+    return getCollection('deployments');
+  }
+
+  createDeployment({ deviceId, individualId, startedAt, endedAt, ...details }) {
+    const individual = individualService.getIndividual(individualId);
+    if (!individual || individual.status === 'retired') {
+      const error = new Error(`Individual "${individualId}" is not registered or has been retired`);
+      error.code = 'INDIVIDUAL_NOT_FOUND';
+      throw error;
+    }
+
+    const deployment = {
+      id: `dep_${crypto.randomBytes(8).toString('hex')}`,
+      deviceId,
+      individualId,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: endedAt ? new Date(endedAt).toISOString() : undefined,
+      ...details,
+      createdAt: new Date().toISOString()
+    };
+
+    const conflict = this.listDeployments({ deviceId }).find(existing => overlaps(existing, deployment));
+    if (conflict) {
+      const error = new Error(`Device "${deviceId}" is already deployed on "${conflict.individualId}" during this period`);
+      error.code = 'DEPLOYMENT_OVERLAP';
+      error.conflict = conflict;
+      throw error;
+    }
+
+    this.collection.put(deployment);
+    logger.info('Recorded collar deployment', { id: deployment.id, deviceId, individualId });
+    return deployment;
+  }
+
+  getDeployment(id) {
+    return this.collection.get(id);
+  }
+
+  listDeployments({ deviceId, individualId, active } = {}) {
+    return this.collection
+      .find(deployment =>
+        (!deviceId || deployment.deviceId === deviceId) &&
+        (!individualId || deployment.individualId === individualId) &&
+        (active === undefined || !deployment.endedAt === active))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  // Close an open deployment. Resolves to null when it does not exist.
+  endDeployment(id, { endedAt, detachReason, notes }) {
+    const deployment = this.getDeployment(id);
+    if (!deployment) return null;
+
+    if (deployment.endedAt) {
+      const error = new Error(`Deployment "${id}" already ended at ${deployment.endedAt}`);
+      error.code = 'DEPLOYMENT_ENDED';
+      throw error;
+    }
+    if (Date.parse(endedAt) <= Date.parse(deployment.startedAt)) {
+      const error = new Error('endedAt must be after the deployment started');
+      error.code = 'INVALID_END';
+      throw error;
+    }
+
+    logger.info('Ended collar deployment', { id, detachReason });
+    return this.collection.put({
+      ...deployment,
+      endedAt: new Date(endedAt).toISOString(),
+      detachReason,
+      notes: notes !== undefined ? notes : deployment.notes
+    });
+  }
+
+  // Deployment covering a device at a time
+  findDeploymentAt(deviceId, timestamp) {
+    return this.collection.find(deployment => deployment.deviceId === deviceId && covers(deployment, timestamp))[0] || null;
+  }
+
+  // Fill in wildlife.individualId from the collar's deployment when the
+  // point does not name the animal itself
+  resolveIndividual(telemetryData) {
+    if (telemetryData.wildlife?.individualId) return telemetryData;
+
+    const deployment = this.findDeploymentAt(telemetryData.deviceId, telemetryData.timestamp) ||
+      (telemetryData.wildlife?.collarId && this.findDeploymentAt(telemetryData.wildlife.collarId, telemetryData.timestamp));
+    if (!deployment) return telemetryData;
+
+    return {
+      ...telemetryData,
+      wildlife: {
+        ...telemetryData.wildlife,
+        individualId: deployment.individualId,
+        deploymentId: deployment.id
+      }
+    };
+  }
+
+  // Link stored points that arrived before the deployment was recorded.
+  // Resolves to the number of points linked.
+  async linkTelemetry(deployment) {
+    const repository = getTelemetryRepository();
+    const { data } = await repository.query(
+      { deviceId: deployment.deviceId, limit: Infinity },
+      { where: point => !point.wildlife?.individualId && covers(deployment, point.timestamp) }
+    );
+
+    const linked = data
+      .map(point => individualService.applyRegistry(this.resolveIndividual(point)))
+      .filter(result => result.value && result.value.wildlife?.deploymentId === deployment.id)
+      .map(result => result.value);
+    await repository.saveMany(linked);
+    return linked.length;
+  }
+
+  // Undo links made through a deployment for points it no longer covers.
+  // Resolves to the number of points unlinked.
+  async unlinkTelemetry(deployment) {
+    const repository = getTelemetryRepository();
+    const { data } = await repository.query(
+      { deviceId: deployment.deviceId, limit: Infinity },
+      { where: point => point.wildlife?.deploymentId === deployment.id && !covers(deployment, point.timestamp) }
+    );
+
+    const unlinked = data.map(point => {
+      const wildlife = { ...point.wildlife };
+      delete wildlife.individualId;
+      delete wildlife.deploymentId;
+      return { ...point, wildlife };
+    });
+    await repository.saveMany(unlinked);
+    return unlinked.length;
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const deploymentService = new DeploymentService();
+
+module.exports = {
+  deploymentService
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+function timingSafeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Per-device credentials for the ingest routes.
+//
+// A key is issued once as `<keyId>.<secret>`. Devices either send it whole in
+// the API key header, or keep it private and sign each request with
+// HMAC-SHA256(secret, `<timestamp>.<raw body>`). The secret is kept so that
+// signatures can be checked; it is only ever returned when the key is issued.
+class DeviceKeyService {
+  constructor() {
+    // Signatures seen within the tolerance window, to refuse exact replays
+    this.seenSignatures = new Map();
+  }
+
+  get collection() {
+    return getCollection('device-keys');
+  }
+
+  get toleranceSeconds() {
+    return parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS) || 300;
+  }
+
+  issueKey(deviceId, { label, expiresAt } = {}) {
+    const keyId = `dk_${crypto.randomBytes(8).toString('hex')}`;
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = this.collection.put({
+      id: keyId,
+      deviceId,
+      label,
+      secret,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
+    });
+
+    logger.info('Issued device key', { deviceId, keyId });
+    return { key, apiKey: `${keyId}.${secret}`, secret };
+  }
+
+  listKeys(deviceId) {
+    return this.collection
+      .find(key => key.deviceId === deviceId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  revokeKey(deviceId, keyId) {
+    const key = this.collection.get(keyId);
+    if (!key || key.deviceId !== deviceId) return null;
+    if (key.revokedAt) return key;
+
+    logger.info('Revoked device key', { deviceId, keyId });
+    return this.collection.put({ ...key, revokedAt: new Date().toISOString() });
+  }
+
+  // Key record for keyId if it may currently be used, otherwise null
+  getActiveKey(keyId) {
+    const key = keyId ? this.collection.get(keyId) : null;
+    if (!key || key.revokedAt) return null;
+    if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) return null;
+    return key;
+  }
+
+  // Check a `<keyId>.<secret>` API key. Resolves to the key record or null.
+  verifyApiKey(apiKey) {
+    const [keyId, secret] = String(apiKey).split('.');
+    const key = this.getActiveKey(keyId);
+    if (!key || !secret || !timingSafeEqual(key.secret, secret)) return null;
+    return this.touch(key);
+  }
+
+  // Check an HMAC-signed request. Returns { key } on success or { error }.
+  verifySignature({ keyId, timestamp, signature, rawBody }) {
+    const seconds = Number(timestamp);
+    if (!Number.isInteger(seconds)) {
+      return { error: 'Signature timestamp must be a Unix time in seconds' };
+    }
+    if (Math.abs(Date.now() / 1000 - seconds) > this.toleranceSeconds) {
+      return { error: 'Signature timestamp is outside the allowed window' };
+    }
+
+    const key = this.getActiveKey(keyId);
+    if (!key) {
+      return { error: 'Unknown or revoked device key' };
+    }
+
+    const expected = this.sign(key.secret, timestamp, rawBody);
+    const provided = String(signature).replace(/^sha256=/, '');
+    if (!timingSafeEqual(expected, provided)) {
+      return { error: 'Signature does not match request body' };
+    }
+
+    this.pruneSignatures();
+    if (this.seenSignatures.has(provided)) {
+      return { error: 'Signature has already been used' };
+    }
+    this.seenSignatures.set(provided, (seconds + this.toleranceSeconds) * 1000);
+
+    return { key: this.touch(key) };
+  }
+
+  sign(secret, timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(rawBody || '')
+      .digest('hex');
+  }
+
+  pruneSignatures() {
+    const now = Date.now();
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt < now) this.seenSignatures.delete(signature);
+    }
+  }
+
+  // Record when a key was last used, at most once a minute per key
+  touch(key) {
+    const now = Date.now();
+    if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) > 60 * 1000) {
+      return this.collection.put({ ...key, lastUsedAt: new Date(now).toISOString() });
+    }
+    return key;
+  }
+
+  clear() {
+    this.collection.clear();
+    this.seenSignatures.clear();
+  }
+}
+
+// Create singleton instance
+const deviceKeyService = new DeviceKeyService();
+
+module.exports = {
+  deviceKeyService
+};
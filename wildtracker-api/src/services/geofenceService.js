@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { webhookService } = require('./webhookService');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Even-odd ray cast of a [longitude, latitude] ring. Points on an edge may
+// fall either side.
+function ringContains(ring, longitude, latitude) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) &&
+        longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside every hole
+function polygonContains([outer, ...holes], longitude, latitude) {
+  return ringContains(outer, longitude, latitude) &&
+    !holes.some(hole => ringContains(hole, longitude, latitude));
+}
+
+// Is a { latitude, longitude } inside a GeoJSON Polygon or MultiPolygon?
+function geometryContains(geometry, { latitude, longitude }) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(polygon => polygonContains(polygon, longitude, latitude));
+}
+
+function appliesTo(geofence, species) {
+  if (!geofence.species) return true;
+  return !!species && geofence.species.some(name => name.toLowerCase() === species.toLowerCase());
+}
+
+// Who a point is about: the animal when known, otherwise the collar
+function subjectOf(point) {
+  return point.wildlife?.individualId || `device:${point.deviceId}`;
+}
+
+// Geofences and the enter/exit events of animals crossing them.
+//
+// Whether each animal is inside each geofence is kept in `geofence-states`,
+// so an event is recorded only when that changes, not for every fix inside.
+// An animal's first fix inside a geofence counts as entering it; a first fix
+// outside records nothing. Events are shaped like telemetry points, with
+// `wildlife.species`, `wildlife.individualId` and a `location`, so location
+// policies apply to them unchanged.
+class GeofenceService {
+  get collection() {
+    return getCollection('geofences');
+  }
+
+  get states() {
+    return getCollection('geofence-states');
+  }
+
+  get events() {
+    return getCollection('geofence-events');
+  }
+
+  createGeofence(data) {
+    const now = new Date().toISOString();
+    const geofence = this.collection.put({
+      id: `gf_${crypto.randomBytes(8).toString('hex')}`,
+      ...data,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logger.info('Created geofence', { id: geofence.id, name: geofence.name });
+    return geofence;
+  }
+
+  getGeofence(id) {
+    return this.collection.get(id);
+  }
+
+  listGeofences() {
+    return this.collection.values().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Animals' inside/outside state is kept across a change of shape, so the
+  // next fix from each records any crossing the change implies
+  updateGeofence(id, changes) {
+    const geofence = this.getGeofence(id);
+    if (!geofence) return null;
+
+    const updated = { ...geofence, ...changes, updatedAt: new Date().toISOString() };
+    if (changes.species === null) delete updated.species;
+    return this.collection.put(updated);
+  }
+
+  // Remove a geofence and its states; its events stay in the history
+  deleteGeofence(id) {
+    if (!this.collection.delete(id)) return false;
+    this.states.find(state => state.geofenceId === id).forEach(state => this.states.delete(state.id));
+    logger.info('Deleted geofence', { id });
+    return true;
+  }
+
+  // Check newly stored points against the active geofences. Resolves to the
+  // events recorded, which are also queued for webhooks. Points older than
+  // the last one seen for an animal and geofence are skipped, as the state
+  // already reflects newer data.
+  async evaluate(points) {
+    const geofences = this.collection.find(geofence => geofence.active);
+    const recorded = [];
+    if (geofences.length === 0) return recorded;
+
+    const ordered = points
+      .filter(point => point.location)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    for (const point of ordered) {
+      for (const geofence of geofences) {
+        if (!appliesTo(geofence, point.wildlife?.species)) continue;
+        try {
+          const event = this.track(geofence, point);
+          if (event) recorded.push(event);
+        } catch (error) {
+          logger.error('Geofence evaluation failed', { geofenceId: geofence.id, deviceId: point.deviceId, error: error.message });
+        }
+      }
+    }
+
+    webhookService.notifyGeofenceEvents(recorded);
+    return recorded;
+  }
+
+  // Update one animal's state for one geofence, returning the event if it
+  // crossed the boundary
+  track(geofence, point) {
+    const subject = subjectOf(point);
+    const stateId = `${geofence.id}|${subject}`;
+    const state = this.states.get(stateId);
+    if (state && point.timestamp <= state.timestamp) return null;
+
+    const inside = geometryContains(geofence.geometry, point.location);
+    this.states.put({ id: stateId, geofenceId: geofence.id, subject, inside, timestamp: point.timestamp, fixId: point.id });
+
+    const wasInside = state ? state.inside : false;
+    if (inside === wasInside) return null;
+
+    const event = this.events.put({
+      id: `gfe_${crypto.randomBytes(8).toString('hex')}`,
+      type: inside ? 'enter' : 'exit',
+      geofenceId: geofence.id,
+      geofenceName: geofence.name,
+      deviceId: point.deviceId,
+      timestamp: point.timestamp,
+      location: { latitude: point.location.latitude, longitude: point.location.longitude },
+      wildlife: {
+        species: point.wildlife?.species,
+        individualId: point.wildlife?.individualId,
+        deploymentId: point.wildlife?.deploymentId
+      },
+      fixId: point.id,
+      recordedAt: new Date().toISOString()
+    });
+
+    logger.info('Geofence event', { type: event.type, geofenceId: geofence.id, subject });
+    return event;
+  }
+
+  // Event history, newest first. `where` is a further predicate, e.g. from
+  // locationPolicyService.scopeQuery().
+  listEvents({ geofenceId, individualId, deviceId, type, startDate, endDate } = {}, { where } = {}) {
+    const start = startDate ? new Date(startDate).getTime() : -Infinity;
+    const end = endDate ? new Date(endDate).getTime() : Infinity;
+
+    return this.events
+      .find(event => {
+        const time = new Date(event.timestamp).getTime();
+        return time >= start && time <= end &&
+          (!geofenceId || event.geofenceId === geofenceId) &&
+          (!individualId || event.wildlife.individualId === individualId) &&
+          (!deviceId || event.deviceId === deviceId) &&
+          (!type || event.type === type) &&
+          (!where || where(event));
+      })
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  clear() {
+    this.collection.clear();
+    this.states.clear();
+    this.events.clear();
+  }
+}
+
+// Create singleton instance
+const geofenceService = new GeofenceService();
+
+module.exports = {
+  geometryContains,
+  geofenceService
+};
@@ -0,0 +1,290 @@
+const geodesy = require('../utils/geodesy');
+
+const MCP_PERCENTS = [100, 95];
+const KDE_PERCENTS = [50, 95];
+
+// Kernels are evaluated out to this many bandwidths, where they fall below
+// 0.04% of their peak
+const KERNEL_CUTOFF = 4;
+
+function round6(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Convex hull of planar points by Andrew's monotone chain, counter-clockwise
+// and without repeating the first point
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) upper.pop();
+    upper.push(sorted[i]);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Signed shoelace area of an open ring; positive when counter-clockwise
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+function ringContains(ring, point) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Reference bandwidth for a bivariate normal kernel (Worton 1989), in the
+// units of the points
+function referenceBandwidth(points) {
+  const mx = mean(points.map(p => p.x));
+  const my = mean(points.map(p => p.y));
+  const varX = mean(points.map(p => (p.x - mx) ** 2));
+  const varY = mean(points.map(p => (p.y - my) ** 2));
+  return Math.sqrt((varX + varY) / 2) * Math.pow(points.length, -1 / 6);
+}
+
+// Minimum convex polygon around the `percent` of points nearest their mean
+function minimumConvexPolygon(points, percent) {
+  const mx = mean(points.map(p => p.x));
+  const my = mean(points.map(p => p.y));
+  const keep = Math.max(3, Math.ceil(points.length * percent / 100));
+  const nearest = [...points]
+    .sort((a, b) => ((a.x - mx) ** 2 + (a.y - my) ** 2) - ((b.x - mx) ** 2 + (b.y - my) ** 2))
+    .slice(0, keep);
+  return convexHull(nearest);
+}
+
+// Fixed-kernel density on a square grid covering the points plus a margin
+// of KERNEL_CUTOFF bandwidths. Densities are unnormalised, which is all the
+// isopleths need.
+function kernelDensityGrid(points, bandwidth, gridSize) {
+  const margin = KERNEL_CUTOFF * bandwidth;
+  const minX = Math.min(...points.map(p => p.x)) - margin;
+  const minY = Math.min(...points.map(p => p.y)) - margin;
+  const maxX = Math.max(...points.map(p => p.x)) + margin;
+  const maxY = Math.max(...points.map(p => p.y)) + margin;
+  const cellSize = Math.max(maxX - minX, maxY - minY) / gridSize;
+  const cols = Math.ceil((maxX - minX) / cellSize);
+  const rows = Math.ceil((maxY - minY) / cellSize);
+
+  const density = new Float64Array(cols * rows);
+  const reach = Math.ceil(margin / cellSize);
+  const twoH2 = 2 * bandwidth * bandwidth;
+
+  for (const point of points) {
+    const pc = Math.floor((point.x - minX) / cellSize);
+    const pr = Math.floor((point.y - minY) / cellSize);
+    for (let r = Math.max(0, pr - reach); r <= Math.min(rows - 1, pr + reach); r++) {
+      const dy = minY + (r + 0.5) * cellSize - point.y;
+      for (let c = Math.max(0, pc - reach); c <= Math.min(cols - 1, pc + reach); c++) {
+        const dx = minX + (c + 0.5) * cellSize - point.x;
+        density[r * cols + c] += Math.exp(-(dx * dx + dy * dy) / twoH2);
+      }
+    }
+  }
+
+  return { minX, minY, cellSize, cols, rows, density };
+}
+
+// Cells of the smallest region holding `percent` of the density volume
+function isoplethCells(grid, percent) {
+  const order = Array.from(grid.density.keys()).sort((a, b) => grid.density[b] - grid.density[a]);
+  const total = grid.density.reduce((sum, value) => sum + value, 0);
+  const target = total * percent / 100;
+
+  const selected = new Uint8Array(grid.density.length);
+  let volume = 0;
+  for (const index of order) {
+    if (volume >= target) break;
+    selected[index] = 1;
+    volume += grid.density[index];
+  }
+  return selected;
+}
+
+// Outline selected grid cells as polygons: [[outer, ...holes], ...] of open
+// rings in projected coordinates. Boundary edges run with the selected cell
+// on their left, so outer rings come out counter-clockwise and holes
+// clockwise; where two cells touch only at a corner the trace turns left so
+// they stay separate rings.
+function traceCells(grid, selected) {
+  const { cols, rows, minX, minY, cellSize } = grid;
+  const isSelected = (c, r) => c >= 0 && r >= 0 && c < cols && r < rows && selected[r * cols + c] === 1;
+  const key = (i, j) => j * (cols + 1) + i;
+
+  const outgoing = new Map();
+  const addEdge = (i1, j1, i2, j2) => {
+    const from = key(i1, j1);
+    if (!outgoing.has(from)) outgoing.set(from, []);
+    outgoing.get(from).push({ i1, j1, i2, j2 });
+  };
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (!isSelected(c, r)) continue;
+      if (!isSelected(c, r - 1)) addEdge(c, r, c + 1, r);
+      if (!isSelected(c + 1, r)) addEdge(c + 1, r, c + 1, r + 1);
+      if (!isSelected(c, r + 1)) addEdge(c + 1, r + 1, c, r + 1);
+      if (!isSelected(c - 1, r)) addEdge(c, r + 1, c, r);
+    }
+  }
+
+  const takeEdge = (from, previous) => {
+    const edges = outgoing.get(from);
+    if (!edges || edges.length === 0) return null;
+    let index = 0;
+    if (previous && edges.length > 1) {
+      const dx = previous.i2 - previous.i1;
+      const dy = previous.j2 - previous.j1;
+      index = edges.findIndex(edge => dx * (edge.j2 - edge.j1) - dy * (edge.i2 - edge.i1) > 0);
+      if (index === -1) index = 0;
+    }
+    return edges.splice(index, 1)[0];
+  };
+
+  const rings = [];
+  for (const start of outgoing.keys()) {
+    let first;
+    while ((first = takeEdge(start, null))) {
+      const ring = [];
+      let edge = first;
+      while (edge) {
+        const end = key(edge.i2, edge.j2);
+        const next = end === start ? null : takeEdge(end, edge);
+        // Keep only corners where the boundary changes direction
+        if (!next || (next.i2 - next.i1) !== (edge.i2 - edge.i1) || (next.j2 - next.j1) !== (edge.j2 - edge.j1)) {
+          ring.push({ x: minX + edge.i2 * cellSize, y: minY + edge.j2 * cellSize, edge });
+        }
+        edge = next;
+      }
+      rings.push(ring);
+    }
+  }
+
+  const outers = rings.filter(ring => ringArea(ring) > 0).map(ring => [ring]);
+  for (const hole of rings.filter(ring => ringArea(ring) < 0)) {
+    const { i1, j1, i2, j2 } = hole[0].edge;
+    const probe = { x: minX + (i1 + i2) / 2 * cellSize, y: minY + (j1 + j2) / 2 * cellSize };
+    const owner = outers
+      .filter(polygon => ringContains(polygon[0], probe))
+      .sort((a, b) => ringArea(a[0]) - ringArea(b[0]))[0];
+    if (owner) owner.push(hole);
+  }
+  return outers;
+}
+
+// Home range estimates over projected fixes. MCPs use the classic
+// mean-centre trimming; kernel isopleths enclose the given share of the
+// utilisation distribution.
+class HomeRangeService {
+  get minFixes() {
+    return parseInt(process.env.HOME_RANGE_MIN_FIXES) || 5;
+  }
+
+  // Estimate home ranges for positions ({ latitude, longitude }). Returns
+  // a GeoJSON FeatureCollection and the parameters used; throws
+  // NOT_ENOUGH_FIXES when there are too few distinct positions.
+  estimate(positions, { bandwidth, gridSize = 100 } = {}) {
+    const distinct = new Set(positions.map(p => `${p.latitude},${p.longitude}`));
+    if (positions.length < this.minFixes || distinct.size < 3) {
+      const error = new Error(`At least ${this.minFixes} fixes at 3 or more distinct positions are needed, got ${positions.length}`);
+      error.code = 'NOT_ENOUGH_FIXES';
+      throw error;
+    }
+
+    const center = {
+      latitude: mean(positions.map(p => p.latitude)),
+      longitude: mean(positions.map(p => p.longitude))
+    };
+    const projection = geodesy.equalAreaProjection(center);
+    const points = positions.map(position => projection.forward(position));
+
+    const toCoordinates = ring => {
+      const closed = ring.concat([ring[0]]);
+      return closed.map(point => {
+        const { latitude, longitude } = projection.inverse(point);
+        return [round6(longitude), round6(latitude)];
+      });
+    };
+    const areaKm2 = rings => Math.round(rings.reduce((sum, ring) => sum + ringArea(ring), 0) / 1000) / 1000;
+
+    const features = MCP_PERCENTS.map(percent => {
+      const hull = minimumConvexPolygon(points, percent);
+      return {
+        type: 'Feature',
+        properties: { method: 'mcp', percent, areaKm2: areaKm2([hull]) },
+        geometry: { type: 'Polygon', coordinates: [toCoordinates(hull)] }
+      };
+    });
+
+    const bandwidthMeters = bandwidth || referenceBandwidth(points);
+    const grid = kernelDensityGrid(points, bandwidthMeters, gridSize);
+    for (const percent of KDE_PERCENTS) {
+      const polygons = traceCells(grid, isoplethCells(grid, percent));
+      features.push({
+        type: 'Feature',
+        properties: {
+          method: 'kde',
+          percent,
+          areaKm2: areaKm2(polygons.flat())
+        },
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: polygons.map(polygon => polygon.map(toCoordinates))
+        }
+      });
+    }
+
+    return {
+      homeRange: { type: 'FeatureCollection', features },
+      parameters: {
+        fixes: positions.length,
+        bandwidthMeters: Math.round(bandwidthMeters * 10) / 10,
+        bandwidthMethod: bandwidth ? 'user' : 'reference',
+        gridSize,
+        cellSizeMeters: Math.round(grid.cellSize * 10) / 10
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const homeRangeService = new HomeRangeService();
+
+module.exports = {
+  convexHull,
+  ringArea,
+  referenceBandwidth,
+  kernelDensityGrid,
+  isoplethCells,
+  traceCells,
+  homeRangeService
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Identity of a GPS fix: the same device reporting the same position at the
+// same instant. Points without a location dedupe on device and time alone.
+function getFixFingerprint(telemetryData) {
+  const location = telemetryData.location;
+  const position = location ? `${location.latitude},${location.longitude}` : 'none';
+  return `${telemetryData.deviceId}|${new Date(telemetryData.timestamp).toISOString()}|${position}`;
+}
+
+function getRequestFingerprint(body) {
+  return hash(JSON.stringify(body || {}));
+}
+
+// Record id of a response. Keys are only unique per caller, so two collars
+// choosing the same key do not answer each other's requests.
+function responseId(scope, caller, key) {
+  return `key:${scope}:${encodeURIComponent(caller)}:${key}`;
+}
+
+// Remembers uploads for IDEMPOTENCY_WINDOW_MS so that retried requests and
+// re-sent fixes are answered from the original upload instead of being
+// produced to Kafka a second time.
+//
+// Two kinds of record share the `idempotency` collection:
+//   key:<scope>:<caller>:<Idempotency-Key> - the response sent for that
+//                                            request
+//   fix:<fingerprint>             - the id and publish result of a fix
+//
+// Until a request has been remembered its key and fixes are reserved, so a
+// retry sent while the first attempt is still in flight cannot produce them
+// again.
+class IdempotencyService {
+  constructor() {
+    this.lastPruneAt = 0;
+    // Record id -> promise settled when the request holding it is done
+    this.inFlight = new Map();
+  }
+
+  get collection() {
+    return getCollection('idempotency');
+  }
+
+  get windowMs() {
+    return parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000;
+  }
+
+  validateKey(key) {
+    if (key === undefined) return null;
+    if (typeof key !== 'string' || key.trim().length === 0 || key.length > MAX_KEY_LENGTH) {
+      return `Idempotency-Key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  getRecord(id) {
+    const record = this.collection.get(id);
+    if (!record) return null;
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      this.collection.delete(id);
+      return null;
+    }
+    return record;
+  }
+
+  putRecord(record) {
+    this.prune();
+    return this.collection.put({
+      ...record,
+      expiresAt: new Date(Date.now() + this.windowMs).toISOString()
+    });
+  }
+
+  // Look up a previous response for this caller's key. Returns null when the
+  // key is new, or { conflict: true } when it was used with a different body.
+  findResponse(scope, caller, key, body) {
+    const record = this.getRecord(responseId(scope, caller, key));
+    if (!record) return null;
+    if (record.fingerprint !== getRequestFingerprint(body)) {
+      return { conflict: true };
+    }
+    return { statusCode: record.statusCode, body: record.body };
+  }
+
+  rememberResponse(scope, caller, key, body, statusCode, responseBody) {
+    this.putRecord({
+      id: responseId(scope, caller, key),
+      fingerprint: getRequestFingerprint(body),
+      statusCode,
+      body: responseBody
+    });
+  }
+
+  // Reserve a record id for the request in flight. Returns a function that
+  // releases it, or null when another request holds it.
+  reserve(id) {
+    if (this.inFlight.has(id)) return null;
+
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+    this.inFlight.set(id, settled);
+    return () => {
+      if (this.inFlight.get(id) !== settled) return;
+      this.inFlight.delete(id);
+      settle();
+    };
+  }
+
+  // Reserve this caller's key until its response is remembered. Returns the
+  // release function, or null while another request with the key is in flight.
+  reserveResponse(scope, caller, key) {
+    return this.reserve(responseId(scope, caller, key));
+  }
+
+  // Reserve the fixes of an upload until they are remembered, first waiting
+  // for any other request that is uploading one of them. Resolves to a
+  // function releasing them all.
+  async reserveFixes(points) {
+    const ids = [...new Set(points.map(point => `fix:${getFixFingerprint(point)}`))];
+
+    let pending = ids.filter(id => this.inFlight.has(id));
+    while (pending.length > 0) {
+      await Promise.all(pending.map(id => this.inFlight.get(id)));
+      pending = ids.filter(id => this.inFlight.has(id));
+    }
+
+    // Checked and reserved in the same tick, so no other request slips in
+    const releases = ids.map(id => this.reserve(id));
+    return () => releases.forEach(release => release());
+  }
+
+  // Result of an earlier upload of the same fix: { id, timestamp, status,
+  // partition?, offset? }, or null
+  findFix(telemetryData) {
+    const record = this.getRecord(`fix:${getFixFingerprint(telemetryData)}`);
+    return record ? record.result : null;
+  }
+
+  rememberFix(telemetryData, publishResult) {
+    this.putRecord({
+      id: `fix:${getFixFingerprint(telemetryData)}`,
+      result: {
+        id: telemetryData.id,
+        timestamp: telemetryData.timestamp,
+        status: publishResult.status,
+        partition: publishResult.partition,
+        offset: publishResult.offset
+      }
+    });
+  }
+
+  // Record the offset of a fix that was queued and has now left the outbox,
+  // so later replays report where it landed
+  markFixPublished(telemetryData, sendResult) {
+    const id = `fix:${getFixFingerprint(telemetryData)}`;
+    const record = this.getRecord(id);
+    if (!record || record.result.id !== telemetryData.id) return;
+
+    this.collection.put({
+      ...record,
+      result: {
+        id: record.result.id,
+        timestamp: record.result.timestamp,
+        status: 'published',
+        partition: sendResult.partition,
+        offset: sendResult.offset
+      }
+    });
+  }
+
+  // Drop expired records, at most once a minute
+  prune() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < 60 * 1000) return 0;
+    this.lastPruneAt = now;
+
+    const expired = this.collection.find(record => Date.parse(record.expiresAt) <= now);
+    expired.forEach(record => this.collection.delete(record.id));
+    if (expired.length > 0) {
+      logger.info('Pruned expired idempotency records', { count: expired.length });
+    }
+    return expired.length;
+  }
+
+  clear() {
+    this.collection.clear();
+    this.lastPruneAt = 0;
+  }
+}
+
+// Create singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = {
+  getFixFingerprint,
+  getRequestFingerprint,
+  idempotencyService
+};
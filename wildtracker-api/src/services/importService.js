@@ -0,0 +1,261 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('csv-parse');
+const { MOVEBANK_MAPPING } = require('../models/telemetryImport');
+const { ingestService } = require('./ingestService');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+function setField(target, field, value) {
+  const keys = field.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] = node[key] || {};
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Collar and Movebank exports write times like `2024-01-15 10:30:00.000`,
+// without a zone. They are UTC.
+function normalizeTimestamp(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(:\d{2}(\.\d+)?)?)$/.exec(value);
+  return match ? `${match[1]}T${match[2]}Z` : value;
+}
+
+// Build a telemetry point from a CSV record. Empty cells are left out, so
+// `defaults` and the schema defaults apply to them.
+function toTelemetry(record, mapping, defaults = {}) {
+  const point = {};
+  for (const [field, value] of Object.entries(defaults)) {
+    setField(point, field, value);
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    const value = record[column];
+    if (typeof value !== 'string' || value === '') continue;
+    setField(point, field, field === 'timestamp' ? normalizeTimestamp(value) : value);
+  }
+  return point;
+}
+
+// Bulk imports of collar CSV files, behind /api/v1/telemetry/import.
+//
+// An upload is saved to IMPORT_DIR and becomes a job in `import-jobs`. Jobs
+// run one at a time in the background: the file is streamed through the CSV
+// parser and its rows are ingested IMPORT_CHUNK_SIZE at a time, the same way
+// as a batch upload. Progress is saved after every chunk, and the rows that
+// fail are kept in `import-errors` with their line number in the file, up to
+// IMPORT_MAX_ERRORS per job. The file is removed once the job ends.
+class ImportService {
+  constructor() {
+    this.pending = [];
+    this.running = null;
+  }
+
+  get collection() {
+    return getCollection('import-jobs');
+  }
+
+  get errors() {
+    return getCollection('import-errors');
+  }
+
+  get config() {
+    return {
+      dir: process.env.IMPORT_DIR || path.join(os.tmpdir(), 'wildtracker-imports'),
+      chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE) || 500,
+      maxErrors: parseInt(process.env.IMPORT_MAX_ERRORS) || 1000
+    };
+  }
+
+  // Where to save a new upload
+  uploadPath() {
+    const { dir } = this.config;
+    fs.mkdirSync(dir, { recursive: true });
+    return path.join(dir, `upload-${crypto.randomBytes(8).toString('hex')}.csv`);
+  }
+
+  // Queue an import of the file at `filePath`, which the job now owns
+  createJob(options, { path: filePath, filename }, user) {
+    const job = {
+      id: `imp_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'queued',
+      format: options.format,
+      filename: filename || null,
+      mapping: options.mapping || {},
+      defaults: options.defaults || {},
+      delimiter: options.delimiter,
+      rows: { read: 0, imported: 0, queued: 0, duplicates: 0, skipped: 0, failed: 0 },
+      error: null,
+      createdBy: user ? { id: user.id, username: user.username, role: user.role } : null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.collection.put({ ...job, file: filePath });
+    logger.info('Telemetry import queued', { jobId: job.id, format: job.format, filename: job.filename });
+
+    this.pending.push(job.id);
+    if (!this.running) {
+      this.running = this.drain().finally(() => { this.running = null; });
+    }
+    return job;
+  }
+
+  getJob(id) {
+    const job = this.collection.get(id);
+    if (!job) return null;
+    const response = { ...job, rows: { ...job.rows } };
+    delete response.file;
+    return response;
+  }
+
+  // Newest first
+  listJobs({ ownerId } = {}) {
+    return this.collection
+      .find(job => ownerId === undefined || job.createdBy?.id === ownerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.getJob(job.id));
+  }
+
+  // In line order
+  listErrors(jobId) {
+    return this.errors
+      .find(error => error.jobId === jobId)
+      .sort((a, b) => a.line - b.line)
+      .map(({ line, errors }) => ({ line, errors }));
+  }
+
+  // Resolves once every queued job has run
+  async whenIdle() {
+    while (this.running) await this.running;
+  }
+
+  async drain() {
+    while (this.pending.length > 0) {
+      await this.run(this.pending.shift());
+    }
+  }
+
+  // The columns each field is read from. Movebank files fill every field
+  // they have a standard column for, and the job's mapping is applied on top.
+  resolveMapping(job, header) {
+    const mapping = {};
+    if (job.format === 'movebank') {
+      for (const [field, column] of Object.entries(MOVEBANK_MAPPING)) {
+        if (header.includes(column) || ['deviceId', 'timestamp'].includes(field)) mapping[field] = column;
+      }
+    }
+    Object.assign(mapping, job.mapping);
+    for (const field of Object.keys(job.defaults)) {
+      if (!job.mapping[field] && !header.includes(mapping[field])) delete mapping[field];
+    }
+
+    const missing = [...new Set(Object.values(mapping))].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Column${missing.length > 1 ? 's' : ''} not found in the file: ${missing.join(', ')}`);
+    }
+    return mapping;
+  }
+
+  async run(jobId) {
+    const stored = this.collection.get(jobId);
+    if (!stored) return;
+    const job = { ...stored, rows: { ...stored.rows }, status: 'running', startedAt: new Date().toISOString() };
+    this.collection.put(job);
+
+    try {
+      let mapping;
+      const parser = fs.createReadStream(job.file).pipe(parse({
+        bom: true,
+        delimiter: job.delimiter,
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        info: true,
+        columns: header => {
+          mapping = this.resolveMapping(job, header);
+          return header;
+        }
+      }));
+
+      let chunk = [];
+      for await (const { record, info } of parser) {
+        job.rows.read++;
+        // Rows marked as outliers in Movebank are not imported
+        if (job.format === 'movebank' && record.visible === 'false') {
+          job.rows.skipped++;
+          continue;
+        }
+        chunk.push({ line: info.lines, point: toTelemetry(record, mapping, job.defaults) });
+        if (chunk.length >= this.config.chunkSize) {
+          await this.importChunk(job, chunk);
+          chunk = [];
+        }
+      }
+      if (chunk.length > 0) await this.importChunk(job, chunk);
+
+      job.status = 'completed';
+      logger.info('Telemetry import completed', { jobId, rows: job.rows });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Telemetry import failed', { jobId, error: error.message });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.collection.put(job);
+      fs.rm(job.file, { force: true }, () => {});
+    }
+  }
+
+  async importChunk(job, chunk) {
+    const { maxErrors } = this.config;
+    const outcomes = await ingestService.ingestBatch(chunk.map(row => row.point), { importJobId: job.id });
+
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'invalid') {
+        if (job.rows.failed < maxErrors) {
+          const { line } = chunk[i];
+          this.errors.put({ id: `${job.id}:${line}`, jobId: job.id, line, errors: outcome.details });
+        }
+        job.rows.failed++;
+      } else if (outcome.status === 'duplicate') {
+        job.rows.duplicates++;
+      } else {
+        job.rows.imported++;
+        if (outcome.status === 'queued') job.rows.queued++;
+      }
+    });
+
+    this.collection.put(job);
+  }
+
+  // Called on startup. Jobs cut short by a restart cannot resume, as their
+  // upload is gone.
+  failInterrupted() {
+    for (const job of this.collection.find(job => job.status === 'queued' || job.status === 'running')) {
+      this.collection.put({
+        ...job,
+        status: 'failed',
+        error: 'Interrupted by a restart. Upload the file again; rows already imported are skipped as duplicates.',
+        finishedAt: new Date().toISOString()
+      });
+      fs.rm(job.file, { force: true }, () => {});
+    }
+  }
+
+  clear() {
+    this.collection.clear();
+    this.errors.clear();
+  }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+module.exports = {
+  normalizeTimestamp,
+  toTelemetry,
+  importService
+};
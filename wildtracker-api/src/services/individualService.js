@@ -0,0 +1,159 @@
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+function equalsIgnoreCase(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Store dates as ISO strings and captures oldest first
+function normalize(individual) {
+  const normalized = { ...individual };
+  if (normalized.birthEstimate) {
+    normalized.birthEstimate = {
+      ...normalized.birthEstimate,
+      date: new Date(normalized.birthEstimate.date).toISOString()
+    };
+  }
+  if (normalized.captures) {
+    normalized.captures = normalized.captures
+      .map(capture => ({ ...capture, capturedAt: new Date(capture.capturedAt).toISOString() }))
+      .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  }
+  return normalized;
+}
+
+// Registry of tracked animals: the source of truth for the species, sex,
+// age and body measurements that telemetry points used to repeat as free
+// text. Individuals are never deleted, only retired.
+class IndividualService {
+  get collection() {
+    return getCollection('individuals');
+  }
+
+  // When INDIVIDUAL_REGISTRY_STRICT=true, uploads naming an unregistered
+  // individual are rejected instead of passed through
+  get strict() {
+    return process.env.INDIVIDUAL_REGISTRY_STRICT === 'true';
+  }
+
+  createIndividual(data) {
+    if (this.getIndividual(data.id)) {
+      const error = new Error(`Individual "${data.id}" already exists`);
+      error.code = 'INDIVIDUAL_EXISTS';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const individual = this.collection.put(normalize({ ...data, createdAt: now, updatedAt: now }));
+
+    logger.info('Registered individual', { id: individual.id, species: individual.species });
+    return individual;
+  }
+
+  getIndividual(id) {
+    return this.collection.get(id);
+  }
+
+  listIndividuals({ species, status } = {}) {
+    return this.collection
+      .find(individual =>
+        (!species || equalsIgnoreCase(individual.species, species)) &&
+        (!status || individual.status === status))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  updateIndividual(id, changes) {
+    const individual = this.getIndividual(id);
+    if (!individual) return null;
+
+    return this.collection.put(normalize({
+      ...individual,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  retireIndividual(id, reason) {
+    const individual = this.getIndividual(id);
+    if (!individual) return null;
+    if (individual.status === 'retired') return individual;
+
+    const now = new Date().toISOString();
+    logger.info('Retired individual', { id, reason });
+    return this.collection.put({
+      ...individual,
+      status: 'retired',
+      retiredAt: now,
+      retiredReason: reason,
+      updatedAt: now
+    });
+  }
+
+  // Age in years at the given time, from the birth estimate
+  getAgeAt(individual, timestamp) {
+    if (!individual.birthEstimate) return undefined;
+    const age = (Date.parse(timestamp) - Date.parse(individual.birthEstimate.date)) / YEAR_MS;
+    return age >= 0 ? Math.round(age * 10) / 10 : undefined;
+  }
+
+  // Weight from the latest capture at or before the given time
+  getWeightAt(individual, timestamp) {
+    const time = Date.parse(timestamp);
+    const captures = (individual.captures || [])
+      .filter(capture => capture.weightKg !== undefined && Date.parse(capture.capturedAt) <= time);
+    return captures.length > 0 ? captures[captures.length - 1].weightKg : undefined;
+  }
+
+  // Check a sanitized telemetry point against the registry and fill in the
+  // wildlife fields it leaves out. Returns { value } or { error } with a
+  // message suitable for a validation response.
+  applyRegistry(telemetryData) {
+    const individualId = telemetryData.wildlife?.individualId;
+    if (!individualId) return { value: telemetryData };
+
+    const individual = this.getIndividual(individualId);
+    if (!individual) {
+      return this.strict
+        ? { error: `Individual "${individualId}" is not registered` }
+        : { value: telemetryData };
+    }
+
+    const wildlife = telemetryData.wildlife;
+    if (wildlife.species && !equalsIgnoreCase(wildlife.species, individual.species)) {
+      return { error: `Species "${wildlife.species}" does not match registered species "${individual.species}" of individual "${individualId}"` };
+    }
+    if (wildlife.gender && wildlife.gender !== 'unknown' && individual.sex !== 'unknown' && wildlife.gender !== individual.sex) {
+      return { error: `Gender "${wildlife.gender}" does not match registered sex "${individual.sex}" of individual "${individualId}"` };
+    }
+    if (individual.status === 'retired' && Date.parse(telemetryData.timestamp) > Date.parse(individual.retiredAt)) {
+      return { error: `Individual "${individualId}" was retired at ${individual.retiredAt}` };
+    }
+
+    const enriched = { ...wildlife, species: individual.species };
+    if (!enriched.gender || enriched.gender === 'unknown') {
+      enriched.gender = individual.sex;
+    }
+    if (enriched.age === undefined) {
+      enriched.age = this.getAgeAt(individual, telemetryData.timestamp);
+    }
+    if (enriched.weight === undefined) {
+      enriched.weight = this.getWeightAt(individual, telemetryData.timestamp);
+    }
+    Object.keys(enriched).forEach(key => enriched[key] === undefined && delete enriched[key]);
+
+    return { value: { ...telemetryData, wildlife: enriched } };
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const individualService = new IndividualService();
+
+module.exports = {
+  individualService
+};
@@ -0,0 +1,167 @@
+const { validateTelemetry, sanitizeTelemetryData, createTelemetryId } = require('../models/telemetry');
+const { publishTelemetry, publishTelemetryBatch } = require('./outboxService');
+const { idempotencyService, getFixFingerprint } = require('./idempotencyService');
+const { individualService } = require('./individualService');
+const { deploymentService } = require('./deploymentService');
+const { alertRuleService } = require('./alertRuleService');
+const { geofenceService } = require('./geofenceService');
+const { telemetryStreamService } = require('./telemetryStreamService');
+const { getTelemetryRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Points are produced marked as `ingested`, telling the telemetry consumer
+// that they were stored and followed up here and must not be followed up
+// again when it materializes the topic
+const asIngested = point => ({ ...point, ingested: true });
+
+// The pipeline an uploaded point goes through, shared by the upload
+// endpoints, the MQTT gateway and file imports so that every point is
+// checked, linked and followed up the same way whichever way it arrived.
+class IngestService {
+  // Validate and store one point. Resolves to one of
+  //   { status: 'invalid', reason: 'validation' | 'registry', details }
+  //   { status: 'duplicate', point: <original upload> }
+  //   { status: 'published' | 'queued', point, publishResult }
+  async ingest(data) {
+    const prepared = this.prepare(data);
+    if (prepared.status) return prepared;
+
+    const { point } = prepared;
+
+    // A re-sent fix is answered with the original upload, not produced again,
+    // including one sent while the original is still being uploaded
+    const release = await idempotencyService.reserveFixes([point]);
+    let publishResult;
+    try {
+      const original = idempotencyService.findFix(point);
+      if (original) {
+        return { status: 'duplicate', point: original };
+      }
+
+      point.id = createTelemetryId(point.deviceId);
+
+      // Send to Kafka, or hold in the durable outbox if it is unavailable
+      publishResult = await publishTelemetry(asIngested(point));
+      await getTelemetryRepository().save(point);
+      idempotencyService.rememberFix(point, publishResult);
+    } finally {
+      release();
+    }
+    await this.afterStore([point]);
+
+    return { status: publishResult.status, point, publishResult };
+  }
+
+  // Validate and store many points, produced to Kafka together. Resolves to
+  // one result per point, in order, shaped as for ingest(). A fix repeated
+  // within the points is a duplicate of its first occurrence.
+  //
+  // Points of a file import are marked with its `importJobId` and get no
+  // follow-up: historic fixes must not raise alerts, call webhooks or reach
+  // live map clients.
+  async ingestBatch(items, { importJobId } = {}) {
+    const outcomes = new Array(items.length);
+    const seen = new Map();
+    const fresh = [];
+
+    const prepared = items.map((data, index) => {
+      try {
+        return this.prepare(data);
+      } catch (error) {
+        logger.error(`Error processing batch item ${index}:`, error);
+        return { status: 'invalid', reason: 'error', details: [error.message] };
+      }
+    });
+
+    const release = await idempotencyService.reserveFixes(
+      prepared.filter(item => !item.status).map(item => item.point)
+    );
+    try {
+      prepared.forEach((item, index) => {
+        if (item.status) {
+          outcomes[index] = item;
+          return;
+        }
+
+        const { point } = item;
+        const fingerprint = getFixFingerprint(point);
+        const original = idempotencyService.findFix(point);
+        if (original) {
+          outcomes[index] = { status: 'duplicate', point: original };
+        } else if (seen.has(fingerprint)) {
+          outcomes[index] = { status: 'duplicate', repeats: seen.get(fingerprint) };
+        } else {
+          point.id = createTelemetryId(point.deviceId);
+          if (importJobId) point.importJobId = importJobId;
+          seen.set(fingerprint, index);
+          fresh.push({ index, point });
+        }
+      });
+
+      if (fresh.length > 0) {
+        const publishResults = await publishTelemetryBatch(fresh.map(item => asIngested(item.point)));
+        await getTelemetryRepository().saveMany(fresh.map(item => item.point));
+        fresh.forEach((item, i) => {
+          idempotencyService.rememberFix(item.point, publishResults[i]);
+          outcomes[item.index] = { status: publishResults[i].status, point: item.point, publishResult: publishResults[i] };
+        });
+      }
+    } finally {
+      release();
+    }
+    if (fresh.length > 0 && !importJobId) await this.afterStore(fresh.map(item => item.point));
+
+    // Repeats answer with the result of the point they repeat
+    outcomes.forEach((outcome, index) => {
+      if (outcome.repeats === undefined) return;
+      const { point, publishResult } = outcomes[outcome.repeats];
+      outcomes[index] = {
+        status: 'duplicate',
+        point: {
+          id: point.id,
+          timestamp: point.timestamp,
+          status: publishResult.status,
+          partition: publishResult.partition,
+          offset: publishResult.offset
+        }
+      };
+    });
+
+    return outcomes;
+  }
+
+  // Validate and sanitize a point, link it to the animal wearing the collar,
+  // then check it against the animal registry and fill in the wildlife
+  // details it leaves out. Returns { point } or an 'invalid' result.
+  prepare(data) {
+    const { error, value } = validateTelemetry(data);
+    if (error) {
+      return { status: 'invalid', reason: 'validation', details: error.details.map(d => d.message) };
+    }
+
+    const registry = individualService.applyRegistry(
+      deploymentService.resolveIndividual(sanitizeTelemetryData(value))
+    );
+    if (registry.error) {
+      return { status: 'invalid', reason: 'registry', details: [registry.error] };
+    }
+
+    return { point: registry.value };
+  }
+
+  // Follow-up on newly stored points: alert rules, geofences and the live
+  // stream. Runs once per point: here for points ingested by the API, and in
+  // the telemetry consumer for points other producers put on the topic.
+  async afterStore(points) {
+    await alertRuleService.evaluate(points);
+    await geofenceService.evaluate(points);
+    telemetryStreamService.publish(points);
+  }
+}
+
+// Create singleton instance
+const ingestService = new IngestService();
+
+module.exports = {
+  ingestService
+};
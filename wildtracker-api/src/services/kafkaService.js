@@ -1,10 +1,66 @@
-const { Kafka } = require('kafkajs');
+const { Kafka, CompressionTypes, CompressionCodecs } = require('kafkajs');
 const logger = require('../utils/logger');
 
+// Codecs kafkajs does not bundle, and the optional package providing each
+const EXTERNAL_CODECS = {
+  snappy: { type: CompressionTypes.Snappy, package: 'kafkajs-snappy' },
+  lz4: { type: CompressionTypes.LZ4, package: 'kafkajs-lz4' }
+};
+
+// Resolve producer send options from KAFKA_COMPRESSION, KAFKA_ACKS and
+// KAFKA_PRODUCER_TIMEOUT_MS, registering the compression codec if needed
+function getProducerConfig() {
+  const compression = (process.env.KAFKA_COMPRESSION || 'none').toLowerCase();
+  const acks = process.env.KAFKA_ACKS !== undefined && process.env.KAFKA_ACKS !== ''
+    ? parseInt(process.env.KAFKA_ACKS)
+    : -1;
+  const timeout = parseInt(process.env.KAFKA_PRODUCER_TIMEOUT_MS) || 30000;
+
+  if (![-1, 0, 1].includes(acks)) {
+    throw new Error(`Invalid KAFKA_ACKS "${process.env.KAFKA_ACKS}", expected -1, 0 or 1`);
+  }
+
+  let compressionType;
+  if (compression === 'none') {
+    compressionType = CompressionTypes.None;
+  } else if (compression === 'gzip') {
+    compressionType = CompressionTypes.GZIP;
+  } else if (EXTERNAL_CODECS[compression]) {
+    const codec = EXTERNAL_CODECS[compression];
+    if (!CompressionCodecs[codec.type]) {
+      try {
+        CompressionCodecs[codec.type] = require(codec.package);
+      } catch (error) {
+        throw new Error(`KAFKA_COMPRESSION=${compression} requires the "${codec.package}" package`);
+      }
+    }
+    compressionType = codec.type;
+  } else {
+    throw new Error(`Invalid KAFKA_COMPRESSION "${compression}", expected none, gzip, snappy or lz4`);
+  }
+
+  return { acks, timeout, compression: compressionType, compressionName: compression };
+}
+
+// Build a Kafka client from the KAFKA_* environment settings
+function createKafkaClient(clientIdSuffix = '') {
+  const brokers = process.env.KAFKA_BROKERS?.split(',') || ['localhost:9092'];
+
+  return new Kafka({
+    clientId: (process.env.KAFKA_CLIENT_ID || 'wildtrack-telemetry-api') + clientIdSuffix,
+    brokers,
+    retry: {
+      initialRetryTime: 100,
+      retries: 8
+    }
+  });
+}
+
 class KafkaService {
   constructor() {
     this.kafka = null;
     this.producer = null;
+    this.producerConfig = null;
     this.isConnected = false;
   }
 
@@ -12,22 +68,18 @@ class KafkaService {
     try {
       const brokers = process.env.KAFKA_BROKERS?.split(',') || ['localhost:9092'];
       
-      this.kafka = new Kafka({
-        clientId: process.env.KAFKA_CLIENT_ID || 'wildtrack-telemetry-api',
-        brokers: brokers,
-        retry: {
-          initialRetryTime: 100,
-          retries: 8
-        }
-      });
+      this.producerConfig = getProducerConfig();
+      this.kafka = createKafkaClient();
 
       this.producer = this.kafka.producer();
       await this.producer.connect();
       
       this.isConnected = true;
       logger.info('Successfully connected to Kafka', {
-        brokers: brokers,
-        clientId: this.kafka.clientId
+        brokers,
+        clientId: this.kafka.clientId,
+        compression: this.producerConfig.compressionName,
+        acks: this.producerConfig.acks
       });
     } catch (error) {
       logger.error('Failed to connect to Kafka:', error);
@@ -54,31 +106,28 @@ class KafkaService {
 
     try {
       const topic = process.env.KAFKA_TOPIC_TELEMETRY || 'telemetry-data';
-      const message = {
-        key: telemetryData.deviceId || 'unknown',
-        value: JSON.stringify({
-          ...telemetryData,
-          timestamp: telemetryData.timestamp || new Date().toISOString(),
-          receivedAt: new Date().toISOString()
-        })
-      };
+      const message = this.buildMessage(telemetryData);
 
       const result = await this.producer.send({
-        topic: topic,
-        messages: [message]
+        topic,
+        messages: [message],
+        ...this.getSendOptions()
       });
 
+      // With acks=0 the broker returns no record metadata
+      const record = result[0] || {};
+
       logger.info('Telemetry message sent to Kafka', {
-        topic: topic,
-        partition: result[0].partition,
-        offset: result[0].baseOffset,
+        topic,
+        partition: record.partition,
+        offset: record.baseOffset,
         deviceId: telemetryData.deviceId
       });
 
       return {
         success: true,
-        partition: result[0].partition,
-        offset: result[0].baseOffset
+        partition: record.partition,
+        offset: record.baseOffset
       };
     } catch (error) {
       logger.error('Failed to send telemetry message to Kafka:', error);
@@ -86,6 +135,77 @@ class KafkaService {
     }
   }
 
+  // Send many points with one produce request per message key. All messages
+  // for a key land on one partition in order, so each point's offset is the
+  // partition's base offset plus its position. Resolves to one entry per input
+  // point: { partition, offset } on success or { error } if its request failed.
+  async sendTelemetryBatch(telemetryBatch) {
+    if (!this.isConnected || !this.producer) {
+      throw new Error('Kafka producer not connected');
+    }
+
+    const topic = process.env.KAFKA_TOPIC_TELEMETRY || 'telemetry-data';
+    const groups = new Map();
+    telemetryBatch.forEach((telemetryData, index) => {
+      const message = this.buildMessage(telemetryData);
+      if (!groups.has(message.key)) groups.set(message.key, []);
+      groups.get(message.key).push({ index, message });
+    });
+
+    const results = new Array(telemetryBatch.length);
+    for (const [key, entries] of groups) {
+      try {
+        const result = await this.producer.send({
+          topic,
+          messages: entries.map(entry => entry.message),
+          ...this.getSendOptions()
+        });
+        const record = result[0] || {};
+
+        entries.forEach((entry, position) => {
+          results[entry.index] = {
+            success: true,
+            partition: record.partition,
+            offset: record.baseOffset !== undefined
+              ? (BigInt(record.baseOffset) + BigInt(position)).toString()
+              : undefined
+          };
+        });
+
+        logger.info('Telemetry batch sent to Kafka', {
+          topic,
+          key,
+          count: entries.length,
+          partition: record.partition,
+          baseOffset: record.baseOffset
+        });
+      } catch (error) {
+        logger.error('Failed to send telemetry batch to Kafka:', error);
+        entries.forEach(entry => {
+          results[entry.index] = { success: false, error: error.message };
+        });
+      }
+    }
+
+    return results;
+  }
+
+  buildMessage(telemetryData) {
+    return {
+      key: telemetryData.deviceId || 'unknown',
+      value: JSON.stringify({
+        ...telemetryData,
+        timestamp: telemetryData.timestamp || new Date().toISOString(),
+        receivedAt: new Date().toISOString()
+      })
+    };
+  }
+
+  getSendOptions() {
+    const { acks, timeout, compression } = this.producerConfig || getProducerConfig();
+    return { acks, timeout, compression };
+  }
+
   async getHealthStatus() {
     try {
       if (!this.isConnected) {
@@ -131,14 +251,21 @@ async function sendTelemetryMessage(telemetryData) {
   return await kafkaService.sendTelemetryMessage(telemetryData);
 }
 
+async function sendTelemetryBatch(telemetryBatch) {
+  return await kafkaService.sendTelemetryBatch(telemetryBatch);
+}
+
 async function getKafkaHealth() {
   return await kafkaService.getHealthStatus();
 }
 
 module.exports = {
+  createKafkaClient,
   connectKafka,
   disconnectKafka,
   sendTelemetryMessage,
+  sendTelemetryBatch,
   getKafkaHealth,
+  getProducerConfig,
   kafkaService
 }; 
\ No newline at end of file
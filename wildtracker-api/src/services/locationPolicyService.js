@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { getCollection } = require('../repositories');
+const { buildFilter } = require('../repositories/telemetryRepository');
+const logger = require('../utils/logger');
+
+const METERS_PER_DEGREE = 111320;
+
+function round6(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+function wrapLongitude(longitude) {
+  return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+function metersPerDegreeLongitude(latitude) {
+  return METERS_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+}
+
+// Snap a position to the centre of its cellMeters x cellMeters grid cell
+function snapToGrid(latitude, longitude, cellMeters) {
+  const latStep = cellMeters / METERS_PER_DEGREE;
+  const snappedLat = Math.min(90, Math.max(-90, (Math.floor(latitude / latStep) + 0.5) * latStep));
+  const lngStep = cellMeters / metersPerDegreeLongitude(snappedLat);
+  const snappedLng = (Math.floor((longitude + 180) / lngStep) + 0.5) * lngStep - 180;
+  return { latitude: round6(snappedLat), longitude: round6(wrapLongitude(snappedLng)) };
+}
+
+// Move a position up to radiusMeters in a direction derived from seed, so
+// the same seed always lands in the same place and repeated requests cannot
+// be averaged back to the original
+function jitter(latitude, longitude, radiusMeters, seed) {
+  const digest = crypto.createHmac('sha256', seed.secret).update(seed.value).digest();
+  const angle = (digest.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+  const distance = Math.sqrt(digest.readUInt32BE(4) / 0xffffffff) * radiusMeters;
+
+  const jitteredLat = Math.min(90, Math.max(-90, latitude + (distance * Math.cos(angle)) / METERS_PER_DEGREE));
+  const jitteredLng = longitude + (distance * Math.sin(angle)) / metersPerDegreeLongitude(latitude);
+  return { latitude: round6(jitteredLat), longitude: round6(wrapLongitude(jitteredLng)) };
+}
+
+function policyId(species) {
+  return String(species).trim().toLowerCase();
+}
+
+// Per-species location sensitivity policies, applied to every read path that
+// returns positions (/data, /map, /individual and exports).
+//
+// Callers with an elevated role see stored data unchanged. Everyone else gets
+// positions of sensitive species snapped or jittered, positions younger than
+// the embargo withheld, individualId removed and deviceId replaced by a
+// pseudonym. Because both are hidden from them, they also cannot select a
+// sensitive animal by either.
+class LocationPolicyService {
+  constructor() {
+    this.generatedSecret = null;
+  }
+
+  get collection() {
+    return getCollection('species-policies');
+  }
+
+  get elevatedRoles() {
+    return (process.env.LOCATION_ELEVATED_ROLES || 'admin,researcher,field-tech')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  get jitterSecret() {
+    if (process.env.LOCATION_JITTER_SECRET) return process.env.LOCATION_JITTER_SECRET;
+    if (!this.generatedSecret) {
+      logger.warn('LOCATION_JITTER_SECRET is not set, jittered positions will change on restart');
+      this.generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.generatedSecret;
+  }
+
+  listPolicies() {
+    return this.collection.values().sort((a, b) => a.species.localeCompare(b.species));
+  }
+
+  getPolicy(species) {
+    if (!species) return null;
+    return this.collection.get(policyId(species));
+  }
+
+  setPolicy(species, policy) {
+    logger.info('Updated species location policy', { species, ...policy });
+    return this.collection.put({
+      id: policyId(species),
+      species: String(species).trim(),
+      ...policy,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  deletePolicy(species) {
+    return this.collection.delete(policyId(species));
+  }
+
+  isElevated(user) {
+    return !!user && this.elevatedRoles.includes(user.role);
+  }
+
+  // Scope a telemetry query to what the caller may see. Returns the filters
+  // and `where` predicate to pass to TelemetryRepository.query(); `where` is
+  // applied before pagination so totals stay right.
+  //
+  // Embargoed points are removed, sensitive animals cannot be selected by
+  // individualId, and a bbox is matched against the obfuscated position so
+  // that shrinking the box cannot home in on the real one.
+  scopeQuery(filters, user) {
+    if (this.isElevated(user) || this.collection.size === 0) {
+      return { filters, where: undefined };
+    }
+
+    const { bbox, ...rest } = filters;
+    const inBbox = bbox ? buildFilter({ bbox }) : null;
+    const now = Date.now();
+
+    const where = (point) => {
+      const policy = this.getPolicy(point.wildlife?.species);
+      if (!policy) return !inBbox || inBbox(point);
+      if (policy.stripIndividualId && (filters.individualId || filters.deviceId)) return false;
+      if (policy.embargoHours > 0) {
+        const age = now - new Date(point.timestamp).getTime();
+        if (age < policy.embargoHours * 60 * 60 * 1000) return false;
+      }
+      return !inBbox || inBbox(this.redact(point, user));
+    };
+
+    return { filters: rest, where };
+  }
+
+  // Stand-in for a collar's deviceId: stable per collar, but not reversible
+  // without the secret
+  devicePseudonym(deviceId) {
+    const digest = crypto.createHmac('sha256', this.jitterSecret).update(`device|${deviceId}`).digest('hex');
+    return `device-${digest.slice(0, 16)}`;
+  }
+
+  // A fix id with the deviceId it starts with (see createTelemetryId())
+  // replaced by the collar's pseudonym
+  pseudonymizeId(id, deviceId) {
+    if (!deviceId || typeof id !== 'string' || !id.startsWith(`${deviceId}-`)) return id;
+    return this.devicePseudonym(deviceId) + id.slice(deviceId.length);
+  }
+
+  // Copy of point as the caller may see it.
+  //
+  // Jittered positions are placed around the centre of the grid cell the fix
+  // falls in, seeded by the animal and the cell, so that every fix an animal
+  // makes in a cell lands on the same spot and averaging them recovers
+  // nothing finer than the cell.
+  redact(point, user) {
+    if (this.isElevated(user)) return point;
+
+    const policy = this.getPolicy(point.wildlife?.species);
+    if (!policy) return point;
+
+    const redacted = { ...point };
+
+    if (point.location && typeof point.location.latitude === 'number') {
+      const { latitude, longitude, accuracy } = point.location;
+      const cell = snapToGrid(latitude, longitude, policy.precisionMeters);
+      const animal = point.wildlife?.individualId || point.deviceId;
+      const position = policy.method === 'jitter'
+        ? jitter(cell.latitude, cell.longitude, policy.precisionMeters, {
+          secret: this.jitterSecret,
+          value: `${animal}|${cell.latitude},${cell.longitude}`
+        })
+        : cell;
+
+      redacted.location = {
+        ...position,
+        accuracy: Math.max(accuracy || 0, policy.precisionMeters),
+        obfuscated: policy.method
+      };
+    }
+
+    if (policy.stripIndividualId && point.wildlife) {
+      redacted.wildlife = { ...point.wildlife };
+      delete redacted.wildlife.individualId;
+      delete redacted.wildlife.deploymentId;
+    }
+    if (policy.stripIndividualId && point.deviceId) {
+      redacted.deviceId = this.devicePseudonym(point.deviceId);
+      redacted.id = this.pseudonymizeId(point.id, point.deviceId);
+    }
+
+    return redacted;
+  }
+
+  redactAll(points, user) {
+    if (this.isElevated(user) || this.collection.size === 0) return points;
+    return points.map(point => this.redact(point, user));
+  }
+
+  // redact() over a stream of points, such as a repository scan
+  async * redactEach(points, user) {
+    for await (const point of points) {
+      yield this.redact(point, user);
+    }
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const locationPolicyService = new LocationPolicyService();
+
+module.exports = {
+  snapToGrid,
+  jitter,
+  locationPolicyService
+};
@@ -0,0 +1,163 @@
+const { alertService } = require('./alertService');
+const geodesy = require('../utils/geodesy');
+
+const STANDARD_GRAVITY = 9.80665;
+
+// Fixes in a row needed before a stationary collar is believed
+const MIN_FIXES = 3;
+
+// Fixes read back when checking a device, newest first
+const LOOKBACK_FIXES = 500;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+// Acceleration apart from gravity, in m/s². A collar lying still reads about
+// 1 g whichever way up it is.
+function dynamicAcceleration(acceleration) {
+  if (!acceleration) return null;
+  const { x, y, z } = acceleration;
+  if (typeof x !== 'number' && typeof y !== 'number' && typeof z !== 'number') return null;
+  return Math.abs(Math.sqrt((x || 0) ** 2 + (y || 0) ** 2 + (z || 0) ** 2) - STANDARD_GRAVITY);
+}
+
+// Does a collar look dead or dropped? `fixes` are one device's, newest
+// first. Walks back from the newest fix for as long as the collar stays
+// within `radius` metres of the running centroid, its motion sensors read
+// near zero and its temperature stays within `temperatureRange`. Returns the
+// stationary stretch if it lasts at least `hours`, otherwise null.
+//
+// Motion sensors are what tell a dead animal from a resting one, so a
+// stretch without a single acceleration or vibration reading never counts.
+function assessMortality(fixes, { radius, hours, maxAcceleration, maxVibration, temperatureRange }) {
+  const still = [];
+  let centroid = null;
+  let located = 0;
+  let motionReadings = 0;
+  let minTemperature = Infinity;
+  let maxTemperature = -Infinity;
+  let peakAcceleration = 0;
+  let peakVibration = 0;
+
+  for (const fix of fixes) {
+    const sensors = fix.sensors || {};
+
+    const acceleration = dynamicAcceleration(sensors.acceleration);
+    if (acceleration !== null && acceleration > maxAcceleration) break;
+    if (typeof sensors.vibration === 'number' && sensors.vibration > maxVibration) break;
+
+    if (typeof sensors.temperature === 'number') {
+      const low = Math.min(minTemperature, sensors.temperature);
+      const high = Math.max(maxTemperature, sensors.temperature);
+      if (high - low > temperatureRange) break;
+      minTemperature = low;
+      maxTemperature = high;
+    }
+
+    if (fix.location) {
+      if (centroid && geodesy.distance(centroid, fix.location) > radius) break;
+      located++;
+      const previous = centroid || fix.location;
+      centroid = {
+        latitude: previous.latitude + (fix.location.latitude - previous.latitude) / located,
+        longitude: previous.longitude + (fix.location.longitude - previous.longitude) / located
+      };
+    }
+
+    if (acceleration !== null) {
+      motionReadings++;
+      peakAcceleration = Math.max(peakAcceleration, acceleration);
+    }
+    if (typeof sensors.vibration === 'number') {
+      motionReadings++;
+      peakVibration = Math.max(peakVibration, sensors.vibration);
+    }
+
+    still.push(fix);
+  }
+
+  if (still.length < MIN_FIXES || located === 0 || motionReadings === 0) return null;
+
+  const newest = still[0];
+  const oldest = still[still.length - 1];
+  const durationHours = (new Date(newest.timestamp) - new Date(oldest.timestamp)) / 3600000;
+  if (durationHours < hours) return null;
+
+  return {
+    since: oldest.timestamp,
+    lastFix: { id: newest.id, timestamp: newest.timestamp },
+    location: {
+      latitude: Math.round(centroid.latitude * 1000000) / 1000000,
+      longitude: Math.round(centroid.longitude * 1000000) / 1000000
+    },
+    durationHours: Math.round(durationHours * 100) / 100,
+    fixCount: still.length,
+    maxDisplacementMeters: Math.round(Math.max(...still.filter(fix => fix.location)
+      .map(fix => geodesy.distance(centroid, fix.location))) * 10) / 10,
+    peakAcceleration: Math.round(peakAcceleration * 1000) / 1000,
+    peakVibration,
+    temperatureRange: minTemperature === Infinity ? null : Math.round((maxTemperature - minTemperature) * 100) / 100
+  };
+}
+
+// Watches incoming telemetry for collars that have stopped moving, which
+// means either a dead animal or a collar that has come off, and raises a
+// mortality alert tied to the individual and deployment. Run as the
+// `mortality` alert rule, see alertRuleService.
+class MortalityService {
+  // Rule parameters until changed through /api/v1/alerts/rules
+  get defaultParams() {
+    return {
+      radius: numberFromEnv('MORTALITY_RADIUS_METERS', 50),
+      hours: numberFromEnv('MORTALITY_HOURS', 6),
+      maxAcceleration: numberFromEnv('MORTALITY_MAX_ACCELERATION', 0.3),
+      maxVibration: numberFromEnv('MORTALITY_MAX_VIBRATION', 0.05),
+      temperatureRange: numberFromEnv('MORTALITY_TEMPERATURE_RANGE', 2)
+    };
+  }
+
+  get enabledByDefault() {
+    return process.env.MORTALITY_DETECTION !== 'false';
+  }
+
+  // Check a device from its newest fix back. `history` is every fix of the
+  // device, oldest first, as read once per batch by alertRuleService.
+  // Returns the outcome of alertService.raise(), or null.
+  checkDevice(history, { params, severity }) {
+    const data = history.slice(-LOOKBACK_FIXES).reverse();
+
+    // Only fixes from the deployment of the newest one, so a collar lying
+    // on the shelf between animals is not blamed on either
+    const deploymentId = data[0]?.wildlife?.deploymentId;
+    const fixes = data.filter(fix => fix.wildlife?.deploymentId === deploymentId);
+
+    const stationary = fixes.length > 0 && assessMortality(fixes, params);
+    if (!stationary) return null;
+
+    const newest = fixes[0];
+    return alertService.raise({
+      type: 'mortality',
+      key: deploymentId || `device:${newest.deviceId}`,
+      severity,
+      deviceId: newest.deviceId,
+      individualId: newest.wildlife?.individualId,
+      deploymentId,
+      species: newest.wildlife?.species,
+      timestamp: newest.timestamp,
+      location: stationary.location,
+      message: `No movement beyond ${params.radius} m for ${stationary.durationHours} h: possible mortality or collar drop-off`,
+      details: stationary
+    });
+  }
+}
+
+// Create singleton instance
+const mortalityService = new MortalityService();
+
+module.exports = {
+  dynamicAcceleration,
+  assessMortality,
+  mortalityService
+};
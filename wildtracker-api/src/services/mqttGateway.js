@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const { ingestService } = require('./ingestService');
+const logger = require('../utils/logger');
+
+// Most points accepted in one message, as for /telemetry/batch
+const MAX_POINTS_PER_MESSAGE = 100;
+
+// The device id in a topic, taken from the segment matched by the first `+`
+// of the subscription pattern (`wildtracker/+/telemetry` -> segment 1)
+function deviceIdFromTopic(pattern, topic) {
+  const index = pattern.split('/').indexOf('+');
+  return index >= 0 ? topic.split('/')[index] : undefined;
+}
+
+// Broker URL with any credentials removed, for logs and /health
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+// Ingests telemetry that collars publish to an MQTT broker.
+//
+// Each message on a topic matching MQTT_TOPIC is a telemetry point, or an
+// array of up to 100, in the JSON accepted by POST /api/v1/telemetry. The
+// device id comes from the topic when the point leaves it out, and a point
+// naming a different device is refused. Points go through the same pipeline
+// as uploads (validation, registry, duplicate fixes, Kafka/outbox, alerts,
+// geofences and the live stream), one message at a time in arrival order.
+//
+// The broker is trusted to authenticate collars and restrict each to its own
+// topic. Counts and the last error are kept per topic for /health/detailed,
+// and unless MQTT_PUBLISH_ERRORS=false the errors for a message are also
+// published to `<topic>/errors` so the collar's operator can see them.
+class MqttGateway {
+  constructor() {
+    this.client = null;
+    this.pattern = null;
+    this.subscribed = false;
+    this.queue = Promise.resolve();
+    this.topics = {};
+    this.lastError = null;
+  }
+
+  // Connects in the background: an unreachable broker is retried every
+  // MQTT_RECONNECT_PERIOD_MS and must not hold up the API starting
+  start() {
+    if (this.client) return;
+
+    const url = process.env.MQTT_URL;
+    this.pattern = process.env.MQTT_TOPIC || 'wildtracker/+/telemetry';
+    const qos = parseInt(process.env.MQTT_QOS) || 1;
+    this.subscribed = false;
+
+    this.client = mqtt.connect(url, {
+      clientId: process.env.MQTT_CLIENT_ID || `wildtracker-${crypto.randomBytes(4).toString('hex')}`,
+      username: process.env.MQTT_USERNAME || undefined,
+      password: process.env.MQTT_PASSWORD || undefined,
+      reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_PERIOD_MS) || 5000
+    });
+
+    this.client.on('message', (topic, payload) => {
+      this.queue = this.queue
+        .then(() => this.handleMessage(topic, payload))
+        .catch(error => logger.error('MQTT message handling failed:', error));
+    });
+    this.client.on('connect', () => logger.info('Connected to MQTT broker', { url: redactUrl(url) }));
+    this.client.on('error', error => {
+      this.lastError = error.message;
+      logger.warn('MQTT connection error', { error: error.message });
+    });
+    this.client.on('offline', () => logger.warn('MQTT broker unreachable, reconnecting'));
+
+    // Queued until connected, and renewed by the client on every reconnect
+    this.client.subscribe(this.pattern, { qos }, error => {
+      if (error) {
+        this.lastError = error.message;
+        logger.error('MQTT subscription failed', { topic: this.pattern, error: error.message });
+        return;
+      }
+      this.subscribed = true;
+      logger.info('MQTT gateway subscribed', { topic: this.pattern, qos });
+    });
+  }
+
+  async stop() {
+    if (!this.client) return;
+    const client = this.client;
+    this.client = null;
+    this.subscribed = false;
+    try {
+      await client.endAsync();
+      await this.queue;
+      logger.info('MQTT gateway stopped');
+    } catch (error) {
+      logger.error('Error stopping MQTT gateway:', error);
+    }
+  }
+
+  // Ingest one message. Resolves to its counts and errors.
+  async handleMessage(topic, payload) {
+    const stats = this.topicStats(topic);
+    stats.messages++;
+    stats.lastMessageAt = new Date().toISOString();
+
+    const outcome = { accepted: 0, duplicates: 0, rejected: 0, errors: [] };
+    const reject = (index, error, details) => {
+      outcome.rejected++;
+      outcome.errors.push({ index, error, details });
+    };
+
+    let points;
+    try {
+      const parsed = JSON.parse(payload.toString());
+      points = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      points = [];
+      reject(null, 'Payload is not valid JSON', [error.message]);
+    }
+
+    if (points.length > MAX_POINTS_PER_MESSAGE) {
+      reject(null, 'Too many points', [`A message may hold at most ${MAX_POINTS_PER_MESSAGE} points, got ${points.length}`]);
+      points = [];
+    }
+
+    const topicDeviceId = deviceIdFromTopic(this.pattern || '', topic);
+    for (const [index, point] of points.entries()) {
+      if (!point || typeof point !== 'object' || Array.isArray(point)) {
+        reject(index, 'Validation failed', ['A point must be a JSON object']);
+        continue;
+      }
+      if (topicDeviceId && point.deviceId && point.deviceId !== topicDeviceId) {
+        reject(index, 'Device mismatch', [`deviceId "${point.deviceId}" does not match topic device "${topicDeviceId}"`]);
+        continue;
+      }
+
+      try {
+        const result = await ingestService.ingest({ ...point, deviceId: point.deviceId || topicDeviceId });
+        if (result.status === 'invalid') {
+          reject(index, 'Validation failed', result.details);
+        } else if (result.status === 'duplicate') {
+          outcome.duplicates++;
+        } else {
+          outcome.accepted++;
+        }
+      } catch (error) {
+        logger.error('Failed to ingest MQTT telemetry', { topic, index, error: error.message });
+        reject(index, 'Failed to store telemetry', []);
+      }
+    }
+
+    stats.accepted += outcome.accepted;
+    stats.duplicates += outcome.duplicates;
+    stats.rejected += outcome.rejected;
+
+    if (outcome.errors.length > 0) {
+      stats.lastError = { at: stats.lastMessageAt, errors: outcome.errors };
+      logger.warn('Rejected MQTT telemetry', { topic, errors: outcome.errors });
+      await this.reportErrors(topic, outcome.errors);
+    }
+    return outcome;
+  }
+
+  async reportErrors(topic, errors) {
+    if (!this.client || process.env.MQTT_PUBLISH_ERRORS === 'false') return;
+    try {
+      await this.client.publishAsync(`${topic}/errors`, JSON.stringify({
+        topic,
+        errors,
+        timestamp: new Date().toISOString()
+      }), { qos: 0 });
+    } catch (error) {
+      logger.warn('Failed to publish MQTT error report', { topic, error: error.message });
+    }
+  }
+
+  topicStats(topic) {
+    if (!this.topics[topic]) {
+      this.topics[topic] = { messages: 0, accepted: 0, duplicates: 0, rejected: 0, lastMessageAt: null, lastError: null };
+    }
+    return this.topics[topic];
+  }
+
+  getStatus() {
+    let status = 'stopped';
+    if (this.client) status = this.client.connected ? 'connected' : 'disconnected';
+    return {
+      status,
+      url: this.client ? redactUrl(process.env.MQTT_URL) : null,
+      topic: this.pattern,
+      subscribed: this.subscribed,
+      lastError: this.lastError,
+      topics: this.topics
+    };
+  }
+
+  clear() {
+    this.topics = {};
+    this.lastError = null;
+  }
+}
+
+// Create singleton instance
+const mqttGateway = new MqttGateway();
+
+function startMqttGateway() {
+  return mqttGateway.start();
+}
+
+async function stopMqttGateway() {
+  return await mqttGateway.stop();
+}
+
+function getMqttGatewayStatus() {
+  return mqttGateway.getStatus();
+}
+
+module.exports = {
+  deviceIdFromTopic,
+  startMqttGateway,
+  stopMqttGateway,
+  getMqttGatewayStatus,
+  mqttGateway
+};
@@ -0,0 +1,205 @@
+const { sendTelemetryMessage, sendTelemetryBatch, connectKafka, kafkaService } = require('./kafkaService');
+const { idempotencyService } = require('./idempotencyService');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Durable outbox for telemetry that could not be produced to Kafka.
+//
+// Points are appended to the `outbox` collection journal and drained in
+// arrival order by a background flusher once the producer is connected.
+// While anything is queued, new points are queued behind it rather than sent
+// directly, so Kafka never sees a device's fixes out of order.
+class OutboxService {
+  constructor() {
+    this.timer = null;
+    this.flushing = null;
+    this.lastFlushAt = null;
+    this.lastError = null;
+    this.lastReconnectAt = 0;
+  }
+
+  get collection() {
+    return getCollection('outbox');
+  }
+
+  get depth() {
+    return this.collection.size;
+  }
+
+  enqueue(telemetryData, reason) {
+    this.collection.put({
+      id: telemetryData.id,
+      telemetry: telemetryData,
+      reason,
+      queuedAt: new Date().toISOString()
+    });
+    return this.depth;
+  }
+
+  // Produce a point, falling back to the outbox. Resolves to either
+  // { status: 'published', partition, offset } or { status: 'queued', outboxDepth }.
+  async publish(telemetryData) {
+    if (this.depth > 0) {
+      const outboxDepth = this.enqueue(telemetryData, 'backlog');
+      this.flush().catch(() => {});
+      return { status: 'queued', outboxDepth };
+    }
+
+    try {
+      const result = await sendTelemetryMessage(telemetryData);
+      return { status: 'published', partition: result.partition, offset: result.offset };
+    } catch (error) {
+      logger.warn('Kafka not available, queueing telemetry in outbox:', error.message);
+      const outboxDepth = this.enqueue(telemetryData, error.message);
+      return { status: 'queued', outboxDepth };
+    }
+  }
+
+  // Batch counterpart of publish(): one produce request for the whole batch,
+  // resolving to a publish result per point in input order
+  async publishBatch(telemetryBatch) {
+    if (this.depth > 0) {
+      const results = telemetryBatch.map(telemetryData => ({
+        status: 'queued',
+        outboxDepth: this.enqueue(telemetryData, 'backlog')
+      }));
+      this.flush().catch(() => {});
+      return results;
+    }
+
+    let sendResults;
+    try {
+      sendResults = await sendTelemetryBatch(telemetryBatch);
+    } catch (error) {
+      logger.warn('Kafka not available, queueing telemetry batch in outbox:', error.message);
+      sendResults = telemetryBatch.map(() => ({ success: false, error: error.message }));
+    }
+
+    return telemetryBatch.map((telemetryData, i) => {
+      const result = (sendResults || [])[i];
+      if (result && result.success) {
+        return { status: 'published', partition: result.partition, offset: result.offset };
+      }
+      return {
+        status: 'queued',
+        outboxDepth: this.enqueue(telemetryData, result ? result.error : 'no send result')
+      };
+    });
+  }
+
+  // Drain queued points in order, stopping at the first failure so that
+  // later points never overtake earlier ones
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (!kafkaService?.isConnected || this.depth === 0) return 0;
+
+    this.flushing = (async () => {
+      let sent = 0;
+      try {
+        for (const entry of this.collection.values()) {
+          const result = await sendTelemetryMessage(entry.telemetry);
+          this.collection.delete(entry.id);
+          idempotencyService.markFixPublished(entry.telemetry, result);
+          sent++;
+        }
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        logger.warn('Outbox flush interrupted, will retry', { sent, remaining: this.depth, error: error.message });
+      } finally {
+        this.lastFlushAt = new Date().toISOString();
+        this.flushing = null;
+      }
+
+      if (sent > 0) {
+        logger.info('Flushed telemetry outbox to Kafka', { sent, remaining: this.depth });
+      }
+      return sent;
+    })();
+
+    return this.flushing;
+  }
+
+  async tick() {
+    if (!kafkaService?.isConnected && this.depth > 0 && this.shouldReconnect()) {
+      this.lastReconnectAt = Date.now();
+      try {
+        await connectKafka();
+      } catch (error) {
+        this.lastError = error.message;
+        return;
+      }
+    }
+    await this.flush();
+  }
+
+  shouldReconnect() {
+    const interval = parseInt(process.env.OUTBOX_RECONNECT_INTERVAL_MS) || 30000;
+    return !!process.env.KAFKA_BROKERS?.trim() && Date.now() - this.lastReconnectAt >= interval;
+  }
+
+  start() {
+    if (this.timer) return;
+    const interval = parseInt(process.env.OUTBOX_FLUSH_INTERVAL_MS) || 5000;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Outbox flusher failed:', error));
+    }, interval);
+    this.timer.unref();
+    logger.info('Telemetry outbox flusher started', { interval, depth: this.depth });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    const oldest = this.collection.values()[0];
+    return {
+      status: this.timer ? 'running' : 'stopped',
+      depth: this.depth,
+      oldestQueuedAt: oldest ? oldest.queuedAt : null,
+      lastFlushAt: this.lastFlushAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Create singleton instance
+const outboxService = new OutboxService();
+
+async function publishTelemetry(telemetryData) {
+  return await outboxService.publish(telemetryData);
+}
+
+async function publishTelemetryBatch(telemetryBatch) {
+  return await outboxService.publishBatch(telemetryBatch);
+}
+
+async function flushOutbox() {
+  return await outboxService.flush();
+}
+
+function startOutboxFlusher() {
+  outboxService.start();
+}
+
+function stopOutboxFlusher() {
+  outboxService.stop();
+}
+
+function getOutboxStatus() {
+  return outboxService.getStatus();
+}
+
+module.exports = {
+  publishTelemetry,
+  publishTelemetryBatch,
+  flushOutbox,
+  startOutboxFlusher,
+  stopOutboxFlusher,
+  getOutboxStatus,
+  outboxService
+};
@@ -0,0 +1,153 @@
+const { createKafkaClient } = require('./kafkaService');
+const { validateTelemetryMessage, sanitizeTelemetryData } = require('../models/telemetry');
+const { ingestService } = require('./ingestService');
+const { getTelemetryRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Consumer-group worker that materializes the telemetry topic into the
+// telemetry store read by /data, /map and /individual/:individualId.
+//
+// Offsets are resolved only after a point has been written, and points are
+// upserted by id, so a restart resumes from the last committed offset and any
+// redelivered message overwrites its earlier copy instead of duplicating it.
+//
+// Points from other producers are followed up here, as ingestService does for
+// points the API ingested itself, which arrive marked as `ingested`.
+class TelemetryConsumer {
+  constructor() {
+    this.kafka = null;
+    this.consumer = null;
+    this.isRunning = false;
+    this.stats = {
+      processed: 0,
+      skipped: 0,
+      lastOffsets: {}
+    };
+  }
+
+  async start() {
+    if (this.isRunning) return;
+
+    const topic = process.env.KAFKA_TOPIC_TELEMETRY || 'telemetry-data';
+    const groupId = process.env.KAFKA_GROUP_ID || 'telemetry-consumers';
+
+    this.kafka = createKafkaClient('-consumer');
+    this.consumer = this.kafka.consumer({ groupId });
+
+    await this.consumer.connect();
+    await this.consumer.subscribe({
+      topic,
+      fromBeginning: process.env.KAFKA_CONSUMER_FROM_BEGINNING !== 'false'
+    });
+    await this.consumer.run({
+      eachBatchAutoResolve: false,
+      eachBatch: (payload) => this.handleBatch(payload)
+    });
+
+    this.isRunning = true;
+    logger.info('Telemetry consumer started', { topic, groupId });
+  }
+
+  async stop() {
+    if (!this.consumer) return;
+    try {
+      await this.consumer.disconnect();
+      logger.info('Telemetry consumer stopped');
+    } catch (error) {
+      logger.error('Error stopping telemetry consumer:', error);
+    } finally {
+      this.isRunning = false;
+      this.consumer = null;
+    }
+  }
+
+  async handleBatch({ batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale }) {
+    for (const message of batch.messages) {
+      if (!isRunning() || isStale()) break;
+
+      await this.handleMessage(batch.topic, batch.partition, message);
+
+      resolveOffset(message.offset);
+      this.stats.lastOffsets[batch.partition] = message.offset;
+      await heartbeat();
+    }
+
+    await commitOffsetsIfNecessary();
+  }
+
+  async handleMessage(topic, partition, message) {
+    const decoded = this.decodeMessage(topic, partition, message);
+    if (!decoded) {
+      this.stats.skipped++;
+      return null;
+    }
+
+    const { point, ingested } = decoded;
+    await getTelemetryRepository().save(point);
+    // Imported fixes are historic, see ingestService.ingestBatch()
+    if (!ingested && !point.importJobId) await ingestService.afterStore([point]);
+    this.stats.processed++;
+    return point;
+  }
+
+  // Decode and normalize a raw Kafka message into { point, ingested }.
+  // Returns null for messages that can never be stored so they are skipped
+  // rather than retried forever.
+  decodeMessage(topic, partition, message) {
+    let payload;
+    try {
+      payload = JSON.parse(message.value.toString());
+    } catch (error) {
+      logger.warn('Skipping unparseable telemetry message', { topic, partition, offset: message.offset });
+      return null;
+    }
+
+    const { id, receivedAt, ingested, ...telemetry } = payload;
+    const { error, value } = validateTelemetryMessage(telemetry);
+    if (error) {
+      logger.warn('Skipping invalid telemetry message', {
+        topic,
+        partition,
+        offset: message.offset,
+        errors: error.details.map(d => d.message)
+      });
+      return null;
+    }
+
+    const point = sanitizeTelemetryData(value);
+    // Messages from other producers carry no id, so derive a stable one from
+    // their position in the log to keep redelivery idempotent
+    point.id = id || `${topic}-${partition}-${message.offset}`;
+    point.receivedAt = receivedAt || new Date().toISOString();
+    return { point, ingested: ingested === true };
+  }
+
+  getStatus() {
+    return {
+      status: this.isRunning ? 'running' : 'stopped',
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const telemetryConsumer = new TelemetryConsumer();
+
+async function startTelemetryConsumer() {
+  return await telemetryConsumer.start();
+}
+
+async function stopTelemetryConsumer() {
+  return await telemetryConsumer.stop();
+}
+
+function getTelemetryConsumerStatus() {
+  return telemetryConsumer.getStatus();
+}
+
+module.exports = {
+  startTelemetryConsumer,
+  stopTelemetryConsumer,
+  getTelemetryConsumerStatus,
+  telemetryConsumer
+};
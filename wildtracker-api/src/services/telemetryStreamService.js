@@ -0,0 +1,66 @@
+const { buildFilter } = require('../repositories/telemetryRepository');
+const { locationPolicyService } = require('./locationPolicyService');
+const logger = require('../utils/logger');
+
+// Live feed of newly stored telemetry, behind /api/v1/telemetry/stream.
+//
+// Each subscriber has the filters it connected with and the user it
+// connected as. Points are matched and redacted per subscriber when they are
+// published, so a location policy change applies to open streams at once and
+// a point still under its species' embargo is not sent to users who may not
+// see it yet.
+class TelemetryStreamService {
+  constructor() {
+    this.subscribers = new Set();
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  // Register `send(points)` for points matching the filters. Returns a
+  // function that unsubscribes.
+  subscribe(filters, user, send) {
+    const subscriber = { filters, user, send };
+    this.subscribers.add(subscriber);
+    logger.info('Telemetry stream opened', { user: user?.username, subscribers: this.size });
+
+    return () => {
+      if (this.subscribers.delete(subscriber)) {
+        logger.info('Telemetry stream closed', { user: user?.username, subscribers: this.size });
+      }
+    };
+  }
+
+  // Push newly stored points to every subscriber they match. Never throws:
+  // a failing subscriber is dropped and must not fail the upload.
+  publish(points) {
+    const located = points.filter(point => point.location);
+    if (located.length === 0 || this.size === 0) return;
+
+    for (const subscriber of this.subscribers) {
+      try {
+        const scoped = locationPolicyService.scopeQuery(subscriber.filters, subscriber.user);
+        const matches = buildFilter(scoped.filters);
+        const visible = located.filter(point => matches(point) && (!scoped.where || scoped.where(point)));
+        if (visible.length > 0) {
+          subscriber.send(locationPolicyService.redactAll(visible, subscriber.user));
+        }
+      } catch (error) {
+        logger.error('Dropping telemetry stream subscriber', { user: subscriber.user?.username, error: error.message });
+        this.subscribers.delete(subscriber);
+      }
+    }
+  }
+
+  clear() {
+    this.subscribers.clear();
+  }
+}
+
+// Create singleton instance
+const telemetryStreamService = new TelemetryStreamService();
+
+module.exports = {
+  telemetryStreamService
+};
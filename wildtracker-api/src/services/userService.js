@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+// User accounts. Local users carry a scrypt password hash; users created by
+// other identity providers carry only their provider and subject.
+class UserService {
+  get collection() {
+    return getCollection('users');
+  }
+
+  async createUser({ username, password, role, displayName, provider = 'local', subject }) {
+    if (this.findByUsername(username)) {
+      const error = new Error(`User "${username}" already exists`);
+      error.code = 'USER_EXISTS';
+      throw error;
+    }
+
+    const user = this.collection.put({
+      id: `usr_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      displayName,
+      role,
+      provider,
+      subject,
+      passwordHash: password ? await hashPassword(password) : undefined,
+      createdAt: new Date().toISOString()
+    });
+
+    logger.info('Created user', { username, role, provider });
+    return user;
+  }
+
+  getUser(id) {
+    return this.collection.get(id);
+  }
+
+  findByUsername(username) {
+    const wanted = String(username).toLowerCase();
+    return this.collection.find(user => user.username.toLowerCase() === wanted)[0] || null;
+  }
+
+  listUsers() {
+    return this.collection.values().sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async updateUser(id, { password, ...changes }) {
+    const user = this.getUser(id);
+    if (!user) return null;
+
+    const updated = { ...user, ...changes, updatedAt: new Date().toISOString() };
+    if (password) {
+      updated.passwordHash = await hashPassword(password);
+    }
+    return this.collection.put(updated);
+  }
+
+  // Check local credentials. Resolves to the user or null; disabled users and
+  // users from other providers never match.
+  async verifyCredentials(username, password) {
+    const user = this.findByUsername(username);
+    if (!user || user.disabled || !user.passwordHash) return null;
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  recordLogin(user) {
+    return this.collection.put({ ...user, lastLoginAt: new Date().toISOString() });
+  }
+
+  // Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD so a fresh
+  // install can be signed into
+  async ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password || this.findByUsername(username)) return null;
+
+    return await this.createUser({ username, password, role: 'admin', displayName: 'Administrator' });
+  }
+
+  clear() {
+    this.collection.clear();
+  }
+}
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  userService
+};
@@ -0,0 +1,195 @@
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const { homeRangeService } = require('./homeRangeService');
+const { locationPolicyService } = require('./locationPolicyService');
+const { getTelemetryRepository } = require('../repositories');
+const { tileBounds } = require('../utils/geodesy');
+const { groupTracks, toPointFeature, toLineFeature } = require('../utils/trackFormats');
+
+const CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+// Tile coordinates run 0-4096 across a tile, and features are kept out to a
+// 64 unit margin so symbols and lines are not cut at tile edges
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+// Vector tile attributes are strings, numbers or booleans: drop empty values
+// and join lists
+function tileProperties(properties) {
+  const flat = {};
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === undefined || value === null) continue;
+    flat[key] = Array.isArray(value) ? value.join(',') : value;
+  }
+  return flat;
+}
+
+function trackFeature(track) {
+  // The time of every position is too much to carry in a tile
+  const feature = toLineFeature(track);
+  const properties = tileProperties(feature.properties);
+  delete properties.coordTimes;
+  return { ...feature, properties };
+}
+
+// Home range polygons of a track, or none when it has too few fixes
+function homeRangeFeatures(track) {
+  let estimate;
+  try {
+    estimate = homeRangeService.estimate(track.points.map(point => point.location));
+  } catch (error) {
+    if (error.code === 'NOT_ENOUGH_FIXES') return [];
+    throw error;
+  }
+
+  const { trackId, individualId, species, start, end, points } = toLineFeature(track).properties;
+  return estimate.homeRange.features.map(feature => ({
+    ...feature,
+    properties: tileProperties({ trackId, individualId, species, start, end, fixes: points, ...feature.properties })
+  }));
+}
+
+// [minLng, minLat, maxLng, maxLat] of a feature's geometry
+function featureBounds(feature) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const extend = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      bounds[0] = Math.min(bounds[0], coordinates[0]);
+      bounds[1] = Math.min(bounds[1], coordinates[1]);
+      bounds[2] = Math.max(bounds[2], coordinates[0]);
+      bounds[3] = Math.max(bounds[3], coordinates[1]);
+    } else {
+      coordinates.forEach(extend);
+    }
+  };
+  extend(feature.geometry.coordinates);
+  return bounds;
+}
+
+function intersects([minLng, minLat, maxLng, maxLat], tile) {
+  return minLng <= tile.maxLng && maxLng >= tile.minLng && minLat <= tile.maxLat && maxLat >= tile.minLat;
+}
+
+function buildIndex(features, maxZoom) {
+  return geojsonvt({ type: 'FeatureCollection', features }, {
+    maxZoom,
+    indexMaxZoom: 0,
+    extent: TILE_EXTENT,
+    buffer: TILE_BUFFER
+  });
+}
+
+// Mapbox Vector Tiles of telemetry, behind /api/v1/tiles.
+//
+// Each layer is built from the points matching the /data filters, as the
+// caller may see them, so location policies apply to tiles as to every other
+// read:
+//   points      a Point per fix in and around the tile
+//   tracks      a LineString per animal (or collar), see groupTracks()
+//   homeranges  the MCP and kernel home range polygons of each animal
+// Tracks and home ranges are drawn from every matching fix, not only those in
+// the tile, and simplified to the tile's zoom. Building them means reading
+// every matching fix, so they are kept for TILE_MAX_AGE_SECONDS
+// and serves every tile of a map view from that one read.
+class VectorTileService {
+  constructor() {
+    this.layers = new Map();
+  }
+
+  get config() {
+    return {
+      maxAgeSeconds: parseInt(process.env.TILE_MAX_AGE_SECONDS) || 60
+    };
+  }
+
+  // GeoJSON features of a layer, around tile z/x/y for points
+  async features(layer, { z, x, y }, filters, user) {
+    const query = { ...filters, hasLocation: true };
+    if (layer === 'points') {
+      query.bbox = tileBounds(z, x, y, TILE_BUFFER / TILE_EXTENT);
+    }
+
+    const scoped = locationPolicyService.scopeQuery(query, user);
+    const points = locationPolicyService.redactEach(getTelemetryRepository().scan(scoped.filters, { where: scoped.where }), user);
+
+    if (layer === 'points') {
+      const features = [];
+      for await (const point of points) {
+        if (typeof point.location?.latitude !== 'number') continue;
+        features.push(toPointFeature(point));
+      }
+      return features;
+    }
+
+    const located = [];
+    for await (const point of points) located.push(point);
+    const tracks = groupTracks(located);
+    return layer === 'tracks'
+      ? tracks.map(trackFeature)
+      : tracks.flatMap(homeRangeFeatures);
+  }
+
+  // Features of a tracks or homeranges layer with the bounds of each, and
+  // their tile index by zoom. Shared by callers who see the same data:
+  // everyone with an elevated role, or everyone else while the location
+  // policies are unchanged.
+  async layerCache(layer, filters, user) {
+    const scope = locationPolicyService.isElevated(user) ? 'elevated' : locationPolicyService.listPolicies();
+    const key = JSON.stringify([layer, filters, scope]);
+    const now = Date.now();
+
+    const cached = this.layers.get(key);
+    if (cached && cached.expires > now) return cached;
+
+    for (const [staleKey, entry] of this.layers) {
+      if (entry.expires <= now) this.layers.delete(staleKey);
+    }
+
+    const features = await this.features(layer, {}, filters, user);
+    const entry = {
+      features,
+      bounds: features.map(featureBounds),
+      indexes: new Map(),
+      expires: now + this.config.maxAgeSeconds * 1000
+    };
+    this.layers.set(key, entry);
+    return entry;
+  }
+
+  // Encoded tile holding one layer named after `layer`, or null when the
+  // tile is empty
+  async getTile(layer, { z, x, y }, filters, user) {
+    let index;
+    if (layer === 'points') {
+      const features = await this.features(layer, { z, x, y }, filters, user);
+      if (features.length === 0) return null;
+      index = buildIndex(features, z);
+    } else {
+      // Tiles no track or home range reaches are answered without an index
+      const cached = await this.layerCache(layer, filters, user);
+      const area = tileBounds(z, x, y, TILE_BUFFER / TILE_EXTENT);
+      if (!cached.bounds.some(bounds => intersects(bounds, area))) return null;
+
+      // Built to the tile's zoom, as for points, so nothing is simplified away
+      if (!cached.indexes.has(z)) cached.indexes.set(z, buildIndex(cached.features, z));
+      index = cached.indexes.get(z);
+    }
+
+    const tile = index.getTile(z, x, y);
+    if (!tile || tile.features.length === 0) return null;
+
+    return Buffer.from(vtpbf.fromGeojsonVt({ [layer]: tile }, { version: 2, extent: TILE_EXTENT }));
+  }
+
+  clear() {
+    this.layers.clear();
+  }
+}
+
+// Create singleton instance
+const vectorTileService = new VectorTileService();
+
+module.exports = {
+  CONTENT_TYPE,
+  vectorTileService
+};
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { alertService } = require('./alertService');
+const { locationPolicyService } = require('./locationPolicyService');
+const { userService } = require('./userService');
+const { isAuthEnabled } = require('../middleware/userAuth');
+const { getCollection } = require('../repositories');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// HMAC-SHA256(secret, `<timestamp>.<body>`), the scheme devices use to sign
+// uploads, so receivers can check a delivery the same way
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+// Loopback, private, link-local (cloud metadata), shared and reserved
+// ranges, which webhooks must not reach unless WEBHOOK_ALLOW_PRIVATE is set
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function sameSpecies(names, species) {
+  return !!species && names.some(name => name.toLowerCase() === species.toLowerCase());
+}
+
+// Outbound webhooks for new alerts and geofence events.
+//
+// Each matching event becomes a delivery in `webhook-deliveries`, holding the
+// payload as the webhook's owner may see it: location policies are applied
+// for the owner's current role when the event is queued, and events the
+// owner could not yet see (embargoed species) are not sent. Nothing is sent
+// for an owner who is disabled or has lost the role the payload was prepared
+// for by the time of an attempt. The worker POSTs pending
+// deliveries, and a failed attempt is retried after an exponentially growing
+// delay until WEBHOOK_MAX_ATTEMPTS is reached, when the delivery becomes a
+// dead letter. Dead letters stay until they are redelivered or the webhook is
+// removed; every attempt is recorded in the delivery's `log`.
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  get collection() {
+    return getCollection('webhooks');
+  }
+
+  get deliveries() {
+    return getCollection('webhook-deliveries');
+  }
+
+  get config() {
+    return {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+      backoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30000,
+      backoffMaxMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS) || 6 * 60 * 60 * 1000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      retentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 7,
+      allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+    };
+  }
+
+  // Why a URL may not be sent to, or null if it may. Its host is resolved
+  // and refused if any address is in a private range, so that webhooks
+  // cannot be used to reach the API's own network. Checked when a URL is set
+  // and again before each attempt, as DNS may have changed since.
+  async checkUrl(url) {
+    if (this.config.allowPrivate) return null;
+
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      return `"url" host ${hostname} could not be resolved`;
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return `"url" host ${hostname} is a private, loopback or link-local address`;
+    }
+    return null;
+  }
+
+  // Register a webhook. The secret is generated here and only returned now.
+  createWebhook(data, user) {
+    const now = new Date().toISOString();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const webhook = this.collection.put({
+      id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      ...data,
+      secret,
+      createdBy: { id: user?.id || null, username: user?.username || null, role: user?.role || null },
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logger.info('Created webhook', { id: webhook.id, url: webhook.url, user: user?.username });
+    return { webhook, secret };
+  }
+
+  getWebhook(id) {
+    return this.collection.get(id);
+  }
+
+  // Webhooks oldest first, optionally only those created by one user
+  listWebhooks({ ownerId } = {}) {
+    return this.collection
+      .find(webhook => ownerId === undefined || webhook.createdBy.id === ownerId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  updateWebhook(id, changes) {
+    const webhook = this.getWebhook(id);
+    if (!webhook) return null;
+
+    const updated = { ...webhook, ...changes, updatedAt: new Date().toISOString() };
+    for (const filter of ['alertTypes', 'severities', 'species', 'geofenceIds']) {
+      if (changes[filter] === null) delete updated[filter];
+    }
+    return this.collection.put(updated);
+  }
+
+  // Remove a webhook with its deliveries and dead letters
+  deleteWebhook(id) {
+    if (!this.collection.delete(id)) return false;
+    this.deliveries.find(delivery => delivery.webhookId === id).forEach(delivery => this.deliveries.delete(delivery.id));
+    logger.info('Deleted webhook', { id });
+    return true;
+  }
+
+  // Queue newly raised alerts, as reported by alertService.raise(); callers
+  // leave out refreshes of an alert that is still active. An alert listed
+  // more than once is sent once.
+  notifyAlerts(alerts) {
+    const unique = new Map(alerts.map(alert => [alert.id, alert]));
+    return [...unique.values()].flatMap(alert => this.dispatch('alert', 'alert.raised', alert));
+  }
+
+  notifyGeofenceEvents(events) {
+    return events.flatMap(event => this.dispatch('geofence', `geofence.${event.type}`, event));
+  }
+
+  // Queue a delivery of the record to each active webhook it matches.
+  // Returns the deliveries queued; never throws.
+  dispatch(kind, event, record) {
+    const queued = [];
+    for (const webhook of this.collection.find(webhook => this.matches(webhook, kind, record))) {
+      try {
+        const owner = this.ownerOf(webhook);
+        const data = owner && this.viewFor(owner, kind, record);
+        if (data) queued.push(this.enqueue(webhook, event, data, owner));
+      } catch (error) {
+        logger.error('Failed to queue webhook delivery', { webhookId: webhook.id, event, error: error.message });
+      }
+    }
+
+    if (queued.length > 0 && this.timer) {
+      this.flush().catch(error => logger.error('Webhook delivery failed:', error));
+    }
+    return queued;
+  }
+
+  matches(webhook, kind, record) {
+    if (!webhook.active || !webhook.events.includes(kind)) return false;
+
+    const species = kind === 'alert' ? record.species : record.wildlife?.species;
+    if (webhook.species && !sameSpecies(webhook.species, species)) return false;
+
+    if (kind === 'alert') {
+      return (!webhook.alertTypes || webhook.alertTypes.includes(record.type)) &&
+        (!webhook.severities || webhook.severities.includes(record.severity));
+    }
+    return !webhook.geofenceIds || webhook.geofenceIds.includes(record.geofenceId);
+  }
+
+  // The webhook's owner as they are now, or null when their account is
+  // disabled or gone. Without accounts (AUTH_ENABLED=false) it is the user
+  // recorded when the webhook was created.
+  ownerOf(webhook) {
+    if (!isAuthEnabled()) return webhook.createdBy;
+    const user = webhook.createdBy.id && userService.getUser(webhook.createdBy.id);
+    return user && !user.disabled ? user : null;
+  }
+
+  // Why a delivery may not be sent for the webhook's owner now, or null
+  checkOwner(webhook, delivery) {
+    const owner = this.ownerOf(webhook);
+    if (!owner) return 'Webhook owner is disabled or no longer exists';
+
+    // Payloads prepared for an elevated role carry exact positions
+    if (delivery.ownerRole && locationPolicyService.isElevated({ role: delivery.ownerRole }) &&
+      !locationPolicyService.isElevated(owner)) {
+      return `Webhook owner no longer has the ${delivery.ownerRole} role this event was prepared for`;
+    }
+    return null;
+  }
+
+  // The record as the webhook's owner may see it, or null if withheld
+  viewFor(owner, kind, record) {
+    if (kind === 'alert') {
+      return alertService.redactAll([record], owner)[0] || null;
+    }
+
+    const { where } = locationPolicyService.scopeQuery({}, owner);
+    if (where && !where(record)) return null;
+    return locationPolicyService.redact(record, owner);
+  }
+
+  enqueue(webhook, event, data, owner) {
+    const now = new Date().toISOString();
+    const id = `whd_${crypto.randomBytes(8).toString('hex')}`;
+    return this.deliveries.put({
+      id,
+      webhookId: webhook.id,
+      event,
+      ownerRole: owner?.role || null,
+      payload: { id, event, createdAt: now, data },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      log: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Send a `ping` now to check a receiver, whether or not the webhook is
+  // active. Resolves to the delivery after its first attempt; if that failed
+  // it is retried like any other.
+  async sendTest(webhook) {
+    const delivery = this.enqueue(webhook, 'ping', { webhookId: webhook.id, message: 'WildTrack webhook test' });
+    return this.attempt(webhook, delivery);
+  }
+
+  getDelivery(id) {
+    return this.deliveries.get(id);
+  }
+
+  // Deliveries newest first, by webhook and/or status
+  listDeliveries({ webhookId, webhookIds, status } = {}) {
+    return this.deliveries
+      .find(delivery =>
+        (!webhookId || delivery.webhookId === webhookId) &&
+        (!webhookIds || webhookIds.includes(delivery.webhookId)) &&
+        (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Put a dead letter back in the queue with a fresh set of attempts
+  redeliver(id) {
+    const delivery = this.getDelivery(id);
+    if (!delivery) return null;
+    if (delivery.status !== 'dead') {
+      const error = new Error(`Delivery is ${delivery.status}, only dead letters can be redelivered`);
+      error.code = 'DELIVERY_NOT_DEAD';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    logger.info('Redelivering webhook dead letter', { id, webhookId: delivery.webhookId });
+    return this.deliveries.put({ ...delivery, status: 'pending', attempts: 0, nextAttemptAt: now, redeliveredAt: now, updatedAt: now });
+  }
+
+  // Delay before retrying after the given number of failed attempts
+  backoff(attempts) {
+    const { backoffBaseMs, backoffMaxMs } = this.config;
+    return Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+  }
+
+  // Attempt every pending delivery that is due at `now`. Deliveries of an
+  // inactive webhook wait until it is active again. Resolves to the number
+  // attempted.
+  async flush(now = Date.now()) {
+    if (!this.flushing) {
+      this.flushing = this.deliverDue(now).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async deliverDue(now) {
+    const dueBy = new Date(now).toISOString();
+    const due = this.deliveries
+      .find(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= dueBy)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+    let attempted = 0;
+    for (const delivery of due) {
+      const webhook = this.getWebhook(delivery.webhookId);
+      if (!webhook || (!webhook.active && delivery.event !== 'ping')) continue;
+      await this.attempt(webhook, delivery);
+      attempted++;
+    }
+    this.pruneDeliveries(now);
+    return attempted;
+  }
+
+  // POST one delivery and record the outcome
+  async attempt(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const refused = this.checkOwner(webhook, delivery) || await this.checkUrl(webhook.url);
+      if (refused) throw new Error(refused);
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WildTrack-Webhooks/1.0',
+          'X-WildTrack-Event': delivery.event,
+          'X-WildTrack-Delivery': delivery.id,
+          'X-Timestamp': String(timestamp),
+          'X-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+      statusCode = response.status;
+      await response.text().catch(() => '');
+      if (statusCode < 200 || statusCode >= 300) error = `Receiver responded with HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${this.config.timeoutMs} ms`
+        : requestError.cause?.message || requestError.message;
+    }
+
+    const finished = Date.now();
+    const at = new Date(finished).toISOString();
+    const attempts = delivery.attempts + 1;
+    const log = [...delivery.log, { attempt: attempts, at, statusCode, error, durationMs: finished - started }];
+
+    if (!error) {
+      return this.deliveries.put({ ...delivery, status: 'delivered', attempts, log, deliveredAt: at, lastError: null, updatedAt: at });
+    }
+
+    if (attempts >= this.config.maxAttempts) {
+      logger.warn('Webhook delivery failed permanently', { id: delivery.id, webhookId: webhook.id, attempts, error });
+      return this.deliveries.put({ ...delivery, status: 'dead', attempts, log, lastError: error, failedAt: at, updatedAt: at });
+    }
+
+    const nextAttemptAt = new Date(finished + this.backoff(attempts)).toISOString();
+    logger.info('Webhook delivery failed, will retry', { id: delivery.id, webhookId: webhook.id, attempts, nextAttemptAt, error });
+    return this.deliveries.put({ ...delivery, status: 'pending', attempts, log, lastError: error, nextAttemptAt, updatedAt: at });
+  }
+
+  // Drop delivered logs older than WEBHOOK_DELIVERY_RETENTION_DAYS
+  pruneDeliveries(now = Date.now()) {
+    const cutoff = new Date(now - this.config.retentionDays * DAY).toISOString();
+    this.deliveries
+      .find(delivery => delivery.status === 'delivered' && delivery.deliveredAt < cutoff)
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+
+  start() {
+    if (this.timer) return;
+    const interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+    this.timer = setInterval(() => {
+      this.flush().catch(error => logger.error('Webhook delivery failed:', error));
+    }, interval);
+    this.timer.unref();
+    logger.info('Webhook delivery worker started', { interval });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  clear() {
+    this.collection.clear();
+    this.deliveries.clear();
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+function startWebhookWorker() {
+  webhookService.start();
+}
+
+function stopWebhookWorker() {
+  webhookService.stop();
+}
+
+module.exports = {
+  sign,
+  isPrivateAddress,
+  webhookService,
+  startWebhookWorker,
+  stopWebhookWorker
+};
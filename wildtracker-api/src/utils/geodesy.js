@@ -0,0 +1,186 @@
+// Distances, bearings and map projections on the Earth's surface. Positions are
+// { latitude, longitude } in decimal degrees; distances are in metres and
+// bearings in degrees clockwise from true north (0-360).
+
+// Mean Earth radius (IUGG), used by the spherical formulas
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// WGS84 ellipsoid, used by Vincenty's formulae
+const WGS84 = {
+  a: 6378137,
+  f: 1 / 298.257223563
+};
+WGS84.b = WGS84.a * (1 - WGS84.f);
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+// Great-circle distance on a sphere. Accurate to about 0.5%.
+function haversineDistance(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLat = lat2 - lat1;
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Distance on the WGS84 ellipsoid by Vincenty's inverse formula. Accurate to
+// well under a millimetre. Returns null for nearly antipodal points, where
+// the iteration does not converge.
+function vincentyDistance(from, to) {
+  const { a, b, f } = WGS84;
+  const L = toRadians(to.longitude - from.longitude);
+  const U1 = Math.atan((1 - f) * Math.tan(toRadians(from.latitude)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRadians(to.latitude)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+    if (sinSigma === 0) return 0; // coincident points
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // equatorial line
+
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const previous = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+      const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+      return b * A * (sigma - deltaSigma);
+    }
+  }
+  return null;
+}
+
+// Ellipsoidal distance, falling back to the great circle where Vincenty's
+// formula does not converge
+function distance(from, to) {
+  const ellipsoidal = vincentyDistance(from, to);
+  return ellipsoidal !== null ? ellipsoidal : haversineDistance(from, to);
+}
+
+// Initial bearing of the great circle from one position to another, or null
+// when they coincide
+function initialBearing(from, to) {
+  if (from.latitude === to.latitude && from.longitude === to.longitude) return null;
+
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Sum of distances along a path of positions
+function pathLength(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i++) {
+    total += distance(positions[i - 1], positions[i]);
+  }
+  return total;
+}
+
+// Lambert azimuthal equal-area projection on the sphere, centred on a
+// position. Areas measured in projected metres are true areas, which makes
+// it suitable for home ranges and other polygons up to a few hundred km.
+// Returns { forward(position) -> { x, y }, inverse({ x, y }) -> position }.
+function equalAreaProjection(center) {
+  const lat0 = toRadians(center.latitude);
+  const lng0 = toRadians(center.longitude);
+  const sinLat0 = Math.sin(lat0);
+  const cosLat0 = Math.cos(lat0);
+
+  return {
+    forward(position) {
+      const lat = toRadians(position.latitude);
+      const dLng = toRadians(position.longitude) - lng0;
+      const k = Math.sqrt(2 / (1 + sinLat0 * Math.sin(lat) + cosLat0 * Math.cos(lat) * Math.cos(dLng)));
+      return {
+        x: EARTH_RADIUS_METERS * k * Math.cos(lat) * Math.sin(dLng),
+        y: EARTH_RADIUS_METERS * k * (cosLat0 * Math.sin(lat) - sinLat0 * Math.cos(lat) * Math.cos(dLng))
+      };
+    },
+
+    inverse({ x, y }) {
+      const rho = Math.sqrt(x * x + y * y);
+      if (rho === 0) return { latitude: center.latitude, longitude: center.longitude };
+
+      const c = 2 * Math.asin(Math.min(1, rho / (2 * EARTH_RADIUS_METERS)));
+      const latitude = Math.asin(Math.cos(c) * sinLat0 + y * Math.sin(c) * cosLat0 / rho);
+      const longitude = lng0 + Math.atan2(x * Math.sin(c), rho * cosLat0 * Math.cos(c) - y * sinLat0 * Math.sin(c));
+      return {
+        latitude: toDegrees(latitude),
+        longitude: ((toDegrees(longitude) + 540) % 360) - 180
+      };
+    }
+  };
+}
+
+// Largest latitude Web Mercator can show, where the map becomes square
+const WEB_MERCATOR_MAX_LATITUDE = 85.0511287798;
+
+// Position in Web Mercator (EPSG:3857) pixels at a zoom level, as used by
+// slippy map tiles: the world is tileSize * 2^zoom pixels square, with the
+// origin at its north-west corner. Latitudes beyond the map are clamped.
+function webMercatorPixel(position, zoom, tileSize = 256) {
+  const size = tileSize * 2 ** zoom;
+  const latitude = Math.max(-WEB_MERCATOR_MAX_LATITUDE, Math.min(WEB_MERCATOR_MAX_LATITUDE, position.latitude));
+  const sinLat = Math.sin(toRadians(latitude));
+  return {
+    x: (position.longitude + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * size
+  };
+}
+
+// Bounds of slippy map tile z/x/y in degrees, as { minLng, minLat, maxLng,
+// maxLat }. `buffer` widens the tile on every side by that share of its size.
+function tileBounds(zoom, x, y, buffer = 0) {
+  const tiles = 2 ** zoom;
+  const longitude = tx => tx / tiles * 360 - 180;
+  const latitude = ty => toDegrees(Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / tiles))));
+  return {
+    minLng: longitude(x - buffer),
+    minLat: Math.max(-WEB_MERCATOR_MAX_LATITUDE, latitude(y + 1 + buffer)),
+    maxLng: longitude(x + 1 + buffer),
+    maxLat: Math.min(WEB_MERCATOR_MAX_LATITUDE, latitude(y - buffer))
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  WGS84,
+  toRadians,
+  toDegrees,
+  haversineDistance,
+  vincentyDistance,
+  distance,
+  initialBearing,
+  pathLength,
+  equalAreaProjection,
+  webMercatorPixel,
+  tileBounds
+};
@@ -0,0 +1,106 @@
+// Server-side clustering of map points. Points are bucketed into a square
+// grid of `radius` pixels laid over the Web Mercator map at the requested
+// zoom, so a cluster covers about the same area on screen at every zoom.
+// Points are telemetry points as the caller may see them (see
+// locationPolicyService.redact).
+
+const { webMercatorPixel } = require('./geodesy');
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function addToCluster(cluster, point) {
+  const { latitude, longitude } = point.location;
+  cluster.count++;
+  cluster.latitudeSum += latitude;
+  cluster.longitudeSum += longitude;
+  cluster.bbox[0] = Math.min(cluster.bbox[0], longitude);
+  cluster.bbox[1] = Math.min(cluster.bbox[1], latitude);
+  cluster.bbox[2] = Math.max(cluster.bbox[2], longitude);
+  cluster.bbox[3] = Math.max(cluster.bbox[3], latitude);
+  increment(cluster.species, point.wildlife?.species || 'unknown');
+  increment(cluster.activity, point.wildlife?.activity || 'unknown');
+  if (point.timestamp > cluster.latest) cluster.latest = point.timestamp;
+}
+
+function toCluster(cell) {
+  const { id, count, latitudeSum, longitudeSum, bbox, species, activity, latest } = cell;
+  return {
+    id,
+    count,
+    location: { latitude: latitudeSum / count, longitude: longitudeSum / count },
+    bbox,
+    species,
+    activity,
+    latest
+  };
+}
+
+// Group located points into grid cells at `zoom`. A cell holding a single
+// point gives back the point itself; the others become clusters of
+// { id, count, location (the mean position), bbox ([minLng, minLat, maxLng,
+// maxLat]), species, activity (counts by value) and latest (timestamp) }.
+// Works through `points` one at a time, keeping only a summary per cell.
+async function clusterPoints(points, { zoom, radius = 50 }) {
+  const cells = new Map();
+
+  for await (const point of points) {
+    if (typeof point.location?.latitude !== 'number') continue;
+    const { x, y } = webMercatorPixel(point.location, zoom);
+    const id = `${zoom}/${Math.floor(x / radius)}/${Math.floor(y / radius)}`;
+
+    const cell = cells.get(id);
+    if (!cell) {
+      cells.set(id, { point });
+      continue;
+    }
+    if (cell.point) {
+      const first = cell.point;
+      const cluster = {
+        id,
+        count: 0,
+        latitudeSum: 0,
+        longitudeSum: 0,
+        bbox: [Infinity, Infinity, -Infinity, -Infinity],
+        species: {},
+        activity: {},
+        latest: ''
+      };
+      addToCluster(cluster, first);
+      cells.set(id, cluster);
+      addToCluster(cluster, point);
+    } else {
+      addToCluster(cell, point);
+    }
+  }
+
+  const clusters = [];
+  const singles = [];
+  for (const cell of cells.values()) {
+    if (cell.point) singles.push(cell.point);
+    else clusters.push(toCluster(cell));
+  }
+  clusters.sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+  singles.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  return { clusters, points: singles };
+}
+
+// GeoJSON Point feature for a cluster, marked by a `cluster` property and
+// carrying the cluster's bbox
+function toClusterFeature(cluster) {
+  const { id, count, location, bbox, species, activity, latest } = cluster;
+  return {
+    type: 'Feature',
+    id,
+    bbox,
+    geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+    properties: { cluster: true, count, species, activity, latest }
+  };
+}
+
+module.exports = {
+  clusterPoints,
+  toClusterFeature
+};
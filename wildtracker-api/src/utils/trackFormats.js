@@ -0,0 +1,239 @@
+// Track export formats: GPX 1.1, KML 2.2 and GeoJSON (RFC 7946). Each writer
+// is a generator of text chunks, so a large export can be piped to the
+// response without building the whole file in memory. Points are telemetry
+// points as the caller may see them (see locationPolicyService.redact).
+
+const CREATOR = 'WildTrack Telemetry API';
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hasPosition(point) {
+  return typeof point.location?.latitude === 'number' && typeof point.location?.longitude === 'number';
+}
+
+// [longitude, latitude(, altitude)], the order GeoJSON and KML use
+function toPosition(point) {
+  const { latitude, longitude, altitude } = point.location;
+  return typeof altitude === 'number' ? [longitude, latitude, altitude] : [longitude, latitude];
+}
+
+// Split points into one track per animal, or per collar when the animal is
+// not known (or hidden by a location policy). Tracks are ordered by id and
+// their points oldest first; `deviceIds` lists the collars in the order worn.
+function groupTracks(points) {
+  const tracks = new Map();
+  for (const point of points) {
+    if (!hasPosition(point)) continue;
+    const individualId = point.wildlife?.individualId;
+    const id = individualId || point.deviceId;
+    if (!tracks.has(id)) {
+      tracks.set(id, {
+        id,
+        individualId: individualId || null,
+        species: point.wildlife?.species || null,
+        points: []
+      });
+    }
+    tracks.get(id).points.push(point);
+  }
+
+  return [...tracks.values()]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(track => {
+      const sorted = track.points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      return { ...track, deviceIds: [...new Set(sorted.map(point => point.deviceId))], points: sorted };
+    });
+}
+
+// Species and, for an animal's track, the collars it wore
+function describeTrack(track) {
+  const parts = [track.species];
+  if (track.individualId) parts.push(...track.deviceIds);
+  return parts.filter(Boolean).join(', ');
+}
+
+function pointProperties(point) {
+  const properties = {
+    id: point.id,
+    deviceId: point.deviceId,
+    timestamp: point.timestamp
+  };
+  const { species, individualId, activity, health } = point.wildlife || {};
+  if (species) properties.species = species;
+  if (individualId) properties.individualId = individualId;
+  if (activity) properties.activity = activity;
+  if (health) properties.health = health;
+  if (point.location.accuracy !== undefined) properties.accuracy = point.location.accuracy;
+  if (point.location.obfuscated) properties.obfuscated = point.location.obfuscated;
+  return properties;
+}
+
+// Every field of a point as flat properties: its id, device and time, the
+// `wildlife`, `sensors` and `metadata` fields alongside them, and the
+// accuracy of its position. For GIS tools that cannot read nested objects.
+function flatProperties(point) {
+  const properties = {
+    id: point.id,
+    deviceId: point.deviceId,
+    timestamp: point.timestamp,
+    ...point.wildlife,
+    ...point.sensors,
+    ...point.metadata
+  };
+  if (point.priority) properties.priority = point.priority;
+  if (point.location.accuracy !== undefined) properties.accuracy = point.location.accuracy;
+  if (point.location.obfuscated) properties.obfuscated = point.location.obfuscated;
+  return properties;
+}
+
+// GeoJSON Point feature for a telemetry point. `properties` picks the fields
+// to carry, by default the few shown on track exports.
+function toPointFeature(point, properties = pointProperties) {
+  return {
+    type: 'Feature',
+    id: point.id,
+    geometry: { type: 'Point', coordinates: toPosition(point) },
+    properties: properties(point)
+  };
+}
+
+// GeoJSON LineString feature for a track from groupTracks(). `coordTimes`
+// holds the time of each position, as read by QGIS and togeojson.
+function toLineFeature(track) {
+  const first = track.points[0];
+  const last = track.points[track.points.length - 1];
+  const properties = {
+    trackId: track.id,
+    deviceIds: track.deviceIds,
+    individualId: track.individualId,
+    species: track.species,
+    start: first.timestamp,
+    end: last.timestamp,
+    points: track.points.length,
+    coordTimes: track.points.map(point => point.timestamp)
+  };
+  const obfuscated = track.points.find(point => point.location.obfuscated);
+  if (obfuscated) properties.obfuscated = obfuscated.location.obfuscated;
+
+  return {
+    type: 'Feature',
+    id: track.id,
+    geometry: { type: 'LineString', coordinates: track.points.map(toPosition) },
+    properties
+  };
+}
+
+function * gpx(points, { name }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">\n`;
+  yield `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+
+  for (const track of groupTracks(points)) {
+    yield `  <trk>\n    <name>${escapeXml(track.id)}</name>\n`;
+    const description = describeTrack(track);
+    if (description) yield `    <desc>${escapeXml(description)}</desc>\n`;
+    yield '    <trkseg>\n';
+    for (const point of track.points) {
+      const { latitude, longitude, altitude } = point.location;
+      const elevation = typeof altitude === 'number' ? `<ele>${altitude}</ele>` : '';
+      yield `      <trkpt lat="${latitude}" lon="${longitude}">${elevation}<time>${point.timestamp}</time></trkpt>\n`;
+    }
+    yield '    </trkseg>\n  </trk>\n';
+  }
+
+  yield '</gpx>\n';
+}
+
+// One folder per track, holding the path as a LineString and a placemark
+// with a TimeStamp for every fix, so Google Earth's time slider can play it
+function * kml(points, { name }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n';
+  yield `  <name>${escapeXml(name)}</name>\n`;
+
+  for (const track of groupTracks(points)) {
+    yield `  <Folder>\n    <name>${escapeXml(track.id)}</name>\n`;
+    const description = describeTrack(track);
+    if (description) yield `    <description>${escapeXml(description)}</description>\n`;
+
+    if (track.points.length > 1) {
+      yield `    <Placemark>\n      <name>${escapeXml(track.id)} track</name>\n      <LineString>\n        <tessellate>1</tessellate>\n        <coordinates>\n`;
+      for (const point of track.points) {
+        yield `          ${toPosition(point).join(',')}\n`;
+      }
+      yield '        </coordinates>\n      </LineString>\n    </Placemark>\n';
+    }
+
+    for (const point of track.points) {
+      const data = Object.entries(pointProperties(point))
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      yield `    <Placemark>\n      <name>${point.timestamp}</name>\n      <TimeStamp><when>${point.timestamp}</when></TimeStamp>\n`;
+      yield `      <ExtendedData>${data}</ExtendedData>\n`;
+      yield `      <Point><coordinates>${toPosition(point).join(',')}</coordinates></Point>\n    </Placemark>\n`;
+    }
+
+    yield '  </Folder>\n';
+  }
+
+  yield '</Document>\n</kml>\n';
+}
+
+// Point features for the located points, or with `as: 'lines'` one
+// LineString per track. Tracks with a single fix have no line and are left
+// out of the latter.
+function toFeatures(points, { as = 'points', properties } = {}) {
+  if (as === 'lines') {
+    return groupTracks(points)
+      .filter(track => track.points.length > 1)
+      .map(toLineFeature);
+  }
+  return points.filter(hasPosition).map(point => toPointFeature(point, properties));
+}
+
+// FeatureCollection of toFeatures(), for responses built in memory
+function toFeatureCollection(points, options = {}) {
+  return { type: 'FeatureCollection', features: toFeatures(points, options) };
+}
+
+function * geojson(points, { as = 'points' } = {}) {
+  yield '{"type":"FeatureCollection","features":[';
+
+  const features = toFeatures(points, { as });
+  for (let i = 0; i < features.length; i++) {
+    yield (i > 0 ? ',\n' : '\n') + JSON.stringify(features[i]);
+  }
+
+  yield '\n]}\n';
+}
+
+const WRITERS = { gpx, kml, geojson };
+
+// Chunks of `points` written in `format`
+function writeTracks(format, points, options = {}) {
+  return WRITERS[format](points, options);
+}
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  groupTracks,
+  flatProperties,
+  toPointFeature,
+  toLineFeature,
+  toFeatureCollection,
+  writeTracks
+};
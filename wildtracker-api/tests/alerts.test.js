@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { POINT_RULES, alertRuleService } = require('../src/services/alertRuleService');
+const { alertService } = require('../src/services/alertService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 1, 1);
+
+const fix = (hour, extra = {}) => ({
+  deviceId: 'collar-7',
+  timestamp: new Date(START + hour * HOUR).toISOString(),
+  location: { latitude: 54, longitude: -122 },
+  wildlife: { species: 'Gray Wolf', individualId: 'wolf-7', health: 'healthy' },
+  metadata: { battery: 80, signal: 90 },
+  ...extra
+});
+
+describe('Alerts', () => {
+  describe('rules', () => {
+    it('should count missed fixes from the gap to the previous fix', () => {
+      const params = { intervalMinutes: 60, missedFixes: 3 };
+      expect(POINT_RULES.missed_fix(fix(4), fix(0), params)).toMatchObject({ details: { missed: 3, gapMinutes: 240 } });
+      expect(POINT_RULES.missed_fix(fix(3.2), fix(0), params)).toBeNull();
+      expect(POINT_RULES.missed_fix(fix(4), null, params)).toBeNull();
+    });
+
+    it('should fire on a change of health only', () => {
+      const params = { states: ['injured', 'sick'] };
+      const injured = fix(1, { wildlife: { health: 'injured' } });
+      expect(POINT_RULES.health(injured, fix(0), params)).toMatchObject({ details: { health: 'injured', previousHealth: 'healthy' } });
+      expect(POINT_RULES.health(injured, injured, params)).toBeNull();
+    });
+
+    it('should compare speed with the species maximum', () => {
+      const params = { speciesMaxKmh: { 'gray wolf': 65 }, defaultMaxKmh: null };
+      const far = fix(1, { location: { latitude: 54.9, longitude: -122 } }); // ~100 km in an hour
+      expect(POINT_RULES.speed(far, fix(0), params)).toMatchObject({ details: { maxKmh: 65 } });
+      expect(POINT_RULES.speed(far, fix(-2), params)).toBeNull();
+      expect(POINT_RULES.speed({ ...far, wildlife: { species: 'Elk' } }, fix(0), params)).toBeNull();
+    });
+  });
+
+  describe('API', () => {
+    const upload = (point) => request(app).post('/api/v1/telemetry').send(point).expect(201);
+
+    beforeEach(async () => {
+      alertService.clear();
+      alertRuleService.clear();
+      idempotencyService.clear();
+      await getTelemetryRepository().clear();
+      sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+      sendTelemetryBatch.mockImplementation(async (batch) =>
+        batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+      );
+    });
+
+    it('should raise alerts on ingest and refresh them while they are active', async () => {
+      await upload(fix(0));
+      await upload(fix(1, { metadata: { battery: 12, signal: 90 } }));
+      await upload(fix(2, { metadata: { battery: 11, signal: 90 }, priority: 'critical' }));
+
+      const response = await request(app).get('/api/v1/alerts').expect(200);
+      expect(response.body.data.map(alert => alert.type).sort()).toEqual(['critical_priority', 'low_battery']);
+      expect(response.body.pagination.total).toBe(2);
+
+      const battery = response.body.data.find(alert => alert.type === 'low_battery');
+      expect(battery).toMatchObject({
+        status: 'open',
+        severity: 'medium',
+        deviceId: 'collar-7',
+        individualId: 'wolf-7',
+        timestamp: fix(2).timestamp,
+        details: { battery: 11, threshold: 20 }
+      });
+
+      const critical = await request(app).get('/api/v1/alerts').query({ severity: 'critical' }).expect(200);
+      expect(critical.body.data).toHaveLength(1);
+    });
+
+    it('should compare each point of a batch with the fix before it, reading the store once per device', async () => {
+      await upload(fix(6));
+      const scan = jest.spyOn(getTelemetryRepository(), 'scan');
+
+      // fix(5) comes after the batch's fix(0) but before the stored fix(6)
+      await request(app)
+        .post('/api/v1/telemetry/batch')
+        .send({ deviceId: 'collar-7', batch: [fix(10), fix(0), fix(5)] })
+        .expect(200);
+
+      expect(scan).toHaveBeenCalledTimes(1);
+      scan.mockRestore();
+
+      const [missed] = alertService.listAlerts();
+      expect(missed).toMatchObject({ type: 'missed_fix', timestamp: fix(10).timestamp });
+      expect(missed.details).toMatchObject({ missed: 3, previousFix: { timestamp: fix(6).timestamp } });
+    });
+
+    it('should acknowledge and resolve alerts recording who and when', async () => {
+      await upload(fix(0, { metadata: { battery: 5 } }));
+      const [alert] = alertService.listAlerts();
+
+      const acknowledged = await request(app)
+        .post(`/api/v1/alerts/${alert.id}/acknowledge`)
+        .send({ note: 'Crew booked for Thursday' })
+        .expect(200);
+      expect(acknowledged.body.data).toMatchObject({
+        status: 'acknowledged',
+        acknowledgedBy: 'anonymous',
+        acknowledgedAt: expect.any(String),
+        acknowledgeNote: 'Crew booked for Thursday'
+      });
+      await request(app).post(`/api/v1/alerts/${alert.id}/acknowledge`).send({}).expect(409);
+
+      // Still active, so a repeat refreshes it
+      await upload(fix(1, { metadata: { battery: 4 } }));
+      expect(alertService.listAlerts()).toHaveLength(1);
+
+      const resolved = await request(app).post(`/api/v1/alerts/${alert.id}/resolve`).send({ note: 'Collar replaced' }).expect(200);
+      expect(resolved.body.data).toMatchObject({ status: 'resolved', resolvedBy: 'anonymous', resolveNote: 'Collar replaced' });
+      await request(app).post(`/api/v1/alerts/${alert.id}/resolve`).send({}).expect(409);
+
+      await upload(fix(2, { metadata: { battery: 3 } }));
+      const open = await request(app).get('/api/v1/alerts').query({ status: 'open' }).expect(200);
+      expect(open.body.data).toHaveLength(1);
+      expect(open.body.data[0].id).not.toBe(alert.id);
+
+      await request(app).get('/api/v1/alerts/alert_missing').expect(404);
+      await request(app).post('/api/v1/alerts/alert_missing/resolve').send({}).expect(404);
+      await request(app).get('/api/v1/alerts').query({ status: 'snoozed' }).expect(400);
+    });
+
+    it('should list and configure rules', async () => {
+      const rules = await request(app).get('/api/v1/alerts/rules').expect(200);
+      expect(rules.body.data.map(rule => rule.type)).toEqual(
+        ['low_battery', 'signal_loss', 'missed_fix', 'health', 'critical_priority', 'speed', 'mortality']);
+
+      const updated = await request(app)
+        .patch('/api/v1/alerts/rules/low_battery')
+        .send({ severity: 'high', params: { threshold: 10 } })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ type: 'low_battery', enabled: true, severity: 'high', params: { threshold: 10 } });
+
+      await upload(fix(0, { metadata: { battery: 15 } }));
+      await upload(fix(1, { metadata: { battery: 9 } }));
+      const [alert] = alertService.listAlerts();
+      expect(alert).toMatchObject({ severity: 'high', details: { battery: 9 } });
+
+      await request(app).patch('/api/v1/alerts/rules/critical_priority').send({ enabled: false }).expect(200);
+      await upload(fix(2, { priority: 'critical' }));
+      expect(alertService.listAlerts({ type: 'critical_priority' })).toHaveLength(0);
+
+      await request(app).patch('/api/v1/alerts/rules/low_battery').send({ params: { threshold: 150 } }).expect(400);
+      await request(app).patch('/api/v1/alerts/rules/low_battery').send({}).expect(400);
+      await request(app).patch('/api/v1/alerts/rules/unknown').send({ enabled: false }).expect(404);
+    });
+  });
+});
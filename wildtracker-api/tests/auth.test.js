@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { userService } = require('../src/services/userService');
+const { authService } = require('../src/services/authService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('User authentication and roles', () => {
+  const passwords = {
+    admin: 'admin-password',
+    researcher: 'researcher-password',
+    'field-tech': 'field-tech-password',
+    viewer: 'viewer-password'
+  };
+
+  const login = async (username, password = passwords[username]) => {
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ username, password })
+      .expect(200);
+    return response.body.data.token;
+  };
+
+  beforeAll(() => {
+    process.env.AUTH_ENABLED = 'true';
+    process.env.JWT_SECRET = 'test-jwt-secret';
+  });
+
+  afterAll(() => {
+    process.env.AUTH_ENABLED = 'false';
+    delete process.env.JWT_SECRET;
+  });
+
+  beforeEach(async () => {
+    userService.clear();
+    for (const [role, password] of Object.entries(passwords)) {
+      await userService.createUser({ username: role, password, role });
+    }
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    it('should issue a token for valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'researcher', password: passwords.researcher })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        token: expect.any(String),
+        expiresAt: expect.any(String),
+        user: { username: 'researcher', role: 'researcher', provider: 'local' }
+      });
+      expect(response.body.data.user.passwordHash).toBeUndefined();
+    });
+
+    it('should reject a wrong password and unknown providers', async () => {
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'researcher', password: 'wrong-password' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ provider: 'oidc', username: 'researcher', password: passwords.researcher })
+        .expect(400);
+    });
+
+    it('should sign in through a registered provider', async () => {
+      authService.registerProvider('test-sso', {
+        authenticate: async ({ username }) => userService.findByUsername(username)
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ provider: 'test-sso', username: 'viewer', password: 'unused' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('viewer');
+    });
+  });
+
+  describe('read endpoints', () => {
+    it('should require a token', async () => {
+      const response = await request(app).get('/api/v1/telemetry/data').expect(401);
+
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    it('should reject invalid tokens', async () => {
+      await request(app)
+        .get('/api/v1/telemetry/data')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+    });
+
+    it.each(['admin', 'researcher', 'field-tech', 'viewer'])('should allow the %s role', async (role) => {
+      const token = await login(role);
+
+      await request(app)
+        .get('/api/v1/telemetry/map')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should refuse tokens of users disabled after sign-in', async () => {
+      const token = await login('viewer');
+      const viewer = userService.findByUsername('viewer');
+      await userService.updateUser(viewer.id, { disabled: true });
+
+      await request(app)
+        .get('/api/v1/telemetry/data')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should leave uploads to device authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/telemetry')
+        .send({ deviceId: 'collar-1', timestamp: '2024-01-15T10:30:00Z' });
+
+      expect(response.status).not.toBe(401);
+    });
+  });
+
+  describe('administrative endpoints', () => {
+    it('should let admins manage users', async () => {
+      const token = await login('admin');
+
+      const created = await request(app)
+        .post('/api/v1/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'partner', password: 'partner-password', role: 'viewer' })
+        .expect(201);
+
+      await request(app)
+        .patch(`/api/v1/users/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'researcher' })
+        .expect(200);
+
+      expect(userService.findByUsername('partner').role).toBe('researcher');
+
+      await request(app)
+        .post('/api/v1/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'partner', password: 'partner-password' })
+        .expect(409);
+    });
+
+    it('should forbid user management for other roles', async () => {
+      const token = await login('researcher');
+
+      const response = await request(app)
+        .get('/api/v1/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+
+    it('should let field techs but not viewers issue device keys', async () => {
+      const fieldTech = await login('field-tech');
+      const viewer = await login('viewer');
+
+      await request(app)
+        .post('/api/v1/devices/collar-1/keys')
+        .set('Authorization', `Bearer ${fieldTech}`)
+        .send({})
+        .expect(201);
+
+      await request(app)
+        .post('/api/v1/devices/collar-1/keys')
+        .set('Authorization', `Bearer ${viewer}`)
+        .send({})
+        .expect(403);
+    });
+  });
+});
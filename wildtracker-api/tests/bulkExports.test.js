@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const parquet = require('parquetjs-lite');
+const app = require('../src/server');
+const { bulkExportService } = require('../src/services/bulkExportService');
+const { locationPolicyService, snapToGrid } = require('../src/services/locationPolicyService');
+const { getTelemetryRepository } = require('../src/repositories');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const POINTS = [
+  {
+    id: 'fix-1',
+    deviceId: 'collar-1',
+    timestamp: '2024-01-15T10:00:00.000Z',
+    location: { latitude: 51.1, longitude: -115.5, altitude: 1400 },
+    sensors: { temperature: -4.5 },
+    wildlife: { species: 'Gray Wolf', individualId: 'W-1', activity: 'active' }
+  },
+  {
+    id: 'fix-2',
+    deviceId: 'collar-1',
+    timestamp: '2024-01-15T11:00:00.000Z',
+    location: { latitude: 51.2, longitude: -115.6 },
+    wildlife: { species: 'Gray Wolf', individualId: 'W-1', activity: 'resting, "denning"' }
+  },
+  {
+    id: 'fix-3',
+    deviceId: 'collar-2',
+    timestamp: '2024-01-15T09:00:00.000Z',
+    location: { latitude: 50.9, longitude: -115.1 },
+    wildlife: { species: 'Elk' }
+  }
+];
+
+async function runExport(body) {
+  const response = await request(app).post('/api/v1/exports').send(body).expect(202);
+  await bulkExportService.whenIdle();
+  return response.body.data;
+}
+
+describe('Bulk exports', () => {
+  let exportDir;
+
+  beforeAll(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wildtracker-exports-'));
+    process.env.EXPORT_DIR = exportDir;
+  });
+
+  afterAll(() => {
+    delete process.env.EXPORT_DIR;
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    bulkExportService.clear();
+    locationPolicyService.clear();
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany(POINTS);
+  });
+
+  it('should export matching points as CSV in the background', async () => {
+    const response = await request(app)
+      .post('/api/v1/exports')
+      .send({ format: 'csv', query: { species: 'Gray Wolf' } })
+      .expect(202);
+
+    const job = response.body.data;
+    expect(job).toMatchObject({ status: 'queued', format: 'csv', query: { species: 'Gray Wolf' } });
+    expect(response.headers.location).toBe(`/api/v1/exports/${job.id}`);
+    expect(job.statusUrl).toBe(response.headers.location);
+
+    await bulkExportService.whenIdle();
+
+    const status = await request(app).get(job.statusUrl).expect(200);
+    expect(status.body.data).toMatchObject({ status: 'completed', rows: 2, error: null });
+    expect(status.body.data.bytes).toBeGreaterThan(0);
+
+    const download = await request(app).get(job.downloadUrl).expect(200);
+    expect(download.headers['content-type']).toMatch(/^text\/csv/);
+    expect(download.headers['content-disposition']).toMatch(/attachment; filename="wildtrack-export-\d{4}-\d{2}-\d{2}\.csv"/);
+    expect(download.text.trim().split('\n')).toEqual([
+      'id,deviceId,timestamp,latitude,longitude,altitude,accuracy,obfuscated,species,individualId,deploymentId,activity,health,temperature,battery,signal',
+      'fix-1,collar-1,2024-01-15T10:00:00.000Z,51.1,-115.5,1400,,,Gray Wolf,W-1,,active,,-4.5,,',
+      'fix-2,collar-1,2024-01-15T11:00:00.000Z,51.2,-115.6,,,,Gray Wolf,W-1,,"resting, ""denning""",,,,'
+    ]);
+  });
+
+  it('should export NDJSON and GeoJSON', async () => {
+    const ndjson = await runExport({ format: 'ndjson' });
+    const lines = (await request(app).get(ndjson.downloadUrl).expect(200)).text.trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).id)).toEqual(['fix-3', 'fix-1', 'fix-2']);
+    expect(JSON.parse(lines[1])).toMatchObject({ sensors: { temperature: -4.5 } });
+
+    const geojson = await runExport({ format: 'geojson', query: { deviceId: 'collar-1' } });
+    const download = await request(app).get(geojson.downloadUrl).expect(200);
+    expect(download.headers['content-type']).toMatch(/^application\/geo\+json/);
+    const collection = JSON.parse(download.text);
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features.map(feature => feature.geometry.coordinates)).toEqual([
+      [-115.5, 51.1, 1400],
+      [-115.6, 51.2]
+    ]);
+  });
+
+  it('should export Parquet', async () => {
+    const job = await runExport({ format: 'parquet' });
+
+    const download = await request(app)
+      .get(job.downloadUrl)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(download.headers['content-type']).toMatch(/^application\/vnd\.apache\.parquet/);
+
+    const filePath = path.join(exportDir, 'download.parquet');
+    fs.writeFileSync(filePath, download.body);
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    try {
+      expect(Number(reader.getRowCount())).toBe(3);
+      const cursor = reader.getCursor(['id', 'latitude', 'species', 'temperature']);
+      const rows = [];
+      for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+      expect(rows).toEqual([
+        { id: 'fix-3', latitude: 50.9, species: 'Elk' },
+        { id: 'fix-1', latitude: 51.1, species: 'Gray Wolf', temperature: -4.5 },
+        { id: 'fix-2', latitude: 51.2, species: 'Gray Wolf' }
+      ]);
+    } finally {
+      await reader.close();
+    }
+  });
+
+  it('should refuse downloads of failed and expired exports', async () => {
+    const scan = jest.spyOn(getTelemetryRepository(), 'scan').mockImplementation(async function * () {
+      throw new Error('Storage unavailable');
+    });
+    const failed = await runExport({ format: 'csv' });
+    scan.mockRestore();
+    const notReady = await request(app).get(failed.downloadUrl).expect(409);
+    expect(notReady.body).toMatchObject({ error: 'Export not ready', message: 'The export failed: Storage unavailable' });
+
+    const job = await runExport({ format: 'csv' });
+    const completed = bulkExportService.getJob(job.id);
+    const filePath = bulkExportService.filePath(completed);
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    expect(bulkExportService.prune(Date.now())).toBe(0);
+    expect(bulkExportService.prune(new Date(completed.expiresAt).getTime())).toBe(1);
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    const expired = await request(app).get(`/api/v1/exports/${job.id}/download`).expect(410);
+    expect(expired.body.error).toBe('Export expired');
+
+    const list = await request(app).get('/api/v1/exports?status=expired').expect(200);
+    expect(list.body.data.map(item => item.id)).toEqual([job.id]);
+
+    await request(app).delete(`/api/v1/exports/${job.id}`).expect(200);
+    await request(app).get(`/api/v1/exports/${job.id}`).expect(404);
+  });
+
+  it('should reject invalid exports', async () => {
+    const noFormat = await request(app).post('/api/v1/exports').send({}).expect(400);
+    expect(noFormat.body.details).toEqual(['"format" is required']);
+
+    await request(app).post('/api/v1/exports').send({ format: 'gpx' }).expect(400);
+    await request(app).post('/api/v1/exports').send({ format: 'csv', query: { bbox: 'nowhere' } }).expect(400);
+    await request(app).get('/api/v1/exports/exp_missing').expect(404);
+  });
+
+  it('should apply the location policies of the user who queued the export', async () => {
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 5000, stripIndividualId: true });
+
+    bulkExportService.createJob({ format: 'ndjson', query: { species: 'Gray Wolf' } }, { id: 'usr_viewer', username: 'viewer', role: 'viewer' });
+    await bulkExportService.whenIdle();
+
+    const [job] = bulkExportService.listJobs({ ownerId: 'usr_viewer' });
+    const points = fs.readFileSync(bulkExportService.filePath(job), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(points).toHaveLength(2);
+    expect(points[0].location).toEqual({
+      ...snapToGrid(51.1, -115.5, 5000),
+      accuracy: 5000,
+      obfuscated: 'grid'
+    });
+    expect(points[0].wildlife.individualId).toBeUndefined();
+    expect(points[0].deviceId).toBe(locationPolicyService.devicePseudonym('collar-1'));
+  });
+});
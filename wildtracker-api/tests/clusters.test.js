@@ -0,0 +1,191 @@
+const request = require('supertest');
+const express = require('express');
+const app = require('../src/server');
+const individualRoutes = require('../src/routes/individuals');
+const { detectClusters, dominantActivity, clusterService } = require('../src/services/clusterService');
+const { individualService } = require('../src/services/individualService');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+const { getTelemetryRepository } = require('../src/repositories');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 0, 10);
+
+// Hourly fixes: travel, six hours at a kill site ~20 km away, travel on
+const track = () => {
+  const fixes = [];
+  const add = (latitude, longitude, activity) => fixes.push({
+    id: `wolf-fix-${fixes.length}`,
+    deviceId: 'collar-9',
+    timestamp: new Date(START + fixes.length * HOUR).toISOString(),
+    location: { latitude, longitude },
+    wildlife: { species: 'Gray Wolf', individualId: 'wolf-9', activity }
+  });
+
+  add(54.0, -122.0, 'moving');
+  add(54.05, -122.0, 'moving');
+  add(54.1, -122.0, 'moving');
+  for (let i = 0; i < 6; i++) {
+    add(54.2 + (i % 2) * 0.0005, -122.1 + (i % 3) * 0.0005, i < 4 ? 'feeding' : 'resting');
+  }
+  add(54.3, -122.2, 'moving');
+  add(54.4, -122.3, 'moving');
+  return fixes;
+};
+
+describe('Cluster detection', () => {
+  describe('detectClusters', () => {
+    it('should find a stay that meets the radius, duration and fix count', () => {
+      const clusters = detectClusters(track(), { radius: 200, minDurationHours: 4, minFixes: 3 });
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].fixes.map(fix => fix.id)).toEqual(
+        ['wolf-fix-3', 'wolf-fix-4', 'wolf-fix-5', 'wolf-fix-6', 'wolf-fix-7', 'wolf-fix-8']);
+      expect(clusters[0].durationHours).toBe(5);
+      expect(clusters[0].centroid.latitude).toBeCloseTo(54.20025, 5);
+    });
+
+    it('should drop stays that are too short or have too few fixes', () => {
+      expect(detectClusters(track(), { radius: 200, minDurationHours: 6, minFixes: 3 })).toHaveLength(0);
+      expect(detectClusters(track(), { radius: 200, minDurationHours: 4, minFixes: 7 })).toHaveLength(0);
+      expect(detectClusters(track(), { radius: 10, minDurationHours: 4, minFixes: 3 })).toHaveLength(0);
+    });
+
+    it('should report the most frequent activity', () => {
+      const fixes = ['resting', 'feeding', 'feeding', undefined].map(activity => ({ wildlife: { activity } }));
+      expect(dominantActivity(fixes)).toBe('feeding');
+      expect(dominantActivity([{ wildlife: {} }])).toBeNull();
+    });
+  });
+
+  describe('API', () => {
+    beforeEach(async () => {
+      clusterService.clear();
+      individualService.clear();
+      locationPolicyService.clear();
+      await getTelemetryRepository().clear();
+      individualService.createIndividual({ id: 'wolf-9', species: 'Gray Wolf', sex: 'female', status: 'active', captures: [] });
+      await getTelemetryRepository().saveMany(track());
+    });
+
+    it('should detect clusters for an individual and store them on request', async () => {
+      const response = await request(app)
+        .get('/api/v1/individuals/wolf-9/clusters')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        individualId: 'wolf-9',
+        species: 'Gray Wolf',
+        firstFix: { id: 'wolf-fix-3', timestamp: new Date(START + 3 * HOUR).toISOString() },
+        lastFix: { id: 'wolf-fix-8', timestamp: new Date(START + 8 * HOUR).toISOString() },
+        durationHours: 5,
+        fixCount: 6,
+        dominantActivity: 'feeding',
+        investigation: null
+      });
+      expect(response.body.metadata).toMatchObject({ fixes: 11, parameters: { radius: 200, minDurationHours: 4, minFixes: 3 } });
+      expect((await request(app).get('/api/v1/clusters').expect(200)).body.data).toEqual([]);
+
+      const created = await request(app).post('/api/v1/individuals/wolf-9/clusters').send({}).expect(200);
+      expect(created.body.data).toEqual([{ ...response.body.data[0], detectedAt: expect.any(String) }]);
+
+      const stored = await request(app).get('/api/v1/clusters').expect(200);
+      expect(stored.body.data.map(cluster => cluster.id)).toEqual([response.body.data[0].id]);
+    });
+
+    it('should scan the newest fixes when the track is longer than the limit', async () => {
+      const response = await request(app)
+        .get('/api/v1/individuals/wolf-9/clusters?limit=8')
+        .expect(200);
+
+      expect(response.body.metadata.fixes).toBe(8);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        firstFix: { id: 'wolf-fix-3' },
+        lastFix: { id: 'wolf-fix-8' }
+      });
+    });
+
+    it('should record an investigation and keep it when detection runs again', async () => {
+      const detected = await request(app).post('/api/v1/individuals/wolf-9/clusters').send({}).expect(200);
+      const id = detected.body.data[0].id;
+
+      const response = await request(app)
+        .put(`/api/v1/clusters/${id}/investigation`)
+        .send({ finding: 'kill', preySpecies: 'Moose', visitedAt: '2024-01-12T10:00:00Z' })
+        .expect(200);
+
+      expect(response.body.data.investigation).toMatchObject({
+        finding: 'kill',
+        preySpecies: 'Moose',
+        visitedAt: '2024-01-12T10:00:00.000Z',
+        investigatedBy: 'anonymous'
+      });
+
+      await request(app).post('/api/v1/individuals/wolf-9/clusters').send({}).expect(200);
+      const cluster = await request(app).get(`/api/v1/clusters/${id}`).expect(200);
+      expect(cluster.body.data.investigation.finding).toBe('kill');
+
+      const preview = await request(app).get('/api/v1/individuals/wolf-9/clusters').expect(200);
+      expect(preview.body.data[0].investigation.finding).toBe('kill');
+
+      const pending = await request(app).get('/api/v1/clusters').query({ investigated: false }).expect(200);
+      expect(pending.body.data).toHaveLength(0);
+    });
+
+    it('should only let editors store clusters, and store them from every fix', async () => {
+      // Stand in for the user authentication middleware
+      const roleApp = express();
+      roleApp.use(express.json());
+      roleApp.use((req, res, next) => {
+        req.user = { role: req.get('X-Test-Role') || 'viewer' };
+        next();
+      });
+      roleApp.use('/api/v1/individuals', individualRoutes);
+
+      // Fixes from the kill site on are still embargoed for viewers
+      locationPolicyService.setPolicy('Gray Wolf', { embargoHours: (Date.now() - START) / HOUR - 2.5 });
+
+      const viewer = await request(roleApp).get('/api/v1/individuals/wolf-9/clusters').query({ radius: 5000 }).expect(200);
+      expect(viewer.body.metadata.fixes).toBe(3);
+      expect(clusterService.listClusters()).toEqual([]);
+      await request(roleApp).post('/api/v1/individuals/wolf-9/clusters').send({}).expect(403);
+
+      const researcher = await request(roleApp)
+        .post('/api/v1/individuals/wolf-9/clusters')
+        .set('X-Test-Role', 'researcher')
+        .send({})
+        .expect(200);
+      expect(researcher.body.metadata.fixes).toBe(11);
+      expect(clusterService.listClusters().map(cluster => cluster.fixCount)).toEqual([6]);
+    });
+
+    it('should validate parameters, findings and ids', async () => {
+      await request(app).get('/api/v1/individuals/wolf-9/clusters').query({ radius: 1 }).expect(400);
+      await request(app).post('/api/v1/individuals/wolf-9/clusters').send({ radius: 1 }).expect(400);
+      await request(app).get('/api/v1/individuals/nobody/clusters').expect(404);
+      await request(app).get('/api/v1/clusters/cl_missing').expect(404);
+      await request(app).put('/api/v1/clusters/cl_missing/investigation').send({ finding: 'kill' }).expect(404);
+
+      const detected = await request(app).post('/api/v1/individuals/wolf-9/clusters').send({}).expect(200);
+      await request(app)
+        .put(`/api/v1/clusters/${detected.body.data[0].id}/investigation`)
+        .send({ finding: 'treasure' })
+        .expect(400);
+    });
+  });
+});
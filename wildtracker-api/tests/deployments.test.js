@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const app = require('../src/server');
+const deploymentRoutes = require('../src/routes/deployments');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+const { individualService } = require('../src/services/individualService');
+const { deploymentService } = require('../src/services/deploymentService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Collar deployments', () => {
+  const fix = (timestamp, wildlife) => ({
+    deviceId: 'collar-9',
+    timestamp,
+    location: { latitude: 54.1, longitude: -122.3 },
+    wildlife
+  });
+
+  const deploy = (body) => request(app).post('/api/v1/deployments').send({ deviceId: 'collar-9', ...body });
+
+  beforeEach(async () => {
+    individualService.clear();
+    deploymentService.clear();
+    idempotencyService.clear();
+    await getTelemetryRepository().clear();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+    sendTelemetryBatch.mockImplementation(async (batch) =>
+      batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+    );
+
+    individualService.createIndividual({ id: 'moose-1', species: 'Moose', sex: 'female', status: 'active', captures: [] });
+    individualService.createIndividual({ id: 'moose-2', species: 'Moose', sex: 'male', status: 'active', captures: [] });
+  });
+
+  it('should record, list and end deployments', async () => {
+    const created = await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z' }).expect(201);
+    expect(created.body.data).toMatchObject({
+      id: expect.stringMatching(/^dep_/),
+      individualId: 'moose-1',
+      startedAt: '2024-01-01T00:00:00.000Z',
+      attachReason: 'capture'
+    });
+
+    const active = await request(app).get('/api/v1/deployments').query({ active: true }).expect(200);
+    expect(active.body.data).toHaveLength(1);
+
+    await request(app).post(`/api/v1/deployments/${created.body.data.id}/end`).send({}).expect(400);
+    const ended = await request(app)
+      .post(`/api/v1/deployments/${created.body.data.id}/end`)
+      .send({ endedAt: '2024-03-01T00:00:00Z', detachReason: 'drop-off' })
+      .expect(200);
+    expect(ended.body.data).toMatchObject({ endedAt: '2024-03-01T00:00:00.000Z', detachReason: 'drop-off' });
+
+    await request(app)
+      .post(`/api/v1/deployments/${created.body.data.id}/end`)
+      .send({ detachReason: 'drop-off' })
+      .expect(409);
+
+    const byIndividual = await request(app).get('/api/v1/deployments').query({ individualId: 'moose-1', active: false }).expect(200);
+    expect(byIndividual.body.data).toHaveLength(1);
+    await request(app).get('/api/v1/deployments/dep_missing').expect(404);
+  });
+
+  it('should refuse overlapping deployments of a device and unregistered animals', async () => {
+    await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z', endedAt: '2024-03-01T00:00:00Z', detachReason: 'drop-off' }).expect(201);
+
+    const overlap = await deploy({ individualId: 'moose-2', startedAt: '2024-02-01T00:00:00Z' }).expect(409);
+    expect(overlap.body.conflict).toMatchObject({ individualId: 'moose-1' });
+
+    await deploy({ individualId: 'moose-2', startedAt: '2024-03-01T00:00:00Z' }).expect(201);
+    await request(app)
+      .post('/api/v1/deployments')
+      .send({ deviceId: 'collar-10', individualId: 'nobody' })
+      .expect(422);
+  });
+
+  it('should resolve the individual from the deployment active at the fix time', async () => {
+    await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z', endedAt: '2024-03-01T00:00:00Z', detachReason: 'drop-off', attachReason: 'capture' }).expect(201);
+    await deploy({ individualId: 'moose-2', startedAt: '2024-04-01T00:00:00Z', attachReason: 'redeployment' }).expect(201);
+
+    await request(app).post('/api/v1/telemetry').send(fix('2024-02-01T00:00:00Z')).expect(201);
+    await request(app).post('/api/v1/telemetry').send(fix('2024-03-15T00:00:00Z')).expect(201);
+    await request(app)
+      .post('/api/v1/telemetry/batch')
+      .send({ deviceId: 'collar-9', batch: [fix('2024-04-02T00:00:00Z'), fix('2024-04-03T00:00:00Z')] })
+      .expect(200);
+
+    const first = await request(app).get('/api/v1/telemetry/individual/moose-1').expect(200);
+    expect(first.body.data.tracking).toHaveLength(1);
+
+    const second = await request(app).get('/api/v1/telemetry/individual/moose-2').expect(200);
+    expect(second.body.data.tracking).toHaveLength(2);
+
+    const { data } = await getTelemetryRepository().query({ individualId: 'moose-2' });
+    expect(data[0].wildlife).toMatchObject({ species: 'Moose', gender: 'male', deploymentId: expect.stringMatching(/^dep_/) });
+
+    const { data: unlinked } = await getTelemetryRepository().query({ startDate: '2024-03-15T00:00:00Z', endDate: '2024-03-15T00:00:00Z' });
+    expect(unlinked[0].wildlife).toBeUndefined();
+  });
+
+  it('should keep an individual the collar reports itself, but not a deployment', async () => {
+    await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z' }).expect(201);
+
+    await request(app).post('/api/v1/telemetry').send(fix('2024-02-01T00:00:00Z', { individualId: 'moose-2', deploymentId: 'dep_forged' })).expect(201);
+
+    const { data } = await getTelemetryRepository().query({ individualId: 'moose-2' });
+    expect(data).toHaveLength(1);
+    expect(data[0].wildlife.deploymentId).toBeUndefined();
+  });
+
+  it('should link stored points when a deployment is recorded late, and unlink them when it ends early', async () => {
+    await request(app).post('/api/v1/telemetry').send(fix('2024-02-01T00:00:00Z')).expect(201);
+    await request(app).post('/api/v1/telemetry').send(fix('2024-02-10T00:00:00Z')).expect(201);
+
+    const created = await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z' }).expect(201);
+    expect(created.body.linkedPoints).toBe(2);
+
+    const ended = await request(app)
+      .post(`/api/v1/deployments/${created.body.data.id}/end`)
+      .send({ endedAt: '2024-02-05T00:00:00Z', detachReason: 'mortality' })
+      .expect(200);
+    expect(ended.body.unlinkedPoints).toBe(1);
+
+    const { data } = await getTelemetryRepository().query({ individualId: 'moose-1' });
+    expect(data.map(point => point.timestamp)).toEqual(['2024-02-01T00:00:00.000Z']);
+  });
+
+  it('should hide deployments of animals whose individualId is withheld from viewers', async () => {
+    // Stand in for the user authentication middleware
+    const policyApp = express();
+    policyApp.use((req, res, next) => {
+      req.user = { role: req.get('X-Test-Role') || 'viewer' };
+      next();
+    });
+    policyApp.use('/api/v1/deployments', deploymentRoutes);
+
+    individualService.createIndividual({ id: 'wolf-1', species: 'Gray Wolf', sex: 'female', status: 'active', captures: [] });
+    const wolf = await request(app).post('/api/v1/deployments').send({ deviceId: 'collar-1', individualId: 'wolf-1', startedAt: '2024-01-01T00:00:00Z' }).expect(201);
+    await deploy({ individualId: 'moose-1', startedAt: '2024-01-01T00:00:00Z' }).expect(201);
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 5000, stripIndividualId: true });
+
+    try {
+      const viewer = await request(policyApp).get('/api/v1/deployments').expect(200);
+      expect(viewer.body.data.map(deployment => deployment.individualId)).toEqual(['moose-1']);
+      await request(policyApp).get(`/api/v1/deployments/${wolf.body.data.id}`).expect(404);
+
+      const researcher = await request(policyApp).get('/api/v1/deployments').set('X-Test-Role', 'researcher').expect(200);
+      expect(researcher.body.data).toHaveLength(2);
+      await request(policyApp).get(`/api/v1/deployments/${wolf.body.data.id}`).set('X-Test-Role', 'researcher').expect(200);
+    } finally {
+      locationPolicyService.clear();
+    }
+  });
+});
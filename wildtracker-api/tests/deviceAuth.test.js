@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const telemetryRoutes = require('../src/routes/telemetry');
+const deviceRoutes = require('../src/routes/devices');
+const { captureRawBody } = require('../src/middleware/deviceAuth');
+const { deviceKeyService } = require('../src/services/deviceKeyService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { outboxService } = require('../src/services/outboxService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  sendTelemetryMessage: jest.fn().mockResolvedValue({ partition: 0, offset: '1' }),
+  sendTelemetryBatch: jest.fn(async (batch) => batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) })))
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use('/api/v1/telemetry', telemetryRoutes);
+app.use('/api/v1/devices', deviceRoutes);
+
+describe('Device keys and upload authentication', () => {
+  const telemetry = {
+    deviceId: 'collar-42',
+    timestamp: '2024-01-15T10:30:00Z',
+    location: { latitude: 53.9169, longitude: -122.7494 }
+  };
+
+  const issueKey = async (deviceId = 'collar-42') => {
+    const response = await request(app)
+      .post(`/api/v1/devices/${deviceId}/keys`)
+      .send({ label: 'field unit' })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const sign = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  beforeEach(() => {
+    process.env.DEVICE_AUTH_ENABLED = 'true';
+    deviceKeyService.clear();
+    idempotencyService.clear();
+    outboxService.collection.clear();
+  });
+
+  afterAll(() => {
+    process.env.DEVICE_AUTH_ENABLED = 'false';
+  });
+
+  describe('key management', () => {
+    it('should issue a key and list it without its secret', async () => {
+      const issued = await issueKey();
+
+      expect(issued).toMatchObject({ deviceId: 'collar-42', label: 'field unit', revokedAt: null });
+      expect(issued.apiKey).toBe(`${issued.keyId}.${issued.secret}`);
+
+      const response = await request(app)
+        .get('/api/v1/devices/collar-42/keys')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].keyId).toBe(issued.keyId);
+      expect(response.body.data[0].secret).toBeUndefined();
+      expect(response.body.data[0].apiKey).toBeUndefined();
+    });
+
+    it('should return 404 when revoking an unknown key', async () => {
+      await request(app)
+        .delete('/api/v1/devices/collar-42/keys/dk_missing')
+        .expect(404);
+    });
+  });
+
+  describe('API key header', () => {
+    it('should reject uploads without credentials', async () => {
+      const response = await request(app).post('/api/v1/telemetry').send(telemetry).expect(401);
+
+      expect(response.body.error).toBe('Device authentication failed');
+    });
+
+    it('should accept uploads with a valid key', async () => {
+      const { apiKey } = await issueKey();
+
+      await request(app).post('/api/v1/telemetry').set('X-API-Key', apiKey).send(telemetry).expect(201);
+    });
+
+    it('should reject a wrong secret and a revoked key', async () => {
+      const { apiKey, keyId } = await issueKey();
+
+      await request(app).post('/api/v1/telemetry').set('X-API-Key', `${keyId}.wrong`).send(telemetry).expect(401);
+
+      await request(app)
+        .delete(`/api/v1/devices/collar-42/keys/${keyId}`)
+        .expect(200);
+
+      await request(app).post('/api/v1/telemetry').set('X-API-Key', apiKey).send(telemetry).expect(401);
+    });
+
+    it('should reject uploads for another device', async () => {
+      const { apiKey } = await issueKey('collar-7');
+
+      const single = await request(app).post('/api/v1/telemetry').set('X-API-Key', apiKey).send(telemetry).expect(403);
+      expect(single.body.error).toBe('Device mismatch');
+
+      await request(app)
+        .post('/api/v1/telemetry/batch')
+        .set('X-API-Key', apiKey)
+        .send({ deviceId: 'collar-42', batch: [{ timestamp: telemetry.timestamp, location: telemetry.location }] })
+        .expect(403);
+    });
+  });
+
+  describe('HMAC signatures', () => {
+    const sendSigned = (key, body, { timestamp = Math.floor(Date.now() / 1000), signature } = {}) =>
+      request(app)
+        .post('/api/v1/telemetry')
+        .set('Content-Type', 'application/json')
+        .set('X-Key-Id', key.keyId)
+        .set('X-Timestamp', String(timestamp))
+        .set('X-Signature', signature || `sha256=${sign(key.secret, timestamp, body)}`)
+        .send(body);
+
+    it('should accept a correctly signed upload', async () => {
+      const key = await issueKey();
+
+      await sendSigned(key, JSON.stringify(telemetry)).expect(201);
+    });
+
+    it('should reject a signature over a different body', async () => {
+      const key = await issueKey();
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = sign(key.secret, timestamp, JSON.stringify({ ...telemetry, deviceId: 'other' }));
+
+      const response = await sendSigned(key, JSON.stringify(telemetry), { timestamp, signature }).expect(401);
+      expect(response.body.message).toBe('Signature does not match request body');
+    });
+
+    it('should reject stale timestamps and replayed signatures', async () => {
+      const key = await issueKey();
+      const body = JSON.stringify(telemetry);
+
+      const stale = await sendSigned(key, body, { timestamp: Math.floor(Date.now() / 1000) - 3600 }).expect(401);
+      expect(stale.body.message).toBe('Signature timestamp is outside the allowed window');
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      await sendSigned(key, body, { timestamp }).expect(201);
+      const replay = await sendSigned(key, body, { timestamp }).expect(401);
+      expect(replay.body.message).toBe('Signature has already been used');
+    });
+  });
+});
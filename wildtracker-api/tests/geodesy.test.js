@@ -0,0 +1,91 @@
+const geodesy = require('../src/utils/geodesy');
+
+describe('geodesy', () => {
+  // Reference line from Vincenty (1975): Flinders Peak to Buninyong
+  const flindersPeak = { latitude: -37.951033417, longitude: 144.424867889 };
+  const buninyong = { latitude: -37.652821139, longitude: 143.926495528 };
+
+  describe('vincentyDistance', () => {
+    it('should match the published reference distance', () => {
+      expect(geodesy.vincentyDistance(flindersPeak, buninyong)).toBeCloseTo(54972.271, 2);
+    });
+
+    it('should return 0 for coincident points and null for antipodal ones', () => {
+      expect(geodesy.vincentyDistance(flindersPeak, flindersPeak)).toBe(0);
+      expect(geodesy.vincentyDistance({ latitude: 0, longitude: 0 }, { latitude: 0.5, longitude: 179.7 })).toBeNull();
+    });
+  });
+
+  describe('haversineDistance', () => {
+    it('should agree with the ellipsoidal distance to within half a percent', () => {
+      const spherical = geodesy.haversineDistance(flindersPeak, buninyong);
+      expect(Math.abs(spherical - 54972.271) / 54972.271).toBeLessThan(0.005);
+    });
+  });
+
+  describe('distance', () => {
+    it('should not overstate east-west steps at high latitude', () => {
+      // 0.01 degrees of longitude at 54N is about 655 m, not 1110 m
+      const step = geodesy.distance({ latitude: 54, longitude: -122.75 }, { latitude: 54, longitude: -122.74 });
+      expect(step).toBeGreaterThan(650);
+      expect(step).toBeLessThan(660);
+    });
+
+    it('should fall back to the great circle for antipodal points', () => {
+      const from = { latitude: 0, longitude: 0 };
+      const to = { latitude: 0.5, longitude: 179.7 };
+      expect(geodesy.distance(from, to)).toBeCloseTo(geodesy.haversineDistance(from, to), 6);
+    });
+  });
+
+  describe('initialBearing', () => {
+    it('should measure clockwise from true north', () => {
+      const origin = { latitude: 54, longitude: -122 };
+      expect(geodesy.initialBearing(origin, { latitude: 54.1, longitude: -122 })).toBeCloseTo(0, 6);
+      expect(geodesy.initialBearing(origin, { latitude: 54, longitude: -121.9 })).toBeCloseTo(90, 0);
+      expect(geodesy.initialBearing(origin, { latitude: 53.9, longitude: -122 })).toBeCloseTo(180, 6);
+      expect(geodesy.initialBearing(origin, { latitude: 54, longitude: -122.1 })).toBeCloseTo(270, 0);
+      expect(geodesy.initialBearing(origin, origin)).toBeNull();
+    });
+  });
+
+  describe('pathLength', () => {
+    it('should sum the steps of a path', () => {
+      const path = [flindersPeak, buninyong, flindersPeak];
+      expect(geodesy.pathLength(path)).toBeCloseTo(2 * 54972.271, 1);
+      expect(geodesy.pathLength([flindersPeak])).toBe(0);
+    });
+  });
+
+  describe('webMercatorPixel', () => {
+    it('should place positions on the slippy map grid', () => {
+      expect(geodesy.webMercatorPixel({ latitude: 0, longitude: 0 }, 0)).toEqual({ x: 128, y: 128 });
+      // Tile 10/183/342 holds Banff
+      const { x, y } = geodesy.webMercatorPixel({ latitude: 51.1784, longitude: -115.5708 }, 10);
+      expect([Math.floor(x / 256), Math.floor(y / 256)]).toEqual([183, 342]);
+      expect(geodesy.webMercatorPixel({ latitude: 90, longitude: 180 }, 1).y).toBeCloseTo(0, 6);
+    });
+  });
+
+  describe('tileBounds', () => {
+    it('should give the bounds of a slippy map tile', () => {
+      const world = geodesy.tileBounds(0, 0, 0);
+      expect(world.minLng).toBe(-180);
+      expect(world.maxLng).toBe(180);
+      expect(world.maxLat).toBeCloseTo(85.0511287798, 9);
+
+      const banff = geodesy.tileBounds(10, 183, 342);
+      expect(banff.minLng).toBeLessThan(-115.5708);
+      expect(banff.maxLng).toBeGreaterThan(-115.5708);
+      expect(banff.minLat).toBeLessThan(51.1784);
+      expect(banff.maxLat).toBeGreaterThan(51.1784);
+      // Its north-west corner is where the tile starts in pixels
+      const corner = geodesy.webMercatorPixel({ latitude: banff.maxLat, longitude: banff.minLng }, 10);
+      expect(corner.x).toBeCloseTo(183 * 256, 6);
+      expect(corner.y).toBeCloseTo(342 * 256, 6);
+
+      const buffered = geodesy.tileBounds(10, 183, 342, 0.5);
+      expect(buffered.maxLng - buffered.minLng).toBeCloseTo(2 * (banff.maxLng - banff.minLng), 9);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { geometryContains, geofenceService } = require('../src/services/geofenceService');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// A 0.1 degree square town boundary with a park cut out of its middle
+const TOWN = {
+  type: 'Polygon',
+  coordinates: [
+    [[-115.6, 51.1], [-115.5, 51.1], [-115.5, 51.2], [-115.6, 51.2], [-115.6, 51.1]],
+    [[-115.56, 51.14], [-115.54, 51.14], [-115.54, 51.16], [-115.56, 51.16], [-115.56, 51.14]]
+  ]
+};
+
+const OUTSIDE = { latitude: 51.05, longitude: -115.55 };
+const INSIDE = { latitude: 51.12, longitude: -115.55 };
+const PARK = { latitude: 51.15, longitude: -115.55 };
+
+const fix = (hour, location, wildlife = { species: 'Grizzly Bear', individualId: 'bear-3' }) => ({
+  deviceId: 'collar-3',
+  timestamp: new Date(Date.UTC(2024, 5, 1) + hour * 3600000).toISOString(),
+  location,
+  wildlife
+});
+
+describe('Geofences', () => {
+  it('should test points against polygons with holes and multipolygons', () => {
+    expect(geometryContains(TOWN, INSIDE)).toBe(true);
+    expect(geometryContains(TOWN, OUTSIDE)).toBe(false);
+    expect(geometryContains(TOWN, PARK)).toBe(false);
+
+    const both = { type: 'MultiPolygon', coordinates: [TOWN.coordinates, [[[0, 0], [1, 0], [1, 1], [0, 0]]]] };
+    expect(geometryContains(both, { latitude: 0.2, longitude: 0.5 })).toBe(true);
+    expect(geometryContains(both, INSIDE)).toBe(true);
+  });
+
+  describe('API', () => {
+    let town;
+
+    beforeEach(async () => {
+      geofenceService.clear();
+      locationPolicyService.clear();
+      idempotencyService.clear();
+      await getTelemetryRepository().clear();
+      sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+      sendTelemetryBatch.mockImplementation(async (batch) =>
+        batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+      );
+
+      const response = await request(app)
+        .post('/api/v1/geofences')
+        .send({ name: 'Banff townsite', geometry: TOWN, species: ['Grizzly Bear'] })
+        .expect(201);
+      town = response.body.data;
+    });
+
+    it('should record entering and leaving, not every fix inside', async () => {
+      await request(app)
+        .post('/api/v1/telemetry/batch')
+        .send({ deviceId: 'collar-3', batch: [fix(0, OUTSIDE), fix(1, INSIDE), fix(2, INSIDE), fix(3, PARK)] })
+        .expect(200);
+      await request(app).post('/api/v1/telemetry').send(fix(4, INSIDE)).expect(201);
+
+      const response = await request(app).get(`/api/v1/geofences/${town.id}/events`).expect(200);
+      expect(response.body.data.map(event => [event.type, event.timestamp])).toEqual([
+        ['enter', fix(4).timestamp],
+        ['exit', fix(3).timestamp],
+        ['enter', fix(1).timestamp]
+      ]);
+      expect(response.body.data[2]).toMatchObject({
+        geofenceId: town.id,
+        geofenceName: 'Banff townsite',
+        deviceId: 'collar-3',
+        location: INSIDE,
+        wildlife: { species: 'Grizzly Bear', individualId: 'bear-3' }
+      });
+
+      const exits = await request(app).get('/api/v1/geofences/events').query({ individualId: 'bear-3', type: 'exit' }).expect(200);
+      expect(exits.body.data).toHaveLength(1);
+    });
+
+    it('should only track species in scope and active geofences', async () => {
+      await request(app).post('/api/v1/telemetry').send(fix(0, INSIDE, { species: 'Elk', individualId: 'elk-1' })).expect(201);
+      await request(app).patch(`/api/v1/geofences/${town.id}`).send({ active: false }).expect(200);
+      await request(app).post('/api/v1/telemetry').send(fix(1, INSIDE)).expect(201);
+      expect(geofenceService.listEvents()).toHaveLength(0);
+
+      await request(app).patch(`/api/v1/geofences/${town.id}`).send({ active: true, species: null }).expect(200);
+      await request(app).post('/api/v1/telemetry').send(fix(2, INSIDE, { species: 'Elk', individualId: 'elk-1' })).expect(201);
+      expect(geofenceService.listEvents().map(event => event.wildlife.individualId)).toEqual(['elk-1']);
+    });
+
+    it('should apply location policies to events', async () => {
+      locationPolicyService.setPolicy('Grizzly Bear', { method: 'grid', precisionMeters: 10000, embargoHours: 0, stripIndividualId: true });
+      await request(app).post('/api/v1/telemetry').send(fix(0, INSIDE)).expect(201);
+
+      const viewer = { id: 'v', username: 'viewer', role: 'viewer' };
+      const [event] = locationPolicyService.redactAll(geofenceService.listEvents(), viewer);
+      expect(event.location.obfuscated).toBe('grid');
+      expect(event.wildlife.individualId).toBeUndefined();
+    });
+
+    it('should validate geofences and keep history after removal', async () => {
+      await request(app)
+        .post('/api/v1/geofences')
+        .send({ name: 'Open ring', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] } })
+        .expect(400);
+      await request(app).post('/api/v1/geofences').send({ name: 'Point', geometry: { type: 'Point', coordinates: [0, 0] } }).expect(400);
+
+      await request(app).post('/api/v1/telemetry').send(fix(0, INSIDE)).expect(201);
+      await request(app).delete(`/api/v1/geofences/${town.id}`).expect(200);
+      await request(app).get(`/api/v1/geofences/${town.id}`).expect(404);
+      await request(app).get(`/api/v1/geofences/${town.id}/events`).expect(404);
+
+      const history = await request(app).get('/api/v1/geofences/events').query({ geofenceId: town.id }).expect(200);
+      expect(history.body.data).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { convexHull, ringArea, traceCells, homeRangeService } = require('../src/services/homeRangeService');
+const { individualService } = require('../src/services/individualService');
+const { getTelemetryRepository } = require('../src/repositories');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Positions on a regular grid of `size` x `size` fixes spaced `spacing`
+// metres apart around 54N, i.e. a square of side (size - 1) * spacing
+const squareOfFixes = (size, spacing) => {
+  const positions = [];
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      positions.push({
+        latitude: 54 + (i * spacing) / 111320,
+        longitude: -122 + (j * spacing) / (111320 * Math.cos(54 * Math.PI / 180))
+      });
+    }
+  }
+  return positions;
+};
+
+describe('Home range estimation', () => {
+  describe('geometry', () => {
+    it('should build a counter-clockwise convex hull', () => {
+      const hull = convexHull([
+        { x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 0, y: 2 }, { x: 1, y: 0 }
+      ]);
+      expect(hull).toHaveLength(4);
+      expect(ringArea(hull)).toBe(4);
+    });
+
+    it('should outline cells with holes and keep diagonal cells apart', () => {
+      const grid = { cols: 3, rows: 3, minX: 0, minY: 0, cellSize: 10 };
+
+      const ring = new Uint8Array(9).fill(1);
+      ring[4] = 0;
+      const [donut] = traceCells(grid, ring);
+      expect(donut).toHaveLength(2);
+      expect(ringArea(donut[0])).toBe(900);
+      expect(ringArea(donut[1])).toBe(-100);
+
+      const diagonal = new Uint8Array(9);
+      diagonal[0] = 1;
+      diagonal[4] = 1;
+      const polygons = traceCells(grid, diagonal);
+      expect(polygons).toHaveLength(2);
+      polygons.forEach(([outer]) => expect(ringArea(outer)).toBe(100));
+    });
+  });
+
+  describe('estimate', () => {
+    it('should return MCP and kernel isopleths with areas in km2', () => {
+      // 2 km x 2 km square, to within the flat-earth spacing of the fixture
+      const { homeRange, parameters } = homeRangeService.estimate(squareOfFixes(11, 200));
+      const byName = Object.fromEntries(homeRange.features.map(f => [`${f.properties.method}${f.properties.percent}`, f]));
+
+      expect(Object.keys(byName).sort()).toEqual(['kde50', 'kde95', 'mcp100', 'mcp95']);
+      expect(byName.mcp100.properties.areaKm2).toBeCloseTo(4, 1);
+      expect(byName.mcp95.properties.areaKm2).toBeLessThan(byName.mcp100.properties.areaKm2);
+      expect(byName.kde50.properties.areaKm2).toBeLessThan(byName.kde95.properties.areaKm2);
+      expect(byName.kde95.properties.areaKm2).toBeGreaterThan(3);
+      expect(parameters).toMatchObject({ fixes: 121, bandwidthMethod: 'reference', gridSize: 100 });
+
+      const ring = byName.mcp100.geometry.coordinates[0];
+      expect(ring[0]).toEqual(ring[ring.length - 1]);
+      expect(byName.kde95.geometry.type).toBe('MultiPolygon');
+    });
+
+    it('should use a given bandwidth', () => {
+      const narrow = homeRangeService.estimate(squareOfFixes(5, 500), { bandwidth: 50 });
+      const wide = homeRangeService.estimate(squareOfFixes(5, 500), { bandwidth: 1000 });
+      const kde95 = result => result.homeRange.features.find(f => f.properties.method === 'kde' && f.properties.percent === 95);
+
+      expect(narrow.parameters).toMatchObject({ bandwidthMeters: 50, bandwidthMethod: 'user' });
+      // Narrow kernels leave a separate island around each fix
+      expect(kde95(narrow).geometry.coordinates).toHaveLength(25);
+      expect(kde95(wide).geometry.coordinates).toHaveLength(1);
+    });
+
+    it('should refuse too few or coincident fixes', () => {
+      const position = { latitude: 54, longitude: -122 };
+      expect(() => homeRangeService.estimate([position, position, position, position, position]))
+        .toThrow(expect.objectContaining({ code: 'NOT_ENOUGH_FIXES' }));
+      expect(() => homeRangeService.estimate(squareOfFixes(2, 100)))
+        .toThrow(expect.objectContaining({ code: 'NOT_ENOUGH_FIXES' }));
+    });
+  });
+
+  describe('GET /api/v1/individuals/:id/home-range', () => {
+    beforeEach(async () => {
+      individualService.clear();
+      await getTelemetryRepository().clear();
+      individualService.createIndividual({ id: 'lynx-5', species: 'Canada Lynx', sex: 'male', status: 'active', captures: [] });
+
+      await getTelemetryRepository().saveMany(squareOfFixes(6, 300).map((location, i) => ({
+        id: `lynx-fix-${i}`,
+        deviceId: 'collar-5',
+        timestamp: new Date(Date.UTC(2024, 0, 1) + i * 3600000).toISOString(),
+        location,
+        wildlife: { species: 'Canada Lynx', individualId: 'lynx-5' }
+      })));
+    });
+
+    it('should return the home range as GeoJSON for a date window', async () => {
+      const response = await request(app)
+        .get('/api/v1/individuals/lynx-5/home-range')
+        .query({ startDate: '2024-01-01T00:00:00Z', endDate: '2024-01-01T23:59:59Z' })
+        .expect(200);
+
+      expect(response.body.data.type).toBe('FeatureCollection');
+      expect(response.body.data.features).toHaveLength(4);
+      expect(response.body.metadata).toMatchObject({
+        individualId: 'lynx-5',
+        fixes: 24,
+        dateRange: { start: '2024-01-01T00:00:00.000Z', end: '2024-01-01T23:00:00.000Z' },
+        units: { areaKm2: 'km²' }
+      });
+    });
+
+    it('should answer 422 when the window holds too few fixes', async () => {
+      const response = await request(app)
+        .get('/api/v1/individuals/lynx-5/home-range')
+        .query({ startDate: '2024-01-01T00:00:00Z', endDate: '2024-01-01T02:00:00Z' })
+        .expect(422);
+
+      expect(response.body.error).toBe('Not enough fixes');
+    });
+
+    it('should validate the query and the individual', async () => {
+      await request(app).get('/api/v1/individuals/lynx-5/home-range').query({ gridSize: 5 }).expect(400);
+      await request(app).get('/api/v1/individuals/nobody/home-range').expect(404);
+    });
+  });
+});
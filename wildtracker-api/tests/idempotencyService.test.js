@@ -0,0 +1,101 @@
+const { idempotencyService, getFixFingerprint } = require('../src/services/idempotencyService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('IdempotencyService', () => {
+  const fix = {
+    id: 'collar-7-1705314600000-abcd',
+    deviceId: 'collar-7',
+    timestamp: '2024-01-15T10:30:00.000Z',
+    location: { latitude: 53.916944, longitude: -122.749444 }
+  };
+
+  beforeEach(() => {
+    idempotencyService.clear();
+    delete process.env.IDEMPOTENCY_WINDOW_MS;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should fingerprint fixes by device, instant and position', () => {
+    expect(getFixFingerprint({ ...fix, timestamp: '2024-01-15T10:30:00Z' })).toBe(getFixFingerprint(fix));
+    expect(getFixFingerprint({ ...fix, location: { latitude: 53.9, longitude: -122.749444 } })).not.toBe(getFixFingerprint(fix));
+    expect(getFixFingerprint({ deviceId: 'collar-7', timestamp: fix.timestamp })).toBe('collar-7|2024-01-15T10:30:00.000Z|none');
+  });
+
+  it('should remember a fix with its publish result', () => {
+    idempotencyService.rememberFix(fix, { status: 'published', partition: 3, offset: '41' });
+
+    expect(idempotencyService.findFix({ ...fix, id: 'other' })).toEqual({
+      id: fix.id,
+      timestamp: fix.timestamp,
+      status: 'published',
+      partition: 3,
+      offset: '41'
+    });
+  });
+
+  it('should record the offset once a queued fix leaves the outbox', () => {
+    idempotencyService.rememberFix(fix, { status: 'queued', outboxDepth: 4 });
+    idempotencyService.markFixPublished(fix, { partition: 1, offset: '7' });
+
+    expect(idempotencyService.findFix(fix)).toMatchObject({ id: fix.id, status: 'published', partition: 1, offset: '7' });
+  });
+
+  it('should forget records once the window has passed', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-15T12:00:00Z') });
+    process.env.IDEMPOTENCY_WINDOW_MS = '60000';
+
+    idempotencyService.rememberFix(fix, { status: 'published', partition: 0, offset: '1' });
+    idempotencyService.rememberResponse('telemetry', 'collar-1', 'key-1', { a: 1 }, 201, { success: true });
+
+    jest.advanceTimersByTime(61000);
+
+    expect(idempotencyService.findFix(fix)).toBeNull();
+    expect(idempotencyService.findResponse('telemetry', 'collar-1', 'key-1', { a: 1 })).toBeNull();
+  });
+
+  it('should scope keys per route and caller and detect reuse with another body', () => {
+    idempotencyService.rememberResponse('telemetry', 'collar-1', 'key-1', { a: 1 }, 201, { success: true });
+
+    expect(idempotencyService.findResponse('telemetry', 'collar-1', 'key-1', { a: 1 })).toEqual({ statusCode: 201, body: { success: true } });
+    expect(idempotencyService.findResponse('telemetry', 'collar-1', 'key-1', { a: 2 })).toEqual({ conflict: true });
+    expect(idempotencyService.findResponse('batch', 'collar-1', 'key-1', { a: 1 })).toBeNull();
+    expect(idempotencyService.findResponse('telemetry', 'collar-2', 'key-1', { a: 1 })).toBeNull();
+    expect(idempotencyService.findResponse('telemetry', 'collar', '1:key-1', { a: 1 })).toBeNull();
+  });
+
+  it('should hold a key and fixes until the request in flight releases them', async () => {
+    const release = idempotencyService.reserveResponse('telemetry', 'collar-1', 'key-1');
+    expect(idempotencyService.reserveResponse('telemetry', 'collar-1', 'key-1')).toBeNull();
+    expect(idempotencyService.reserveResponse('telemetry', 'collar-2', 'key-1')).not.toBeNull();
+    release();
+    expect(idempotencyService.reserveResponse('telemetry', 'collar-1', 'key-1')).not.toBeNull();
+
+    const releaseFix = await idempotencyService.reserveFixes([fix, { ...fix }]);
+    let waited = false;
+    const next = idempotencyService.reserveFixes([fix]).then(releaseNext => {
+      waited = true;
+      return releaseNext;
+    });
+    await Promise.resolve();
+    expect(waited).toBe(false);
+
+    releaseFix();
+    (await next)();
+    expect(waited).toBe(true);
+  });
+
+  it('should validate keys', () => {
+    expect(idempotencyService.validateKey(undefined)).toBeNull();
+    expect(idempotencyService.validateKey('abc')).toBeNull();
+    expect(idempotencyService.validateKey('')).toMatch(/Idempotency-Key/);
+    expect(idempotencyService.validateKey('x'.repeat(256))).toMatch(/Idempotency-Key/);
+  });
+});
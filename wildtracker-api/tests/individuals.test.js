@@ -0,0 +1,237 @@
+const request = require('supertest');
+const express = require('express');
+const app = require('../src/server');
+const individualRoutes = require('../src/routes/individuals');
+const { individualService } = require('../src/services/individualService');
+const { locationPolicyService, snapToGrid } = require('../src/services/locationPolicyService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Individual registry', () => {
+  const wolf = {
+    id: 'wolf-042',
+    species: 'Gray Wolf',
+    name: 'Kiska',
+    sex: 'female',
+    birthEstimate: { date: '2020-05-01', uncertaintyDays: 30, method: 'tooth-wear' },
+    captures: [
+      { capturedAt: '2023-02-10T08:00:00Z', weightKg: 38.5, bodyLengthCm: 112 },
+      { capturedAt: '2022-01-20T09:00:00Z', weightKg: 34 }
+    ]
+  };
+
+  beforeEach(async () => {
+    individualService.clear();
+    idempotencyService.clear();
+    await getTelemetryRepository().clear();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+    sendTelemetryBatch.mockImplementation(async (batch) =>
+      batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+    );
+  });
+
+  afterAll(() => {
+    delete process.env.INDIVIDUAL_REGISTRY_STRICT;
+  });
+
+  describe('CRUD', () => {
+    it('should register an individual with captures sorted oldest first', async () => {
+      const response = await request(app)
+        .post('/api/v1/individuals')
+        .send(wolf)
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        id: 'wolf-042',
+        species: 'Gray Wolf',
+        sex: 'female',
+        status: 'active',
+        birthEstimate: { date: '2020-05-01T00:00:00.000Z', uncertaintyDays: 30, method: 'tooth-wear' }
+      });
+      expect(response.body.data.captures.map(capture => capture.weightKg)).toEqual([34, 38.5]);
+    });
+
+    it('should reject duplicate and invalid registrations', async () => {
+      await request(app).post('/api/v1/individuals').send(wolf).expect(201);
+      await request(app).post('/api/v1/individuals').send(wolf).expect(409);
+
+      const response = await request(app)
+        .post('/api/v1/individuals')
+        .send({ id: 'bad id', sex: 'both' })
+        .expect(400);
+      expect(response.body.details.length).toBeGreaterThanOrEqual(3);
+    });
+
+    it('should list, filter, update and retire individuals', async () => {
+      await request(app).post('/api/v1/individuals').send(wolf).expect(201);
+      await request(app).post('/api/v1/individuals').send({ id: 'elk-007', species: 'Elk' }).expect(201);
+
+      const list = await request(app).get('/api/v1/individuals').query({ species: 'gray wolf' }).expect(200);
+      expect(list.body.data.map(individual => individual.id)).toEqual(['wolf-042']);
+
+      const updated = await request(app)
+        .patch('/api/v1/individuals/elk-007')
+        .send({ status: 'missing', sex: 'male' })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ status: 'missing', sex: 'male' });
+
+      await request(app).post('/api/v1/individuals/elk-007/retire').send({}).expect(400);
+      const retired = await request(app)
+        .post('/api/v1/individuals/elk-007/retire')
+        .send({ reason: 'Collar recovered' })
+        .expect(200);
+      expect(retired.body.data).toMatchObject({ status: 'retired', retiredReason: 'Collar recovered' });
+
+      const active = await request(app).get('/api/v1/individuals').query({ status: 'active' }).expect(200);
+      expect(active.body.data.map(individual => individual.id)).toEqual(['wolf-042']);
+
+      await request(app).get('/api/v1/individuals/nobody').expect(404);
+      await request(app).patch('/api/v1/individuals/nobody').send({ name: 'x' }).expect(404);
+    });
+  });
+
+  describe('telemetry uploads', () => {
+    const fix = (wildlife, timestamp = '2023-06-01T12:00:00Z') => ({
+      deviceId: 'collar-42',
+      timestamp,
+      location: { latitude: 45.1, longitude: -110.2 },
+      wildlife
+    });
+
+    beforeEach(async () => {
+      await request(app).post('/api/v1/individuals').send(wolf).expect(201);
+    });
+
+    it('should enrich fixes from the registry', async () => {
+      const response = await request(app)
+        .post('/api/v1/telemetry')
+        .send(fix({ individualId: 'wolf-042', activity: 'resting' }))
+        .expect(201);
+
+      const stored = await getTelemetryRepository().findById(response.body.data.id);
+      expect(stored.wildlife).toEqual({
+        individualId: 'wolf-042',
+        activity: 'resting',
+        species: 'Gray Wolf',
+        gender: 'female',
+        age: 3.1,
+        weight: 38.5
+      });
+    });
+
+    it('should keep values the device reports', async () => {
+      const response = await request(app)
+        .post('/api/v1/telemetry')
+        .send(fix({ individualId: 'wolf-042', species: 'gray wolf', weight: 40 }, '2022-06-01T12:00:00Z'))
+        .expect(201);
+
+      const stored = await getTelemetryRepository().findById(response.body.data.id);
+      expect(stored.wildlife).toMatchObject({ species: 'Gray Wolf', weight: 40, age: 2.1 });
+    });
+
+    it('should reject fixes that contradict the registry', async () => {
+      const species = await request(app)
+        .post('/api/v1/telemetry')
+        .send(fix({ individualId: 'wolf-042', species: 'Elk' }))
+        .expect(400);
+      expect(species.body.details[0]).toMatch(/does not match registered species "Gray Wolf"/);
+
+      const gender = await request(app)
+        .post('/api/v1/telemetry')
+        .send(fix({ individualId: 'wolf-042', gender: 'male' }))
+        .expect(400);
+      expect(gender.body.details[0]).toMatch(/registered sex "female"/);
+    });
+
+    it('should reject fixes taken after retirement but accept earlier backfill', async () => {
+      individualService.retireIndividual('wolf-042', 'Died');
+      const retiredAt = individualService.getIndividual('wolf-042').retiredAt;
+      const later = new Date(Date.parse(retiredAt) + 60000).toISOString();
+
+      await request(app).post('/api/v1/telemetry').send(fix({ individualId: 'wolf-042' }, later)).expect(400);
+      await request(app).post('/api/v1/telemetry').send(fix({ individualId: 'wolf-042' })).expect(201);
+    });
+
+    it('should pass unregistered individuals through unless the registry is strict', async () => {
+      await request(app).post('/api/v1/telemetry').send(fix({ individualId: 'bear-001', species: 'Bear' })).expect(201);
+
+      process.env.INDIVIDUAL_REGISTRY_STRICT = 'true';
+      const response = await request(app)
+        .post('/api/v1/telemetry')
+        .send(fix({ individualId: 'bear-002' }))
+        .expect(400);
+      delete process.env.INDIVIDUAL_REGISTRY_STRICT;
+
+      expect(response.body.details).toEqual(['Individual "bear-002" is not registered']);
+    });
+
+    it('should report rejected batch items individually', async () => {
+      const response = await request(app)
+        .post('/api/v1/telemetry/batch')
+        .send({
+          deviceId: 'collar-42',
+          batch: [
+            { timestamp: '2023-06-01T12:00:00Z', wildlife: { individualId: 'wolf-042' } },
+            { timestamp: '2023-06-01T13:00:00Z', wildlife: { individualId: 'wolf-042', species: 'Elk' } }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ total: 2, successful: 1, failed: 1 });
+      expect(response.body.errors).toEqual([
+        { index: 1, error: expect.stringContaining('does not match registered species') }
+      ]);
+    });
+  });
+
+  describe('location policies', () => {
+    // Stand in for the user authentication middleware
+    const policyApp = express();
+    policyApp.use((req, res, next) => {
+      req.user = { role: req.get('X-Test-Role') || 'viewer' };
+      next();
+    });
+    policyApp.use('/api/v1/individuals', individualRoutes);
+
+    const capturedAt = '2023-02-10T08:00:00.000Z';
+    const site = { latitude: 53.916944, longitude: -122.749444 };
+
+    beforeEach(() => {
+      locationPolicyService.clear();
+      locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 5000 });
+      individualService.createIndividual({ ...wolf, captures: [{ capturedAt, location: site, weightKg: 38.5 }] });
+    });
+
+    afterAll(() => {
+      locationPolicyService.clear();
+    });
+
+    it('should obfuscate capture sites of sensitive species for viewers', async () => {
+      const expected = { ...snapToGrid(site.latitude, site.longitude, 5000), accuracy: 5000, obfuscated: 'grid' };
+
+      const single = await request(policyApp).get('/api/v1/individuals/wolf-042').expect(200);
+      expect(single.body.data.captures[0]).toMatchObject({ weightKg: 38.5, location: expected });
+
+      const list = await request(policyApp).get('/api/v1/individuals').expect(200);
+      expect(list.body.data[0].captures[0].location).toEqual(expected);
+
+      const researcher = await request(policyApp).get('/api/v1/individuals/wolf-042').set('X-Test-Role', 'researcher').expect(200);
+      expect(researcher.body.data.captures[0].location).toEqual(site);
+    });
+  });
+});
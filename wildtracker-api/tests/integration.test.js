@@ -2,10 +2,16 @@ const request = require('supertest');
 const express = require('express');
 const telemetryRoutes = require('../src/routes/telemetry');
 const healthRoutes = require('../src/routes/health');
+const { outboxService } = require('../src/services/outboxService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { individualService } = require('../src/services/individualService');
+const { alertService } = require('../src/services/alertService');
+const { getTelemetryRepository } = require('../src/repositories');
 
 // Mock external dependencies
 jest.mock('../src/services/kafkaService', () => ({
   sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
   getKafkaHealth: jest.fn().mockResolvedValue({
     status: 'connected',
     message: 'Kafka is healthy',
@@ -28,6 +34,8 @@ app.use('/api/v1/health', healthRoutes);
 describe('WildTracker API Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    outboxService.collection.clear();
+    idempotencyService.clear();
   });
 
   describe('Health Endpoints', () => {
@@ -108,21 +116,30 @@ describe('WildTracker API Integration Tests', () => {
 
         expect(sendTelemetryMessage).toHaveBeenCalledWith(expect.objectContaining({
           deviceId: 'test-device-123',
-          timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/)
+          timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
+          ingested: true
         }));
       });
 
-      it('should handle Kafka failure gracefully', async () => {
+      it('should queue telemetry in the outbox when Kafka fails', async () => {
         const { sendTelemetryMessage } = require('../src/services/kafkaService');
         sendTelemetryMessage.mockRejectedValue(new Error('Kafka connection failed'));
 
         const response = await request(app)
           .post('/api/v1/telemetry')
           .send(validTelemetryData)
-          .expect(201);
+          .expect(202);
 
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.partition).toBe(0);
+        expect(response.body).toMatchObject({
+          success: true,
+          message: 'Telemetry data queued for delivery',
+          data: {
+            id: expect.any(String),
+            status: 'queued',
+            outboxDepth: 1
+          }
+        });
+        expect(response.body.data.partition).toBeUndefined();
       });
 
       it('should return 400 for missing deviceId', async () => {
@@ -251,12 +268,12 @@ describe('WildTracker API Integration Tests', () => {
         ]
       };
 
-      it('should successfully upload valid batch data', async () => {
-        const { sendTelemetryMessage } = require('../src/services/kafkaService');
-        sendTelemetryMessage.mockResolvedValue({
-          partition: 0,
-          offset: 12345
-        });
+      it('should upload valid batch data in a single Kafka request', async () => {
+        const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+        sendTelemetryBatch.mockResolvedValue([
+          { success: true, partition: 0, offset: '12345' },
+          { success: true, partition: 0, offset: '12346' }
+        ]);
 
         const response = await request(app)
           .post('/api/v1/telemetry/batch')
@@ -264,23 +281,28 @@ describe('WildTracker API Integration Tests', () => {
           .expect(200);
 
         expect(response.body.success).toBe(true);
-        expect(response.body.summary).toEqual({ total: 2, successful: 2, failed: 0 });
+        expect(response.body.summary).toEqual({ total: 2, successful: 2, queued: 0, duplicates: 0, failed: 0 });
         expect(response.body.results).toEqual([
           expect.objectContaining({
             index: 0,
             success: true,
             timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
+            status: 'published',
             partition: 0,
-            offset: 12345
+            offset: '12345'
           }),
           expect.objectContaining({
             index: 1,
             success: true,
             timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/),
+            status: 'published',
             partition: 0,
-            offset: 12345
+            offset: '12346'
           })
         ]);
+        expect(sendTelemetryBatch).toHaveBeenCalledTimes(1);
+        expect(sendTelemetryBatch.mock.calls[0][0]).toHaveLength(2);
+        expect(sendTelemetryMessage).not.toHaveBeenCalled();
       });
 
       it('should return 400 for invalid batch structure', async () => {
@@ -344,11 +366,232 @@ describe('WildTracker API Integration Tests', () => {
         expect(response.body.error).toBe('Validation failed');
       });
     });
+
+    describe('Idempotent uploads', () => {
+      const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+      beforeEach(() => {
+        sendTelemetryMessage.mockResolvedValue({ partition: 2, offset: '500' });
+      });
+
+      it('should replay the original response for a repeated Idempotency-Key', async () => {
+        const first = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-1')
+          .send(validTelemetryData)
+          .expect(201);
+
+        const replay = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-1')
+          .send(validTelemetryData)
+          .expect(201);
+
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(replay.body).toEqual(first.body);
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      });
+
+      it('should keep the same Idempotency-Key from different devices apart', async () => {
+        await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-3')
+          .send(validTelemetryData)
+          .expect(201);
+
+        const other = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-3')
+          .send({ ...validTelemetryData, deviceId: 'test-device-456' })
+          .expect(201);
+
+        expect(other.headers['idempotent-replayed']).toBeUndefined();
+        expect(other.body.data.id).toMatch(/^test-device-456-/);
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(2);
+      });
+
+      it('should reject an Idempotency-Key reused with a different body', async () => {
+        await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-2')
+          .send(validTelemetryData)
+          .expect(201);
+
+        const response = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-2')
+          .send({ ...validTelemetryData, timestamp: '2024-01-15T10:31:00Z' })
+          .expect(422);
+
+        expect(response.body.error).toBe('Idempotency-Key reused');
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      });
+
+      // Let a request run until it is waiting on Kafka
+      const holdSend = () => {
+        const held = {};
+        sendTelemetryMessage.mockImplementationOnce(() => new Promise(resolve => {
+          held.release = () => resolve({ partition: 2, offset: '500' });
+        }));
+        return held;
+      };
+      const until = async (check, timeout = 2000) => {
+        const started = Date.now();
+        while (!check()) {
+          if (Date.now() - started > timeout) throw new Error('Timed out waiting for the upload');
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      };
+
+      it('should turn away a retry while the original request is in flight', async () => {
+        const held = holdSend();
+        const first = request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-4')
+          .send(validTelemetryData)
+          .then(response => response);
+        await until(() => held.release);
+
+        const retry = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-4')
+          .send(validTelemetryData)
+          .expect(409);
+        expect(retry.body.error).toBe('Idempotency-Key in use');
+
+        held.release();
+        expect((await first).status).toBe(201);
+        const replay = await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-4')
+          .send(validTelemetryData)
+          .expect(201);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      });
+
+      it('should release an Idempotency-Key when the request fails', async () => {
+        jest.spyOn(getTelemetryRepository(), 'save').mockRejectedValueOnce(new Error('disk full'));
+
+        await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-5')
+          .send(validTelemetryData)
+          .expect(500);
+
+        await request(app)
+          .post('/api/v1/telemetry')
+          .set('Idempotency-Key', 'upload-5')
+          .send(validTelemetryData)
+          .expect(201);
+      });
+
+      it('should answer a fix re-sent while the original is in flight as a duplicate', async () => {
+        const reserveFixes = jest.spyOn(idempotencyService, 'reserveFixes');
+        const held = holdSend();
+        const first = request(app)
+          .post('/api/v1/telemetry')
+          .send(validTelemetryData)
+          .then(response => response);
+        await until(() => held.release);
+
+        const resent = request(app)
+          .post('/api/v1/telemetry')
+          .send(validTelemetryData)
+          .then(response => response);
+        await until(() => reserveFixes.mock.calls.length === 2);
+        held.release();
+
+        const [original, duplicate] = await Promise.all([first, resent]);
+        expect(original.status).toBe(201);
+        expect(duplicate.status).toBe(200);
+        expect(duplicate.body.data).toMatchObject({ id: original.body.data.id, duplicate: true });
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      });
+
+      it('should return the original id and offset for a re-sent fix', async () => {
+        const first = await request(app)
+          .post('/api/v1/telemetry')
+          .send(validTelemetryData)
+          .expect(201);
+
+        const resent = await request(app)
+          .post('/api/v1/telemetry')
+          .send({ ...validTelemetryData, sensors: { battery: 84 } })
+          .expect(200);
+
+        expect(resent.body.data).toEqual({
+          id: first.body.data.id,
+          timestamp: first.body.data.timestamp,
+          status: 'published',
+          partition: 2,
+          offset: '500',
+          duplicate: true
+        });
+        expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      });
+
+      it('should only produce new fixes from a batch', async () => {
+        await request(app)
+          .post('/api/v1/telemetry')
+          .send(validTelemetryData)
+          .expect(201);
+
+        sendTelemetryBatch.mockImplementation(async (batch) =>
+          batch.map((_, i) => ({ success: true, partition: 1, offset: String(900 + i) }))
+        );
+
+        const response = await request(app)
+          .post('/api/v1/telemetry/batch')
+          .send({
+            deviceId: validTelemetryData.deviceId,
+            batch: [
+              { timestamp: validTelemetryData.timestamp, location: validTelemetryData.location },
+              { timestamp: '2024-01-15T11:00:00Z', location: validTelemetryData.location },
+              { timestamp: '2024-01-15T11:00:00Z', location: validTelemetryData.location }
+            ]
+          })
+          .expect(200);
+
+        expect(sendTelemetryBatch).toHaveBeenCalledTimes(1);
+        expect(sendTelemetryBatch.mock.calls[0][0]).toHaveLength(1);
+        expect(response.body.summary).toEqual({ total: 3, successful: 3, queued: 0, duplicates: 2, failed: 0 });
+        expect(response.body.results.map(result => [result.index, result.offset, !!result.duplicate])).toEqual([
+          [0, '500', true],
+          [1, '900', false],
+          [2, '900', true]
+        ]);
+        expect(response.body.results[2].id).toBe(response.body.results[1].id);
+      });
+
+      it('should reject an empty Idempotency-Key', async () => {
+        const response = await request(app)
+          .post('/api/v1/telemetry/batch')
+          .set('Idempotency-Key', ' ')
+          .send({ deviceId: 'test-device-123', batch: [] })
+          .expect(400);
+
+        expect(response.body.error).toBe('Invalid Idempotency-Key');
+      });
+    });
   });
 
   describe('Telemetry Retrieval Endpoints', () => {
     describe('GET /api/v1/telemetry/data', () => {
       it('should return telemetry data with valid query parameters', async () => {
+        const { sendTelemetryMessage } = require('../src/services/kafkaService');
+        sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: 12345 });
+
+        const upload = await request(app)
+          .post('/api/v1/telemetry')
+          .send({
+            deviceId: 'test-device',
+            timestamp: '2024-01-15T10:30:00Z',
+            location: { latitude: 37.7749, longitude: -122.4194 },
+            wildlife: { species: 'Gray Wolf', individualId: 'wolf-001' }
+          })
+          .expect(201);
+
         const response = await request(app)
           .get('/api/v1/telemetry/data')
           .query({
@@ -384,6 +627,7 @@ describe('WildTracker API Integration Tests', () => {
             offset: 0
           })
         });
+        expect(response.body.data.map(point => point.id)).toContain(upload.body.data.id);
       });
 
       it('should return 400 for invalid query parameters', async () => {
@@ -420,6 +664,34 @@ describe('WildTracker API Integration Tests', () => {
     });
 
     describe('GET /api/v1/telemetry/wildlife', () => {
+      beforeAll(async () => {
+        individualService.clear();
+        individualService.createIndividual({ id: 'summary-wolf-1', species: 'Gray Wolf', sex: 'female', status: 'active', captures: [] });
+        individualService.createIndividual({ id: 'summary-wolf-2', species: 'Gray Wolf', sex: 'male', status: 'active', captures: [] });
+        await getTelemetryRepository().save({
+          id: 'summary-point-1',
+          deviceId: 'summary-collar-1',
+          timestamp: '2024-01-15T10:30:00.000Z',
+          location: { latitude: 45.5, longitude: -110.5 },
+          wildlife: { species: 'Gray Wolf', individualId: 'summary-wolf-1', activity: 'resting', health: 'healthy' }
+        });
+        alertService.clear();
+        alertService.raise({
+          type: 'mortality',
+          key: 'dep_summary-wolf-1',
+          severity: 'critical',
+          deviceId: 'summary-collar-1',
+          individualId: 'summary-wolf-1',
+          species: 'Gray Wolf',
+          timestamp: '2024-01-15T10:30:00.000Z'
+        });
+      });
+
+      afterAll(() => {
+        individualService.clear();
+        alertService.clear();
+      });
+
       it('should return wildlife summary data', async () => {
         const response = await request(app)
           .get('/api/v1/telemetry/wildlife')
@@ -456,6 +728,13 @@ describe('WildTracker API Integration Tests', () => {
           }),
           timestamp: expect.any(String)
         });
+        expect(response.body.data).toMatchObject({
+          totalIndividuals: 2,
+          species: [{ name: 'Gray Wolf', count: 2, active: 1 }],
+          speciesBreakdown: { 'Gray Wolf': 2 },
+          activityBreakdown: { resting: 1 },
+          healthStatus: { healthy: 1 }
+        });
       });
 
       it('should handle empty query parameters', async () => {
@@ -469,6 +748,26 @@ describe('WildTracker API Integration Tests', () => {
     });
 
     describe('GET /api/v1/telemetry/individual/:id', () => {
+      beforeAll(async () => {
+        const { sendTelemetryBatch } = require('../src/services/kafkaService');
+        sendTelemetryBatch.mockImplementation(async (batch) =>
+          batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+        );
+
+        await request(app)
+          .post('/api/v1/telemetry/batch')
+          .send({
+            deviceId: 'wolf-collar-001',
+            batch: Array.from({ length: 12 }, (_, i) => ({
+              timestamp: new Date(Date.UTC(2024, 0, 10, i)).toISOString(),
+              location: { latitude: 53.9 + i * 0.001, longitude: -122.7, altitude: 700 + i },
+              wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active' },
+              metadata: { battery: 90 - i }
+            }))
+          })
+          .expect(200);
+      });
+
       it('should return individual tracking data', async () => {
         const response = await request(app)
           .get('/api/v1/telemetry/individual/wolf-001')
@@ -538,11 +837,34 @@ describe('WildTracker API Integration Tests', () => {
     });
 
     describe('GET /api/v1/telemetry/map', () => {
+      beforeAll(async () => {
+        const { sendTelemetryMessage } = require('../src/services/kafkaService');
+        sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: 12345 });
+
+        const points = [
+          { species: 'Gray Wolf', activity: 'active', latitude: 37.75, longitude: -122.45 },
+          { species: 'Gray Wolf', activity: 'resting', latitude: 37.78, longitude: -122.41 },
+          { species: 'Elk', activity: 'active', latitude: 53.9, longitude: -122.7 }
+        ];
+        for (const [i, point] of points.entries()) {
+          await request(app)
+            .post('/api/v1/telemetry')
+            .send({
+              deviceId: `map-collar-${i}`,
+              timestamp: '2024-01-15T10:30:00Z',
+              location: { latitude: point.latitude, longitude: point.longitude },
+              wildlife: { species: point.species, individualId: `map-animal-${i}`, activity: point.activity },
+              metadata: { battery: 80, signal: 70 }
+            })
+            .expect(201);
+        }
+      });
+
       it('should return map data with valid parameters', async () => {
         const response = await request(app)
           .get('/api/v1/telemetry/map')
           .query({
-            bbox: '37.7,-122.4,37.8,-122.3',
+            bbox: '-122.5,37.7,-122.3,37.8',
             species: 'Gray Wolf',
             activity: 'active',
             limit: 100
@@ -709,11 +1031,10 @@ describe('WildTracker API Integration Tests', () => {
 
   describe('Performance and Limits', () => {
     it('should handle large batch uploads', async () => {
-      const { sendTelemetryMessage } = require('../src/services/kafkaService');
-      sendTelemetryMessage.mockResolvedValue({
-        partition: 0,
-        offset: 12345
-      });
+      const { sendTelemetryBatch } = require('../src/services/kafkaService');
+      sendTelemetryBatch.mockImplementation(async (batch) =>
+        batch.map((_, i) => ({ success: true, partition: 0, offset: String(12345 + i) }))
+      );
 
       const largeBatch = {
         deviceId: 'test-device',
@@ -740,6 +1061,8 @@ describe('WildTracker API Integration Tests', () => {
 
       expect(response.body.summary.total).toBe(100);
       expect(response.body.summary.successful).toBe(100);
+      expect(response.body.summary.queued).toBe(0);
+      expect(sendTelemetryBatch).toHaveBeenCalledTimes(1);
       expect(processingTime).toBeLessThan(5000); // Should complete within 5 seconds
     });
 
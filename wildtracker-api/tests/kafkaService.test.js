@@ -0,0 +1,87 @@
+const { CompressionTypes } = require('kafkajs');
+const { kafkaService, sendTelemetryBatch, getProducerConfig } = require('../src/services/kafkaService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('KafkaService', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    kafkaService.producer = null;
+    kafkaService.producerConfig = null;
+    kafkaService.isConnected = false;
+  });
+
+  describe('getProducerConfig', () => {
+    it('should default to acks=all without compression', () => {
+      delete process.env.KAFKA_COMPRESSION;
+      delete process.env.KAFKA_ACKS;
+
+      expect(getProducerConfig()).toMatchObject({ acks: -1, compression: CompressionTypes.None, timeout: 30000 });
+    });
+
+    it('should read compression, acks and timeout from the environment', () => {
+      process.env.KAFKA_COMPRESSION = 'GZIP';
+      process.env.KAFKA_ACKS = '1';
+      process.env.KAFKA_PRODUCER_TIMEOUT_MS = '5000';
+
+      expect(getProducerConfig()).toMatchObject({ acks: 1, compression: CompressionTypes.GZIP, timeout: 5000 });
+    });
+
+    it('should reject unknown settings', () => {
+      process.env.KAFKA_COMPRESSION = 'brotli';
+      expect(() => getProducerConfig()).toThrow('Invalid KAFKA_COMPRESSION');
+
+      process.env.KAFKA_COMPRESSION = 'none';
+      process.env.KAFKA_ACKS = '2';
+      expect(() => getProducerConfig()).toThrow('Invalid KAFKA_ACKS');
+    });
+  });
+
+  describe('sendTelemetryBatch', () => {
+    const point = (deviceId, i) => ({ id: `${deviceId}-${i}`, deviceId, timestamp: '2024-01-15T10:30:00.000Z' });
+
+    it('should send each device in one request and map offsets back in input order', async () => {
+      const send = jest.fn()
+        .mockResolvedValueOnce([{ topicName: 'test-telemetry-data', partition: 3, baseOffset: '100' }])
+        .mockResolvedValueOnce([{ topicName: 'test-telemetry-data', partition: 1, baseOffset: '7' }]);
+      kafkaService.producer = { send };
+      kafkaService.isConnected = true;
+
+      const results = await sendTelemetryBatch([point('a', 0), point('b', 0), point('a', 1)]);
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[0][0]).toMatchObject({ topic: 'test-telemetry-data', acks: -1 });
+      expect(send.mock.calls[0][0].messages.map(m => m.key)).toEqual(['a', 'a']);
+      expect(results).toEqual([
+        { success: true, partition: 3, offset: '100' },
+        { success: true, partition: 1, offset: '7' },
+        { success: true, partition: 3, offset: '101' }
+      ]);
+    });
+
+    it('should report failures for the points of a rejected request only', async () => {
+      const send = jest.fn()
+        .mockResolvedValueOnce([{ partition: 0, baseOffset: '5' }])
+        .mockRejectedValueOnce(new Error('NOT_LEADER_FOR_PARTITION'));
+      kafkaService.producer = { send };
+      kafkaService.isConnected = true;
+
+      const results = await sendTelemetryBatch([point('a', 0), point('b', 0)]);
+
+      expect(results).toEqual([
+        { success: true, partition: 0, offset: '5' },
+        { success: false, error: 'NOT_LEADER_FOR_PARTITION' }
+      ]);
+    });
+
+    it('should throw when the producer is not connected', async () => {
+      await expect(sendTelemetryBatch([point('a', 0)])).rejects.toThrow('Kafka producer not connected');
+    });
+  });
+});
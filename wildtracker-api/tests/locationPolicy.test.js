@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const telemetryRoutes = require('../src/routes/telemetry');
+const { getTelemetryRepository } = require('../src/repositories');
+const { locationPolicyService, snapToGrid, jitter } = require('../src/services/locationPolicyService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Stand in for the user authentication middleware
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: req.get('X-Test-Role') || 'viewer' };
+  next();
+});
+app.use('/api/v1/telemetry', telemetryRoutes);
+
+describe('Location obfuscation', () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const wolfFix = {
+    id: 'wolf-fix-1',
+    deviceId: 'collar-wolf',
+    timestamp: hoursAgo(48),
+    location: { latitude: 53.916944, longitude: -122.749444, altitude: 700, accuracy: 5 },
+    wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active' }
+  };
+  const freshWolfFix = { ...wolfFix, id: 'wolf-fix-2', timestamp: hoursAgo(1) };
+  const elkFix = {
+    id: 'elk-fix-1',
+    deviceId: 'collar-elk',
+    timestamp: hoursAgo(48),
+    location: { latitude: 53.8, longitude: -122.6 },
+    wildlife: { species: 'Elk', individualId: 'elk-001' }
+  };
+
+  beforeEach(async () => {
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany([wolfFix, freshWolfFix, elkFix]);
+    locationPolicyService.clear();
+    locationPolicyService.setPolicy('Gray Wolf', {
+      method: 'grid',
+      precisionMeters: 5000,
+      embargoHours: 24,
+      stripIndividualId: true
+    });
+  });
+
+  describe('geometry', () => {
+    it('should snap every position in a cell to the same centre', () => {
+      const a = snapToGrid(53.9169, -122.7494, 5000);
+      const b = snapToGrid(53.9170, -122.7495, 5000);
+
+      expect(a).toEqual(b);
+      expect(Math.abs(a.latitude - 53.9169)).toBeLessThan(5000 / 111320);
+    });
+
+    it('should jitter the same point to the same place within the radius', () => {
+      const seed = { secret: 'secret', value: 'wolf-fix-1' };
+      const first = jitter(53.9169, -122.7494, 1000, seed);
+
+      expect(jitter(53.9169, -122.7494, 1000, seed)).toEqual(first);
+      expect(jitter(53.9169, -122.7494, 1000, { ...seed, value: 'other' })).not.toEqual(first);
+      expect(Math.abs(first.latitude - 53.9169) * 111320).toBeLessThanOrEqual(1000);
+    });
+  });
+
+  describe('for viewers', () => {
+    it('should obfuscate, embargo and strip individualId on /data', async () => {
+      const response = await request(app).get('/api/v1/telemetry/data').expect(200);
+      const byId = Object.fromEntries(response.body.data.map(point => [point.id, point]));
+
+      expect(response.body.pagination.total).toBe(2);
+      expect(byId['wolf-fix-2']).toBeUndefined();
+      expect(byId['wolf-fix-1'].location).toEqual({
+        ...snapToGrid(53.916944, -122.749444, 5000),
+        accuracy: 5000,
+        obfuscated: 'grid'
+      });
+      expect(byId['wolf-fix-1'].wildlife.individualId).toBeUndefined();
+      expect(byId['wolf-fix-1'].deviceId).toBe(locationPolicyService.devicePseudonym('collar-wolf'));
+      expect(byId['wolf-fix-1'].deviceId).not.toContain('collar-wolf');
+      expect(byId['elk-fix-1']).toEqual(elkFix);
+    });
+
+    it('should apply the policy on /map and match bbox against obfuscated positions', async () => {
+      const exact = '-122.7495,53.9169,-122.7494,53.9170';
+      const narrow = await request(app).get(`/api/v1/telemetry/map?bbox=${exact}`).expect(200);
+      expect(narrow.body.data).toHaveLength(0);
+
+      const response = await request(app).get('/api/v1/telemetry/map').expect(200);
+      const wolf = response.body.data.find(point => point.id === 'wolf-fix-1');
+      expect(wolf.location.obfuscated).toBe('grid');
+      expect(wolf.wildlife.individualId).toBeUndefined();
+    });
+
+    it('should not let sensitive animals be selected by individualId or deviceId', async () => {
+      const tracking = await request(app).get('/api/v1/telemetry/individual/wolf-001').expect(200);
+      expect(tracking.body.data.tracking).toHaveLength(0);
+
+      const data = await request(app).get('/api/v1/telemetry/data?individualId=wolf-001').expect(200);
+      expect(data.body.data).toHaveLength(0);
+
+      const device = await request(app).get('/api/v1/telemetry/data?deviceId=collar-wolf').expect(200);
+      expect(device.body.data).toHaveLength(0);
+
+      const elk = await request(app).get('/api/v1/telemetry/individual/elk-001').expect(200);
+      expect(elk.body.data.tracking).toHaveLength(1);
+    });
+
+    it('should jitter every fix an animal makes in a cell to the same place', () => {
+      locationPolicyService.setPolicy('Gray Wolf', { method: 'jitter', precisionMeters: 5000, stripIndividualId: true });
+      const moved = { ...wolfFix, id: 'wolf-fix-3', location: { latitude: 53.917, longitude: -122.7495 } };
+      const other = { ...moved, id: 'wolf-fix-4', deviceId: 'collar-wolf-2', wildlife: { ...wolfFix.wildlife, individualId: 'wolf-002' } };
+
+      const [first, second, stranger] = locationPolicyService.redactAll([wolfFix, moved, other], { role: 'viewer' });
+      expect(first.location).toEqual(second.location);
+      expect(first.location.obfuscated).toBe('jitter');
+      expect(stranger.location).not.toEqual(first.location);
+      expect(first.location).not.toEqual(expect.objectContaining(snapToGrid(53.916944, -122.749444, 5000)));
+    });
+
+    it('should leave embargoed fixes out of the wildlife summary', async () => {
+      const viewer = await request(app).get('/api/v1/telemetry/wildlife').expect(200);
+      expect(viewer.body.data.activeDevices).toBe(0);
+
+      const researcher = await request(app).get('/api/v1/telemetry/wildlife').set('X-Test-Role', 'researcher').expect(200);
+      expect(researcher.body.data.activeDevices).toBe(1);
+    });
+
+    it('should apply the policy to exports', async () => {
+      const response = await request(app).get('/api/v1/telemetry/export?format=geojson').expect(200);
+      const features = JSON.parse(response.text).features;
+
+      expect(features.map(feature => feature.id).sort()).toEqual(['elk-fix-1', 'wolf-fix-1']);
+      const wolf = features.find(feature => feature.id === 'wolf-fix-1');
+      const { latitude, longitude } = snapToGrid(53.916944, -122.749444, 5000);
+      expect(wolf.geometry.coordinates).toEqual([longitude, latitude]);
+      expect(wolf.properties).toMatchObject({ obfuscated: 'grid', accuracy: 5000 });
+      expect(wolf.properties.individualId).toBeUndefined();
+
+      const gpx = await request(app).get('/api/v1/telemetry/export/individual/wolf-001?format=gpx').expect(200);
+      expect(gpx.text).not.toContain('<trk>');
+    });
+
+    it('should apply the policy to GeoJSON map data', async () => {
+      const response = await request(app)
+        .get('/api/v1/telemetry/map')
+        .set('Accept', 'application/geo+json')
+        .expect(200);
+
+      const wolf = response.body.features.find(feature => feature.id === 'wolf-fix-1');
+      const { latitude, longitude } = snapToGrid(53.916944, -122.749444, 5000);
+      expect(response.body.features).toHaveLength(2);
+      expect(wolf.geometry.coordinates).toEqual([longitude, latitude]);
+      expect(wolf.properties).toMatchObject({ species: 'Gray Wolf', obfuscated: 'grid', accuracy: 5000 });
+      expect(wolf.properties.individualId).toBeUndefined();
+    });
+  });
+
+  describe('for elevated roles', () => {
+    it.each(['researcher', 'admin'])('should return exact data to %s', async (role) => {
+      const response = await request(app).get('/api/v1/telemetry/data').set('X-Test-Role', role).expect(200);
+
+      expect(response.body.pagination.total).toBe(3);
+      expect(response.body.data.find(point => point.id === 'wolf-fix-1')).toEqual(wolfFix);
+    });
+
+    it('should follow LOCATION_ELEVATED_ROLES', async () => {
+      process.env.LOCATION_ELEVATED_ROLES = 'admin';
+      try {
+        const response = await request(app).get('/api/v1/telemetry/data').set('X-Test-Role', 'researcher').expect(200);
+        expect(response.body.pagination.total).toBe(2);
+      } finally {
+        delete process.env.LOCATION_ELEVATED_ROLES;
+      }
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const express = require('express');
+const telemetryRoutes = require('../src/routes/telemetry');
+const { getTelemetryRepository } = require('../src/repositories');
+const { locationPolicyService, snapToGrid } = require('../src/services/locationPolicyService');
+const { clusterPoints } = require('../src/utils/mapClusters');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Stand in for the user authentication middleware
+const app = express();
+app.use((req, res, next) => {
+  req.user = { role: req.get('X-Test-Role') || 'researcher' };
+  next();
+});
+app.use('/api/v1/telemetry', telemetryRoutes);
+
+const fix = (id, latitude, longitude, wildlife, timestamp = '2024-03-01T00:00:00.000Z') => ({
+  id,
+  deviceId: `collar-${id}`,
+  timestamp,
+  location: { latitude, longitude },
+  wildlife
+});
+
+// A pack near Banff, a bear near Jasper and an elk far to the south
+const points = [
+  fix('w-1', 51.17, -115.57, { species: 'Gray Wolf', individualId: 'W-1', activity: 'active' }, '2024-03-01T01:00:00.000Z'),
+  fix('w-2', 51.18, -115.56, { species: 'Gray Wolf', individualId: 'W-2', activity: 'resting' }, '2024-03-01T03:00:00.000Z'),
+  fix('w-3', 51.19, -115.55, { species: 'Gray Wolf', individualId: 'W-3', activity: 'active' }, '2024-03-01T02:00:00.000Z'),
+  fix('b-1', 51.175, -115.565, { species: 'Brown Bear', activity: 'feeding' }),
+  fix('b-2', 52.87, -118.08, { species: 'Brown Bear', activity: 'feeding' }),
+  fix('e-1', 45.0, -110.0, { species: 'Elk' })
+];
+
+describe('Map clustering', () => {
+  beforeEach(async () => {
+    locationPolicyService.clear();
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany(points);
+  });
+
+  afterEach(() => {
+    delete process.env.MAP_CLUSTER_MAX_ZOOM;
+  });
+
+  it('should count points into grid cells and keep lone points', async () => {
+    const { clusters, points: singles } = await clusterPoints(points, { zoom: 6, radius: 50 });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({
+      count: 4,
+      bbox: [-115.57, 51.17, -115.55, 51.19],
+      species: { 'Gray Wolf': 3, 'Brown Bear': 1 },
+      activity: { active: 2, resting: 1, feeding: 1 },
+      latest: '2024-03-01T03:00:00.000Z'
+    });
+    expect(clusters[0].location.latitude).toBeCloseTo(51.17875, 6);
+    expect(clusters[0].id).toMatch(/^6\/\d+\/\d+$/);
+    expect(singles.map(point => point.id).sort()).toEqual(['b-2', 'e-1']);
+  });
+
+  it('should cluster map data below MAP_CLUSTER_MAX_ZOOM', async () => {
+    const response = await request(app).get('/api/v1/telemetry/map?zoom=3&limit=1').expect(200);
+
+    expect(response.body.data.clustered).toBe(true);
+    expect(response.body.data.zoom).toBe(3);
+    expect(response.body.data.radius).toBe(50);
+    expect(response.body.data.clusters).toHaveLength(1);
+    expect(response.body.data.clusters[0].count).toBe(5);
+    expect(response.body.data.points.map(point => point.id)).toEqual(['e-1']);
+    expect(response.body.metadata.totalPoints).toBe(6);
+
+    const filtered = await request(app).get('/api/v1/telemetry/map?zoom=3&species=Gray%20Wolf').expect(200);
+    expect(filtered.body.data.clusters[0].species).toEqual({ 'Gray Wolf': 3 });
+  });
+
+  it('should send raw points from MAP_CLUSTER_MAX_ZOOM up', async () => {
+    process.env.MAP_CLUSTER_MAX_ZOOM = '10';
+
+    const response = await request(app).get('/api/v1/telemetry/map?zoom=10&limit=2').expect(200);
+    expect(response.body.data).toMatchObject({ zoom: 10, clustered: false, clusters: [] });
+    expect(response.body.data.points.map(point => point.id)).toEqual(['w-2', 'w-3']);
+
+    // Without a zoom level the response is the plain list of points
+    const plain = await request(app).get('/api/v1/telemetry/map?limit=2').expect(200);
+    expect(plain.body.data.map(point => point.id)).toEqual(['w-2', 'w-3']);
+
+    await request(app).get('/api/v1/telemetry/map?zoom=30').expect(400);
+  });
+
+  it('should send clusters as GeoJSON features', async () => {
+    const response = await request(app).get('/api/v1/telemetry/map?zoom=3&format=geojson').expect(200);
+
+    const [cluster, ...rest] = response.body.features;
+    expect(cluster).toMatchObject({
+      type: 'Feature',
+      geometry: { type: 'Point' },
+      properties: { cluster: true, count: 5 }
+    });
+    expect(cluster.bbox).toHaveLength(4);
+    expect(rest.map(feature => feature.id)).toEqual(['e-1']);
+  });
+
+  it('should cluster the positions a viewer may see', async () => {
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 50000 });
+
+    const response = await request(app)
+      .get('/api/v1/telemetry/map?zoom=6&species=Gray%20Wolf')
+      .set('X-Test-Role', 'viewer')
+      .expect(200);
+
+    const snapped = snapToGrid(51.17, -115.57, 50000);
+    expect(response.body.data.clusters).toHaveLength(1);
+    expect(response.body.data.clusters[0].location.latitude).toBeCloseTo(snapped.latitude, 6);
+    expect(response.body.data.clusters[0].bbox).toEqual([snapped.longitude, snapped.latitude, snapped.longitude, snapped.latitude]);
+  });
+});
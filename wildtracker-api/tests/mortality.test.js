@@ -0,0 +1,142 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { assessMortality, dynamicAcceleration } = require('../src/services/mortalityService');
+const { alertService } = require('../src/services/alertService');
+const { individualService } = require('../src/services/individualService');
+const { deploymentService } = require('../src/services/deploymentService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 0, 10);
+const OPTIONS = { radius: 50, hours: 6, maxAcceleration: 0.3, maxVibration: 0.05, temperatureRange: 2 };
+
+// Hourly fixes oldest first: `moving` of them travelling, then `still` lying
+// in one place with the collar reading only gravity
+const fixes = ({ moving = 2, still = 8, sensors = {} } = {}) => {
+  const points = [];
+  for (let i = 0; i < moving + still; i++) {
+    const lying = i >= moving;
+    points.push({
+      id: `fix-${i}`,
+      deviceId: 'collar-4',
+      timestamp: new Date(START + i * HOUR).toISOString(),
+      location: lying
+        ? { latitude: 54.2 + (i % 2) * 0.0001, longitude: -122.1 }
+        : { latitude: 54 + i * 0.01, longitude: -122.1 },
+      wildlife: { species: 'Gray Wolf' },
+      sensors: lying
+        ? { temperature: 4 + (i % 2) * 0.5, acceleration: { x: 0.02, y: 0.01, z: 9.81 }, ...sensors }
+        : { temperature: 38, acceleration: { x: 2.5, y: 1.2, z: 8.1 } }
+    });
+  }
+  return points;
+};
+
+describe('Mortality detection', () => {
+  describe('assessMortality', () => {
+    it('should measure acceleration apart from gravity', () => {
+      expect(dynamicAcceleration({ x: 0, y: 0, z: 9.80665 })).toBe(0);
+      expect(dynamicAcceleration({ x: 0, y: 9.80665, z: 0 })).toBe(0);
+      expect(dynamicAcceleration({ x: 3, y: 0, z: 9.80665 })).toBeGreaterThan(0.4);
+      expect(dynamicAcceleration(undefined)).toBeNull();
+    });
+
+    it('should flag a collar that has lain still for long enough', () => {
+      const stationary = assessMortality(fixes().reverse(), OPTIONS);
+
+      expect(stationary).toMatchObject({
+        since: new Date(START + 2 * HOUR).toISOString(),
+        lastFix: { id: 'fix-9' },
+        durationHours: 7,
+        fixCount: 8,
+        temperatureRange: 0.5
+      });
+      expect(stationary.maxDisplacementMeters).toBeLessThan(10);
+    });
+
+    it('should not flag short stays, movement or changing temperature', () => {
+      expect(assessMortality(fixes({ still: 6 }).reverse(), OPTIONS)).toBeNull();
+      expect(assessMortality(fixes({ sensors: { vibration: 0.4 } }).reverse(), OPTIONS)).toBeNull();
+      expect(assessMortality(fixes({ sensors: { acceleration: { x: 3, y: 2, z: 9.8 } } }).reverse(), OPTIONS)).toBeNull();
+
+      const warming = fixes().reverse();
+      warming.forEach((fix, i) => { fix.sensors.temperature = 4 + i; });
+      expect(assessMortality(warming, OPTIONS)).toBeNull();
+    });
+
+    it('should not flag a collar without motion sensors', () => {
+      const unsensed = fixes().reverse().map(fix => ({ ...fix, sensors: { temperature: 4 } }));
+      expect(assessMortality(unsensed, OPTIONS)).toBeNull();
+    });
+  });
+
+  describe('on ingest', () => {
+    beforeEach(async () => {
+      alertService.clear();
+      individualService.clear();
+      deploymentService.clear();
+      idempotencyService.clear();
+      await getTelemetryRepository().clear();
+      sendTelemetryBatch.mockImplementation(async (batch) =>
+        batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+      );
+
+      individualService.createIndividual({ id: 'wolf-4', species: 'Gray Wolf', sex: 'male', status: 'active', captures: [] });
+      await request(app)
+        .post('/api/v1/deployments')
+        .send({ deviceId: 'collar-4', individualId: 'wolf-4', startedAt: '2024-01-01T00:00:00Z' })
+        .expect(201);
+    });
+
+    const upload = (points) => request(app)
+      .post('/api/v1/telemetry/batch')
+      .send({ deviceId: 'collar-4', batch: points.map(point => ({ ...point, id: undefined })) })
+      .expect(200);
+
+    it('should raise one mortality alert tied to the individual and deployment', async () => {
+      const points = fixes();
+      await upload(points.slice(0, 7));
+      expect(alertService.listAlerts()).toHaveLength(0);
+
+      await upload(points.slice(7, 9));
+      await upload(points.slice(9));
+
+      const alerts = alertService.listAlerts();
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        type: 'mortality',
+        severity: 'critical',
+        status: 'open',
+        deviceId: 'collar-4',
+        individualId: 'wolf-4',
+        deploymentId: expect.stringMatching(/^dep_/),
+        timestamp: points[9].timestamp,
+        details: { since: points[2].timestamp, durationHours: 7 }
+      });
+
+      const summary = await request(app)
+        .get('/api/v1/telemetry/wildlife')
+        .query({ startDate: '2024-01-10T00:00:00Z', endDate: '2024-01-11T00:00:00Z' })
+        .expect(200);
+      expect(summary.body.data.recentAlerts).toEqual([
+        expect.objectContaining({ id: alerts[0].id, type: 'mortality', individualId: 'wolf-4' })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const net = require('net');
+const mqtt = require('mqtt');
+const createBroker = require('aedes');
+const { mqttGateway, deviceIdFromTopic, startMqttGateway, stopMqttGateway, getMqttGatewayStatus } = require('../src/services/mqttGateway');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const point = (extra = {}) => ({
+  timestamp: new Date(Date.now() - 60000).toISOString(),
+  location: { latitude: 51.18, longitude: -115.57 },
+  wildlife: { species: 'Gray Wolf' },
+  ...extra
+});
+
+async function waitFor(check, timeout = 3000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the MQTT gateway');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('MQTT gateway', () => {
+  let broker;
+  let server;
+  let collar;
+  const reports = [];
+
+  beforeAll(async () => {
+    broker = createBroker();
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    process.env.MQTT_URL = url;
+    startMqttGateway();
+    await waitFor(() => getMqttGatewayStatus().subscribed);
+
+    collar = await mqtt.connectAsync(url);
+    await collar.subscribeAsync('wildtracker/+/telemetry/errors');
+    collar.on('message', (topic, payload) => reports.push({ topic, report: JSON.parse(payload.toString()) }));
+  });
+
+  afterAll(async () => {
+    await collar.endAsync();
+    await stopMqttGateway();
+    delete process.env.MQTT_URL;
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    mqttGateway.clear();
+    idempotencyService.clear();
+    reports.length = 0;
+    await getTelemetryRepository().clear();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+  });
+
+  it('should take the device id from the topic', () => {
+    expect(deviceIdFromTopic('wildtracker/+/telemetry', 'wildtracker/collar-1/telemetry')).toBe('collar-1');
+    expect(deviceIdFromTopic('collars/#', 'collars/collar-1')).toBeUndefined();
+  });
+
+  it('should store published telemetry through the upload pipeline', async () => {
+    const repository = getTelemetryRepository();
+    const fix = point();
+    await collar.publishAsync('wildtracker/collar-1/telemetry', JSON.stringify(fix), { qos: 1 });
+    await collar.publishAsync('wildtracker/collar-2/telemetry', JSON.stringify([
+      point({ deviceId: 'collar-2' }),
+      point({ deviceId: 'collar-2', timestamp: new Date(Date.now() - 30000).toISOString() })
+    ]), { qos: 1 });
+    // A re-sent fix is recognised as a duplicate
+    await collar.publishAsync('wildtracker/collar-1/telemetry', JSON.stringify(fix), { qos: 1 });
+
+    await waitFor(async () => getMqttGatewayStatus().topics['wildtracker/collar-1/telemetry']?.messages === 2);
+    const { data: items } = await repository.query();
+    expect(items).toHaveLength(3);
+    expect(items.filter(item => item.deviceId === 'collar-1')).toHaveLength(1);
+    expect(items[0]).toMatchObject({ id: expect.any(String), wildlife: { species: 'Gray Wolf' } });
+    expect(sendTelemetryMessage).toHaveBeenCalledTimes(3);
+
+    const { topics } = getMqttGatewayStatus();
+    expect(topics['wildtracker/collar-1/telemetry']).toMatchObject({ messages: 2, accepted: 1, duplicates: 1, rejected: 0, lastError: null });
+    expect(topics['wildtracker/collar-2/telemetry']).toMatchObject({ messages: 1, accepted: 2 });
+    expect(reports).toHaveLength(0);
+  });
+
+  it('should report rejected messages on the topic they came from', async () => {
+    await collar.publishAsync('wildtracker/collar-3/telemetry', 'not json', { qos: 1 });
+    await collar.publishAsync('wildtracker/collar-3/telemetry', JSON.stringify([
+      point({ location: { latitude: 120, longitude: 0 } }),
+      point({ deviceId: 'collar-4' }),
+      point()
+    ]), { qos: 1 });
+
+    await waitFor(() => reports.length === 2);
+    expect(reports[0]).toMatchObject({
+      topic: 'wildtracker/collar-3/telemetry/errors',
+      report: { topic: 'wildtracker/collar-3/telemetry', errors: [{ index: null, error: 'Payload is not valid JSON' }] }
+    });
+    expect(reports[1].report.errors).toEqual([
+      { index: 0, error: 'Validation failed', details: [expect.stringContaining('latitude')] },
+      { index: 1, error: 'Device mismatch', details: [expect.stringContaining('collar-4')] }
+    ]);
+
+    const stats = getMqttGatewayStatus().topics['wildtracker/collar-3/telemetry'];
+    expect(stats).toMatchObject({ messages: 2, accepted: 1, rejected: 3 });
+    expect(stats.lastError.errors).toHaveLength(2);
+    const { data: items } = await getTelemetryRepository().query();
+    expect(items).toHaveLength(1);
+  });
+});
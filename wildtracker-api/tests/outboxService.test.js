@@ -0,0 +1,97 @@
+const { outboxService, publishTelemetry, flushOutbox, getOutboxStatus } = require('../src/services/outboxService');
+const { sendTelemetryMessage, connectKafka, kafkaService } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService');
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const point = (id) => ({
+  id,
+  deviceId: 'collar-7',
+  timestamp: '2024-01-15T10:30:00.000Z',
+  location: { latitude: 53.9, longitude: -122.7 }
+});
+
+describe('OutboxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outboxService.collection.clear();
+    kafkaService.isConnected = false;
+  });
+
+  it('should publish directly when the outbox is empty and Kafka accepts the point', async () => {
+    sendTelemetryMessage.mockResolvedValue({ partition: 2, offset: '77' });
+
+    const result = await publishTelemetry(point('a'));
+
+    expect(result).toEqual({ status: 'published', partition: 2, offset: '77' });
+    expect(outboxService.depth).toBe(0);
+  });
+
+  it('should queue the point when Kafka rejects it', async () => {
+    sendTelemetryMessage.mockRejectedValue(new Error('Kafka producer not connected'));
+
+    const result = await publishTelemetry(point('a'));
+
+    expect(result).toEqual({ status: 'queued', outboxDepth: 1 });
+    expect(getOutboxStatus()).toMatchObject({ depth: 1, oldestQueuedAt: expect.any(String) });
+  });
+
+  it('should not flush while the producer is disconnected', async () => {
+    sendTelemetryMessage.mockRejectedValue(new Error('down'));
+    await publishTelemetry(point('a'));
+    sendTelemetryMessage.mockClear();
+
+    expect(await flushOutbox()).toBe(0);
+    expect(sendTelemetryMessage).not.toHaveBeenCalled();
+  });
+
+  it('should drain queued points in arrival order once connected', async () => {
+    sendTelemetryMessage.mockRejectedValue(new Error('down'));
+    await publishTelemetry(point('a'));
+    await publishTelemetry(point('b'));
+    await publishTelemetry(point('c'));
+
+    sendTelemetryMessage.mockReset();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+    kafkaService.isConnected = true;
+
+    expect(await flushOutbox()).toBe(3);
+    expect(sendTelemetryMessage.mock.calls.map(call => call[0].id)).toEqual(['a', 'b', 'c']);
+    expect(outboxService.depth).toBe(0);
+  });
+
+  it('should stop at the first failure and keep the remaining order', async () => {
+    sendTelemetryMessage.mockRejectedValue(new Error('down'));
+    await publishTelemetry(point('a'));
+    await publishTelemetry(point('b'));
+
+    sendTelemetryMessage.mockReset();
+    sendTelemetryMessage
+      .mockResolvedValueOnce({ partition: 0, offset: '1' })
+      .mockRejectedValueOnce(new Error('broker went away'));
+    kafkaService.isConnected = true;
+
+    expect(await flushOutbox()).toBe(1);
+    expect(outboxService.collection.values().map(entry => entry.id)).toEqual(['b']);
+    expect(getOutboxStatus().lastError).toBe('broker went away');
+  });
+
+  it('should try to reconnect from the flusher tick when points are waiting', async () => {
+    sendTelemetryMessage.mockRejectedValue(new Error('down'));
+    await publishTelemetry(point('a'));
+
+    sendTelemetryMessage.mockReset();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+    connectKafka.mockImplementation(async () => { kafkaService.isConnected = true; });
+    outboxService.lastReconnectAt = 0;
+
+    await outboxService.tick();
+
+    expect(connectKafka).toHaveBeenCalled();
+    expect(outboxService.depth).toBe(0);
+  });
+});
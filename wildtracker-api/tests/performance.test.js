@@ -8,7 +8,10 @@ jest.mock('../src/services/kafkaService', () => ({
   sendTelemetryMessage: jest.fn().mockResolvedValue({
     partition: 0,
     offset: 12345
-  })
+  }),
+  sendTelemetryBatch: jest.fn().mockImplementation(async (batch) =>
+    batch.map((_, i) => ({ success: true, partition: 0, offset: String(12345 + i) }))
+  )
 }));
 
 jest.mock('../src/utils/logger', () => ({
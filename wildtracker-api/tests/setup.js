@@ -4,6 +4,9 @@ process.env.PORT = '3001';
 process.env.KAFKA_BROKERS = 'localhost:9092';
 process.env.KAFKA_TOPIC_TELEMETRY = 'test-telemetry-data';
 process.env.LOG_LEVEL = 'error';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DEVICE_AUTH_ENABLED = 'false';
+process.env.AUTH_ENABLED = 'false';
 
 // Mock console methods to reduce noise in tests
 global.console = {
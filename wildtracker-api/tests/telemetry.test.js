@@ -1,6 +1,7 @@
 const request = require('supertest');
 const express = require('express');
 const telemetryRoutes = require('../src/routes/telemetry');
+const { idempotencyService } = require('../src/services/idempotencyService');
 
 // Create a test app
 const app = express();
@@ -8,6 +9,10 @@ app.use(express.json());
 app.use('/api/v1/telemetry', telemetryRoutes);
 
 describe('Telemetry API', () => {
+  beforeEach(() => {
+    idempotencyService.clear();
+  });
+
   describe('POST /api/v1/telemetry', () => {
     it('should return 400 for invalid telemetry data', async () => {
       const invalidData = {
@@ -45,7 +50,7 @@ describe('Telemetry API', () => {
       expect(response.body.success).toBe(false);
     });
 
-    it('should accept valid telemetry data', async () => {
+    it('should accept valid telemetry data and queue it while Kafka is down', async () => {
       const validData = {
         deviceId: 'test-device-123',
         timestamp: '2024-01-15T10:30:00Z',
@@ -58,10 +63,11 @@ describe('Telemetry API', () => {
       const response = await request(app)
         .post('/api/v1/telemetry')
         .send(validData)
-        .expect(201);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Telemetry data uploaded successfully');
+      expect(response.body.message).toBe('Telemetry data queued for delivery');
+      expect(response.body.data.status).toBe('queued');
     });
   });
 
@@ -87,13 +93,14 @@ describe('Telemetry API', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.summary.total).toBe(1);
+      expect(response.body.summary.queued).toBe(1);
       expect(response.body.results).toEqual([
         expect.objectContaining({
           index: 0,
           success: true,
           timestamp: expect.stringMatching(/^2024-01-15T10:30:00\.\d{3}Z$/),
-          partition: 0,
-          offset: expect.any(Number)
+          status: 'queued',
+          outboxDepth: expect.any(Number)
         })
       ]);
     });
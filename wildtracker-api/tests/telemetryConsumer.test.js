@@ -0,0 +1,126 @@
+const { telemetryConsumer } = require('../src/services/telemetryConsumer');
+const { alertRuleService } = require('../src/services/alertRuleService');
+const { geofenceService } = require('../src/services/geofenceService');
+const { telemetryStreamService } = require('../src/services/telemetryStreamService');
+const { getTelemetryRepository } = require('../src/repositories');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const toMessage = (offset, payload) => ({
+  offset: String(offset),
+  value: Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload))
+});
+
+const createBatchPayload = (messages) => ({
+  batch: { topic: 'test-telemetry-data', partition: 0, messages },
+  resolveOffset: jest.fn(),
+  heartbeat: jest.fn().mockResolvedValue(),
+  commitOffsetsIfNecessary: jest.fn().mockResolvedValue(),
+  isRunning: () => true,
+  isStale: () => false
+});
+
+describe('TelemetryConsumer', () => {
+  const point = {
+    id: 'collar-7-1705314600000-abcd',
+    deviceId: 'collar-7',
+    timestamp: '2024-01-15T10:30:00Z',
+    receivedAt: '2024-01-15T10:30:01.000Z',
+    location: { latitude: 53.91694444, longitude: -122.74944444 },
+    wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', deploymentId: 'dep_1', activity: 'active' }
+  };
+
+  beforeEach(async () => {
+    await getTelemetryRepository().clear();
+  });
+
+  it('should upsert decoded points and resolve each offset after writing', async () => {
+    const payload = createBatchPayload([toMessage(41, point)]);
+
+    await telemetryConsumer.handleBatch(payload);
+
+    const stored = await getTelemetryRepository().findById(point.id);
+    expect(stored).toMatchObject({
+      deviceId: 'collar-7',
+      timestamp: '2024-01-15T10:30:00.000Z',
+      receivedAt: '2024-01-15T10:30:01.000Z',
+      location: { latitude: 53.916944, longitude: -122.749444 },
+      // Set on ingest, unlike on uploads
+      wildlife: { deploymentId: 'dep_1' }
+    });
+    expect(payload.resolveOffset).toHaveBeenCalledWith('41');
+    expect(payload.commitOffsetsIfNecessary).toHaveBeenCalled();
+  });
+
+  it('should not duplicate points when a message is redelivered', async () => {
+    await telemetryConsumer.handleBatch(createBatchPayload([toMessage(41, point)]));
+    await telemetryConsumer.handleBatch(createBatchPayload([toMessage(41, point)]));
+
+    expect(await getTelemetryRepository().count()).toBe(1);
+  });
+
+  it('should not evaluate alert rules on imported points', async () => {
+    const evaluate = jest.spyOn(alertRuleService, 'evaluate');
+
+    await telemetryConsumer.handleBatch(createBatchPayload([toMessage(42, { ...point, importJobId: 'imp_1' })]));
+
+    expect(await getTelemetryRepository().findById(point.id)).toMatchObject({ importJobId: 'imp_1' });
+    expect(evaluate).not.toHaveBeenCalled();
+    evaluate.mockRestore();
+  });
+
+  it('should follow up points from other producers once, and not those the API ingested', async () => {
+    const evaluate = jest.spyOn(alertRuleService, 'evaluate');
+    const fence = jest.spyOn(geofenceService, 'evaluate');
+    const publish = jest.spyOn(telemetryStreamService, 'publish');
+
+    await telemetryConsumer.handleBatch(createBatchPayload([
+      toMessage(43, { ...point, id: 'api-fix', ingested: true }),
+      toMessage(44, { ...point, id: 'other-fix' })
+    ]));
+
+    for (const spy of [evaluate, fence, publish]) {
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][0].map(p => p.id)).toEqual(['other-fix']);
+      spy.mockRestore();
+    }
+    expect(await getTelemetryRepository().findById('api-fix')).not.toHaveProperty('ingested');
+  });
+
+  it('should derive a stable id for messages produced without one', async () => {
+    const { id, ...withoutId } = point;
+
+    await telemetryConsumer.handleBatch(createBatchPayload([toMessage(7, withoutId)]));
+    await telemetryConsumer.handleBatch(createBatchPayload([toMessage(7, withoutId)]));
+
+    expect(await getTelemetryRepository().findById('test-telemetry-data-0-7')).not.toBeNull();
+    expect(await getTelemetryRepository().count()).toBe(1);
+  });
+
+  it('should skip unparseable and invalid messages without blocking the partition', async () => {
+    const payload = createBatchPayload([
+      toMessage(1, '{not json'),
+      toMessage(2, { ...point, id: 'bad', location: { latitude: 200, longitude: 0 } }),
+      toMessage(3, point)
+    ]);
+
+    await telemetryConsumer.handleBatch(payload);
+
+    expect(payload.resolveOffset.mock.calls.map(call => call[0])).toEqual(['1', '2', '3']);
+    expect(await getTelemetryRepository().findById('bad')).toBeNull();
+    expect(await getTelemetryRepository().count()).toBe(1);
+  });
+
+  it('should leave offsets unresolved when the store write fails', async () => {
+    const repository = getTelemetryRepository();
+    jest.spyOn(repository, 'save').mockRejectedValueOnce(new Error('disk full'));
+    const payload = createBatchPayload([toMessage(9, point)]);
+
+    await expect(telemetryConsumer.handleBatch(payload)).rejects.toThrow('disk full');
+    expect(payload.resolveOffset).not.toHaveBeenCalled();
+  });
+});
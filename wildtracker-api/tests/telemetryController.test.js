@@ -1,5 +1,10 @@
 const TelemetryController = require('../src/controllers/telemetryController');
-const { sendTelemetryMessage } = require('../src/services/kafkaService');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { outboxService } = require('../src/services/outboxService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { individualService } = require('../src/services/individualService');
+const { alertService } = require('../src/services/alertService');
 
 // Mock the Kafka service
 jest.mock('../src/services/kafkaService');
@@ -17,15 +22,22 @@ describe('TelemetryController', () => {
     mockReq = {
       body: {},
       query: {},
-      params: {}
+      params: {},
+      headers: {},
+      get: jest.fn(function(name) { return this.headers[name.toLowerCase()]; }),
+      accepts: jest.fn(types => types[0])
     };
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      vary: jest.fn().mockReturnThis()
     };
     
     // Clear all mocks
     jest.clearAllMocks();
+    outboxService.collection.clear();
+    idempotencyService.clear();
   });
 
   describe('uploadTelemetry', () => {
@@ -73,19 +85,36 @@ describe('TelemetryController', () => {
       }));
     });
 
-    it('should handle Kafka failure gracefully with mock response', async () => {
+    it('should queue telemetry in the outbox when Kafka fails', async () => {
       mockReq.body = validTelemetryData;
       sendTelemetryMessage.mockRejectedValue(new Error('Kafka connection failed'));
 
       await TelemetryController.uploadTelemetry(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.status).toHaveBeenCalledWith(202);
       expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
         success: true,
         data: expect.objectContaining({
-          partition: 0
+          status: 'queued',
+          outboxDepth: 1
         })
       }));
+      expect(outboxService.depth).toBe(1);
+    });
+
+    it('should queue behind an existing backlog instead of sending directly', async () => {
+      sendTelemetryMessage.mockRejectedValueOnce(new Error('Kafka connection failed'));
+      mockReq.body = validTelemetryData;
+      await TelemetryController.uploadTelemetry(mockReq, mockRes);
+
+      sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: 1 });
+      const secondRes = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const nextFix = { ...validTelemetryData, timestamp: '2024-01-15T10:31:00Z' };
+      await TelemetryController.uploadTelemetry({ ...mockReq, body: nextFix }, secondRes);
+
+      expect(sendTelemetryMessage).toHaveBeenCalledTimes(1);
+      expect(secondRes.status).toHaveBeenCalledWith(202);
+      expect(outboxService.depth).toBe(2);
     });
 
     it('should return 400 for missing deviceId', async () => {
@@ -167,23 +196,25 @@ describe('TelemetryController', () => {
     };
 
     it('should successfully upload valid batch data', async () => {
-      const { sendTelemetryMessage } = require('../src/services/kafkaService');
-      sendTelemetryMessage.mockResolvedValue({
-        partition: 0,
-        offset: 12345
-      });
+      sendTelemetryBatch.mockResolvedValue([
+        { success: true, partition: 0, offset: '12345' },
+        { success: true, partition: 0, offset: '12346' }
+      ]);
 
       mockReq.body = validBatchData;
 
       await TelemetryController.uploadBatchTelemetry(mockReq, mockRes);
 
-      expect(sendTelemetryMessage).toHaveBeenCalledTimes(2);
+      expect(sendTelemetryBatch).toHaveBeenCalledTimes(1);
+      expect(sendTelemetryMessage).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
         success: true,
         summary: {
           total: 2,
           successful: 2,
+          queued: 0,
+          duplicates: 0,
           failed: 0
         },
         results: expect.arrayContaining([
@@ -191,14 +222,15 @@ describe('TelemetryController', () => {
             index: 0,
             success: true,
             timestamp: expect.any(String),
+            status: 'published',
             partition: 0,
-            offset: 12345
+            offset: '12345'
           })
         ])
       }));
     });
 
-    it('should handle partial batch failures', async () => {
+    it('should queue batch items that Kafka did not accept', async () => {
       const batchData = {
         deviceId: 'test-device',
         batch: [
@@ -219,11 +251,11 @@ describe('TelemetryController', () => {
         ]
       };
 
-      // Mock Kafka to succeed for first item, fail for second
-      const { sendTelemetryMessage } = require('../src/services/kafkaService');
-      sendTelemetryMessage
-        .mockResolvedValueOnce({ partition: 0, offset: 12345 }) // First item succeeds
-        .mockRejectedValueOnce(new Error('Kafka connection failed')); // Second item fails
+      // Mock Kafka to accept the first item and reject the second
+      sendTelemetryBatch.mockResolvedValue([
+        { success: true, partition: 0, offset: '12345' },
+        { success: false, error: 'Kafka connection failed' }
+      ]);
 
       mockReq.body = batchData;
 
@@ -234,7 +266,9 @@ describe('TelemetryController', () => {
         success: true,
         summary: {
           total: 2,
-          successful: 2, // Both succeed due to fallback behavior
+          successful: 2,
+          queued: 1,
+          duplicates: 0,
           failed: 0
         },
         results: [
@@ -242,20 +276,32 @@ describe('TelemetryController', () => {
             index: 0,
             success: true,
             timestamp: expect.any(String),
+            status: 'published',
             partition: 0,
-            offset: 12345
+            offset: '12345'
           }),
           expect.objectContaining({
             index: 1,
             success: true,
             timestamp: expect.any(String),
-            partition: 0,
-            offset: expect.any(Number) // Mock offset from fallback
+            status: 'queued',
+            outboxDepth: 1
           })
         ]
       }));
     });
 
+    it('should queue the whole batch when the producer is unavailable', async () => {
+      sendTelemetryBatch.mockRejectedValue(new Error('Kafka producer not connected'));
+      mockReq.body = validBatchData;
+
+      await TelemetryController.uploadBatchTelemetry(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.summary).toEqual({ total: 2, successful: 2, queued: 2, duplicates: 0, failed: 0 });
+      expect(outboxService.depth).toBe(2);
+    });
+
     it('should return 400 for invalid batch structure', async () => {
       const invalidBatchData = {
         deviceId: 'test-device',
@@ -298,7 +344,35 @@ describe('TelemetryController', () => {
   });
 
   describe('getTelemetryData', () => {
-    it('should return mock telemetry data with valid query parameters', async () => {
+    beforeEach(async () => {
+      const repository = getTelemetryRepository();
+      await repository.clear();
+      await repository.saveMany([
+        {
+          id: 'wolf-a',
+          deviceId: 'test-device',
+          timestamp: '2024-01-15T10:30:00.000Z',
+          location: { latitude: 53.91, longitude: -122.74 },
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active', health: 'healthy' }
+        },
+        {
+          id: 'wolf-b',
+          deviceId: 'test-device',
+          timestamp: '2024-01-15T11:30:00.000Z',
+          location: { latitude: 53.92, longitude: -122.75 },
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'resting', health: 'healthy' }
+        },
+        {
+          id: 'elk-a',
+          deviceId: 'elk-device',
+          timestamp: '2024-01-15T12:30:00.000Z',
+          location: { latitude: 54.1, longitude: -123.1 },
+          wildlife: { species: 'Elk', individualId: 'elk-001', activity: 'feeding', health: 'injured' }
+        }
+      ]);
+    });
+
+    it('should return stored telemetry data matching the query', async () => {
       mockReq.query = {
         deviceId: 'test-device',
         species: 'Gray Wolf',
@@ -308,23 +382,45 @@ describe('TelemetryController', () => {
 
       await TelemetryController.getTelemetryData(mockReq, mockRes);
 
-      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
-        success: true,
-        data: expect.arrayContaining([
-          expect.objectContaining({
-            deviceId: expect.any(String),
-            timestamp: expect.any(String),
-            location: expect.objectContaining({
-              latitude: expect.any(Number),
-              longitude: expect.any(Number)
-            })
-          })
-        ]),
-        pagination: expect.objectContaining({
-          limit: 10,
-          offset: 0
-        })
-      }));
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.success).toBe(true);
+      expect(response.data.map(point => point.id)).toEqual(['wolf-b', 'wolf-a']);
+      expect(response.pagination).toEqual({
+        limit: 10,
+        offset: 0,
+        total: 2,
+        hasMore: false
+      });
+    });
+
+    it('should report the full match count when paginating', async () => {
+      mockReq.query = { limit: 1, offset: 1, sortOrder: 'asc' };
+
+      await TelemetryController.getTelemetryData(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.data.map(point => point.id)).toEqual(['wolf-b']);
+      expect(response.pagination).toMatchObject({ total: 3, hasMore: true });
+    });
+
+    it('should return data uploaded through uploadTelemetry', async () => {
+      sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: 1 });
+      mockReq.body = {
+        deviceId: 'bear-device',
+        timestamp: '2024-02-01T08:00:00Z',
+        location: { latitude: 54.0, longitude: -122.9 },
+        wildlife: { species: 'Bear', individualId: 'bear-003' }
+      };
+      await TelemetryController.uploadTelemetry(mockReq, mockRes);
+      const uploadedId = mockRes.json.mock.calls[0][0].data.id;
+
+      const readRes = { ...mockRes, json: jest.fn().mockReturnThis() };
+      await TelemetryController.getTelemetryData({ ...mockReq, query: { individualId: 'bear-003' } }, readRes);
+
+      const response = readRes.json.mock.calls[0][0];
+      expect(response.data).toEqual([
+        expect.objectContaining({ id: uploadedId, deviceId: 'bear-device' })
+      ]);
     });
 
     it('should return 400 for invalid query parameters', async () => {
@@ -348,12 +444,105 @@ describe('TelemetryController', () => {
 
       expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
         success: true,
-        data: expect.any(Array)
+        data: expect.any(Array),
+        pagination: expect.objectContaining({ total: 3 })
       }));
     });
   });
 
   describe('getWildlifeSummary', () => {
+    beforeEach(async () => {
+      individualService.clear();
+      individualService.createIndividual({ id: 'wolf-001', species: 'Gray Wolf', sex: 'female', status: 'active', captures: [] });
+      individualService.createIndividual({ id: 'elk-001', species: 'Elk', sex: 'male', status: 'active', captures: [] });
+      individualService.createIndividual({ id: 'wolf-002', species: 'Gray Wolf', sex: 'male', status: 'active', captures: [] });
+      individualService.retireIndividual('wolf-002', 'Collar removed');
+
+      alertService.clear();
+      alertService.raise({
+        type: 'mortality',
+        key: 'dep_wolf-001',
+        severity: 'critical',
+        deviceId: 'collar-1',
+        individualId: 'wolf-001',
+        species: 'Gray Wolf',
+        timestamp: '2024-01-20T10:00:00.000Z'
+      });
+      alertService.raise({
+        type: 'mortality',
+        key: 'dep_elk-001',
+        severity: 'critical',
+        deviceId: 'collar-2',
+        individualId: 'elk-001',
+        species: 'Elk',
+        timestamp: '2024-03-01T10:00:00.000Z'
+      });
+
+      const repository = getTelemetryRepository();
+      await repository.clear();
+      await repository.saveMany([
+        {
+          id: 'summary-1',
+          deviceId: 'collar-1',
+          timestamp: '2024-01-10T10:00:00.000Z',
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'resting', health: 'healthy' }
+        },
+        {
+          id: 'summary-2',
+          deviceId: 'collar-1',
+          timestamp: '2024-01-20T10:00:00.000Z',
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'feeding', health: 'injured' }
+        },
+        {
+          id: 'summary-3',
+          deviceId: 'collar-2',
+          timestamp: '2024-03-01T10:00:00.000Z',
+          wildlife: { species: 'Elk', individualId: 'elk-001', activity: 'active' }
+        }
+      ]);
+    });
+
+    afterAll(() => {
+      individualService.clear();
+      alertService.clear();
+    });
+
+    it('should count registered individuals and their latest state in the window', async () => {
+      mockReq.query = { startDate: '2024-01-01', endDate: '2024-01-31' };
+
+      await TelemetryController.getWildlifeSummary(mockReq, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].data).toMatchObject({
+        totalIndividuals: 2,
+        activeDevices: 1,
+        species: [
+          { name: 'Elk', count: 1, active: 0 },
+          { name: 'Gray Wolf', count: 1, active: 1 }
+        ],
+        speciesBreakdown: { Elk: 1, 'Gray Wolf': 1 },
+        activityBreakdown: { feeding: 1 },
+        healthStatus: { injured: 1 }
+      });
+    });
+
+    it('should list alerts raised in the window', async () => {
+      mockReq.query = { startDate: '2024-01-01', endDate: '2024-01-31' };
+
+      await TelemetryController.getWildlifeSummary(mockReq, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].data.recentAlerts).toEqual([
+        expect.objectContaining({ type: 'mortality', deviceId: 'collar-1', individualId: 'wolf-001', status: 'open' })
+      ]);
+    });
+
+    it('should reject invalid dates', async () => {
+      mockReq.query = { startDate: 'not-a-date' };
+
+      await TelemetryController.getWildlifeSummary(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
     it('should return wildlife summary data', async () => {
       mockReq.query = {
         species: 'Gray Wolf',
@@ -400,6 +589,36 @@ describe('TelemetryController', () => {
   });
 
   describe('getIndividualTracking', () => {
+    beforeEach(async () => {
+      const repository = getTelemetryRepository();
+      await repository.clear();
+      await repository.saveMany([
+        {
+          id: 'wolf-1',
+          deviceId: 'collar-7',
+          timestamp: '2024-01-15T08:00:00.000Z',
+          location: { latitude: 53.9169, longitude: -122.7494, altitude: 700 },
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'resting' },
+          metadata: { battery: 90 }
+        },
+        {
+          id: 'wolf-2',
+          deviceId: 'collar-7',
+          timestamp: '2024-01-15T09:00:00.000Z',
+          location: { latitude: 53.9269, longitude: -122.7494, altitude: 710 },
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active' },
+          metadata: { battery: 89 }
+        },
+        {
+          id: 'elk-1',
+          deviceId: 'collar-9',
+          timestamp: '2024-01-15T09:00:00.000Z',
+          location: { latitude: 54.1, longitude: -123.1 },
+          wildlife: { species: 'Elk', individualId: 'elk-001', activity: 'feeding' }
+        }
+      ]);
+    });
+
     it('should return individual tracking data', async () => {
       mockReq.params = { individualId: 'wolf-001' };
       mockReq.query = {
@@ -415,29 +634,69 @@ describe('TelemetryController', () => {
         data: expect.objectContaining({
           individualId: 'wolf-001',
           summary: expect.objectContaining({
-            totalPoints: expect.any(Number),
-            dateRange: expect.objectContaining({
-              start: expect.any(String),
-              end: expect.any(String)
-            }),
+            totalPoints: 2,
+            dateRange: {
+              start: '2024-01-15T08:00:00.000Z',
+              end: '2024-01-15T09:00:00.000Z'
+            },
             distance: expect.any(Number),
             averageSpeed: expect.any(Number)
           }),
-          tracking: expect.arrayContaining([
+          tracking: [
             expect.objectContaining({
-              timestamp: expect.any(String),
+              id: 'wolf-2',
+              timestamp: '2024-01-15T09:00:00.000Z',
               location: expect.objectContaining({
                 latitude: expect.any(Number),
                 longitude: expect.any(Number)
               }),
-              activity: expect.any(String),
-              speed: expect.any(Number)
-            })
-          ])
+              activity: 'active',
+              speed: expect.any(Number),
+              battery: 89
+            }),
+            expect.objectContaining({ id: 'wolf-1', speed: 0 })
+          ]
         })
       }));
     });
 
+    it('should measure steps geodesically with documented units', async () => {
+      mockReq.params = { individualId: 'wolf-001' };
+
+      await TelemetryController.getIndividualTracking(mockReq, mockRes);
+
+      const { summary, units, tracking } = mockRes.json.mock.calls[0][0].data;
+      // 0.01 degrees of latitude due north, one hour apart
+      expect(tracking[0]).toMatchObject({
+        stepDistance: 1113,
+        stepDuration: 3600,
+        speed: 1.11,
+        bearing: 0,
+        netDisplacement: 1113
+      });
+      expect(tracking[1]).toMatchObject({ stepDistance: 0, stepDuration: 0, speed: 0, bearing: null, netDisplacement: 0 });
+      expect(summary).toMatchObject({ distance: 1113, netDisplacement: 1113, averageSpeed: 1.11 });
+      expect(units).toMatchObject({ distance: 'm', speed: 'km/h', averageSpeed: 'km/h', stepDuration: 's' });
+    });
+
+    it('should not divide by zero for fixes sharing a timestamp', async () => {
+      await getTelemetryRepository().save({
+        id: 'wolf-3',
+        deviceId: 'collar-8',
+        timestamp: '2024-01-15T09:00:00.000Z',
+        location: { latitude: 53.9269, longitude: -122.7394 },
+        wildlife: { species: 'Gray Wolf', individualId: 'wolf-001' }
+      });
+      mockReq.params = { individualId: 'wolf-001' };
+
+      await TelemetryController.getIndividualTracking(mockReq, mockRes);
+
+      const { summary, tracking } = mockRes.json.mock.calls[0][0].data;
+      const sameTime = tracking.find(point => point.stepDuration === 0 && point.stepDistance > 0);
+      expect(sameTime.speed).toBeNull();
+      expect(Number.isFinite(summary.averageSpeed)).toBe(true);
+    });
+
     it('should return 400 for missing individual ID', async () => {
       mockReq.params = {};
 
@@ -450,6 +709,19 @@ describe('TelemetryController', () => {
       }));
     });
 
+    it('should return 400 for an invalid date range', async () => {
+      mockReq.params = { individualId: 'wolf-001' };
+      mockReq.query = { startDate: 'last tuesday' };
+
+      await TelemetryController.getIndividualTracking(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        error: 'Invalid query parameters'
+      }));
+    });
+
     it('should handle empty query parameters', async () => {
       mockReq.params = { individualId: 'wolf-001' };
       mockReq.query = {};
@@ -461,12 +733,50 @@ describe('TelemetryController', () => {
         data: expect.any(Object)
       }));
     });
+
+    it('should return an empty track for an unknown individual', async () => {
+      mockReq.params = { individualId: 'lynx-404' };
+
+      await TelemetryController.getIndividualTracking(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.data.tracking).toEqual([]);
+      expect(response.data.summary).toMatchObject({ totalPoints: 0, distance: 0, averageSpeed: 0 });
+    });
   });
 
   describe('getMapData', () => {
+    beforeEach(async () => {
+      const repository = getTelemetryRepository();
+      await repository.clear();
+      await repository.saveMany([
+        {
+          id: 'map-1',
+          deviceId: 'collar-1',
+          timestamp: '2024-01-15T08:00:00.000Z',
+          location: { latitude: 53.9, longitude: -122.7 },
+          wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active' },
+          metadata: { battery: 80, signal: 70 }
+        },
+        {
+          id: 'map-2',
+          deviceId: 'collar-2',
+          timestamp: '2024-01-15T09:00:00.000Z',
+          location: { latitude: 37.77, longitude: -122.41 },
+          wildlife: { species: 'Bear', individualId: 'bear-003', activity: 'resting' }
+        },
+        {
+          id: 'map-3',
+          deviceId: 'collar-3',
+          timestamp: '2024-01-15T10:00:00.000Z',
+          wildlife: { species: 'Elk', individualId: 'elk-001', activity: 'active' }
+        }
+      ]);
+    });
+
     it('should return map data with valid parameters', async () => {
       mockReq.query = {
-        bbox: '37.7,-122.4,37.8,-122.3',
+        bbox: '-123.0,53.5,-122.5,54.5',
         limit: 100
       };
 
@@ -474,41 +784,50 @@ describe('TelemetryController', () => {
 
       expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
         success: true,
-        data: expect.arrayContaining([
+        data: [
           expect.objectContaining({
-            deviceId: expect.any(String),
-            id: expect.any(String),
+            deviceId: 'collar-1',
+            id: 'map-1',
             location: expect.objectContaining({
               latitude: expect.any(Number),
               longitude: expect.any(Number)
             }),
             timestamp: expect.any(String),
             wildlife: expect.objectContaining({
-              activity: expect.any(String),
-              individualId: expect.any(String),
-              species: expect.any(String)
-            })
+              activity: 'active',
+              individualId: 'wolf-001',
+              species: 'Gray Wolf'
+            }),
+            metadata: { battery: 80, signal: 70 }
           })
-        ]),
+        ],
         metadata: expect.objectContaining({
           bbox: expect.any(Object),
           timestamp: expect.any(String),
-          totalPoints: expect.any(Number)
+          totalPoints: 1
         })
       }));
     });
 
-    it('should handle missing bbox parameter', async () => {
+    it('should handle missing bbox parameter and skip points without a location', async () => {
       mockReq.query = {
         limit: 50
       };
 
       await TelemetryController.getMapData(mockReq, mockRes);
 
-      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
-        success: true,
-        data: expect.any(Array)
-      }));
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.success).toBe(true);
+      expect(response.data.map(point => point.id)).toEqual(['map-2', 'map-1']);
+    });
+
+    it('should filter by species and activity', async () => {
+      mockReq.query = { species: 'Bear', activity: 'resting' };
+
+      await TelemetryController.getMapData(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.data.map(point => point.id)).toEqual(['map-2']);
     });
 
     it('should handle invalid bbox format', async () => {
@@ -529,14 +848,14 @@ describe('TelemetryController', () => {
 
     it('should respect limit parameter', async () => {
       mockReq.query = {
-        limit: 10
+        limit: 1
       };
 
       await TelemetryController.getMapData(mockReq, mockRes);
 
       const response = mockRes.json.mock.calls[0][0];
       expect(response.success).toBe(true);
-      expect(response.data.length).toBeLessThanOrEqual(10);
+      expect(response.data.length).toBe(1);
     });
   });
 
@@ -565,77 +884,6 @@ describe('TelemetryController', () => {
   });
 
   describe('Helper Methods', () => {
-    describe('generateMockTelemetryData', () => {
-      it('should generate mock data with filters', () => {
-        const filters = {
-          deviceId: 'test-device',
-          species: 'Gray Wolf',
-          limit: 5
-        };
-
-        const result = TelemetryController.generateMockTelemetryData(filters);
-
-        expect(result).toHaveLength(5);
-        expect(result[0]).toMatchObject({
-          deviceId: 'test-device',
-          wildlife: expect.objectContaining({
-            species: 'Gray Wolf'
-          })
-        });
-      });
-
-      it('should respect limit parameter', () => {
-        const filters = { limit: 3 };
-        const result = TelemetryController.generateMockTelemetryData(filters);
-        expect(result).toHaveLength(3);
-      });
-    });
-
-    describe('generateIndividualTrackingData', () => {
-      it('should generate tracking data for individual', () => {
-        const result = TelemetryController.generateIndividualTrackingData('wolf-001', '2024-01-01', '2024-01-31', 10);
-
-        expect(result).toHaveLength(10);
-        expect(result[0]).toMatchObject({
-          timestamp: expect.any(String),
-          location: expect.objectContaining({
-            latitude: expect.any(Number),
-            longitude: expect.any(Number)
-          }),
-          activity: expect.any(String),
-          speed: expect.any(Number),
-          battery: expect.any(Number)
-        });
-      });
-    });
-
-    describe('generateMapData', () => {
-      it('should generate map data with parameters', () => {
-        const bbox = [37.7, -122.4, 37.8, -122.3];
-        const result = TelemetryController.generateMapData(bbox, 'Gray Wolf', 'active', 20);
-
-        expect(result).toHaveLength(20);
-        expect(result[0]).toMatchObject({
-          wildlife: expect.objectContaining({
-            species: 'Gray Wolf',
-            activity: 'active'
-          })
-        });
-      });
-
-      it('should use default values when parameters are not provided', () => {
-        const result = TelemetryController.generateMapData(null, null, null, 10);
-
-        expect(result).toHaveLength(10);
-        expect(result[0]).toMatchObject({
-          wildlife: expect.objectContaining({
-            species: expect.any(String),
-            activity: expect.any(String)
-          })
-        });
-      });
-    });
-
     describe('calculateTotalDistance', () => {
       it('should calculate total distance from tracking data', () => {
         const trackingData = [
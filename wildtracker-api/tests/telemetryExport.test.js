@@ -0,0 +1,133 @@
+const request = require('supertest');
+const express = require('express');
+const telemetryRoutes = require('../src/routes/telemetry');
+const { getTelemetryRepository } = require('../src/repositories');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Stand in for the user authentication middleware
+const app = express();
+app.use((req, res, next) => {
+  req.user = { username: 'tester', role: 'researcher' };
+  next();
+});
+app.use('/api/v1/telemetry', telemetryRoutes);
+
+const fix = (id, deviceId, timestamp, latitude, longitude, wildlife, extra = {}) => ({
+  id,
+  deviceId,
+  timestamp,
+  location: { latitude, longitude, ...extra },
+  wildlife
+});
+
+const wolf = { species: 'Gray Wolf', individualId: 'W-17' };
+const points = [
+  fix('w-2', 'collar-7', '2024-03-01T02:00:00.000Z', 51.2, -115.6, wolf),
+  fix('w-1', 'collar-7', '2024-03-01T01:00:00.000Z', 51.1, -115.5, wolf, { altitude: 1400 }),
+  fix('w-3', 'collar-8', '2024-03-01T03:00:00.000Z', 51.3, -115.7, wolf),
+  fix('e-1', 'collar-9', '2024-03-01T01:30:00.000Z', 50.9, -115.1, { species: 'Elk & Calf' }),
+  { id: 'n-1', deviceId: 'collar-9', timestamp: '2024-03-01T01:45:00.000Z', wildlife: { species: 'Elk & Calf' } }
+];
+
+describe('Telemetry export', () => {
+  beforeEach(async () => {
+    locationPolicyService.clear();
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany(points);
+  });
+
+  it('should export GPX tracks per animal, oldest fix first', async () => {
+    const response = await request(app).get('/api/v1/telemetry/export?format=gpx').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/gpx\+xml/);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="wildtrack-telemetry-\d{4}-\d{2}-\d{2}\.gpx"$/);
+    expect(response.headers['x-total-count']).toBe('4');
+
+    const gpx = response.text;
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx.match(/<trk>/g)).toHaveLength(2);
+    expect(gpx).toContain('<name>collar-9</name>\n    <desc>Elk &amp; Calf</desc>');
+    expect(gpx).toContain('<name>W-17</name>\n    <desc>Gray Wolf, collar-7, collar-8</desc>');
+    const wolfTrack = gpx.slice(gpx.indexOf('<name>W-17</name>'));
+    expect([...wolfTrack.matchAll(/<time>([^<]+)<\/time>/g)].map(match => match[1])).toEqual([
+      '2024-03-01T01:00:00.000Z',
+      '2024-03-01T02:00:00.000Z',
+      '2024-03-01T03:00:00.000Z'
+    ]);
+    expect(gpx).toContain('<trkpt lat="51.1" lon="-115.5"><ele>1400</ele><time>2024-03-01T01:00:00.000Z</time></trkpt>');
+  });
+
+  it('should export KML with a path and time-stamped placemarks', async () => {
+    const response = await request(app).get('/api/v1/telemetry/export/individual/W-17?format=kml').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/vnd\.google-earth\.kml\+xml/);
+    expect(response.headers['content-disposition']).toMatch(/filename="w-17-[\d-]+\.kml"/);
+
+    const kml = response.text;
+    expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+    expect(kml).toContain('<coordinates>\n          -115.5,51.1,1400\n          -115.6,51.2\n          -115.7,51.3\n        </coordinates>');
+    expect(kml.match(/<TimeStamp><when>/g)).toHaveLength(3);
+    expect(kml).toContain('<Data name="individualId"><value>W-17</value></Data>');
+    expect(kml).not.toContain('collar-9');
+  });
+
+  it('should export GeoJSON points or lines', async () => {
+    const pointsResponse = await request(app).get('/api/v1/telemetry/export/species/gray%20wolf?format=geojson').expect(200);
+    expect(pointsResponse.headers['content-type']).toMatch(/^application\/geo\+json/);
+    expect(pointsResponse.headers['content-disposition']).toMatch(/filename="gray-wolf-[\d-]+\.geojson"/);
+
+    const collection = JSON.parse(pointsResponse.text);
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features).toHaveLength(3);
+    expect(collection.features.find(feature => feature.id === 'w-1')).toEqual({
+      type: 'Feature',
+      id: 'w-1',
+      geometry: { type: 'Point', coordinates: [-115.5, 51.1, 1400] },
+      properties: {
+        id: 'w-1',
+        deviceId: 'collar-7',
+        timestamp: '2024-03-01T01:00:00.000Z',
+        species: 'Gray Wolf',
+        individualId: 'W-17'
+      }
+    });
+
+    const linesResponse = await request(app).get('/api/v1/telemetry/export?format=geojson&as=lines').expect(200);
+    const { features } = JSON.parse(linesResponse.text);
+    // The elk has a single fix, so no line
+    expect(features).toHaveLength(1);
+    expect(features[0]).toMatchObject({
+      id: 'W-17',
+      geometry: { type: 'LineString', coordinates: [[-115.5, 51.1, 1400], [-115.6, 51.2], [-115.7, 51.3]] },
+      properties: {
+        trackId: 'W-17',
+        deviceIds: ['collar-7', 'collar-8'],
+        start: '2024-03-01T01:00:00.000Z',
+        end: '2024-03-01T03:00:00.000Z',
+        points: 3
+      }
+    });
+  });
+
+  it('should apply the /data filters and limit', async () => {
+    const response = await request(app)
+      .get('/api/v1/telemetry/export?format=geojson&deviceId=collar-7&limit=1')
+      .expect(200);
+
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(JSON.parse(response.text).features.map(feature => feature.id)).toEqual(['w-2']);
+  });
+
+  it('should reject unknown formats and invalid filters', async () => {
+    await request(app).get('/api/v1/telemetry/export').expect(400);
+    await request(app).get('/api/v1/telemetry/export?format=shp').expect(400);
+    await request(app).get('/api/v1/telemetry/export?format=gpx&bbox=north').expect(400);
+    await request(app).get('/api/v1/telemetry/export?format=gpx&limit=100001').expect(400);
+  });
+});
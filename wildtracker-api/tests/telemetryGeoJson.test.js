@@ -0,0 +1,122 @@
+const request = require('supertest');
+const express = require('express');
+const telemetryRoutes = require('../src/routes/telemetry');
+const { getTelemetryRepository } = require('../src/repositories');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Stand in for the user authentication middleware
+const app = express();
+app.use((req, res, next) => {
+  req.user = { username: 'tester', role: 'researcher' };
+  next();
+});
+app.use('/api/v1/telemetry', telemetryRoutes);
+
+const points = [
+  {
+    id: 'w-1',
+    deviceId: 'collar-7',
+    timestamp: '2024-03-01T01:00:00.000Z',
+    location: { latitude: 51.1, longitude: -115.5, altitude: 1400, accuracy: 8 },
+    sensors: { temperature: -4.5 },
+    wildlife: { species: 'Gray Wolf', individualId: 'W-17', activity: 'active' },
+    metadata: { battery: 81 }
+  },
+  {
+    id: 'w-2',
+    deviceId: 'collar-7',
+    timestamp: '2024-03-01T02:00:00.000Z',
+    location: { latitude: 51.2, longitude: -115.6 },
+    wildlife: { species: 'Gray Wolf', individualId: 'W-17' }
+  },
+  {
+    id: 'e-1',
+    deviceId: 'collar-9',
+    timestamp: '2024-03-01T01:30:00.000Z',
+    location: { latitude: 50.9, longitude: -115.1 },
+    wildlife: { species: 'Elk' }
+  }
+];
+
+describe('GeoJSON output', () => {
+  beforeEach(async () => {
+    locationPolicyService.clear();
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany(points);
+  });
+
+  it('should return map data as a FeatureCollection with flat properties', async () => {
+    const response = await request(app).get('/api/v1/telemetry/map?format=geojson').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/geo\+json/);
+    expect(response.headers.vary).toMatch(/Accept/);
+    expect(response.body.type).toBe('FeatureCollection');
+    expect(response.body.features.map(feature => feature.id)).toEqual(['w-2', 'e-1', 'w-1']);
+    expect(response.body.features[2]).toEqual({
+      type: 'Feature',
+      id: 'w-1',
+      geometry: { type: 'Point', coordinates: [-115.5, 51.1, 1400] },
+      properties: {
+        id: 'w-1',
+        deviceId: 'collar-7',
+        timestamp: '2024-03-01T01:00:00.000Z',
+        species: 'Gray Wolf',
+        individualId: 'W-17',
+        activity: 'active',
+        temperature: -4.5,
+        battery: 81,
+        accuracy: 8
+      }
+    });
+  });
+
+  it('should negotiate GeoJSON from the Accept header', async () => {
+    const geojson = await request(app)
+      .get('/api/v1/telemetry/data?species=Gray%20Wolf')
+      .set('Accept', 'application/geo+json')
+      .expect(200);
+
+    expect(geojson.headers['content-type']).toMatch(/^application\/geo\+json/);
+    expect(geojson.headers['x-total-count']).toBe('2');
+    expect(geojson.body.features.map(feature => feature.id)).toEqual(['w-2', 'w-1']);
+
+    const json = await request(app)
+      .get('/api/v1/telemetry/data')
+      .set('Accept', 'application/json, application/geo+json;q=0.5')
+      .expect(200);
+    expect(json.body.success).toBe(true);
+
+    // An explicit format wins over the Accept header
+    const explicit = await request(app)
+      .get('/api/v1/telemetry/map?format=json')
+      .set('Accept', 'application/geo+json')
+      .expect(200);
+    expect(explicit.body.data).toHaveLength(3);
+  });
+
+  it('should group points into one LineString per animal', async () => {
+    const response = await request(app).get('/api/v1/telemetry/map?format=geojson&as=lines').expect(200);
+
+    expect(response.body.features).toHaveLength(1);
+    expect(response.body.features[0]).toMatchObject({
+      id: 'W-17',
+      geometry: { type: 'LineString', coordinates: [[-115.5, 51.1, 1400], [-115.6, 51.2]] },
+      properties: {
+        individualId: 'W-17',
+        deviceIds: ['collar-7'],
+        coordTimes: ['2024-03-01T01:00:00.000Z', '2024-03-01T02:00:00.000Z']
+      }
+    });
+  });
+
+  it('should reject unknown output formats', async () => {
+    await request(app).get('/api/v1/telemetry/map?format=kml').expect(400);
+    await request(app).get('/api/v1/telemetry/data?format=geojson&as=polygons').expect(400);
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { importService, normalizeTimestamp } = require('../src/services/importService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { alertService } = require('../src/services/alertService');
+const { alertRuleService } = require('../src/services/alertRuleService');
+const { webhookService } = require('../src/services/webhookService');
+const { telemetryStreamService } = require('../src/services/telemetryStreamService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const VENDOR_CSV = [
+  'Tag,Fix Time,Lat,Lon,Temp',
+  'collar-1,2024-01-15 10:00:00,51.1,-115.5,-4.5',
+  'collar-1,2024-01-15 11:00:00,51.2,-115.6,',
+  'collar-1,2024-01-15 12:00:00,120,-115.7,-3',
+  'collar-1,2024-01-15 10:00:00,51.1,-115.5,-4.5',
+  'collar-1,yesterday,51.3,-115.8,-2',
+  'collar-2,2024-01-15 13:00:00,51.4,-115.9,-1'
+].join('\n');
+
+const VENDOR_MAPPING = {
+  deviceId: 'Tag',
+  timestamp: 'Fix Time',
+  'location.latitude': 'Lat',
+  'location.longitude': 'Lon',
+  'sensors.temperature': 'Temp'
+};
+
+function upload(csv, fields = {}) {
+  const req = request(app).post('/api/v1/telemetry/import');
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return req.attach('file', Buffer.from(csv), 'collar.csv');
+}
+
+describe('Telemetry import', () => {
+  beforeEach(async () => {
+    importService.clear();
+    idempotencyService.clear();
+    alertService.clear();
+    alertRuleService.clear();
+    await getTelemetryRepository().clear();
+    process.env.IMPORT_CHUNK_SIZE = '2';
+    sendTelemetryBatch.mockImplementation(async (batch) =>
+      batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.IMPORT_CHUNK_SIZE;
+  });
+
+  it('should read zone-less timestamps as UTC', () => {
+    expect(normalizeTimestamp('2024-01-15 10:30:00.000')).toBe('2024-01-15T10:30:00.000Z');
+    expect(normalizeTimestamp('2024-01-15T10:30')).toBe('2024-01-15T10:30Z');
+    expect(normalizeTimestamp('2024-01-15T10:30:00+02:00')).toBe('2024-01-15T10:30:00+02:00');
+  });
+
+  it('should import a mapped CSV file as a background job', async () => {
+    const response = await upload(VENDOR_CSV, {
+      mapping: VENDOR_MAPPING,
+      defaults: { 'wildlife.species': 'Gray Wolf' }
+    }).expect(202);
+
+    const job = response.body.data;
+    expect(job).toMatchObject({ status: 'queued', format: 'csv', filename: 'collar.csv' });
+    expect(response.headers.location).toBe(`/api/v1/telemetry/import/${job.id}`);
+    expect(job.statusUrl).toBe(response.headers.location);
+
+    await importService.whenIdle();
+
+    const status = await request(app).get(job.statusUrl).expect(200);
+    expect(status.body.data).toMatchObject({
+      status: 'completed',
+      rows: { read: 6, imported: 3, queued: 0, duplicates: 1, skipped: 0, failed: 2 },
+      error: null
+    });
+    expect(status.body.data.file).toBeUndefined();
+
+    const errors = await request(app).get(job.errorsUrl).expect(200);
+    expect(errors.body.pagination.total).toBe(2);
+    expect(errors.body.data).toEqual([
+      { line: 4, errors: [expect.stringContaining('latitude')] },
+      { line: 6, errors: [expect.stringContaining('timestamp')] }
+    ]);
+
+    const { data: points } = await getTelemetryRepository().query({ sortOrder: 'asc' });
+    expect(points).toHaveLength(3);
+    expect(points[0]).toMatchObject({
+      id: expect.any(String),
+      deviceId: 'collar-1',
+      timestamp: '2024-01-15T10:00:00.000Z',
+      location: { latitude: 51.1, longitude: -115.5 },
+      sensors: { temperature: -4.5 },
+      wildlife: { species: 'Gray Wolf' }
+    });
+    expect(points[1].sensors).toBeUndefined();
+
+    // Importing the file again only finds duplicates
+    await upload(VENDOR_CSV, { mapping: VENDOR_MAPPING }).expect(202);
+    await importService.whenIdle();
+    const [latest] = (await request(app).get('/api/v1/telemetry/import').expect(200)).body.data;
+    expect(latest.rows).toMatchObject({ imported: 0, duplicates: 4, failed: 2 });
+  });
+
+  it('should import Movebank CSV without a mapping', async () => {
+    const csv = [
+      'event-id,visible,timestamp,location-long,location-lat,external-temperature,tag-local-identifier,individual-local-identifier,individual-taxon-canonical-name',
+      '1,true,2024-02-01 00:00:00.000,-110.5,44.6,-8,tag-17,W-17,Canis lupus',
+      '2,false,2024-02-01 01:00:00.000,-100.0,40.0,-8,tag-17,W-17,Canis lupus',
+      '3,true,2024-02-01 02:00:00.000,-110.6,44.7,,tag-17,W-17,Canis lupus'
+    ].join('\n');
+
+    const response = await upload(csv, { format: 'movebank' }).expect(202);
+    await importService.whenIdle();
+
+    const { body } = await request(app).get(response.body.data.statusUrl).expect(200);
+    expect(body.data).toMatchObject({ status: 'completed', rows: { read: 3, imported: 2, skipped: 1, failed: 0 } });
+
+    const { data: points } = await getTelemetryRepository().query({ sortOrder: 'asc' });
+    expect(points.map(point => point.timestamp)).toEqual(['2024-02-01T00:00:00.000Z', '2024-02-01T02:00:00.000Z']);
+    expect(points[0]).toMatchObject({
+      deviceId: 'tag-17',
+      location: { latitude: 44.6, longitude: -110.5 },
+      wildlife: { species: 'Canis lupus', individualId: 'W-17' }
+    });
+  });
+
+  it('should not raise alerts or stream points for imported fixes', async () => {
+    const notifyAlerts = jest.spyOn(webhookService, 'notifyAlerts');
+    const publish = jest.spyOn(telemetryStreamService, 'publish');
+    alertRuleService.setRule('mortality', { enabled: true });
+
+    // A flat battery, missed fixes and a collar lying still for a day: every
+    // one raises an alert when it arrives live
+    const csv = [
+      'Tag,Fix Time,Lat,Lon,Battery',
+      'collar-1,2024-01-15 00:00:00,51.1,-115.5,80',
+      'collar-1,2024-01-15 12:00:00,51.1,-115.5,5',
+      'collar-1,2024-01-16 00:00:00,51.1,-115.5,4',
+      'collar-1,2024-01-16 12:00:00,51.1,-115.5,3'
+    ].join('\n');
+    const mapping = { deviceId: 'Tag', timestamp: 'Fix Time', 'location.latitude': 'Lat', 'location.longitude': 'Lon', 'metadata.battery': 'Battery' };
+    const response = await upload(csv, { mapping }).expect(202);
+    await importService.whenIdle();
+
+    const { body } = await request(app).get(response.body.data.statusUrl).expect(200);
+    expect(body.data.rows).toMatchObject({ imported: 4, failed: 0 });
+    expect(alertService.listAlerts()).toEqual([]);
+    expect(notifyAlerts).not.toHaveBeenCalled();
+    expect(publish).not.toHaveBeenCalled();
+
+    const { data: points } = await getTelemetryRepository().query({});
+    expect(points.every(point => point.importJobId === response.body.data.id)).toBe(true);
+
+    notifyAlerts.mockRestore();
+    publish.mockRestore();
+  });
+
+  it('should fail a job whose file lacks a mapped column', async () => {
+    const response = await upload('Tag,Time\ncollar-1,2024-01-15 10:00:00', { mapping: VENDOR_MAPPING }).expect(202);
+    await importService.whenIdle();
+
+    const { body } = await request(app).get(response.body.data.statusUrl).expect(200);
+    expect(body.data.status).toBe('failed');
+    expect(body.data.error).toBe('Columns not found in the file: Fix Time, Lat, Lon, Temp');
+  });
+
+  it('should reject uploads it cannot import', async () => {
+    await request(app)
+      .post('/api/v1/telemetry/import')
+      .send({ mapping: VENDOR_MAPPING })
+      .expect(400);
+
+    const noMapping = await upload(VENDOR_CSV).expect(400);
+    expect(noMapping.body.details).toEqual(['"mapping" is required']);
+
+    const noDevice = await upload(VENDOR_CSV, { mapping: { timestamp: 'Fix Time' } }).expect(400);
+    expect(noDevice.body.details).toEqual(['"mapping.deviceId" or "defaults.deviceId" is required']);
+
+    await upload(VENDOR_CSV, { mapping: '{not json' }).expect(400);
+    await upload(VENDOR_CSV, { format: 'gpx', mapping: VENDOR_MAPPING }).expect(400);
+
+    await request(app)
+      .post('/api/v1/telemetry/import')
+      .field('mapping', JSON.stringify(VENDOR_MAPPING))
+      .expect(400);
+
+    await request(app).get('/api/v1/telemetry/import/imp_missing').expect(404);
+  });
+});
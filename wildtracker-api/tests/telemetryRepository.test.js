@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Collection = require('../src/repositories/collection');
+const { TelemetryRepository } = require('../src/repositories/telemetryRepository');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const points = [
+  {
+    id: 'p1',
+    deviceId: 'collar-a',
+    timestamp: '2024-01-15T08:00:00.000Z',
+    location: { latitude: 53.9, longitude: -122.7 },
+    wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'active', health: 'healthy' }
+  },
+  {
+    id: 'p2',
+    deviceId: 'collar-a',
+    timestamp: '2024-01-15T09:00:00.000Z',
+    location: { latitude: 54.2, longitude: -122.9 },
+    wildlife: { species: 'Gray Wolf', individualId: 'wolf-001', activity: 'resting', health: 'healthy' }
+  },
+  {
+    id: 'p3',
+    deviceId: 'collar-b',
+    timestamp: '2024-01-16T09:00:00.000Z',
+    location: { latitude: 53.8, longitude: -122.6 },
+    wildlife: { species: 'Elk', individualId: 'elk-001', activity: 'feeding', health: 'injured' }
+  },
+  {
+    id: 'p4',
+    deviceId: 'collar-c',
+    timestamp: '2024-01-17T09:00:00.000Z',
+    wildlife: { species: 'Bear', individualId: 'bear-001', activity: 'active', health: 'healthy' }
+  }
+];
+
+describe('TelemetryRepository', () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = new TelemetryRepository(new Collection({ name: 'telemetry' }));
+    await repository.saveMany(points);
+  });
+
+  const ids = result => result.data.map(point => point.id);
+
+  it('should sort by timestamp descending by default', async () => {
+    const result = await repository.query({});
+    expect(ids(result)).toEqual(['p4', 'p3', 'p2', 'p1']);
+    expect(result.total).toBe(4);
+  });
+
+  it('should filter by deviceId, species, individualId, activity and health', async () => {
+    expect(ids(await repository.query({ deviceId: 'collar-a' }))).toEqual(['p2', 'p1']);
+    expect(ids(await repository.query({ species: 'gray wolf' }))).toEqual(['p2', 'p1']);
+    expect(ids(await repository.query({ individualId: 'elk-001' }))).toEqual(['p3']);
+    expect(ids(await repository.query({ activity: 'active' }))).toEqual(['p4', 'p1']);
+    expect(ids(await repository.query({ health: 'injured' }))).toEqual(['p3']);
+  });
+
+  it('should filter by an inclusive date range', async () => {
+    const result = await repository.query({
+      startDate: new Date('2024-01-15T09:00:00Z'),
+      endDate: new Date('2024-01-16T09:00:00Z')
+    });
+    expect(ids(result)).toEqual(['p3', 'p2']);
+  });
+
+  it('should filter by bbox and skip points without a location', async () => {
+    const result = await repository.query({ bbox: '-122.8,53.5,-122.5,54.0' });
+    expect(ids(result)).toEqual(['p3', 'p1']);
+  });
+
+  it('should sort by species and deviceId in either direction', async () => {
+    expect(ids(await repository.query({ sortBy: 'species', sortOrder: 'asc' }))).toEqual(['p4', 'p3', 'p1', 'p2']);
+    expect(ids(await repository.query({ sortBy: 'deviceId', sortOrder: 'desc' }))).toEqual(['p4', 'p3', 'p2', 'p1']);
+  });
+
+  it('should paginate with limit and offset while reporting the full total', async () => {
+    const result = await repository.query({ limit: 2, offset: 1 });
+    expect(ids(result)).toEqual(['p3', 'p2']);
+    expect(result.total).toBe(4);
+  });
+
+  it('should upsert points that share an id', async () => {
+    await repository.save({ ...points[0], wildlife: { ...points[0].wildlife, activity: 'feeding' } });
+    expect(await repository.count()).toBe(4);
+    expect((await repository.findById('p1')).wildlife.activity).toBe('feeding');
+  });
+});
+
+describe('Collection file persistence', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wildtrack-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should replay the journal when reopened', async () => {
+    const filePath = path.join(dir, 'telemetry.ndjson');
+    const first = new TelemetryRepository(new Collection({ name: 'telemetry', filePath }));
+    await first.saveMany(points);
+    first.collection.delete('p4');
+
+    const reopened = new TelemetryRepository(new Collection({ name: 'telemetry', filePath }));
+    const result = await reopened.query({});
+    expect(result.data.map(point => point.id)).toEqual(['p3', 'p2', 'p1']);
+  });
+
+  it('should pick up entries appended by another process', async () => {
+    const filePath = path.join(dir, 'telemetry.ndjson');
+    const reader = new TelemetryRepository(new Collection({ name: 'telemetry', filePath }));
+    const writer = new TelemetryRepository(new Collection({ name: 'telemetry', filePath }));
+    expect(await reader.count()).toBe(0);
+
+    await writer.saveMany(points.slice(0, 2));
+
+    expect(await reader.count()).toBe(2);
+    expect(await reader.findById('p2')).toMatchObject({ deviceId: 'collar-a' });
+  });
+
+  it('should compact the journal once superseded entries dominate it', () => {
+    const filePath = path.join(dir, 'telemetry.ndjson');
+    const collection = new Collection({ name: 'telemetry', filePath, compactMinEntries: 10 });
+    const lines = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').length;
+
+    for (let i = 0; i < 10; i++) collection.put({ ...points[0], battery: i });
+    expect(lines()).toBe(10);
+
+    collection.put({ ...points[1] });
+    expect(lines()).toBe(2);
+
+    const reopened = new Collection({ name: 'telemetry', filePath });
+    expect(reopened.values().map(point => point.id).sort()).toEqual(['p1', 'p2']);
+    expect(reopened.get('p1').battery).toBe(9);
+  });
+
+  it('should ignore a torn trailing line', () => {
+    const filePath = path.join(dir, 'telemetry.ndjson');
+    fs.writeFileSync(filePath, JSON.stringify({ op: 'put', doc: points[0] }) + '\n{"op":"put","doc":{"id"');
+
+    const collection = new Collection({ name: 'telemetry', filePath });
+    expect(collection.size).toBe(1);
+    expect(collection.get('p1')).toMatchObject({ deviceId: 'collar-a' });
+
+    collection.put(points[1]);
+    expect(new Collection({ name: 'telemetry', filePath }).size).toBe(2);
+  });
+});
@@ -0,0 +1,154 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { telemetryStreamService } = require('../src/services/telemetryStreamService');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const point = (deviceId, species, extra = {}) => ({
+  deviceId,
+  timestamp: new Date(Date.now() - 60000).toISOString(),
+  location: { latitude: 51.18, longitude: -115.57 },
+  wildlife: { species, individualId: `${deviceId}-animal` },
+  ...extra
+});
+
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for stream events');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Open the stream on a listening server and collect its events
+function openStream(server, query = '') {
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: `/api/v1/telemetry/stream${query}`,
+      headers: { Accept: 'text/event-stream' }
+    }, res => {
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = block.match(/^event: (.+)$/m);
+          const data = block.match(/^data: (.+)$/m);
+          if (event) events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+      });
+      resolve({ res, events, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Telemetry stream', () => {
+  let server;
+
+  beforeAll(done => {
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    telemetryStreamService.clear();
+    locationPolicyService.clear();
+    idempotencyService.clear();
+    await getTelemetryRepository().clear();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+    sendTelemetryBatch.mockImplementation(async (batch) =>
+      batch.map((_, i) => ({ success: true, partition: 0, offset: String(i) }))
+    );
+  });
+
+  it('should push matching uploads to open streams', async () => {
+    const stream = await openStream(server, '?species=gray%20wolf&bbox=-116,51,-115,52');
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    await waitFor(() => stream.events.length === 1);
+    expect(stream.events[0]).toMatchObject({ event: 'ready', data: { filters: { species: 'gray wolf' } } });
+    expect(telemetryStreamService.size).toBe(1);
+
+    await request(app).post('/api/v1/telemetry').send(point('collar-1', 'Elk')).expect(201);
+    await request(app)
+      .post('/api/v1/telemetry/batch')
+      .send({
+        deviceId: 'collar-2',
+        batch: [
+          point('collar-2', 'Gray Wolf'),
+          point('collar-2', 'Gray Wolf', { location: { latitude: 40, longitude: -100 } })
+        ]
+      })
+      .expect(200);
+
+    await waitFor(() => stream.events.length === 2);
+    const [{ event, data }] = stream.events.slice(1);
+    expect(event).toBe('telemetry');
+    expect(data).toHaveLength(1);
+    expect(data[0]).toMatchObject({
+      id: expect.any(String),
+      deviceId: 'collar-2',
+      location: { latitude: 51.18, longitude: -115.57 },
+      wildlife: { species: 'Gray Wolf', individualId: 'collar-2-animal' }
+    });
+
+    stream.close();
+    await waitFor(() => telemetryStreamService.size === 0);
+  });
+
+  it('should redact points for each subscriber', () => {
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 10000, embargoHours: 0, stripIndividualId: true });
+    const viewer = { id: 'v', username: 'viewer', role: 'viewer' };
+    const admin = { id: 'a', username: 'admin', role: 'admin' };
+    const toViewer = jest.fn();
+    const toAdmin = jest.fn();
+    telemetryStreamService.subscribe({ hasLocation: true }, viewer, toViewer);
+    telemetryStreamService.subscribe({ hasLocation: true }, admin, toAdmin);
+
+    const wolf = { id: 'p1', ...point('collar-3', 'Gray Wolf') };
+    telemetryStreamService.publish([wolf]);
+
+    expect(toAdmin).toHaveBeenCalledWith([wolf]);
+    const [[sent]] = toViewer.mock.calls;
+    expect(sent[0].location.obfuscated).toBe('grid');
+    expect(sent[0].wildlife.individualId).toBeUndefined();
+
+    // Still under embargo for the viewer
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 10000, embargoHours: 24, stripIndividualId: true });
+    telemetryStreamService.publish([{ ...wolf, id: 'p2' }]);
+    expect(toViewer).toHaveBeenCalledTimes(1);
+    expect(toAdmin).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject invalid filters', async () => {
+    await request(app).get('/api/v1/telemetry/stream').query({ bbox: 'north' }).expect(400);
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+const Pbf = require('pbf');
+const { VectorTile } = require('@mapbox/vector-tile');
+const tileRoutes = require('../src/routes/tiles');
+const { getTelemetryRepository } = require('../src/repositories');
+const { locationPolicyService, snapToGrid } = require('../src/services/locationPolicyService');
+const { vectorTileService } = require('../src/services/vectorTileService');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Stand in for the user authentication middleware
+const app = express();
+app.use((req, res, next) => {
+  req.user = { role: req.get('X-Test-Role') || 'viewer' };
+  next();
+});
+app.use('/api/v1/tiles', tileRoutes);
+
+// Tile 10/183/342 holds Banff
+const BANFF = '10/183/342';
+
+const wolfFixes = [
+  [51.10, -115.57, 'active'],
+  [51.11, -115.55, 'active'],
+  [51.09, -115.52, 'resting'],
+  [51.12, -115.50, 'active'],
+  [51.08, -115.54, 'resting']
+].map(([latitude, longitude, activity], i) => ({
+  id: `wolf-fix-${i + 1}`,
+  deviceId: 'collar-wolf',
+  timestamp: `2024-01-15T1${i}:00:00.000Z`,
+  location: { latitude, longitude },
+  wildlife: { species: 'Gray Wolf', individualId: 'W-1', activity }
+}));
+
+const POINTS = [
+  ...wolfFixes,
+  {
+    id: 'elk-fix-1',
+    deviceId: 'collar-elk',
+    timestamp: '2024-01-15T10:30:00.000Z',
+    location: { latitude: 51.05, longitude: -115.6 },
+    wildlife: { species: 'Elk', individualId: 'E-1', activity: 'grazing' }
+  },
+  {
+    id: 'caribou-fix-1',
+    deviceId: 'collar-caribou',
+    timestamp: '2024-01-15T10:00:00.000Z',
+    location: { latitude: 52.87, longitude: -118.08 },
+    wildlife: { species: 'Caribou', individualId: 'C-1' }
+  }
+];
+
+async function getTile(path, role) {
+  const req = request(app).get(`/api/v1/tiles/${path}`);
+  if (role) req.set('X-Test-Role', role);
+  const response = await req
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+  return { response, tile: new VectorTile(new Pbf(response.body)) };
+}
+
+// Features of a decoded tile layer as GeoJSON
+function featuresOf(tile, name, path = BANFF) {
+  const layer = tile.layers[name];
+  if (!layer) return [];
+  const [z, x, y] = path.split('/').map(Number);
+  return Array.from({ length: layer.length }, (_, i) => layer.feature(i).toGeoJSON(x, y, z));
+}
+
+describe('Vector tiles', () => {
+  beforeEach(async () => {
+    locationPolicyService.clear();
+    vectorTileService.clear();
+    await getTelemetryRepository().clear();
+    await getTelemetryRepository().saveMany(POINTS);
+  });
+
+  it('should serve points in a tile with their attributes', async () => {
+    const { response, tile } = await getTile(`points/${BANFF}.mvt`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/vnd\.mapbox-vector-tile/);
+    expect(response.headers['cache-control']).toBe('private, max-age=60');
+    expect(Object.keys(tile.layers)).toEqual(['points']);
+
+    const features = featuresOf(tile, 'points');
+    expect(features.map(feature => feature.properties.id).sort()).toEqual([
+      'elk-fix-1', 'wolf-fix-1', 'wolf-fix-2', 'wolf-fix-3', 'wolf-fix-4', 'wolf-fix-5'
+    ]);
+
+    const elk = features.find(feature => feature.properties.id === 'elk-fix-1');
+    expect(elk.properties).toEqual({
+      id: 'elk-fix-1',
+      deviceId: 'collar-elk',
+      timestamp: '2024-01-15T10:30:00.000Z',
+      species: 'Elk',
+      individualId: 'E-1',
+      activity: 'grazing'
+    });
+    expect(elk.geometry.coordinates[0]).toBeCloseTo(-115.6, 3);
+    expect(elk.geometry.coordinates[1]).toBeCloseTo(51.05, 3);
+  });
+
+  it('should filter tiles by query parameters', async () => {
+    const query = '?species=gray%20wolf&activity=resting&startDate=2024-01-15T12:00:00.000Z';
+    const { tile } = await getTile(`points/${BANFF}.mvt${query}`);
+    expect(featuresOf(tile, 'points').map(feature => feature.properties.id).sort()).toEqual(['wolf-fix-3', 'wolf-fix-5']);
+
+    const empty = await getTile(`points/${BANFF}.mvt?species=Moose`);
+    expect(empty.response.status).toBe(204);
+    expect(empty.response.body).toHaveLength(0);
+
+    // Tile 10/0/0 is over the Arctic Ocean
+    expect((await getTile('points/10/0/0.mvt')).response.status).toBe(204);
+  });
+
+  it('should serve tracks and home ranges', async () => {
+    const tracks = featuresOf((await getTile(`tracks/${BANFF}.mvt`)).tile, 'tracks');
+    const wolf = tracks.find(feature => feature.properties.trackId === 'W-1');
+    expect(tracks).toHaveLength(2);
+    expect(wolf.geometry.type).toBe('LineString');
+    expect(wolf.geometry.coordinates).toHaveLength(5);
+    expect(wolf.properties).toEqual({
+      trackId: 'W-1',
+      deviceIds: 'collar-wolf',
+      individualId: 'W-1',
+      species: 'Gray Wolf',
+      start: '2024-01-15T10:00:00.000Z',
+      end: '2024-01-15T14:00:00.000Z',
+      points: 5
+    });
+
+    // The elk has too few fixes for a home range
+    const homeRanges = featuresOf((await getTile(`homeranges/${BANFF}.mvt`)).tile, 'homeranges');
+    expect(homeRanges.length).toBeGreaterThan(0);
+    expect(new Set(homeRanges.map(feature => feature.properties.trackId))).toEqual(new Set(['W-1']));
+    expect(new Set(homeRanges.map(feature => feature.properties.method))).toEqual(new Set(['mcp', 'kde']));
+    expect(homeRanges[0].properties).toMatchObject({ species: 'Gray Wolf', fixes: 5 });
+    expect(homeRanges[0].properties.areaKm2).toBeGreaterThan(0);
+  });
+
+  it('should build tracks and home ranges once for every tile of a view', async () => {
+    const scan = jest.spyOn(getTelemetryRepository(), 'scan');
+
+    // Banff at zoom 10 and 9, and a tile no track reaches
+    const banff = featuresOf((await getTile(`tracks/${BANFF}.mvt`)).tile, 'tracks');
+    const parent = featuresOf((await getTile('tracks/9/91/171.mvt')).tile, 'tracks', '9/91/171');
+    expect((await getTile('tracks/10/0/0.mvt')).response.status).toBe(204);
+    expect(scan).toHaveBeenCalledTimes(1);
+    expect(parent.map(feature => feature.properties.trackId)).toEqual(banff.map(feature => feature.properties.trackId));
+
+    // Each role and set of filters has its own
+    await getTile(`tracks/${BANFF}.mvt`, 'researcher');
+    await getTile(`tracks/${BANFF}.mvt?species=Elk`);
+    await getTile(`homeranges/${BANFF}.mvt`);
+    expect(scan).toHaveBeenCalledTimes(4);
+
+    // and is rebuilt when the location policies change
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 5000 });
+    await getTile(`tracks/${BANFF}.mvt`);
+    expect(scan).toHaveBeenCalledTimes(5);
+    scan.mockRestore();
+  });
+
+  it('should apply location policies to tiles', async () => {
+    locationPolicyService.setPolicy('Gray Wolf', { method: 'grid', precisionMeters: 5000, stripIndividualId: true });
+
+    const viewer = featuresOf((await getTile(`points/${BANFF}.mvt?species=Gray%20Wolf`)).tile, 'points');
+    expect(viewer.length).toBeGreaterThan(0);
+    for (const feature of viewer) {
+      const fix = wolfFixes.find(point => point.id === feature.properties.id);
+      const snapped = snapToGrid(fix.location.latitude, fix.location.longitude, 5000);
+      expect(feature.geometry.coordinates[0]).toBeCloseTo(snapped.longitude, 3);
+      expect(feature.geometry.coordinates[1]).toBeCloseTo(snapped.latitude, 3);
+      expect(feature.properties).toMatchObject({ obfuscated: 'grid', accuracy: 5000 });
+      expect(feature.properties.individualId).toBeUndefined();
+    }
+
+    const tracks = featuresOf((await getTile(`tracks/${BANFF}.mvt?species=Gray%20Wolf`)).tile, 'tracks');
+    expect(tracks.map(feature => feature.properties.trackId)).toEqual([locationPolicyService.devicePseudonym('collar-wolf')]);
+    expect(tracks[0].properties.obfuscated).toBe('grid');
+
+    const researcher = featuresOf((await getTile(`points/${BANFF}.mvt?species=Gray%20Wolf`, 'researcher')).tile, 'points');
+    expect(researcher).toHaveLength(5);
+    expect(researcher[0].properties.individualId).toBe('W-1');
+  });
+
+  it('should reject invalid tiles and filters', async () => {
+    const layer = await request(app).get(`/api/v1/tiles/heatmap/${BANFF}.mvt`).expect(400);
+    expect(layer.body).toMatchObject({ error: 'Invalid tile' });
+
+    const outside = await request(app).get('/api/v1/tiles/points/2/4/1.mvt').expect(400);
+    expect(outside.body.details).toEqual(['"x" and "y" must be less than 4 at zoom 2']);
+
+    await request(app).get('/api/v1/tiles/points/23/0/0.mvt').expect(400);
+
+    const query = await request(app).get(`/api/v1/tiles/points/${BANFF}.mvt?startDate=yesterday`).expect(400);
+    expect(query.body.error).toBe('Invalid query parameters');
+  });
+});
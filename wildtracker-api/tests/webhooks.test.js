@@ -0,0 +1,282 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { sign, isPrivateAddress, webhookService } = require('../src/services/webhookService');
+const { alertService } = require('../src/services/alertService');
+const { alertRuleService } = require('../src/services/alertRuleService');
+const { geofenceService } = require('../src/services/geofenceService');
+const { locationPolicyService } = require('../src/services/locationPolicyService');
+const { idempotencyService } = require('../src/services/idempotencyService');
+const { userService } = require('../src/services/userService');
+const { getTelemetryRepository } = require('../src/repositories');
+const { sendTelemetryMessage, sendTelemetryBatch } = require('../src/services/kafkaService');
+
+jest.mock('../src/services/kafkaService', () => ({
+  connectKafka: jest.fn(),
+  sendTelemetryMessage: jest.fn(),
+  sendTelemetryBatch: jest.fn(),
+  getKafkaHealth: jest.fn().mockResolvedValue({ status: 'connected' }),
+  kafkaService: { isConnected: true }
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const HOUR = 3600000;
+const BOX = {
+  type: 'Polygon',
+  coordinates: [[[-116, 51], [-115, 51], [-115, 52], [-116, 52], [-116, 51]]]
+};
+
+const fix = (hour, extra = {}) => ({
+  deviceId: 'collar-9',
+  timestamp: new Date(Date.UTC(2024, 3, 1) + hour * HOUR).toISOString(),
+  location: { latitude: 51.5, longitude: -115.5 },
+  wildlife: { species: 'Grizzly Bear', individualId: 'bear-9' },
+  metadata: { battery: 80, signal: 90 },
+  ...extra
+});
+
+describe('Webhooks', () => {
+  // Local stand-in for a receiver: records each request and answers with the
+  // next queued status code, or 200
+  let receiver;
+  let url;
+  let received;
+  let statuses;
+
+  beforeAll(done => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    receiver.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    receiver.closeAllConnections();
+    receiver.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    statuses = [];
+    // The stand-in receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    webhookService.clear();
+    alertService.clear();
+    alertRuleService.clear();
+    geofenceService.clear();
+    locationPolicyService.clear();
+    idempotencyService.clear();
+    await getTelemetryRepository().clear();
+    sendTelemetryMessage.mockResolvedValue({ partition: 0, offset: '1' });
+  });
+
+  afterEach(() => {
+    process.env.AUTH_ENABLED = 'false';
+    userService.clear();
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_BACKOFF_BASE_MS;
+  });
+
+  const upload = (point) => request(app).post('/api/v1/telemetry').send(point).expect(201);
+
+  it('should send signed alerts to the webhooks whose filters match', async () => {
+    const created = await request(app)
+      .post('/api/v1/webhooks')
+      .send({ url, events: ['alert'], alertTypes: ['low_battery'], species: ['grizzly bear'] })
+      .expect(201);
+    const { id, secret } = created.body.data;
+    expect(secret).toEqual(expect.any(String));
+    await request(app).post('/api/v1/webhooks').send({ url, severities: ['critical'] }).expect(201);
+
+    await upload(fix(0, { metadata: { battery: 10 } }));
+    await upload(fix(1, { metadata: { battery: 9 } })); // refreshes the same alert
+    await webhookService.flush();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(headers['x-wildtrack-event']).toBe('alert.raised');
+    expect(headers['x-signature']).toBe(`sha256=${sign(secret, headers['x-timestamp'], body)}`);
+    expect(JSON.parse(body)).toMatchObject({
+      id: headers['x-wildtrack-delivery'],
+      event: 'alert.raised',
+      data: { type: 'low_battery', deviceId: 'collar-9', individualId: 'bear-9' }
+    });
+
+    const log = await request(app).get(`/api/v1/webhooks/${id}/deliveries`).expect(200);
+    expect(log.body.data).toHaveLength(1);
+    expect(log.body.data[0]).toMatchObject({ status: 'delivered', attempts: 1, log: [{ attempt: 1, statusCode: 200, error: null }] });
+
+    const listed = await request(app).get('/api/v1/webhooks').expect(200);
+    expect(listed.body.data).toHaveLength(2);
+    expect(listed.body.data[0].secret).toBeUndefined();
+  });
+
+  it('should send an alert raised and refreshed within one batch once', async () => {
+    await request(app).post('/api/v1/webhooks').send({ url, events: ['alert'], alertTypes: ['low_battery'] }).expect(201);
+
+    sendTelemetryBatch.mockImplementation(async (points) => points.map((_, i) => ({ success: true, partition: 0, offset: String(i) })));
+    const batch = [0, 1, 2, 3, 4].map(hour => fix(hour, { metadata: { battery: 10 - hour } }));
+    await request(app).post('/api/v1/telemetry/batch').send({ deviceId: 'collar-9', batch }).expect(200);
+    await webhookService.flush();
+
+    expect(alertService.listAlerts()).toHaveLength(1);
+    expect(webhookService.listDeliveries()).toHaveLength(1);
+    expect(received).toHaveLength(1);
+  });
+
+  it('should retry with exponential backoff and keep dead letters', async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    process.env.WEBHOOK_BACKOFF_BASE_MS = '60000';
+    statuses = [500, 503, 502];
+    const created = await request(app).post('/api/v1/webhooks').send({ url }).expect(201);
+
+    await upload(fix(0, { priority: 'critical' }));
+    const [delivery] = webhookService.listDeliveries();
+
+    const start = Date.now();
+    await webhookService.flush(start);
+    let current = webhookService.getDelivery(delivery.id);
+    expect(current).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Receiver responded with HTTP 500' });
+    const firstDelay = Date.parse(current.nextAttemptAt) - start;
+    expect(firstDelay).toBeGreaterThanOrEqual(60000);
+
+    // Not yet due
+    await webhookService.flush(start + 1000);
+    expect(received).toHaveLength(1);
+
+    await webhookService.flush(start + firstDelay + 1000);
+    current = webhookService.getDelivery(delivery.id);
+    expect(current.attempts).toBe(2);
+    const secondDelay = Date.parse(current.nextAttemptAt) - Date.parse(current.log[1].at);
+    expect(secondDelay).toBe(120000);
+
+    await webhookService.flush(start + 10 * 60000);
+    expect(webhookService.getDelivery(delivery.id)).toMatchObject({ status: 'dead', attempts: 3 });
+
+    const dead = await request(app).get('/api/v1/webhooks/dead-letters').expect(200);
+    expect(dead.body.data.map(letter => letter.id)).toEqual([delivery.id]);
+
+    await request(app).post(`/api/v1/webhooks/deliveries/${delivery.id}/redeliver`).expect(200);
+    await request(app).post(`/api/v1/webhooks/deliveries/${delivery.id}/redeliver`).expect(409);
+    await webhookService.flush();
+    expect(webhookService.getDelivery(delivery.id)).toMatchObject({ status: 'delivered', attempts: 1 });
+    expect(webhookService.getDelivery(delivery.id).log).toHaveLength(4);
+    expect(received).toHaveLength(4);
+
+    await request(app).delete(`/api/v1/webhooks/${created.body.data.id}`).expect(200);
+    expect(webhookService.listDeliveries()).toHaveLength(0);
+  });
+
+  it('should send geofence events as the owner may see them', async () => {
+    const park = geofenceService.createGeofence({ name: 'Park', geometry: BOX, active: true });
+    geofenceService.createGeofence({ name: 'Elsewhere', geometry: BOX, active: true });
+    locationPolicyService.setPolicy('Grizzly Bear', { method: 'grid', precisionMeters: 10000, embargoHours: 0, stripIndividualId: true });
+
+    const { webhook } = webhookService.createWebhook(
+      { url, events: ['geofence'], geofenceIds: [park.id], active: true },
+      { id: 'u-1', username: 'ranger', role: 'viewer' }
+    );
+
+    await upload(fix(0));
+    await webhookService.flush();
+
+    expect(received).toHaveLength(1);
+    const payload = JSON.parse(received[0].body);
+    expect(payload).toMatchObject({ event: 'geofence.enter', data: { geofenceId: park.id, location: { obfuscated: 'grid' } } });
+    expect(payload.data.wildlife.individualId).toBeUndefined();
+    expect(webhookService.listDeliveries({ webhookId: webhook.id })).toHaveLength(1);
+  });
+
+  it('should send events as the owner may see them now, and nothing once they are disabled', async () => {
+    process.env.AUTH_ENABLED = 'true';
+    locationPolicyService.setPolicy('Grizzly Bear', { method: 'grid', precisionMeters: 10000, embargoHours: 0, stripIndividualId: true });
+    const owner = await userService.createUser({ username: 'ranger', password: 'ranger-password', role: 'researcher' });
+    const { webhook } = webhookService.createWebhook({ url, events: ['alert'], active: true }, owner);
+
+    // Demoted after creating the webhook
+    await userService.updateUser(owner.id, { role: 'viewer' });
+    await upload(fix(0, { priority: 'critical' }));
+    await webhookService.flush();
+    expect(received).toHaveLength(1);
+    expect(JSON.parse(received[0].body).data).toMatchObject({ type: 'critical_priority', location: { obfuscated: 'grid' } });
+    expect(JSON.parse(received[0].body).data.individualId).toBeUndefined();
+
+    // Queued with exact positions, then demoted before it was sent
+    await userService.updateUser(owner.id, { role: 'researcher' });
+    await upload(fix(1, { metadata: { battery: 5 } }));
+    await userService.updateUser(owner.id, { role: 'viewer' });
+    await webhookService.flush();
+    expect(received).toHaveLength(1);
+    const [demoted] = webhookService.listDeliveries({ webhookId: webhook.id, status: 'pending' });
+    expect(demoted.lastError).toBe('Webhook owner no longer has the researcher role this event was prepared for');
+
+    await userService.updateUser(owner.id, { disabled: true });
+    await upload(fix(2, { wildlife: { species: 'Grizzly Bear', individualId: 'bear-9', health: 'injured' } }));
+    expect(webhookService.listDeliveries({ webhookId: webhook.id })).toHaveLength(2);
+    await webhookService.flush(Date.now() + HOUR);
+    expect(received).toHaveLength(1);
+    expect(webhookService.getDelivery(demoted.id).lastError).toBe('Webhook owner is disabled or no longer exists');
+  });
+
+  it('should validate webhooks and send test pings', async () => {
+    await request(app).post('/api/v1/webhooks').send({ url: 'ftp://example.org/hooks' }).expect(400);
+    await request(app).post('/api/v1/webhooks').send({ url, alertTypes: ['sunburn'] }).expect(400);
+
+    const created = await request(app).post('/api/v1/webhooks').send({ url, active: false }).expect(201);
+    const { id } = created.body.data;
+
+    const ping = await request(app).post(`/api/v1/webhooks/${id}/test`).expect(200);
+    expect(ping.body.data).toMatchObject({ event: 'ping', status: 'delivered' });
+    expect(JSON.parse(received[0].body).data).toEqual({ webhookId: id, message: 'WildTrack webhook test' });
+
+    // Inactive webhooks are not sent events
+    await upload(fix(0, { priority: 'critical' }));
+    expect(webhookService.listDeliveries()).toHaveLength(1);
+
+    const updated = await request(app).patch(`/api/v1/webhooks/${id}`).send({ active: true, severities: ['high'] }).expect(200);
+    expect(updated.body.data).toMatchObject({ active: true, severities: ['high'] });
+    await request(app).patch(`/api/v1/webhooks/${id}`).send({ severities: null }).expect(200);
+    expect(webhookService.getWebhook(id).severities).toBeUndefined();
+
+    await request(app).get('/api/v1/webhooks/wh_missing').expect(404);
+    await request(app).post('/api/v1/webhooks/deliveries/whd_missing/redeliver').expect(404);
+  });
+
+  it('should not send to private, loopback or link-local addresses', async () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '::1', 'fd12::1', 'fe80::1', '::ffff:10.0.0.1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+
+    const created = await request(app).post('/api/v1/webhooks').send({ url }).expect(201);
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+
+    for (const target of [url, 'http://localhost/hooks', 'http://169.254.169.254/latest/meta-data', 'http://[::1]:9092/']) {
+      const response = await request(app).post('/api/v1/webhooks').send({ url: target }).expect(400);
+      expect(response.body.details[0]).toMatch(/private, loopback or link-local/);
+    }
+    await request(app).patch(`/api/v1/webhooks/${created.body.data.id}`).send({ url: 'http://10.0.0.1/hooks' }).expect(400);
+
+    // Checked again on delivery, for webhooks stored while it was allowed
+    const ping = await request(app).post(`/api/v1/webhooks/${created.body.data.id}/test`).expect(200);
+    expect(ping.body.data).toMatchObject({ status: 'pending', lastError: expect.stringMatching(/^"url" host 127\.0\.0\.1 is a private/) });
+    expect(received).toHaveLength(0);
+  });
+});
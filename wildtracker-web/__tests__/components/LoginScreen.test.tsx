@@ -0,0 +1,29 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import LoginScreen from '@/components/LoginScreen'
+
+describe('LoginScreen', () => {
+  it('should submit the entered credentials', async () => {
+    const onLogin = jest.fn().mockResolvedValue(true)
+    render(<LoginScreen onLogin={onLogin} loading={false} error={null} />)
+
+    fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'ranger' } })
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret-password' } })
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }))
+
+    await waitFor(() => {
+      expect(onLogin).toHaveBeenCalledWith('ranger', 'secret-password')
+    })
+  })
+
+  it('should show the sign-in error', () => {
+    render(<LoginScreen onLogin={jest.fn()} loading={false} error="Invalid username or password" />)
+
+    expect(screen.getByRole('alert').textContent).toContain('Invalid username or password')
+  })
+
+  it('should disable the button while signing in', () => {
+    render(<LoginScreen onLogin={jest.fn()} loading={true} error={null} />)
+
+    expect((screen.getByRole('button', { name: /signing in/i }) as HTMLButtonElement).disabled).toBe(true)
+  })
+})
@@ -1,5 +1,6 @@
-import { renderHook, waitFor } from '@testing-library/react'
-import { useTelemetryData } from '@/hooks/useTelemetryData'
+import { renderHook, waitFor, act } from '@testing-library/react'
+import { useTelemetryData, mergeTelemetry } from '@/hooks/useTelemetryData'
+import { apiService } from '@/services/api'
 import { TelemetryData, WildlifeSummary } from '@/types/telemetry'
 
 // Mock fetch globally instead of mocking the service
@@ -139,6 +140,23 @@ describe('useTelemetryData', () => {
     )
   })
 
+  it('should only fetch the summary when points are not needed', async () => {
+    ;(fetch as jest.Mock).mockResolvedValue({
+      ok: true,
+      json: async () => ({ success: true, data: mockWildlifeSummary })
+    })
+
+    const { result } = renderHook(() => useTelemetryData({ loadPoints: false, live: false }))
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false)
+    })
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/v1/telemetry/wildlife'), expect.any(Object))
+    expect(result.current.telemetryData).toEqual([])
+    expect(result.current.wildlifeSummary).toEqual(mockWildlifeSummary)
+  })
+
   it('should support refetch functionality', async () => {
     // Arrange
     ;(fetch as jest.Mock)
@@ -277,4 +295,110 @@ describe('useTelemetryData', () => {
     // This test verifies the function exists and can be called
     expect(result.current.updateFilters).toBeDefined()
   })
-}) 
\ No newline at end of file
+
+  describe('live stream', () => {
+    const streamed = (id: string, timestamp: string): TelemetryData => ({
+      id,
+      deviceId: 'device-2',
+      timestamp,
+      location: { latitude: 37.8, longitude: -122.4 },
+      wildlife: { species: 'Gray Wolf', individualId: 'wolf-002' }
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('should merge points newest first without repeats, up to the limit', () => {
+      const current = [streamed('b', '2024-01-01T02:00:00Z'), streamed('a', '2024-01-01T01:00:00Z')]
+      const merged = mergeTelemetry(current, [streamed('c', '2024-01-01T03:00:00Z'), streamed('b', '2024-01-01T02:00:00Z')], 2)
+      expect(merged.map(point => point.id)).toEqual(['c', 'b'])
+    })
+
+    it('should add streamed points and only poll the summary while live', async () => {
+      let handlers: Parameters<typeof apiService.streamTelemetry>[1] | undefined
+      const close = jest.fn()
+      jest.spyOn(apiService, 'streamTelemetry').mockImplementation((_, streamHandlers) => {
+        handlers = streamHandlers
+        return close
+      })
+      ;(fetch as jest.Mock)
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true, data: mockTelemetryData })
+        })
+        .mockResolvedValue({
+          ok: true,
+          json: async () => ({ success: true, data: mockWildlifeSummary })
+        })
+
+      const { result, unmount } = renderHook(() => useTelemetryData({ refreshInterval: 1000 }))
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false)
+      })
+
+      act(() => {
+        handlers!.onOpen!()
+        handlers!.onPoints([streamed('p-1', '2024-01-02T00:00:00Z')])
+      })
+
+      expect(result.current.live).toBe(true)
+      expect(result.current.telemetryData.map(point => point.deviceId)).toEqual(['device-2', 'device-1'])
+
+      jest.clearAllMocks()
+      act(() => {
+        jest.advanceTimersByTime(1000)
+      })
+      await waitFor(() => {
+        expect(fetch).toHaveBeenCalledTimes(1)
+      })
+      expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/api/v1/telemetry/wildlife'), expect.any(Object))
+
+      unmount()
+      expect(close).toHaveBeenCalled()
+    })
+
+    it('should hand streamed points to subscribers and ask them to resync after a gap', async () => {
+      let handlers: Parameters<typeof apiService.streamTelemetry>[1] | undefined
+      jest.spyOn(apiService, 'streamTelemetry').mockImplementation((_, streamHandlers) => {
+        handlers = streamHandlers
+        return jest.fn()
+      })
+      ;(fetch as jest.Mock).mockResolvedValue({
+        ok: true,
+        json: async () => ({ success: true, data: mockTelemetryData })
+      })
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const { result } = renderHook(() => useTelemetryData({ autoRefresh: false, reconnectDelay: 1000 }))
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false)
+      })
+
+      const listener = { onPoints: jest.fn(), onResync: jest.fn() }
+      const unsubscribe = result.current.subscribe(listener)
+      const point = streamed('p-1', '2024-01-02T00:00:00Z')
+      act(() => {
+        handlers!.onOpen!()
+        handlers!.onPoints([point])
+      })
+      expect(listener.onPoints).toHaveBeenCalledWith([point])
+      expect(listener.onResync).not.toHaveBeenCalled()
+
+      act(() => {
+        handlers!.onError!(new Error('network'))
+        jest.advanceTimersByTime(1000)
+      })
+      act(() => {
+        handlers!.onOpen!()
+      })
+      expect(listener.onResync).toHaveBeenCalledTimes(1)
+
+      unsubscribe()
+      act(() => {
+        handlers!.onPoints([streamed('p-2', '2024-01-02T01:00:00Z')])
+      })
+      expect(listener.onPoints).toHaveBeenCalledTimes(1)
+    })
+  })
+})
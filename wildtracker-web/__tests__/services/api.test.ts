@@ -1,5 +1,5 @@
 import { apiService } from '@/services/api'
-import { TelemetryData, WildlifeSummary } from '@/types/telemetry'
+import { MapView, TelemetryData, WildlifeSummary } from '@/types/telemetry'
 
 // Mock fetch globally
 global.fetch = jest.fn()
@@ -97,6 +97,56 @@ describe('ApiService', () => {
     })
   })
 
+  describe('getMapView', () => {
+    it('should fetch clusters for a zoom level and bounding box', async () => {
+      // Arrange
+      const mockView: MapView = {
+        zoom: 6,
+        clustered: true,
+        clusters: [
+          {
+            id: '6/723/1353',
+            count: 42,
+            location: { latitude: 51.18, longitude: -115.56 },
+            bbox: [-115.9, 50.97, -115.31, 51.42],
+            species: { 'Gray Wolf': 42 },
+            activity: { active: 30, resting: 12 },
+            latest: '2024-01-01T00:00:00Z'
+          }
+        ],
+        points: []
+      }
+
+      ;(fetch as jest.Mock).mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: true, data: mockView })
+      })
+
+      // Act
+      const result = await apiService.getMapView({
+        zoom: 6,
+        bbox: '-120,49,-110,53',
+        species: 'Gray Wolf'
+      })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/v1/telemetry/map?zoom=6&bbox=-120%2C49%2C-110%2C53&species=Gray+Wolf'),
+        expect.anything()
+      )
+      expect(result).toEqual(mockView)
+    })
+  })
+
+  describe('getTileUrl', () => {
+    it('should build a tile URL template with the filters', () => {
+      expect(apiService.getTileUrl('tracks', { species: 'Gray Wolf', activity: '' })).toBe(
+        '/api/v1/tiles/tracks/{z}/{x}/{y}.mvt?species=Gray+Wolf'
+      )
+      expect(apiService.getTileUrl('points')).toBe('/api/v1/tiles/points/{z}/{x}/{y}.mvt')
+    })
+  })
+
   describe('getWildlifeSummary', () => {
     it('should fetch wildlife summary successfully', async () => {
       // Arrange
@@ -238,5 +288,98 @@ describe('ApiService', () => {
       )
       expect(result).toEqual(mockResponse.data)
     })
+
+    it('should send the Idempotency-Key header alongside the content type', async () => {
+      ;(fetch as jest.Mock).mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: true, data: { id: 'telemetry-1' } })
+      })
+
+      await apiService.uploadTelemetry({ deviceId: 'device-1' }, 'retry-key-1')
+
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/api/v1/telemetry'),
+        expect.objectContaining({
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': 'retry-key-1'
+          }
+        })
+      )
+    })
+  })
+
+  describe('session', () => {
+    const session = {
+      token: 'jwt-token',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      user: {
+        id: 'usr_1',
+        username: 'ranger',
+        displayName: 'ranger',
+        role: 'researcher',
+        provider: 'local',
+        disabled: false,
+        createdAt: '2024-01-01T00:00:00Z',
+        lastLoginAt: null
+      }
+    }
+
+    afterEach(() => {
+      apiService.logout()
+    })
+
+    it('should store the session on login and attach the token to requests', async () => {
+      ;(fetch as jest.Mock)
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, data: session }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, data: [] }) })
+
+      await apiService.login('ranger', 'secret-password')
+      await apiService.getMapData(10)
+
+      expect(window.localStorage.getItem('wildtracker.session')).toContain('jwt-token')
+      expect(fetch).toHaveBeenLastCalledWith(
+        expect.stringContaining('/api/v1/telemetry/map?limit=10'),
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer jwt-token' })
+        })
+      )
+    })
+
+    it('should give the token to requests made outside the service', async () => {
+      expect(apiService.getAuthHeaders()).toEqual({})
+      ;(fetch as jest.Mock).mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, data: session }) })
+
+      await apiService.login('ranger', 'secret-password')
+
+      expect(apiService.getAuthHeaders()).toEqual({ Authorization: 'Bearer jwt-token' })
+    })
+
+    it('should read tile headers from the session at each request', async () => {
+      const fetchOptions = apiService.getTileFetchOptions()
+      expect(fetchOptions.headers).toEqual({})
+      ;(fetch as jest.Mock).mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, data: session }) })
+
+      await apiService.login('ranger', 'secret-password')
+      expect(fetchOptions.headers).toEqual({ Authorization: 'Bearer jwt-token' })
+
+      apiService.logout()
+      expect(fetchOptions.headers).toEqual({})
+    })
+
+    it('should drop the session when the API rejects the token', async () => {
+      const listener = jest.fn()
+      const unsubscribe = apiService.onSessionChange(listener)
+      ;(fetch as jest.Mock)
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, data: session }) })
+        .mockResolvedValueOnce({ ok: false, status: 401, json: async () => ({ success: false }) })
+
+      await apiService.login('ranger', 'secret-password')
+      await expect(apiService.getMapData(10)).rejects.toThrow('401')
+
+      expect(apiService.getSession()).toBeNull()
+      expect(listener).toHaveBeenLastCalledWith(null)
+      unsubscribe()
+    })
   })
 }) 
\ No newline at end of file
@@ -5,7 +5,10 @@ import dynamic from 'next/dynamic'
 import Header from '@/components/Header'
 import Sidebar from '@/components/Sidebar'
 import Dashboard from '@/components/Dashboard'
+import LoginScreen from '@/components/LoginScreen'
+import { useAuth } from '@/hooks/useAuth'
 import { useTelemetryData } from '@/hooks/useTelemetryData'
+import { User } from '@/types/auth'
 
 // Dynamically import the map component to avoid SSR issues with Leaflet
 const WildlifeMap = dynamic(() => import('@/components/WildlifeMap'), {
@@ -14,6 +17,18 @@ const WildlifeMap = dynamic(() => import('@/components/WildlifeMap'), {
 })
 
 export default function Home() {
+  const { user, ready, loggingIn, error, login, logout } = useAuth()
+
+  if (!ready) return null
+
+  if (!user) {
+    return <LoginScreen onLogin={login} loading={loggingIn} error={error} />
+  }
+
+  return <Tracker user={user} onLogout={logout} />
+}
+
+function Tracker({ user, onLogout }: { user: User; onLogout: () => void }) {
   const [activeView, setActiveView] = useState<'map' | 'dashboard'>('map')
   const [filters, setFilters] = useState({
     species: '',
@@ -27,11 +42,14 @@ export default function Home() {
     wildlifeSummary,
     loading,
     error,
-    refetch
+    refetch,
+    subscribe
   } = useTelemetryData({
     autoRefresh: true,
     refreshInterval: 30000,
-    initialLimit: 1000
+    initialLimit: 1000,
+    // The map loads its own view and takes new points from the stream
+    loadPoints: activeView === 'dashboard'
   })
 
   return (
@@ -45,7 +63,7 @@ export default function Home() {
       />
       
       <div className="flex-1 flex flex-col">
-        <Header />
+        <Header user={user} onLogout={onLogout} />
         
         <main className="flex-1 overflow-hidden">
           {error && (
@@ -63,7 +81,7 @@ export default function Home() {
           {activeView === 'map' ? (
             <div className="h-full relative">
               <WildlifeMap 
-                telemetryData={telemetryData}
+                subscribe={subscribe}
                 filters={filters}
                 loading={loading}
               />
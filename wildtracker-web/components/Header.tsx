@@ -1,8 +1,14 @@
 'use client'
 
-import { MapPin, Activity, Users, Clock } from 'lucide-react'
+import { MapPin, Activity, Users, Clock, LogOut } from 'lucide-react'
+import { User } from '@/types/auth'
 
-export default function Header() {
+interface HeaderProps {
+  user?: User
+  onLogout?: () => void
+}
+
+export default function Header({ user, onLogout }: HeaderProps) {
   return (
     <header className="bg-white shadow-sm border-b border-gray-200 px-6 py-4">
       <div className="flex items-center justify-between">
@@ -29,6 +35,23 @@ export default function Header() {
             <span>{new Date().toLocaleTimeString()}</span>
           </div>
           <div className="h-2 w-2 bg-green-500 rounded-full animate-pulse"></div>
+          {user && (
+            <div className="flex items-center space-x-3 pl-4 border-l border-gray-200 text-sm">
+              <div className="text-right">
+                <div className="font-medium text-gray-900">{user.displayName}</div>
+                <div className="text-xs text-gray-500 capitalize">{user.role}</div>
+              </div>
+              {onLogout && (
+                <button
+                  onClick={onLogout}
+                  title="Sign out"
+                  className="p-2 text-gray-500 hover:text-gray-800 rounded-md hover:bg-gray-100"
+                >
+                  <LogOut className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </header>
@@ -0,0 +1,82 @@
+'use client'
+
+import { useState, FormEvent } from 'react'
+import { MapPin, LogIn } from 'lucide-react'
+
+interface LoginScreenProps {
+  onLogin: (username: string, password: string) => Promise<boolean>
+  loading: boolean
+  error: string | null
+}
+
+export default function LoginScreen({ onLogin, loading, error }: LoginScreenProps) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault()
+    if (await onLogin(username, password)) {
+      setPassword('')
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white rounded-lg shadow-sm border border-gray-200 p-8 space-y-6"
+      >
+        <div className="flex items-center justify-center space-x-2">
+          <MapPin className="h-8 w-8 text-primary-600" />
+          <h1 className="text-2xl font-bold text-gray-900">WildTracker</h1>
+        </div>
+
+        {error && (
+          <div role="alert" className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              required
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full flex items-center justify-center space-x-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white font-medium rounded-md px-4 py-2"
+        >
+          <LogIn className="h-4 w-4" />
+          <span>{loading ? 'Signing in...' : 'Sign in'}</span>
+        </button>
+      </form>
+    </div>
+  )
+}
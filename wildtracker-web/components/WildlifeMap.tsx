@@ -1,30 +1,395 @@
 'use client'
 
-import { useEffect, useRef, useState } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
 import L from 'leaflet'
-import 'leaflet.markercluster'
-import { TelemetryData, MapFilters } from '@/types/telemetry'
-
-// Extend Leaflet with marker cluster functionality
-declare global {
-  interface Window {
-    L: typeof L & {
-      markerClusterGroup: (options?: any) => any
+import 'leaflet.vectorgrid'
+import { TelemetryData, MapCluster, MapFilters, MapMode, MapView, TileLayerName } from '@/types/telemetry'
+import { apiService } from '@/services/api'
+import { TelemetryListener } from '@/hooks/useTelemetryData'
+
+// Reloading waits this long after the map stops moving
+const RELOAD_DELAY_MS = 300
+
+// Tiles are redrawn for new points at most this often, as every redraw
+// fetches every tile on screen again
+const TILE_REDRAW_INTERVAL_MS = 30000
+
+const pointKey = (data: TelemetryData) => `point:${data.id ?? `${data.deviceId}|${data.timestamp}`}`
+const clusterKey = (cluster: MapCluster) => `cluster:${cluster.id}:${cluster.count}`
+
+const getSpeciesColor = (species: string) => {
+  switch (species.toLowerCase()) {
+    case 'gray wolf': return '#8B4513'
+    case 'brown bear': return '#654321'
+    case 'white-tailed deer': return '#DEB887'
+    case 'bald eagle': return '#4169E1'
+    default: return '#666666'
+  }
+}
+
+// Whether a streamed point matches the map's filters, compared as the API
+// compares them
+const equalsIgnoreCase = (value: string | undefined, expected: string) =>
+  !expected || (value ?? '').toLowerCase() === expected.toLowerCase()
+
+const matchesFilters = (point: TelemetryData, filters: MapFilters) =>
+  equalsIgnoreCase(point.wildlife?.species, filters.species) &&
+  equalsIgnoreCase(point.wildlife?.activity, filters.activity) &&
+  equalsIgnoreCase(point.wildlife?.health, filters.health)
+
+const emptyCluster = (id: string): MapCluster => ({
+  id,
+  count: 0,
+  location: { latitude: 0, longitude: 0 },
+  bbox: [Infinity, Infinity, -Infinity, -Infinity],
+  species: {},
+  activity: {},
+  latest: ''
+})
+
+function joinCluster(cluster: MapCluster, point: TelemetryData): MapCluster {
+  const { latitude, longitude } = point.location!
+  const count = cluster.count + 1
+  const species = point.wildlife?.species || 'unknown'
+  const activity = point.wildlife?.activity || 'unknown'
+  const [minLng, minLat, maxLng, maxLat] = cluster.bbox
+
+  return {
+    ...cluster,
+    count,
+    location: {
+      latitude: cluster.location.latitude + (latitude - cluster.location.latitude) / count,
+      longitude: cluster.location.longitude + (longitude - cluster.location.longitude) / count
+    },
+    bbox: [Math.min(minLng, longitude), Math.min(minLat, latitude), Math.max(maxLng, longitude), Math.max(maxLat, latitude)],
+    species: { ...cluster.species, [species]: (cluster.species[species] ?? 0) + 1 },
+    activity: { ...cluster.activity, [activity]: (cluster.activity[activity] ?? 0) + 1 },
+    latest: point.timestamp > cluster.latest ? point.timestamp : cluster.latest
+  }
+}
+
+// Add streamed points to a view as the API would have sent them: counted
+// into the cluster of their grid cell, which a cell's single point turns
+// into once joined, or as points of their own
+function addToView(view: MapView, incoming: TelemetryData[], map: L.Map): MapView {
+  const located = incoming.filter(point => point.location)
+  const { radius } = view
+
+  if (!view.clustered || !radius) {
+    const points = new Map(view.points.map(point => [pointKey(point), point]))
+    located.forEach(point => points.set(pointKey(point), point))
+    return { ...view, points: Array.from(points.values()) }
+  }
+
+  const cellOf = (point: TelemetryData) => {
+    const { x, y } = map.project([point.location!.latitude, point.location!.longitude], view.zoom)
+    return `${view.zoom}/${Math.floor(x / radius)}/${Math.floor(y / radius)}`
+  }
+  const clusters = new Map(view.clusters.map(cluster => [cluster.id, cluster]))
+  const singles = new Map(view.points.filter(point => point.location).map(point => [cellOf(point), point]))
+
+  located.forEach(point => {
+    const cell = cellOf(point)
+    const single = singles.get(cell)
+    if (single && pointKey(single) === pointKey(point)) return
+
+    const cluster = clusters.get(cell) ?? (single ? joinCluster(emptyCluster(cell), single) : null)
+    if (cluster) {
+      clusters.set(cell, joinCluster(cluster, point))
+      singles.delete(cell)
+    } else {
+      singles.set(cell, point)
     }
+  })
+
+  return { ...view, clusters: Array.from(clusters.values()), points: Array.from(singles.values()) }
+}
+
+// The visible part of the map as the API's minLng,minLat,maxLng,maxLat
+const toBbox = (bounds: L.LatLngBounds) => [
+  Math.max(-180, bounds.getWest()),
+  Math.max(-90, bounds.getSouth()),
+  Math.min(180, bounds.getEast()),
+  Math.min(90, bounds.getNorth())
+].map(value => value.toFixed(5)).join(',')
+
+function createPointMarker(data: TelemetryData): L.Marker | null {
+  if (!data.location) return null
+  const { latitude, longitude, obfuscated, accuracy } = data.location
+  const { species = 'Unknown', individualId, activity, health } = data.wildlife ?? {}
+
+  const markerIcon = L.divIcon({
+    html: `<div class="wildlife-marker" style="background-color: ${getSpeciesColor(species)}; width: 12px; height: 12px;"></div>`,
+    className: 'wildlife-marker',
+    iconSize: [12, 12],
+    iconAnchor: [6, 6]
+  })
+
+  const marker = L.marker([latitude, longitude], { icon: markerIcon })
+
+  // Create popup content
+  const popupContent = `
+    <div class="p-2 min-w-[200px]">
+      <h3 class="font-bold text-gray-900 mb-2">${species}</h3>
+      <div class="space-y-1 text-sm">
+        <div><strong>ID:</strong> ${individualId ?? 'Withheld'}</div>
+        <div><strong>Activity:</strong> <span class="capitalize">${activity}</span></div>
+        <div><strong>Health:</strong> <span class="capitalize">${health}</span></div>
+        <div><strong>Location:</strong> ${latitude.toFixed(4)}, ${longitude.toFixed(4)}${obfuscated ? ` (approximate, ±${Math.round((accuracy ?? 0) / 1000)} km)` : ''}</div>
+        <div><strong>Time:</strong> ${new Date(data.timestamp).toLocaleString()}</div>
+        ${data.sensors?.temperature ? `<div><strong>Temp:</strong> ${data.sensors.temperature}°C</div>` : ''}
+        ${data.metadata?.battery ? `<div><strong>Battery:</strong> ${data.metadata.battery}%</div>` : ''}
+      </div>
+    </div>
+  `
+
+  marker.bindPopup(popupContent)
+  return marker
+}
+
+// Cluster marker showing its count, which zooms to the cluster on click
+function createClusterMarker(cluster: MapCluster, map: L.Map): L.Marker {
+  const size = cluster.count < 100 ? 30 : cluster.count < 1000 ? 40 : 50
+  const marker = L.marker([cluster.location.latitude, cluster.location.longitude], {
+    icon: L.divIcon({
+      html: `<span>${cluster.count.toLocaleString()}</span>`,
+      className: 'marker-cluster',
+      iconSize: L.point(size, size)
+    })
+  })
+
+  const breakdown = Object.entries(cluster.species)
+    .sort(([, a], [, b]) => b - a)
+    .map(([species, count]) => `${species}: ${count}`)
+    .join(', ')
+  marker.bindTooltip(breakdown)
+
+  marker.on('click', () => {
+    const [minLng, minLat, maxLng, maxLat] = cluster.bbox
+    map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [20, 20], maxZoom: map.getZoom() + 3 })
+  })
+  return marker
+}
+
+// Vector tile layers, drawn bottom to top
+const TILE_LAYERS: TileLayerName[] = ['homeranges', 'tracks', 'points']
+
+type TileProperties = Record<string, string | number>
+
+const tileColor = (properties: TileProperties) => getSpeciesColor(String(properties.species ?? ''))
+
+const tileStyles: Record<TileLayerName, (properties: TileProperties) => L.CircleMarkerOptions> = {
+  points: properties => ({
+    radius: 5,
+    fill: true,
+    fillColor: tileColor(properties),
+    fillOpacity: 0.9,
+    color: '#ffffff',
+    weight: 1
+  }),
+  tracks: properties => ({
+    color: tileColor(properties),
+    weight: 2,
+    opacity: 0.8
+  }),
+  // Kernel isopleths are shaded and MCPs outlined
+  homeranges: properties => ({
+    color: tileColor(properties),
+    weight: 1,
+    fill: properties.method === 'kde',
+    fillOpacity: 0.15,
+    dashArray: properties.method === 'mcp' ? '4 4' : undefined
+  })
+}
+
+function tilePopupContent(layer: TileLayerName, properties: TileProperties, latlng: L.LatLng): string {
+  const species = properties.species ?? 'Unknown'
+  const rows = (() => {
+    switch (layer) {
+      case 'points': return [
+        ['ID', properties.individualId ?? 'Withheld'],
+        ['Activity', `<span class="capitalize">${properties.activity ?? ''}</span>`],
+        ['Health', `<span class="capitalize">${properties.health ?? ''}</span>`],
+        ['Location', `${latlng.lat.toFixed(4)}, ${latlng.lng.toFixed(4)}${properties.obfuscated ? ` (approximate, ±${Math.round(Number(properties.accuracy ?? 0) / 1000)} km)` : ''}`],
+        ['Time', new Date(String(properties.timestamp)).toLocaleString()]
+      ]
+      case 'tracks': return [
+        ['ID', properties.individualId ?? 'Withheld'],
+        ['From', new Date(String(properties.start)).toLocaleString()],
+        ['To', new Date(String(properties.end)).toLocaleString()],
+        ['Fixes', properties.points]
+      ]
+      case 'homeranges': return [
+        ['ID', properties.individualId ?? 'Withheld'],
+        ['Home range', `${String(properties.method).toUpperCase()} ${properties.percent}%`],
+        ['Area', `${properties.areaKm2} km²`],
+        ['Fixes', properties.fixes]
+      ]
+    }
+  })()
+
+  return `
+    <div class="p-2 min-w-[200px]">
+      <h3 class="font-bold text-gray-900 mb-2">${species}</h3>
+      <div class="space-y-1 text-sm">
+        ${rows.map(([label, value]) => `<div><strong>${label}:</strong> ${value}</div>`).join('')}
+      </div>
+    </div>
+  `
+}
+
+// Vector tile layers from /api/v1/tiles for the filters. They use the SVG
+// renderer, as the canvas one calls L.DomEvent.fakeStop, which Leaflet 1.8
+// removed.
+function createTileLayers(filters: MapFilters, map: L.Map): L.VectorGrid.Protobuf[] {
+  const params = {
+    species: filters.species || undefined,
+    activity: filters.activity || undefined,
+    health: filters.health || undefined
   }
+
+  return TILE_LAYERS.map(name => {
+    const layer = L.vectorGrid.protobuf(apiService.getTileUrl(name, params), {
+      rendererFactory: L.svg.tile,
+      vectorTileLayerStyles: { [name]: tileStyles[name] },
+      interactive: true,
+      fetchOptions: apiService.getTileFetchOptions()
+    })
+    layer.on('click', (event: L.LeafletMouseEvent) => {
+      L.popup()
+        .setLatLng(event.latlng)
+        .setContent(tilePopupContent(name, event.layer.properties, event.latlng))
+        .openOn(map)
+    })
+    return layer
+  })
 }
 
 interface WildlifeMapProps {
-  telemetryData: TelemetryData[]
+  // Live stream of new points, see useTelemetryData
+  subscribe: (listener: TelemetryListener) => () => void
   filters: MapFilters
   loading: boolean
 }
 
-export default function WildlifeMap({ telemetryData, filters, loading }: WildlifeMapProps) {
+// Shows the clusters and points the API sends for the map's view. The view
+// is reloaded when the map moves or the filters change, and new points from
+// the live stream are added to it as they arrive. In tiles mode the map draws
+// points, tracks and home ranges from vector tiles instead, which stays fast
+// for a season of data.
+export default function WildlifeMap({ subscribe, filters, loading }: WildlifeMapProps) {
+  const [mode, setMode] = useState<MapMode>('markers')
   const mapRef = useRef<HTMLDivElement>(null)
   const mapInstanceRef = useRef<L.Map | null>(null)
-  const markersRef = useRef<L.Marker[]>([])
-  const clusterGroupRef = useRef<any>(null)
+  const layerRef = useRef<L.LayerGroup | null>(null)
+  const markersRef = useRef<Map<string, L.Marker>>(new Map())
+  const tileLayersRef = useRef<L.VectorGrid.Protobuf[]>([])
+  const viewRef = useRef<MapView | null>(null)
+  const fittedRef = useRef(false)
+  const requestRef = useRef(0)
+  const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+  const redrawTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null)
+
+  // Markers are kept by cluster and point, so a reload only swaps the ones
+  // that changed and leaves open popups alone
+  const showView = useCallback((view: MapView) => {
+    const map = mapInstanceRef.current
+    const layer = layerRef.current
+    if (!map || !layer) return
+    viewRef.current = view
+
+    const next = new Map<string, () => L.Marker | null>()
+    view.clusters.forEach(cluster => next.set(clusterKey(cluster), () => createClusterMarker(cluster, map)))
+    view.points.forEach(point => next.set(pointKey(point), () => createPointMarker(point)))
+
+    markersRef.current.forEach((marker, key) => {
+      if (!next.has(key)) {
+        layer.removeLayer(marker)
+        markersRef.current.delete(key)
+      }
+    })
+    next.forEach((create, key) => {
+      if (markersRef.current.has(key)) return
+      const marker = create()
+      if (!marker) return
+      layer.addLayer(marker)
+      markersRef.current.set(key, marker)
+    })
+  }, [])
+
+  const loadView = useCallback(async () => {
+    const map = mapInstanceRef.current
+    if (!map || mode !== 'markers') return
+
+    // The first load covers everything so the map can fit to it; later
+    // loads only the visible area
+    const fitting = !fittedRef.current
+    const request = ++requestRef.current
+    try {
+      const view = await apiService.getMapView({
+        zoom: Math.round(map.getZoom()),
+        bbox: fitting ? undefined : toBbox(map.getBounds()),
+        species: filters.species || undefined,
+        activity: filters.activity || undefined,
+        health: filters.health || undefined
+      })
+      if (request !== requestRef.current) return
+
+      if (fitting) {
+        fittedRef.current = true
+        const positions: L.LatLngExpression[] = [
+          ...view.clusters.flatMap(cluster => [
+            [cluster.bbox[1], cluster.bbox[0]] as L.LatLngTuple,
+            [cluster.bbox[3], cluster.bbox[2]] as L.LatLngTuple
+          ]),
+          ...view.points.flatMap(point => point.location ? [[point.location.latitude, point.location.longitude] as L.LatLngTuple] : [])
+        ]
+        if (positions.length > 0) {
+          // Moving the map loads the view for the new bounds and zoom
+          map.fitBounds(L.latLngBounds(positions), { padding: [20, 20] })
+          return
+        }
+      }
+      showView(view)
+    } catch (err) {
+      console.error('Error loading map view:', err)
+    }
+  }, [filters, mode, showView])
+
+  const scheduleLoad = useCallback(() => {
+    if (timerRef.current) clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(loadView, RELOAD_DELAY_MS)
+  }, [loadView])
+
+  // Tiles are drawn from the telemetry store too, so redraw them for new
+  // points, at most every TILE_REDRAW_INTERVAL_MS
+  const scheduleRedraw = useCallback(() => {
+    if (redrawTimerRef.current) return
+    redrawTimerRef.current = setTimeout(() => {
+      redrawTimerRef.current = null
+      tileLayersRef.current.forEach(layer => layer.redraw())
+    }, TILE_REDRAW_INTERVAL_MS)
+  }, [])
+
+  // Add new points on screen to the markers and clusters shown, without
+  // asking the API for the view again
+  const applyPoints = useCallback((points: TelemetryData[]) => {
+    const map = mapInstanceRef.current
+    if (!map) return
+    if (mode === 'tiles') {
+      scheduleRedraw()
+      return
+    }
+
+    const view = viewRef.current
+    if (!view) return
+    const bounds = map.getBounds()
+    const visible = points.filter(point =>
+      point.location &&
+      matchesFilters(point, filters) &&
+      bounds.contains([point.location.latitude, point.location.longitude]))
+    if (visible.length > 0) showView(addToView(view, visible, map))
+  }, [filters, mode, scheduleRedraw, showView])
 
   useEffect(() => {
     if (!mapRef.current || mapInstanceRef.current) return
@@ -42,29 +407,12 @@ export default function WildlifeMap({ telemetryData, filters, loading }: Wildlif
       attribution: '© OpenStreetMap contributors'
     }).addTo(map)
 
-    // Initialize marker cluster group
-    const clusterGroup = (L as any).markerClusterGroup({
-      chunkedLoading: true,
-      maxClusterRadius: 50,
-      spiderfyOnMaxZoom: true,
-      showCoverageOnHover: false,
-      zoomToBoundsOnClick: true,
-      iconCreateFunction: function(cluster: any) {
-        const count = cluster.getChildCount()
-        return L.divIcon({
-          html: `<div class="marker-cluster">${count}</div>`,
-          className: 'marker-cluster',
-          iconSize: L.point(40, 40)
-        })
-      }
-    })
-
-    map.addLayer(clusterGroup)
-    
     mapInstanceRef.current = map
-    clusterGroupRef.current = clusterGroup
+    layerRef.current = L.layerGroup().addTo(map)
 
     return () => {
+      if (timerRef.current) clearTimeout(timerRef.current)
+      if (redrawTimerRef.current) clearTimeout(redrawTimerRef.current)
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove()
         mapInstanceRef.current = null
@@ -73,72 +421,51 @@ export default function WildlifeMap({ telemetryData, filters, loading }: Wildlif
   }, [])
 
   useEffect(() => {
-    if (!clusterGroupRef.current || !mapInstanceRef.current) return
-
-    // Clear existing markers
-    clusterGroupRef.current.clearLayers()
-    markersRef.current = []
-
-    // Filter data based on current filters
-    const filteredData = telemetryData.filter(data => {
-      if (filters.species && data.wildlife.species !== filters.species) return false
-      if (filters.activity && data.wildlife.activity !== filters.activity) return false
-      if (filters.health && data.wildlife.health !== filters.health) return false
-      return true
-    })
+    const map = mapInstanceRef.current
+    if (!map) return
+    map.on('moveend', scheduleLoad)
+    return () => {
+      map.off('moveend', scheduleLoad)
+    }
+  }, [scheduleLoad])
 
-    // Create markers for filtered data
-    filteredData.forEach(data => {
-      const { latitude, longitude } = data.location
-      const { species, individualId, activity, health } = data.wildlife
-
-      // Create custom marker icon based on species
-      const getSpeciesColor = (species: string) => {
-        switch (species.toLowerCase()) {
-          case 'gray wolf': return '#8B4513'
-          case 'brown bear': return '#654321'
-          case 'white-tailed deer': return '#DEB887'
-          case 'bald eagle': return '#4169E1'
-          default: return '#666666'
-        }
-      }
+  // Start over when the filters change, fitting the map to the new results
+  useEffect(() => {
+    layerRef.current?.clearLayers()
+    markersRef.current.clear()
+    viewRef.current = null
+    fittedRef.current = false
+  }, [filters])
 
-      const markerIcon = L.divIcon({
-        html: `<div class="wildlife-marker" style="background-color: ${getSpeciesColor(species)}; width: 12px; height: 12px;"></div>`,
-        className: 'wildlife-marker',
-        iconSize: [12, 12],
-        iconAnchor: [6, 6]
-      })
+  // Reload for new filters and modes
+  useEffect(() => {
+    scheduleLoad()
+  }, [scheduleLoad])
 
-      const marker = L.marker([latitude, longitude], { icon: markerIcon })
-
-      // Create popup content
-      const popupContent = `
-        <div class="p-2 min-w-[200px]">
-          <h3 class="font-bold text-gray-900 mb-2">${species}</h3>
-          <div class="space-y-1 text-sm">
-            <div><strong>ID:</strong> ${individualId}</div>
-            <div><strong>Activity:</strong> <span class="capitalize">${activity}</span></div>
-            <div><strong>Health:</strong> <span class="capitalize">${health}</span></div>
-            <div><strong>Location:</strong> ${latitude.toFixed(4)}, ${longitude.toFixed(4)}</div>
-            <div><strong>Time:</strong> ${new Date(data.timestamp).toLocaleString()}</div>
-            ${data.sensors?.temperature ? `<div><strong>Temp:</strong> ${data.sensors.temperature}°C</div>` : ''}
-            ${data.metadata?.battery ? `<div><strong>Battery:</strong> ${data.metadata.battery}%</div>` : ''}
-          </div>
-        </div>
-      `
+  // Follow the live stream, reloading only when it reconnects after a gap
+  useEffect(() => subscribe({
+    onPoints: applyPoints,
+    onResync: mode === 'tiles' ? scheduleRedraw : scheduleLoad
+  }), [subscribe, applyPoints, mode, scheduleRedraw, scheduleLoad])
 
-      marker.bindPopup(popupContent)
-      clusterGroupRef.current!.addLayer(marker)
-      markersRef.current.push(marker)
-    })
+  // Swap the markers for tile layers, which fetch their own tiles as the map
+  // moves
+  useEffect(() => {
+    const map = mapInstanceRef.current
+    if (!map || mode !== 'tiles') return
+
+    layerRef.current?.clearLayers()
+    markersRef.current.clear()
+    viewRef.current = null
+    const layers = createTileLayers(filters, map)
+    layers.forEach(layer => layer.addTo(map))
+    tileLayersRef.current = layers
 
-    // Fit map to markers if there are any
-    if (filteredData.length > 0) {
-      const bounds = L.latLngBounds(filteredData.map(d => [d.location.latitude, d.location.longitude]))
-      mapInstanceRef.current.fitBounds(bounds, { padding: [20, 20] })
+    return () => {
+      layers.forEach(layer => layer.remove())
+      tileLayersRef.current = []
     }
-  }, [telemetryData, filters])
+  }, [mode, filters])
 
   return (
     <div className="relative h-full">
@@ -155,6 +482,17 @@ export default function WildlifeMap({ telemetryData, filters, loading }: Wildlif
       
       {/* Map controls overlay */}
       <div className="absolute top-4 left-4 z-[1000] bg-white rounded-lg shadow-lg p-2">
+        <div className="flex mb-2 text-xs rounded border border-gray-200 overflow-hidden">
+          {(['markers', 'tiles'] as MapMode[]).map(option => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`flex-1 px-2 py-1 capitalize ${mode === option ? 'bg-primary-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
         <div className="text-xs text-gray-600">
           <div className="flex items-center space-x-2 mb-2">
             <div className="w-3 h-3 rounded-full bg-wildlife-wolf"></div>
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react'
+import { AuthSession, User } from '@/types/auth'
+import { apiService } from '@/services/api'
+
+interface UseAuthReturn {
+  session: AuthSession | null
+  user: User | null
+  ready: boolean
+  loggingIn: boolean
+  error: string | null
+  login: (username: string, password: string) => Promise<boolean>
+  logout: () => void
+}
+
+export function useAuth(): UseAuthReturn {
+  const [session, setSession] = useState<AuthSession | null>(null)
+  const [ready, setReady] = useState(false)
+  const [loggingIn, setLoggingIn] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  // The stored session is only readable in the browser, so pick it up after
+  // mount and follow later sign-ins, sign-outs and expiries
+  useEffect(() => {
+    setSession(apiService.getSession())
+    setReady(true)
+    return apiService.onSessionChange(setSession)
+  }, [])
+
+  const login = useCallback(async (username: string, password: string) => {
+    try {
+      setLoggingIn(true)
+      setError(null)
+      await apiService.login(username, password)
+      return true
+    } catch (err) {
+      setError(err instanceof Error && err.message.includes('401')
+        ? 'Invalid username or password'
+        : 'Unable to sign in, please try again')
+      return false
+    } finally {
+      setLoggingIn(false)
+    }
+  }, [])
+
+  const logout = useCallback(() => {
+    apiService.logout()
+  }, [])
+
+  return {
+    session,
+    user: session?.user ?? null,
+    ready,
+    loggingIn,
+    error,
+    login,
+    logout
+  }
+}
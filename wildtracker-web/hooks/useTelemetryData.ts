@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { TelemetryData, WildlifeSummary } from '@/types/telemetry'
 import { apiService } from '@/services/api'
 
@@ -6,6 +6,18 @@ interface UseTelemetryDataOptions {
   autoRefresh?: boolean
   refreshInterval?: number
   initialLimit?: number
+  // Whether to fetch the list of points, for views that show it
+  loadPoints?: boolean
+  live?: boolean
+  reconnectDelay?: number
+}
+
+// Receives the live stream as it arrives, for views such as the map that
+// apply new points themselves rather than reloading
+export interface TelemetryListener {
+  onPoints: (points: TelemetryData[]) => void
+  // The stream reconnected after a gap in which points may have been missed
+  onResync?: () => void
 }
 
 interface UseTelemetryDataReturn {
@@ -13,15 +25,37 @@ interface UseTelemetryDataReturn {
   wildlifeSummary: WildlifeSummary | null
   loading: boolean
   error: string | null
+  live: boolean
   refetch: () => Promise<void>
   updateFilters: (filters: any) => void
+  subscribe: (listener: TelemetryListener) => () => void
+}
+
+const pointKey = (point: TelemetryData) => point.id ?? `${point.deviceId}|${point.timestamp}`
+
+// Add streamed points to the newest-first list, dropping repeats and keeping
+// at most `limit` points
+export function mergeTelemetry(current: TelemetryData[], incoming: TelemetryData[], limit: number): TelemetryData[] {
+  const seen = new Set<string>()
+  return [...incoming, ...current]
+    .filter(point => {
+      const key = pointKey(point)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .slice(0, limit)
 }
 
 export function useTelemetryData(options: UseTelemetryDataOptions = {}): UseTelemetryDataReturn {
   const {
     autoRefresh = true,
     refreshInterval = 30000, // 30 seconds
-    initialLimit = 1000
+    initialLimit = 1000,
+    loadPoints = true,
+    live: liveEnabled = true,
+    reconnectDelay = 5000
   } = options
 
   const [telemetryData, setTelemetryData] = useState<TelemetryData[]>([])
@@ -29,19 +63,21 @@ export function useTelemetryData(options: UseTelemetryDataOptions = {}): UseTele
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [filters, setFilters] = useState({})
+  const [live, setLive] = useState(false)
+  const listenersRef = useRef(new Set<TelemetryListener>())
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true)
       setError(null)
-      
+
       // Fetch map data and wildlife summary in parallel
       const [mapData, summaryData] = await Promise.all([
-        apiService.getMapData(initialLimit),
+        loadPoints ? apiService.getMapData(initialLimit) : null,
         apiService.getWildlifeSummary()
       ])
-      
-      setTelemetryData(mapData)
+
+      if (mapData) setTelemetryData(mapData)
       setWildlifeSummary(summaryData)
     } catch (err) {
       console.error('Error fetching telemetry data:', err)
@@ -49,7 +85,23 @@ export function useTelemetryData(options: UseTelemetryDataOptions = {}): UseTele
     } finally {
       setLoading(false)
     }
-  }, [initialLimit])
+  }, [initialLimit, loadPoints])
+
+  // The stream calls fetchData through a ref, so that asking for points
+  // does not reconnect it
+  const fetchDataRef = useRef(fetchData)
+  useEffect(() => {
+    fetchDataRef.current = fetchData
+  }, [fetchData])
+
+  // While streaming, only the summary needs polling
+  const fetchSummary = useCallback(async () => {
+    try {
+      setWildlifeSummary(await apiService.getWildlifeSummary())
+    } catch (err) {
+      console.error('Error fetching wildlife summary:', err)
+    }
+  }, [])
 
   const refetch = useCallback(async () => {
     await fetchData()
@@ -60,23 +112,74 @@ export function useTelemetryData(options: UseTelemetryDataOptions = {}): UseTele
     // You could implement filtered data fetching here
   }, [])
 
+  const subscribe = useCallback((listener: TelemetryListener) => {
+    listenersRef.current.add(listener)
+    return () => {
+      listenersRef.current.delete(listener)
+    }
+  }, [])
+
   useEffect(() => {
     fetchData()
   }, [fetchData])
 
+  // Merge new points from the live stream as they arrive and hand them to
+  // subscribers. After a dropped connection the data is refetched once
+  // reconnected, and subscribers told to resync, to fill the gap.
+  useEffect(() => {
+    if (!liveEnabled) return
+
+    let close: (() => void) | null = null
+    let retry: ReturnType<typeof setTimeout> | null = null
+    let reconnecting = false
+    let stopped = false
+
+    const connect = () => {
+      close = apiService.streamTelemetry({}, {
+        onOpen: () => {
+          setLive(true)
+          if (reconnecting) {
+            fetchDataRef.current()
+            listenersRef.current.forEach(listener => listener.onResync?.())
+          }
+        },
+        onPoints: points => {
+          setTelemetryData(current => mergeTelemetry(current, points, initialLimit))
+          listenersRef.current.forEach(listener => listener.onPoints(points))
+        },
+        onError: err => {
+          console.error('Telemetry stream interrupted:', err)
+          setLive(false)
+          reconnecting = true
+          if (!stopped) retry = setTimeout(connect, reconnectDelay)
+        }
+      })
+    }
+
+    connect()
+    return () => {
+      stopped = true
+      if (retry) clearTimeout(retry)
+      close?.()
+      setLive(false)
+    }
+  }, [liveEnabled, initialLimit, reconnectDelay])
+
   useEffect(() => {
     if (!autoRefresh) return
 
-    const interval = setInterval(fetchData, refreshInterval)
+    const interval = setInterval(live ? fetchSummary : fetchData, refreshInterval)
     return () => clearInterval(interval)
-  }, [fetchData, autoRefresh, refreshInterval])
+  }, [fetchData, fetchSummary, live, autoRefresh, refreshInterval])
 
   return {
     telemetryData,
     wildlifeSummary,
     loading,
     error,
+    live,
     refetch,
-    updateFilters
+    updateFilters,
+    subscribe
   }
-} 
\ No newline at end of file
+}
@@ -1,6 +1,8 @@
-import { TelemetryData, WildlifeSummary } from '@/types/telemetry'
+import { MapView, TelemetryData, TileLayerName, WildlifeSummary } from '@/types/telemetry'
+import { AuthSession, User } from '@/types/auth'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || ''
+const SESSION_STORAGE_KEY = 'wildtracker.session'
 
 interface ApiResponse<T> {
   success: boolean
@@ -10,18 +12,29 @@ interface ApiResponse<T> {
 }
 
 class ApiService {
+  private session: AuthSession | null = null
+  private sessionLoaded = false
+  private sessionListeners = new Set<(session: AuthSession | null) => void>()
+
   private async request<T>(endpoint: string, options?: RequestInit): Promise<T> {
     const url = `${API_BASE_URL}${endpoint}`
+    const token = this.getSession()?.token
     
     try {
       const response = await fetch(url, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
           ...options?.headers,
         },
-        ...options,
       })
 
+      // An expired or revoked session sends the user back to the login screen
+      if (response.status === 401 && token) {
+        this.setSession(null)
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
@@ -39,11 +52,205 @@ class ApiService {
     }
   }
 
+  // Session methods. The session is kept in localStorage so a reload stays
+  // signed in until the token expires.
+  getSession(): AuthSession | null {
+    if (!this.sessionLoaded && typeof window !== 'undefined') {
+      this.sessionLoaded = true
+      try {
+        const stored = window.localStorage.getItem(SESSION_STORAGE_KEY)
+        this.session = stored ? JSON.parse(stored) : null
+      } catch {
+        this.session = null
+      }
+    }
+
+    if (this.session && new Date(this.session.expiresAt).getTime() <= Date.now()) {
+      this.setSession(null)
+    }
+    return this.session
+  }
+
+  private setSession(session: AuthSession | null) {
+    this.session = session
+    this.sessionLoaded = true
+    if (typeof window !== 'undefined') {
+      if (session) {
+        window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+      } else {
+        window.localStorage.removeItem(SESSION_STORAGE_KEY)
+      }
+    }
+    this.sessionListeners.forEach(listener => listener(session))
+  }
+
+  onSessionChange(listener: (session: AuthSession | null) => void): () => void {
+    this.sessionListeners.add(listener)
+    return () => {
+      this.sessionListeners.delete(listener)
+    }
+  }
+
+  async login(username: string, password: string): Promise<AuthSession> {
+    const session = await this.request<AuthSession>('/api/v1/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    })
+    this.setSession(session)
+    return session
+  }
+
+  logout() {
+    this.setSession(null)
+  }
+
+  async getCurrentUser(): Promise<User> {
+    return this.request<User>('/api/v1/auth/me')
+  }
+
   // Telemetry API methods
   async getMapData(limit: number = 1000): Promise<TelemetryData[]> {
     return this.request<TelemetryData[]>(`/api/v1/telemetry/map?limit=${limit}`)
   }
 
+  // Clusters and points for the map at a zoom level, within bbox
+  // (minLng,minLat,maxLng,maxLat) when given
+  async getMapView(params: {
+    zoom: number
+    bbox?: string
+    species?: string
+    activity?: string
+    health?: string
+    limit?: number
+  }): Promise<MapView> {
+    const searchParams = new URLSearchParams({ zoom: params.zoom.toString() })
+    if (params.bbox) searchParams.append('bbox', params.bbox)
+    if (params.species) searchParams.append('species', params.species)
+    if (params.activity) searchParams.append('activity', params.activity)
+    if (params.health) searchParams.append('health', params.health)
+    if (params.limit) searchParams.append('limit', params.limit.toString())
+
+    return this.request<MapView>(`/api/v1/telemetry/map?${searchParams.toString()}`)
+  }
+
+  // URL template, with {z}/{x}/{y} placeholders, of a vector tile layer for
+  // map layers that fetch their own tiles. Fetch them with
+  // getTileFetchOptions().
+  getTileUrl(layer: TileLayerName, params: {
+    species?: string
+    activity?: string
+    health?: string
+    startDate?: string
+    endDate?: string
+  } = {}): string {
+    const searchParams = new URLSearchParams()
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) searchParams.append(key, value)
+    })
+    const queryString = searchParams.toString()
+    return `${API_BASE_URL}/api/v1/tiles/${layer}/{z}/{x}/{y}.mvt${queryString ? `?${queryString}` : ''}`
+  }
+
+  getAuthHeaders(): Record<string, string> {
+    const token = this.getSession()?.token
+    return token ? { Authorization: `Bearer ${token}` } : {}
+  }
+
+  // fetch() options for map layers that keep them for every tile they load.
+  // The headers are read on each request, so a layer follows the session
+  // rather than keeping the token it was created with.
+  getTileFetchOptions(): RequestInit {
+    const getAuthHeaders = () => this.getAuthHeaders()
+    return {
+      get headers() {
+        return getAuthHeaders()
+      }
+    }
+  }
+
+  // Live feed of newly uploaded points from /api/v1/telemetry/stream. It is
+  // read with fetch rather than EventSource so the session token can go in
+  // the Authorization header. Returns a function that closes the stream, or
+  // null where the browser cannot read a streamed response.
+  streamTelemetry(
+    params: {
+      species?: string
+      individualId?: string
+      deviceId?: string
+      activity?: string
+      bbox?: string
+    },
+    handlers: {
+      onPoints: (points: TelemetryData[]) => void
+      onOpen?: () => void
+      onError?: (error: Error) => void
+    }
+  ): (() => void) | null {
+    if (typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined' || typeof AbortController === 'undefined') {
+      return null
+    }
+
+    const searchParams = new URLSearchParams()
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) searchParams.append(key, value)
+    })
+    const queryString = searchParams.toString()
+    const url = `${API_BASE_URL}/api/v1/telemetry/stream${queryString ? `?${queryString}` : ''}`
+    const token = this.getSession()?.token
+    const controller = new AbortController()
+
+    const handleEvent = (block: string) => {
+      let event = 'message'
+      const data: string[] = []
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        if (line.startsWith('data:')) data.push(line.slice(5).trimStart())
+      })
+      if (event === 'ready') handlers.onOpen?.()
+      if (event === 'telemetry' && data.length > 0) handlers.onPoints(JSON.parse(data.join('\n')))
+    }
+
+    const read = async () => {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        signal: controller.signal,
+      })
+
+      if (response.status === 401 && token) {
+        this.setSession(null)
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        buffer += decoder.decode(value, { stream: true })
+        let end
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          handleEvent(buffer.slice(0, end))
+          buffer = buffer.slice(end + 2)
+        }
+      }
+      throw new Error('Telemetry stream closed')
+    }
+
+    read().catch(error => {
+      if (!controller.signal.aborted) {
+        handlers.onError?.(error instanceof Error ? error : new Error(String(error)))
+      }
+    })
+
+    return () => controller.abort()
+  }
+
   async getWildlifeSummary(): Promise<WildlifeSummary> {
     return this.request<WildlifeSummary>('/api/v1/telemetry/wildlife')
   }
@@ -89,9 +296,17 @@ class ApiService {
         end: string
       }
       distance: number
+      netDisplacement: number
       averageSpeed: number
     }
-    tracking: TelemetryData[]
+    units: Record<string, string>
+    tracking: Array<TelemetryData & {
+      stepDistance: number
+      stepDuration: number
+      speed: number | null
+      bearing: number | null
+      netDisplacement: number
+    }>
   }> {
     const searchParams = new URLSearchParams()
     if (params?.startDate) searchParams.append('startDate', params.startDate)
@@ -104,15 +319,24 @@ class ApiService {
     return this.request(endpoint)
   }
 
-  // Upload methods
-  async uploadTelemetry(telemetryData: any): Promise<{
+  // Upload methods. Pass the same idempotencyKey when retrying an upload so
+  // the API answers with the original result instead of storing it twice.
+  private idempotencyHeaders(idempotencyKey?: string): Record<string, string> {
+    return idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+  }
+
+  async uploadTelemetry(telemetryData: any, idempotencyKey?: string): Promise<{
     id: string
     timestamp: string
-    partition: number
-    offset: number
+    status: 'published' | 'queued'
+    partition?: number
+    offset?: string
+    outboxDepth?: number
+    duplicate?: boolean
   }> {
     return this.request('/api/v1/telemetry', {
       method: 'POST',
+      headers: this.idempotencyHeaders(idempotencyKey),
       body: JSON.stringify(telemetryData),
     })
   }
@@ -120,10 +344,12 @@ class ApiService {
   async uploadBatchTelemetry(batchData: {
     deviceId: string
     batch: any[]
-  }): Promise<{
+  }, idempotencyKey?: string): Promise<{
     summary: {
       total: number
       successful: number
+      queued: number
+      duplicates: number
       failed: number
     }
     results: any[]
@@ -131,6 +357,7 @@ class ApiService {
   }> {
     return this.request('/api/v1/telemetry/batch', {
       method: 'POST',
+      headers: this.idempotencyHeaders(idempotencyKey),
       body: JSON.stringify(batchData),
     })
   }
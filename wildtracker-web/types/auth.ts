@@ -0,0 +1,18 @@
+export type UserRole = 'admin' | 'researcher' | 'field-tech' | 'viewer'
+
+export interface User {
+  id: string
+  username: string
+  displayName: string
+  role: UserRole
+  provider: string
+  disabled: boolean
+  createdAt: string
+  lastLoginAt: string | null
+}
+
+export interface AuthSession {
+  token: string
+  expiresAt: string
+  user: User
+}
@@ -3,6 +3,8 @@ export interface Location {
   longitude: number
   altitude?: number
   accuracy?: number
+  // Set when the API coarsened the position for a sensitive species
+  obfuscated?: 'grid' | 'jitter'
 }
 
 export interface Wildlife {
@@ -85,9 +87,13 @@ export interface WildlifeSummary {
   recentAlerts: Array<{
     id: string
     deviceId: string
+    individualId?: string
+    deploymentId?: string
     type: string
     timestamp: string
     severity: string
+    status?: string
+    message?: string
   }>
   timestamp: string
 }
@@ -102,6 +108,39 @@ export interface MapFilters {
   }
 }
 
+// Points counted into one grid cell by /api/v1/telemetry/map at a low zoom
+export interface MapCluster {
+  id: string
+  count: number
+  location: {
+    latitude: number
+    longitude: number
+  }
+  // [minLng, minLat, maxLng, maxLat] of the points in the cluster
+  bbox: [number, number, number, number]
+  species: Record<string, number>
+  activity: Record<string, number>
+  latest: string
+}
+
+// Map data for a zoom level: clusters below the server's clustering zoom,
+// otherwise only points
+export interface MapView {
+  zoom: number
+  clustered: boolean
+  // Width in pixels of the grid cells clusters are counted in, when clustered
+  radius?: number
+  clusters: MapCluster[]
+  points: TelemetryData[]
+}
+
+// How the map draws telemetry: markers for the clusters and points of
+// /api/v1/telemetry/map, or vector tiles from /api/v1/tiles
+export type MapMode = 'markers' | 'tiles'
+
+// Layers served by /api/v1/tiles
+export type TileLayerName = 'points' | 'tracks' | 'homeranges'
+
 export interface MapData {
   data: TelemetryData[]
   total: number